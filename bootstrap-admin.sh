@@ -0,0 +1,75 @@
+#!/bin/bash
+
+# Grant the admin role to the first admin account (D1 user_roles)
+#
+# Usage: ./bootstrap-admin.sh <email> [--local]
+#
+# The account must already exist (sign up normally first). This only works
+# while there is no admin yet - after that, grant roles from admin.html.
+
+CONFIG="wrangler-d1.toml"
+DATABASE="audio-city-db"
+EMAIL="$1"
+TARGET="--remote"
+
+if [ "$2" == "--local" ]; then
+    TARGET="--local"
+fi
+
+echo "═══════════════════════════════════════════════════════════════"
+echo "  Bootstrapping first Audio City admin"
+echo "═══════════════════════════════════════════════════════════════"
+echo ""
+
+if [ -z "$EMAIL" ]; then
+    echo "❌ Usage: ./bootstrap-admin.sh <email> [--local]"
+    exit 1
+fi
+
+# Emails only - keeps the value safe to inline into SQL
+if ! [[ "$EMAIL" =~ ^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$ ]]; then
+    echo "❌ Not a valid email address: $EMAIL"
+    exit 1
+fi
+EMAIL=$(echo "$EMAIL" | tr '[:upper:]' '[:lower:]')
+
+run_sql() {
+    npx wrangler d1 execute "$DATABASE" $TARGET --config "$CONFIG" --command "$1" "${@:2}"
+}
+
+echo "🔍 Checking for existing admins..."
+EXISTING=$(run_sql "SELECT COUNT(*) AS admins FROM user_roles WHERE role = 'admin';" --json 2>/dev/null | grep -o '"admins": *[0-9]*' | grep -o '[0-9]*$')
+
+if [ -z "$EXISTING" ]; then
+    echo "   ❌ Could not read user_roles - run ./migrate.sh first"
+    exit 1
+fi
+
+if [ "$EXISTING" != "0" ]; then
+    echo "   ❌ An admin already exists ($EXISTING). Grant roles from the admin dashboard instead."
+    exit 1
+fi
+
+echo "   ✅ No admin yet"
+echo ""
+echo "👑 Granting admin to $EMAIL..."
+
+# Both statements are guarded so a concurrent bootstrap can't create a second admin
+run_sql "INSERT OR IGNORE INTO user_roles (user_id, role, created_at)
+  SELECT id, 'admin', datetime('now') FROM users
+  WHERE LOWER(email) = '$EMAIL' AND NOT EXISTS (SELECT 1 FROM user_roles WHERE role = 'admin');
+UPDATE users SET is_admin = 1, updated_at = datetime('now')
+  WHERE id IN (SELECT user_id FROM user_roles WHERE role = 'admin');"
+
+if [ $? -ne 0 ]; then
+    echo "   ❌ Failed to grant admin"
+    exit 1
+fi
+
+echo ""
+echo "🔍 Verifying..."
+run_sql "SELECT u.email, r.role, r.created_at FROM user_roles r JOIN users u ON u.id = r.user_id WHERE r.role = 'admin';"
+
+echo ""
+echo "If no row is listed above, no account uses $EMAIL - sign up first, then run this again."
+echo "Log out and back in to pick up the new role."
@@ -0,0 +1,287 @@
+/**
+ * Audio City API Core
+ *
+ * Runtime-agnostic business logic shared by the D1 worker (worker-d1.js) and
+ * the Express server (deploy-package/api-server.js): track pages, plays and
+ * shares, likes, reposts, follows, comments, and the credential side of
+ * signup and login. Handlers take plain values and return { status, body };
+ * each entry point only parses its request, works out who is calling and
+ * serializes the result, so both deployments answer the same way.
+ *
+ * Data goes through a storage adapter - core/sql-store.mjs, over D1 in the
+ * worker and SQLite in the Express server. Every method is async:
+ *   getUser(id)                       findUsers(identifier) -> users whose email or username matches
+ *   createUser(fields) -> user        updateUser(id, fields)
+ *   isFollowing(followerId, followeeId)
+ *   toggleFollow(followerId, followeeId) -> { on, followers_count, following_count }
+ *   getTrack(id) -> track + artist_username, artist_name, artist_profile_image, artist_is_verified
+ *   incrementTrack(id, fields) -> { field: value } | null
+ *   hasReaction(kind, userId, targetId)     countReactions(kind, targetId)
+ *   toggleReaction(kind, userId, targetId) -> { on, count }
+ *                                     kinds: 'like' and 'repost' (tracks), 'comment_like' (comments)
+ *   listComments(trackId) -> newest first, with author, author_name, author_avatar, likes, liked_by
+ *   getComment(trackId, id)           addComment(comment)
+ *   deleteComment(trackId, id)        countComments(trackId)
+ * The toggles update the cached counts (likes_count, followers_count, ...) in
+ * the same transaction as the row they flip.
+ *
+ * Optional hooks: notify(event) / retract(event) for notifications, and
+ * screen(userId, action, texts) -> { denied: { status, body } } | { violations }
+ * with flag(contentType, id, violations) for moderation.
+ */
+
+import { hashPassword, verifyPassword, needsRehash } from './password.mjs';
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Stored on user records but never sent to clients
+const PRIVATE_USER_FIELDS = ['password', 'password_history', 'reset_token', 'reset_token_expiry'];
+
+// Helper: Result objects
+const ok = (body) => ({ status: 200, body });
+const fail = (status, error) => ({ status, body: { error } });
+
+const noop = async () => {};
+
+// A user record without secrets, for API responses
+export function publicUser(user) {
+  if (!user) return null;
+  const result = { ...user };
+  for (const field of PRIVATE_USER_FIELDS) delete result[field];
+  return result;
+}
+
+// Helper: One comment as clients see it (D1 rows say content/created_at, older JSON text/time)
+const commentView = (comment) => ({
+  ...comment,
+  text: comment.text ?? comment.content,
+  content: comment.content ?? comment.text,
+  time: comment.time ?? comment.created_at,
+  created_at: comment.created_at ?? comment.time,
+  likes: comment.likes || 0,
+  liked_by: comment.liked_by || []
+});
+
+// Bind the handlers to a storage adapter (see the interface above)
+export function createApiCore(store, hooks = {}) {
+  const notify = hooks.notify || noop;
+  const retract = hooks.retract || noop;
+  const screen = hooks.screen || (async () => ({ violations: [] }));
+  const flag = hooks.flag || noop;
+
+  // Helper: Notify on the way in, take the notification back on the way out
+  const announce = (on, event) => (on ? notify(event) : retract(event));
+
+  return {
+    // ==================== TRACKS ====================
+
+    async getTrack(trackId) {
+      const track = trackId ? await store.getTrack(trackId) : null;
+      if (!track) return fail(404, 'Track not found');
+
+      const comments = (await store.listComments(trackId)).map(commentView);
+      // Counted from the source of truth, not the cached columns
+      return ok({
+        ...track,
+        likes_count: await store.countReactions('like', trackId),
+        reposts_count: await store.countReactions('repost', trackId),
+        comments_count: comments.length,
+        comments,
+        shares_count: track.shares_count || 0,
+        downloads_count: track.downloads_count || 0,
+        views_count: track.views_count || track.plays_count || 0,
+        plays_count: track.plays_count || track.views_count || 0,
+        artist_is_verified: track.artist_is_verified === true || track.artist_is_verified === 1
+      });
+    },
+
+    async playTrack(trackId) {
+      const counts = trackId ? await store.incrementTrack(trackId, ['plays_count', 'views_count']) : null;
+      if (!counts) return fail(404, 'Track not found');
+      return ok({ success: true, views_count: counts.views_count, plays_count: counts.plays_count });
+    },
+
+    async shareTrack(trackId) {
+      const counts = trackId ? await store.incrementTrack(trackId, ['shares_count']) : null;
+      if (!counts) return fail(404, 'Track not found');
+      return ok({ success: true, shares_count: counts.shares_count });
+    },
+
+    // `userId` is always the signed-in caller, never taken from the request body
+    async toggleLike(trackId, userId) {
+      if (!userId) return fail(401, 'Unauthorized - login required');
+      if (!trackId) return fail(400, 'Track ID required');
+      const track = await store.getTrack(trackId);
+      if (!track) return fail(404, 'Track not found');
+
+      const { on, count } = await store.toggleReaction('like', userId, trackId);
+      await announce(on, { userId: track.artist_id, actorId: userId, type: 'like', trackId });
+
+      return ok({ success: true, liked: on, is_liked: on, likes_count: count });
+    },
+
+    // `userId` is the signed-in caller
+    async toggleRepost(trackId, userId) {
+      if (!userId) return fail(401, 'Unauthorized - login required');
+      if (!trackId) return fail(400, 'Track ID required');
+      const track = await store.getTrack(trackId);
+      if (!track) return fail(404, 'Track not found');
+
+      const { on, count } = await store.toggleReaction('repost', userId, trackId);
+      await announce(on, { userId: track.artist_id, actorId: userId, type: 'repost', trackId });
+
+      return ok({
+        success: true,
+        reposted: on,
+        reposts_count: count,
+        message: on ? 'Track reposted successfully' : 'Repost removed'
+      });
+    },
+
+    // ==================== FOLLOWS ====================
+
+    async followStatus(followeeId, followerId) {
+      if (!followeeId || !followerId) return ok({ is_following: false });
+      return ok({ is_following: await store.isFollowing(followerId, followeeId) });
+    },
+
+    // `followerId` is the signed-in caller
+    async toggleFollow(followeeId, followerId) {
+      if (!followerId) return fail(401, 'Unauthorized - login required');
+      if (!followeeId) return fail(400, 'User ID required');
+      if (followeeId === followerId) return fail(400, 'Cannot follow yourself');
+
+      const [follower, followee] = await Promise.all([store.getUser(followerId), store.getUser(followeeId)]);
+      if (!follower) return fail(404, 'Follower not found');
+      if (!followee) return fail(404, 'User to follow not found');
+
+      const { on, followers_count, following_count } = await store.toggleFollow(followerId, followeeId);
+      await announce(on, { userId: followeeId, actorId: followerId, type: 'follow' });
+
+      return ok({ success: true, is_following: on, followers_count, following_count });
+    },
+
+    // ==================== COMMENTS ====================
+
+    // `userId` is the signed-in caller - moderation standing is checked against it
+    async addComment(trackId, { userId = null, text } = {}) {
+      if (!userId) return fail(401, 'Unauthorized - login required');
+      const content = typeof text === 'string' ? text.trim() : '';
+      if (!trackId || !content) return fail(400, 'Track ID and comment text are required');
+      const track = await store.getTrack(trackId);
+      if (!track) return fail(404, 'Track not found');
+
+      const screening = await screen(userId, 'comment', [content]);
+      if (screening.denied) return screening.denied;
+
+      const author = await store.getUser(userId);
+      const comment = {
+        id: crypto.randomUUID(),
+        track_id: trackId,
+        user_id: userId,
+        content
+      };
+      await store.addComment(comment);
+      await flag('comment', comment.id, screening.violations || []);
+      await notify({ userId: track.artist_id, actorId: userId, type: 'comment', trackId, commentId: comment.id, preview: content });
+
+      const now = new Date().toISOString();
+      return ok({
+        success: true,
+        comment: commentView({
+          ...comment,
+          author: author?.username || 'User',
+          author_name: author?.name || author?.username || 'User',
+          author_avatar: author?.profile_image_url || author?.profile_image || null,
+          created_at: now
+        }),
+        comments_count: await store.countComments(trackId)
+      });
+    },
+
+    // `actor` is the signed-in caller: { id, canModerate } (canModerate = may delete others' content)
+    async deleteComment(trackId, commentId, actor) {
+      if (!trackId || !commentId) return fail(400, 'Track ID and comment ID required');
+      if (!actor) return fail(401, 'Unauthorized - login required');
+
+      const comment = await store.getComment(trackId, commentId);
+      if (!comment) return fail(404, 'Comment not found');
+      if (comment.user_id !== actor.id && !actor.canModerate) {
+        return fail(403, 'Not authorized to delete this comment');
+      }
+
+      await store.deleteComment(trackId, commentId);
+      return ok({ success: true, comments_count: await store.countComments(trackId) });
+    },
+
+    // `userId` is the signed-in caller
+    async toggleCommentLike(trackId, commentId, userId) {
+      if (!userId) return fail(401, 'Unauthorized - login required');
+      if (!trackId || !commentId) return fail(400, 'Track ID and comment ID required');
+      const comment = await store.getComment(trackId, commentId);
+      if (!comment) return fail(404, 'Comment not found');
+
+      const { on, count } = await store.toggleReaction('comment_like', userId, commentId);
+      await announce(on, { userId: comment.user_id, actorId: userId, type: 'comment_like', trackId, commentId });
+
+      return ok({ success: true, likes: count, is_liked: on });
+    },
+
+    // ==================== AUTH ====================
+    // Access tokens are core/jwt.mjs and sessions stay with each runtime; these only deal with the account itself.
+
+    // Create a local account. On success the result also carries the stored `user`.
+    async signup({ username, email, password, name, bio, biography } = {}) {
+      if (!username || !email || !password) return fail(400, 'Email, username, and password required');
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return fail(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+      }
+      if (!EMAIL_PATTERN.test(email)) return fail(400, 'Invalid email format');
+
+      const emailKey = email.toLowerCase().trim();
+      const usernameKey = username.toLowerCase().trim();
+      const taken = [...await store.findUsers(emailKey), ...await store.findUsers(usernameKey)];
+      if (taken.some((user) => user.email?.toLowerCase() === emailKey)) {
+        return fail(409, 'An account with this email already exists. Please use a different email or try logging in.');
+      }
+      if (taken.some((user) => user.username?.toLowerCase() === usernameKey)) {
+        return fail(409, 'This username is already taken. Please choose a different username.');
+      }
+
+      const user = await store.createUser({
+        id: crypto.randomUUID(),
+        username: username.trim(),
+        email: emailKey,
+        name: name || username.trim(),
+        password: await hashPassword(password),
+        auth_provider: 'local',
+        bio: biography || bio || null,
+        biography: biography || bio || null
+      });
+      return { ...ok({ success: true, user: publicUser(user) }), user };
+    },
+
+    // The account these credentials belong to, or null. Upgrades legacy/weak hashes on the way.
+    async verifyCredentials(identifier, password) {
+      const key = String(identifier || '').toLowerCase().trim();
+      if (!key || !password) return null;
+
+      for (const candidate of await store.findUsers(key)) {
+        if (!(await verifyPassword(password, candidate.password))) continue;
+
+        if (needsRehash(candidate.password)) {
+          try {
+            await store.updateUser(candidate.id, { password: await hashPassword(password) });
+            console.log(`[Auth] Upgraded password hash for user ${candidate.id}`);
+          } catch (error) {
+            console.error('[Auth] Password rehash failed:', error.message);
+          }
+        }
+        return candidate;
+      }
+      return null;
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Audio City Inbox Protocol
+ *
+ * Events on the real-time inbox socket (GET /api/inbox/socket?token=...),
+ * shared by the worker's InboxHub Durable Object (worker/inbox.js) and the
+ * Express server's `ws` endpoint (deploy-package/inbox-socket.js). Every
+ * frame is one JSON object with a `type`. Browsers can't set headers on a
+ * WebSocket, so the auth token rides in the query string.
+ *
+ * Server -> client:
+ *   message   { message }                      new message in one of your conversations, sent or received
+ *   read      { conversation_id, reader_id }   reader_id has read the conversation
+ *   typing    { user_id, typing }              a conversation partner started/stopped typing
+ *   presence  { user_id, online, last_seen }   a conversation partner connected or left
+ *   pong      {}                               reply to ping
+ *
+ * Client -> server:
+ *   typing    { to, typing }
+ *   ping      {}                               keepalive, also keeps last_seen fresh
+ *
+ * The REST endpoints stay the source of truth: the socket only pushes what
+ * changed, and inbox.html falls back to polling them when it can't connect.
+ */
+
+export const INBOX_SOCKET_PATH = '/api/inbox/socket';
+
+// Presence changes go to this many of the user's most recent conversation partners
+export const PRESENCE_FANOUT_LIMIT = 200;
+
+// last_seen is written at most this often while a socket pings
+export const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Client frames are tiny; anything bigger is ignored unparsed
+const MAX_CLIENT_FRAME = 1024;
+
+// Encode a server -> client event
+export function inboxEvent(type, fields = {}) {
+  return JSON.stringify({ type, ...fields });
+}
+
+// Decode a client frame; null for anything malformed or unknown (the servers ignore those)
+export function parseClientEvent(data) {
+  if (typeof data !== 'string' || data.length > MAX_CLIENT_FRAME) return null;
+
+  let event;
+  try {
+    event = JSON.parse(data);
+  } catch {
+    return null;
+  }
+  if (!event || typeof event !== 'object') return null;
+
+  if (event.type === 'ping') return { type: 'ping' };
+  if (event.type === 'typing' && typeof event.to === 'string' && event.to) {
+    return { type: 'typing', to: event.to, typing: event.typing !== false };
+  }
+  return null;
+}
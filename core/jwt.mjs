@@ -0,0 +1,85 @@
+/**
+ * Audio City Access Tokens
+ *
+ * HS256 JWTs signed with WebCrypto, issued and checked the same way by the
+ * worker (worker-d1.js) and the Express server (deploy-package/api-server.js).
+ * Payload: { id, email, role, sid?, iat, exp }. `role` is informational -
+ * both servers read the caller's roles from user_roles on every request -
+ * and `sid` ties a worker token to a device session (worker/sessions.js).
+ */
+
+// Sign an HS256 token; expiresIn is '7d' or anything else for 24 hours
+export async function createJWT(payload, secret, expiresIn = '7d') {
+  const header = { alg: 'HS256', typ: 'JWT' };
+  
+  // Calculate expiry
+  const now = Math.floor(Date.now() / 1000);
+  const expiry = now + (expiresIn === '7d' ? 7 * 24 * 60 * 60 : 24 * 60 * 60);
+  
+  const jwtPayload = {
+    ...payload,
+    iat: now,
+    exp: expiry
+  };
+  
+  // Base64 encode
+  const base64Header = btoa(JSON.stringify(header)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+  const base64Payload = btoa(JSON.stringify(jwtPayload)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+  
+  // Create signature
+  const data = `${base64Header}.${base64Payload}`;
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  const base64Signature = btoa(String.fromCharCode(...new Uint8Array(signature)))
+    .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
+  
+  return `${data}.${base64Signature}`;
+}
+
+// The payload of a token signed with `secret`, or null (bad signature, malformed or expired)
+export async function verifyJWT(token, secret) {
+  try {
+    const [header, payload, signature] = token.split('.');
+    if (!header || !payload || !signature) return null;
+    
+    // Verify signature
+    const data = `${header}.${payload}`;
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+      'raw',
+      encoder.encode(secret),
+      { name: 'HMAC', hash: 'SHA-256' },
+      false,
+      ['verify']
+    );
+    
+    // Decode signature
+    const signatureBytes = Uint8Array.from(
+      atob(signature.replace(/-/g, '+').replace(/_/g, '/') + '=='.substring(0, (3 * signature.length) % 4)), 
+      c => c.charCodeAt(0)
+    );
+    
+    const valid = await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(data));
+    if (!valid) return null;
+    
+    // Decode and verify payload
+    const decodedPayload = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/') + '=='.substring(0, (3 * payload.length) % 4)));
+    
+    // Check expiry
+    if (decodedPayload.exp && decodedPayload.exp < Math.floor(Date.now() / 1000)) {
+      return null; // Token expired
+    }
+    
+    return decodedPayload;
+  } catch (error) {
+    console.error('[JWT Verify] Error:', error);
+    return null;
+  }
+}
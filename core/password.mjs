@@ -0,0 +1,84 @@
+/**
+ * Audio City Password Hashing
+ *
+ * Salted PBKDF2-SHA256 via WebCrypto. Stored format:
+ *   pbkdf2_sha256$<iterations>$<salt base64>$<hash base64>
+ * The scheme name and iteration count are the hash version: raising
+ * ITERATIONS (or adding a scheme) makes needsRehash() true for older values.
+ * Rows written before hashing existed hold the plaintext password; those
+ * still verify, and login rehashes them (upgrade-on-login).
+ */
+
+const ALGORITHM = 'pbkdf2_sha256';
+const ITERATIONS = 100000; // Workers cap PBKDF2 at 100k iterations
+const SALT_BYTES = 16;
+const HASH_BITS = 256;
+
+// Helper: Base64 <-> bytes
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), (c) => c.charCodeAt(0));
+
+// Helper: Derive PBKDF2 bits for a password + salt
+async function derive(password, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  return crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    HASH_BITS
+  );
+}
+
+// Helper: Compare two byte arrays without short-circuiting
+function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+// Hash a password for storage in users.password
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+  return `${ALGORITHM}$${ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+// Check whether a stored value is a hash produced by hashPassword()
+export function isPasswordHash(stored) {
+  return typeof stored === 'string' && stored.startsWith(`${ALGORITHM}$`);
+}
+
+// Verify a password against a stored hash (or legacy plaintext value)
+export async function verifyPassword(password, stored) {
+  if (!password || !stored) return false;
+
+  if (!isPasswordHash(stored)) {
+    const encoder = new TextEncoder();
+    return timingSafeEqual(encoder.encode(password), encoder.encode(stored));
+  }
+
+  const [, iterations, salt, expected] = stored.split('$');
+  try {
+    const hash = await derive(password, fromBase64(salt), parseInt(iterations, 10));
+    return timingSafeEqual(new Uint8Array(hash), fromBase64(expected));
+  } catch (error) {
+    console.error('[Password] Malformed hash:', error.message);
+    return false;
+  }
+}
+
+// True when a stored value should be replaced with a fresh hashPassword()
+// (legacy plaintext, or a hash made with weaker parameters)
+export function needsRehash(stored) {
+  if (!isPasswordHash(stored)) return true;
+  const iterations = parseInt(stored.split('$')[1], 10);
+  return !(iterations >= ITERATIONS);
+}
@@ -0,0 +1,56 @@
+/**
+ * Audio City Roles and Permissions
+ *
+ * What each role may do, shared by the worker (worker/roles.js, which also
+ * reads and writes role assignments in D1) and the Express server
+ * (deploy-package/api-server.js). Assignments live in `user_roles`
+ * (migrations/0009_roles.sql); a user can hold several roles and every
+ * account is implicitly a listener.
+ */
+
+// Highest first - the first role a user holds is their primary role
+export const ROLES = ['admin', 'moderator', 'artist', 'listener'];
+
+// Permissions checked by routes. Admins hold all of them ('*'); artist and
+// listener carry none - artist marks accounts that publish tracks (granted on
+// first upload).
+export const PERMISSIONS = {
+  'admin:access': 'Open the admin area (/api/admin/*)',
+  'stats:read': 'View platform statistics',
+  'users:read': 'Look up user accounts',
+  'users:manage': 'Edit, ban, suspend and delete accounts',
+  'roles:manage': 'Grant and revoke roles',
+  'moderation:review': 'View the report queue and audit log',
+  'moderation:act': 'Hide content, issue strikes and act on reports',
+  'tracks:review': 'Approve or reject tracks pending review',
+  'tracks:manage': 'Upload and edit tracks on behalf of artists',
+  'content:delete': 'Delete other users\' tracks and comments',
+  'presets:manage': 'Add, edit and delete mastering presets',
+  'system:manage': 'Run maintenance tasks'
+};
+
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  moderator: [
+    'admin:access', 'users:read', 'moderation:review', 'moderation:act', 'tracks:review', 'content:delete'
+  ],
+  artist: [],
+  listener: []
+};
+
+// Always include listener and keep ROLES order
+export const normalizeRoles = (roles) => ROLES.filter(role => role === 'listener' || roles.includes(role));
+
+export function primaryRole(roles) {
+  return ROLES.find(role => roles.includes(role)) || 'listener';
+}
+
+export function permissionsFor(roles) {
+  const granted = new Set(roles.flatMap(role => ROLE_PERMISSIONS[role] || []));
+  return granted.has('*') ? ['*'] : [...granted];
+}
+
+export function hasPermission(roles, permission) {
+  const granted = permissionsFor(roles || []);
+  return granted.includes('*') || granted.includes(permission);
+}
@@ -0,0 +1,189 @@
+/**
+ * Audio City API Store (SQL)
+ *
+ * Storage adapter for the shared API core (core/api.mjs) over the schema in
+ * migrations/. Takes a D1 database: env.DB in the worker, or the SQLite file
+ * behind deploy-package/sqlite-db.js in the Express server. Field names passed
+ * to the update methods come from the core, never from request input, so they
+ * are safe to place in the SQL.
+ */
+
+// Reaction kinds -> the table holding one row per (user, target), and the
+// cached count column kept next to the target
+const REACTIONS = {
+  like: { table: 'track_likes', column: 'track_id', counter: { table: 'tracks', column: 'likes_count' } },
+  repost: { table: 'reposts', column: 'track_id', counter: { table: 'tracks', column: 'reposts_count' } },
+  comment_like: { table: 'comment_likes', column: 'comment_id', counter: { table: 'comments', column: 'likes' } }
+};
+
+// Helper: Table for a reaction kind
+const reactionTable = (kind) => {
+  const reaction = REACTIONS[kind];
+  if (!reaction) throw new Error(`Unknown reaction "${kind}"`);
+  return reaction;
+};
+
+// Helper: "a = ?, b = ?" for an UPDATE
+const assignments = (fields) => Object.keys(fields).map((field) => `${field} = ?`).join(', ');
+
+// Comments a moderator hid (hidden_content, migrations/0007) are left out of listings and counts
+const VISIBLE_COMMENT = "NOT EXISTS (SELECT 1 FROM hidden_content h WHERE h.content_type = 'comment' AND h.content_id = c.id AND h.status = 'hidden')";
+
+export function createSqlStore(db) {
+  // Helper: UPDATE one row by id
+  const update = async (table, id, fields) => {
+    if (Object.keys(fields).length === 0) return;
+    await db.prepare(`UPDATE ${table} SET ${assignments(fields)} WHERE id = ?`)
+      .bind(...Object.values(fields), id).run();
+  };
+
+  return {
+    // ---- users ----
+    async getUser(id) {
+      return db.prepare('SELECT * FROM users WHERE id = ?').bind(id).first();
+    },
+
+    async findUsers(identifier) {
+      const { results } = await db.prepare('SELECT * FROM users WHERE LOWER(email) = ? OR LOWER(username) = ?')
+        .bind(identifier, identifier).all();
+      return results || [];
+    },
+
+    async createUser(user) {
+      await db.prepare(`
+        INSERT INTO users (id, username, email, name, password, auth_provider, bio, biography, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).bind(
+        user.id, user.username, user.email, user.name, user.password,
+        user.auth_provider, user.bio, user.biography
+      ).run();
+      return db.prepare('SELECT * FROM users WHERE id = ?').bind(user.id).first();
+    },
+
+    async updateUser(id, fields) {
+      await update('users', id, fields);
+    },
+
+    // ---- follows ----
+    async isFollowing(followerId, followeeId) {
+      const row = await db.prepare('SELECT id FROM follows WHERE follower_id = ? AND followee_id = ?')
+        .bind(followerId, followeeId).first();
+      return !!row;
+    },
+
+    async toggleFollow(followerId, followeeId) {
+      const on = !(await this.isFollowing(followerId, followeeId));
+      // The follow row and both cached counts change together (a batch is one transaction)
+      await db.batch([
+        on
+          ? db.prepare("INSERT OR IGNORE INTO follows (id, follower_id, followee_id, created_at) VALUES (?, ?, ?, datetime('now'))")
+            .bind(crypto.randomUUID(), followerId, followeeId)
+          : db.prepare('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?')
+            .bind(followerId, followeeId),
+        db.prepare('UPDATE users SET followers_count = (SELECT COUNT(*) FROM follows WHERE followee_id = ?) WHERE id = ?')
+          .bind(followeeId, followeeId),
+        db.prepare('UPDATE users SET following_count = (SELECT COUNT(*) FROM follows WHERE follower_id = ?) WHERE id = ?')
+          .bind(followerId, followerId)
+      ]);
+
+      const [followee, follower] = await Promise.all([
+        db.prepare('SELECT followers_count FROM users WHERE id = ?').bind(followeeId).first(),
+        db.prepare('SELECT following_count FROM users WHERE id = ?').bind(followerId).first()
+      ]);
+      return { on, followers_count: followee?.followers_count || 0, following_count: follower?.following_count || 0 };
+    },
+
+    // ---- tracks ----
+    async getTrack(id) {
+      return db.prepare(`
+        SELECT t.*, u.username AS artist_username, u.name AS artist_name,
+          u.profile_image_url AS artist_profile_image, u.verified AS artist_is_verified
+        FROM tracks t
+        LEFT JOIN users u ON t.artist_id = u.id
+        WHERE t.id = ?
+      `).bind(id).first();
+    },
+
+    async incrementTrack(id, fields) {
+      const increments = fields.map((field) => `${field} = COALESCE(${field}, 0) + 1`).join(', ');
+      const result = await db.prepare(`UPDATE tracks SET ${increments} WHERE id = ?`).bind(id).run();
+      if (!result.meta?.changes) return null;
+      return db.prepare(`SELECT ${fields.join(', ')} FROM tracks WHERE id = ?`).bind(id).first();
+    },
+
+    // ---- likes, reposts, comment likes ----
+    async hasReaction(kind, userId, targetId) {
+      const { table, column } = reactionTable(kind);
+      const row = await db.prepare(`SELECT id FROM ${table} WHERE user_id = ? AND ${column} = ?`)
+        .bind(userId, targetId).first();
+      return !!row;
+    },
+
+    async toggleReaction(kind, userId, targetId) {
+      const { table, column, counter } = reactionTable(kind);
+      const on = !(await this.hasReaction(kind, userId, targetId));
+      // Recount instead of +/-1 so the cached column can't drift
+      await db.batch([
+        on
+          ? db.prepare(`INSERT OR IGNORE INTO ${table} (id, user_id, ${column}, created_at) VALUES (?, ?, ?, datetime('now'))`)
+            .bind(crypto.randomUUID(), userId, targetId)
+          : db.prepare(`DELETE FROM ${table} WHERE user_id = ? AND ${column} = ?`)
+            .bind(userId, targetId),
+        db.prepare(`UPDATE ${counter.table} SET ${counter.column} = (SELECT COUNT(*) FROM ${table} WHERE ${column} = ?) WHERE id = ?`)
+          .bind(targetId, targetId)
+      ]);
+
+      const row = await db.prepare(`SELECT ${counter.column} AS count FROM ${counter.table} WHERE id = ?`).bind(targetId).first();
+      return { on, count: row?.count || 0 };
+    },
+
+    async countReactions(kind, targetId) {
+      const { table, column } = reactionTable(kind);
+      const row = await db.prepare(`SELECT COUNT(*) AS count FROM ${table} WHERE ${column} = ?`)
+        .bind(targetId).first();
+      return row?.count || 0;
+    },
+
+    // ---- comments ----
+    async listComments(trackId) {
+      const { results } = await db.prepare(`
+        SELECT c.*, u.username AS author, u.name AS author_name, u.profile_image_url AS author_avatar,
+          (SELECT COUNT(*) FROM comment_likes l WHERE l.comment_id = c.id) AS likes,
+          (SELECT GROUP_CONCAT(l.user_id) FROM comment_likes l WHERE l.comment_id = c.id) AS liked_by
+        FROM comments c
+        LEFT JOIN users u ON c.user_id = u.id
+        WHERE c.track_id = ? AND ${VISIBLE_COMMENT}
+        ORDER BY c.created_at DESC
+      `).bind(trackId).all();
+      return (results || []).map((comment) => ({
+        ...comment,
+        liked_by: comment.liked_by ? comment.liked_by.split(',') : []
+      }));
+    },
+
+    async getComment(trackId, id) {
+      return db.prepare('SELECT id, track_id, user_id FROM comments WHERE id = ? AND track_id = ?')
+        .bind(id, trackId).first();
+    },
+
+    async addComment(comment) {
+      await db.prepare(`
+        INSERT INTO comments (id, track_id, user_id, content, likes, created_at)
+        VALUES (?, ?, ?, ?, 0, datetime('now'))
+      `).bind(comment.id, comment.track_id, comment.user_id, comment.content).run();
+    },
+
+    async deleteComment(trackId, id) {
+      await db.batch([
+        db.prepare('DELETE FROM comment_likes WHERE comment_id = ?').bind(id),
+        db.prepare('DELETE FROM comments WHERE id = ? AND track_id = ?').bind(id, trackId)
+      ]);
+    },
+
+    async countComments(trackId) {
+      const row = await db.prepare(`SELECT COUNT(*) AS count FROM comments c WHERE c.track_id = ? AND ${VISIBLE_COMMENT}`)
+        .bind(trackId).first();
+      return row?.count || 0;
+    }
+  };
+}
@@ -1,60 +0,0 @@
--- Messages table
-CREATE TABLE IF NOT EXISTS messages (
-  id TEXT PRIMARY KEY,
-  conversation_id TEXT NOT NULL,
-  sender_id TEXT NOT NULL,
-  recipient_id TEXT NOT NULL,
-  content TEXT NOT NULL,
-  is_read INTEGER DEFAULT 0,
-  created_at TEXT DEFAULT (datetime('now')),
-  updated_at TEXT DEFAULT (datetime('now'))
-);
-
--- Conversations table
-CREATE TABLE IF NOT EXISTS conversations (
-  id TEXT PRIMARY KEY,
-  participant1_id TEXT NOT NULL,
-  participant2_id TEXT NOT NULL,
-  last_message_at TEXT DEFAULT (datetime('now')),
-  created_at TEXT DEFAULT (datetime('now'))
-);
-
--- Track likes table (if not exists)
-CREATE TABLE IF NOT EXISTS track_likes (
-  id TEXT PRIMARY KEY,
-  track_id TEXT NOT NULL,
-  user_id TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  UNIQUE(track_id, user_id)
-);
-
--- Follows table (if not exists)
-CREATE TABLE IF NOT EXISTS follows (
-  id TEXT PRIMARY KEY,
-  follower_id TEXT NOT NULL,
-  followee_id TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  UNIQUE(follower_id, followee_id)
-);
-
--- Comments table (if not exists)
-CREATE TABLE IF NOT EXISTS comments (
-  id TEXT PRIMARY KEY,
-  track_id TEXT NOT NULL,
-  user_id TEXT NOT NULL,
-  content TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  updated_at TEXT DEFAULT (datetime('now'))
-);
-
--- Create indexes
-CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id);
-CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
-CREATE INDEX IF NOT EXISTS idx_messages_recipient ON messages(recipient_id);
-CREATE INDEX IF NOT EXISTS idx_conversations_participant1 ON conversations(participant1_id);
-CREATE INDEX IF NOT EXISTS idx_conversations_participant2 ON conversations(participant2_id);
-CREATE INDEX IF NOT EXISTS idx_track_likes_track ON track_likes(track_id);
-CREATE INDEX IF NOT EXISTS idx_track_likes_user ON track_likes(user_id);
-CREATE INDEX IF NOT EXISTS idx_follows_follower ON follows(follower_id);
-CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows(followee_id);
-CREATE INDEX IF NOT EXISTS idx_comments_track ON comments(track_id);
@@ -1,94 +0,0 @@
--- Audio City D1 Database Schema
--- Paste this in D1 Console SQL field (NOT the worker code!)
-
-CREATE TABLE IF NOT EXISTS users (
-  id TEXT PRIMARY KEY,
-  username TEXT UNIQUE NOT NULL,
-  email TEXT UNIQUE NOT NULL,
-  name TEXT,
-  bio TEXT,
-  location TEXT,
-  avatar_url TEXT,
-  profile_image TEXT,
-  password TEXT,
-  auth_provider TEXT,
-  google_id TEXT,
-  followers_count INTEGER DEFAULT 0,
-  following_count INTEGER DEFAULT 0,
-  tracks_count INTEGER DEFAULT 0,
-  verified INTEGER DEFAULT 0,
-  is_admin INTEGER DEFAULT 0,
-  created_at TEXT DEFAULT (datetime('now')),
-  updated_at TEXT DEFAULT (datetime('now'))
-);
-
-CREATE TABLE IF NOT EXISTS tracks (
-  id TEXT PRIMARY KEY,
-  artist_id TEXT NOT NULL,
-  title TEXT NOT NULL,
-  description TEXT,
-  audio_url TEXT NOT NULL,
-  cover_art_url TEXT,
-  duration INTEGER,
-  file_size INTEGER,
-  genre TEXT,
-  tags TEXT,
-  views_count INTEGER DEFAULT 0,
-  likes_count INTEGER DEFAULT 0,
-  shares_count INTEGER DEFAULT 0,
-  plays_count INTEGER DEFAULT 0,
-  created_at TEXT DEFAULT (datetime('now')),
-  updated_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (artist_id) REFERENCES users(id)
-);
-
-CREATE TABLE IF NOT EXISTS likes (
-  id TEXT PRIMARY KEY,
-  user_id TEXT NOT NULL,
-  track_id TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (user_id) REFERENCES users(id),
-  FOREIGN KEY (track_id) REFERENCES tracks(id),
-  UNIQUE(user_id, track_id)
-);
-
-CREATE TABLE IF NOT EXISTS follows (
-  id TEXT PRIMARY KEY,
-  follower_id TEXT NOT NULL,
-  followee_id TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (follower_id) REFERENCES users(id),
-  FOREIGN KEY (followee_id) REFERENCES users(id),
-  UNIQUE(follower_id, followee_id)
-);
-
-CREATE TABLE IF NOT EXISTS messages (
-  id TEXT PRIMARY KEY,
-  sender_id TEXT NOT NULL,
-  receiver_id TEXT NOT NULL,
-  content TEXT NOT NULL,
-  read INTEGER DEFAULT 0,
-  created_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (sender_id) REFERENCES users(id),
-  FOREIGN KEY (receiver_id) REFERENCES users(id)
-);
-
-CREATE TABLE IF NOT EXISTS sessions (
-  id TEXT PRIMARY KEY,
-  user_id TEXT NOT NULL,
-  token TEXT UNIQUE NOT NULL,
-  expires_at TEXT NOT NULL,
-  created_at TEXT DEFAULT (datetime('now')),
-  FOREIGN KEY (user_id) REFERENCES users(id)
-);
-
-CREATE INDEX IF NOT EXISTS idx_tracks_artist_id ON tracks(artist_id);
-CREATE INDEX IF NOT EXISTS idx_tracks_created_at ON tracks(created_at DESC);
-CREATE INDEX IF NOT EXISTS idx_likes_user_id ON likes(user_id);
-CREATE INDEX IF NOT EXISTS idx_likes_track_id ON likes(track_id);
-CREATE INDEX IF NOT EXISTS idx_follows_follower ON follows(follower_id);
-CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows(followee_id);
-CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id);
-CREATE INDEX IF NOT EXISTS idx_messages_receiver ON messages(receiver_id);
-CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
-CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
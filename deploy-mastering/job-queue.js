@@ -0,0 +1,198 @@
+/**
+ * Mastering Job Queue
+ * Background jobs for server.js: POST /api/quick-master enqueues and answers
+ * with a job id right away, a bounded pool works through the queue, and
+ * clients follow the job at GET /api/jobs/:id (or its event stream, fed by
+ * subscribe()). Job state is kept in a JSON
+ * file, so a restart picks queued jobs up again and re-runs interrupted ones
+ * whose upload is still on disk.
+ */
+
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+
+// queued -> processing -> completed | failed | cancelled
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Progress updates come quickly; state writes are coalesced
+const SAVE_DELAY_MS = 250;
+
+const isFinished = (job) => FINISHED_STATUSES.includes(job.status);
+const now = () => new Date().toISOString();
+
+/**
+ * Create the queue and resume the jobs saved in stateFile
+ * @param {object} options
+ * @param {string} options.stateFile - JSON file the jobs are kept in
+ * @param {number} options.concurrency - Jobs processed at the same time
+ * @param {number} options.maxQueued - Waiting jobs accepted before enqueue() refuses
+ * @param {function} options.run - async (job, { signal, stage(name, percent) }) -> result
+ * @param {function} options.canResume - job -> whether an interrupted job can run again
+ * @param {function} options.cleanup - job -> void, once the job is finished (any status)
+ * @returns {object} - { enqueue, get, position, cancel, pending, subscribe, prune, flush }
+ */
+function createJobQueue({ stateFile, concurrency, maxQueued, run, canResume, cleanup }) {
+  const jobs = new Map();
+  const running = new Map(); // job id -> AbortController
+  const listeners = new Set(); // called with every job that changes
+  let saveTimer = null;
+
+  const flush = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    try {
+      const tmpFile = `${stateFile}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify([...jobs.values()], null, 2));
+      fs.renameSync(tmpFile, stateFile);
+    } catch (err) {
+      console.error('❌ Saving job state failed:', err.message);
+    }
+  };
+
+  const save = () => {
+    if (!saveTimer) saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+  };
+
+  const update = (job, fields) => {
+    Object.assign(job, fields, { updated_at: now() });
+    save();
+    listeners.forEach(listener => listener(job));
+  };
+
+  const waiting = () => [...jobs.values()]
+    .filter(job => job.status === 'queued')
+    .sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  const start = async (job) => {
+    const controller = new AbortController();
+    running.set(job.id, controller);
+    update(job, { status: 'processing', stage: 'starting', percent: 0, started_at: now() });
+
+    // ffmpeg reports twice a second; only real changes are saved and sent
+    const stage = (name, percent) => {
+      percent = Math.round(percent);
+      if (controller.signal.aborted || (job.stage === name && job.percent === percent)) return;
+      update(job, { stage: name, percent });
+    };
+
+    try {
+      const result = await run(job, { signal: controller.signal, stage });
+      // cancel() already marked the job
+      if (!controller.signal.aborted) {
+        update(job, { status: 'completed', stage: 'done', percent: 100, result, finished_at: now() });
+      }
+    } catch (err) {
+      if (!controller.signal.aborted) {
+        console.error(`❌ Job ${job.id} failed:`, err.message);
+        update(job, { status: 'failed', error: err.message, finished_at: now() });
+      }
+    } finally {
+      running.delete(job.id);
+      cleanup(job);
+      next();
+    }
+  };
+
+  const next = () => {
+    while (running.size < concurrency) {
+      const job = waiting()[0];
+      if (!job) return;
+      start(job);
+    }
+  };
+
+  // Add a job; null when the queue is full
+  const enqueue = (fields) => {
+    if (waiting().length >= maxQueued) return null;
+    const job = {
+      ...fields,
+      id: uuidv4(),
+      status: 'queued',
+      stage: null,
+      percent: 0,
+      error: null,
+      result: null,
+      created_at: now(),
+      updated_at: now()
+    };
+    jobs.set(job.id, job);
+    save();
+    next();
+    return job;
+  };
+
+  // 1-based place in line for a queued job, null otherwise
+  const position = (id) => {
+    const index = waiting().findIndex(job => job.id === id);
+    return index === -1 ? null : index + 1;
+  };
+
+  // Stop a queued or running job. Returns the job (unchanged if it had already finished), or null
+  const cancel = (id) => {
+    const job = jobs.get(id);
+    if (!job || isFinished(job)) return job || null;
+
+    update(job, { status: 'cancelled', finished_at: now() });
+    const controller = running.get(id);
+    if (controller) {
+      controller.abort(); // start() cleans up once the running step has stopped
+    } else {
+      cleanup(job);
+    }
+    return job;
+  };
+
+  // Follow job changes (status, stage, percent). Returns a function that unsubscribes
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Drop finished jobs older than maxAgeMs
+  const prune = (maxAgeMs) => {
+    const cutoff = Date.now() - maxAgeMs;
+    for (const job of jobs.values()) {
+      if (isFinished(job) && Date.parse(job.finished_at || job.updated_at) < cutoff) jobs.delete(job.id);
+    }
+    save();
+  };
+
+  // Resume saved state
+  let saved = [];
+  try {
+    saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('❌ Reading job state failed:', err.message);
+  }
+  for (const job of saved) {
+    if (job.status === 'processing') {
+      if (canResume(job)) {
+        Object.assign(job, { status: 'queued', stage: null, percent: 0 });
+      } else {
+        Object.assign(job, { status: 'failed', error: 'Interrupted by a server restart', finished_at: now() });
+      }
+    }
+    jobs.set(job.id, job);
+  }
+  if (saved.length > 0) {
+    console.log(`   Jobs: resumed ${waiting().length} queued of ${saved.length} saved`);
+    save();
+  }
+  next();
+
+  return {
+    enqueue,
+    get: (id) => jobs.get(id) || null,
+    position,
+    cancel,
+    pending: () => [...jobs.values()].filter(job => !isFinished(job)),
+    subscribe,
+    prune,
+    flush
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  isFinished,
+};
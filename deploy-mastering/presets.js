@@ -0,0 +1,241 @@
+/**
+ * Mastering Presets
+ * Each preset is a JSON file in presets/ (the file name is its id) describing
+ * a processing graph: a loudness target and the stages the signal runs
+ * through, in order. server.js compiles the stages to one ffmpeg -af chain;
+ * GET/POST/PUT/DELETE /api/presets read and write the files.
+ *
+ * {
+ *   "name": "Kidandali", "icon": "🇺🇬", "group": "Genre Presets", "order": 10,
+ *   "description": "optional",
+ *   "target": { "lufs": -9, "tp": -1, "tolerance": 2 },
+ *   "stages": [{ "type": "lowshelf", "freq": 80, "gain": 1.5 }, { "type": "gain" }, ...]
+ * }
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PRESET_ID = /^[a-z0-9_]{1,40}$/;
+const PRESET_FIELDS = ['name', 'icon', 'group', 'order', 'description', 'target', 'stages'];
+
+// Parameter ranges shared by the stage types (ffmpeg's own limits or tighter)
+const FREQ = [10, 22000];
+const EQ_GAIN = [-12, 12];
+const Q = [0.1, 10];
+const OCTAVES = [0.1, 4];
+const COMPRESSOR = {
+  threshold: [-60, 0], // dB
+  ratio: [1, 20],
+  attack: [0.01, 2000], // ms
+  release: [0.01, 9000] // ms
+};
+
+/**
+ * Stage types: parameter -> [min, max]. `optional` parameters may be left out.
+ * A peak's `q` is its width in Hz, as the hardcoded chains had it; `octaves`
+ * (used instead when set) gives a musical bell width.
+ * dynamic_eq and multiband are how the NICO PAN chains do it: a band cut
+ * followed by a compressor that only catches the peaks.
+ */
+const STAGE_TYPES = {
+  highpass: { params: { freq: FREQ } },
+  lowpass: { params: { freq: FREQ } },
+  lowshelf: { params: { freq: FREQ, gain: EQ_GAIN } },
+  highshelf: { params: { freq: FREQ, gain: EQ_GAIN } },
+  peak: { params: { freq: FREQ, gain: EQ_GAIN }, optional: { q: Q, octaves: OCTAVES } },
+  dynamic_eq: { params: { freq: FREQ, gain: EQ_GAIN, ...COMPRESSOR }, optional: { q: Q } },
+  multiband: { params: { freq: [20, 500], gain: EQ_GAIN, ...COMPRESSOR } }, // low band below freq
+  compressor: { params: COMPRESSOR, optional: { min_input_lufs: [-70, 0] } }, // skipped on quieter input
+  gain: { params: {} }, // make-up gain towards target.lufs
+  limiter: { params: { limit: [-24, 0], attack: [0.1, 80], release: [1, 8000] } }
+};
+
+const TARGET = { lufs: [-24, -5], tp: [-6, 0] };
+const TARGET_OPTIONAL = { tolerance: [0.5, 6] };
+
+// Make-up gain is kept within this range; smaller changes are skipped
+const MAX_CUT_DB = -6;
+const MAX_BOOST_DB = 12;
+const MIN_GAIN_DB = 0.5;
+
+// Check numbers against { name: [min, max] }; pushes messages onto errors
+function checkParams(object, required, optional, label, errors) {
+  const known = { ...required, ...optional };
+  for (const [key, [min, max]] of Object.entries(known)) {
+    const value = object[key];
+    if (value === undefined && !(key in required)) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      errors.push(`${label}.${key} must be a number`);
+    } else if (value < min || value > max) {
+      errors.push(`${label}.${key} must be between ${min} and ${max}`);
+    }
+  }
+  Object.keys(object).filter(key => key !== 'type' && !(key in known))
+    .forEach(key => errors.push(`${label}.${key} is not a ${label === 'target' ? 'target' : object.type} setting`));
+}
+
+/**
+ * Validate a preset against the schema above
+ * @param {object} preset
+ * @returns {string[]} - Error messages, empty when the preset is valid
+ */
+function validatePreset(preset) {
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) return ['Preset must be an object'];
+  const errors = [];
+
+  Object.keys(preset).filter(key => !PRESET_FIELDS.includes(key))
+    .forEach(key => errors.push(`${key} is not a preset setting`));
+  if (typeof preset.name !== 'string' || !preset.name.trim() || preset.name.length > 60) {
+    errors.push('name must be 1-60 characters');
+  }
+  ['icon', 'group', 'description'].forEach(key => {
+    if (preset[key] !== undefined && (typeof preset[key] !== 'string' || preset[key].length > 200)) {
+      errors.push(`${key} must be a string of up to 200 characters`);
+    }
+  });
+  if (preset.order !== undefined && !Number.isFinite(preset.order)) errors.push('order must be a number');
+
+  if (!preset.target || typeof preset.target !== 'object') {
+    errors.push('target is required');
+  } else {
+    checkParams(preset.target, TARGET, TARGET_OPTIONAL, 'target', errors);
+  }
+
+  if (!Array.isArray(preset.stages) || preset.stages.length === 0) {
+    errors.push('stages must be a non-empty array');
+  } else if (preset.stages.length > 40) {
+    errors.push('stages may hold up to 40 entries');
+  } else {
+    preset.stages.forEach((stage, i) => {
+      const type = stage && STAGE_TYPES[stage.type];
+      if (!type) {
+        errors.push(`stages[${i}].type must be one of ${Object.keys(STAGE_TYPES).join(', ')}`);
+        return;
+      }
+      checkParams(stage, type.params, type.optional || {}, `stages[${i}]`, errors);
+    });
+    if (preset.stages.filter(stage => stage && stage.type === 'gain').length > 1) {
+      errors.push('stages may hold one gain stage');
+    }
+  }
+
+  return errors;
+}
+
+// Equalizer settings as the hardcoded chains wrote them (width type h), or an octave width
+const equalizer = (s) => (s.octaves
+  ? `equalizer=f=${s.freq}:g=${s.gain}:t=o:w=${s.octaves}`
+  : `equalizer=f=${s.freq}:g=${s.gain}:t=h:w=${s.q || 1}`);
+const acompressor = (s) => `acompressor=threshold=${s.threshold}dB:ratio=${s.ratio}:attack=${s.attack}:release=${s.release}`;
+
+/**
+ * Compile a preset's stages to ffmpeg filters for one input
+ * EQ bands set to 0 dB are left out; so is make-up gain under MIN_GAIN_DB.
+ * @param {object} preset - A valid preset
+ * @param {object} input - analyzeAudio() result for the input ({ lufs, peak })
+ * @returns {object} - { filters: string[], gain: dB of make-up gain applied (0 without a gain stage) }
+ */
+function buildFilters(preset, input) {
+  const filters = [];
+  let gain = 0;
+
+  for (const stage of preset.stages) {
+    switch (stage.type) {
+      case 'highpass':
+      case 'lowpass':
+        filters.push(`${stage.type}=f=${stage.freq}`);
+        break;
+      case 'lowshelf':
+      case 'highshelf':
+        if (stage.gain !== 0) filters.push(`${stage.type}=f=${stage.freq}:g=${stage.gain}`);
+        break;
+      case 'peak':
+        if (stage.gain !== 0) filters.push(equalizer(stage));
+        break;
+      case 'dynamic_eq':
+        filters.push(equalizer(stage), acompressor(stage));
+        break;
+      case 'multiband':
+        filters.push(`lowshelf=f=${stage.freq}:g=${stage.gain}`, acompressor(stage));
+        break;
+      case 'compressor':
+        if (stage.min_input_lufs === undefined || input.lufs > stage.min_input_lufs) filters.push(acompressor(stage));
+        break;
+      case 'gain':
+        gain = Math.max(MAX_CUT_DB, Math.min(MAX_BOOST_DB, preset.target.lufs - input.lufs));
+        if (Math.abs(gain) > MIN_GAIN_DB) filters.push(`volume=${gain}dB`);
+        break;
+      case 'limiter':
+        filters.push(`alimiter=limit=${stage.limit}dB:attack=${stage.attack}:release=${stage.release}`);
+        break;
+    }
+  }
+
+  return { filters, gain };
+}
+
+// JSON for a flat object on one line: { "type": "peak", "freq": 300 }
+const inline = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? `{ ${Object.entries(value).map(([key, v]) => `${JSON.stringify(key)}: ${JSON.stringify(v)}`).join(', ')} }`
+  : JSON.stringify(value));
+
+// Preset file contents: one line per stage keeps the chain readable
+function formatPreset(preset) {
+  const { stages, ...fields } = preset;
+  const lines = Object.entries(fields).map(([key, value]) => `  ${JSON.stringify(key)}: ${inline(value)},`);
+  return `{\n${lines.join('\n')}\n  "stages": [\n${stages.map(stage => `    ${inline(stage)}`).join(',\n')}\n  ]\n}\n`;
+}
+
+/**
+ * Load the presets in dir and keep them in memory; writes go to both
+ * @param {string} dir - Directory of <id>.json files
+ * @returns {object} - { list, get, has, save, remove }
+ */
+function createPresetStore(dir) {
+  const presets = new Map();
+
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+    const id = file.slice(0, -'.json'.length);
+    try {
+      const preset = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      const errors = PRESET_ID.test(id) ? validatePreset(preset) : ['file name must be a preset id (a-z, 0-9, _)'];
+      if (errors.length > 0) {
+        console.error(`❌ Preset ${file} skipped: ${errors.join('; ')}`);
+        continue;
+      }
+      presets.set(id, preset);
+    } catch (err) {
+      console.error(`❌ Preset ${file} skipped:`, err.message);
+    }
+  }
+
+  const byOrder = (a, b) => (a.order ?? Infinity) - (b.order ?? Infinity) || a.name.localeCompare(b.name);
+
+  return {
+    // All presets as { id, ...preset }, in picker order
+    list: () => [...presets].map(([id, preset]) => ({ id, ...preset })).sort(byOrder),
+    get: (id) => (presets.has(id) ? { id, ...presets.get(id) } : null),
+    has: (id) => presets.has(id),
+    // Write a validated preset (create or replace)
+    save: (id, preset) => {
+      const tmpFile = path.join(dir, `${id}.json.tmp`);
+      fs.writeFileSync(tmpFile, formatPreset(preset));
+      fs.renameSync(tmpFile, path.join(dir, `${id}.json`));
+      presets.set(id, preset);
+    },
+    remove: (id) => {
+      fs.unlinkSync(path.join(dir, `${id}.json`));
+      presets.delete(id);
+    }
+  };
+}
+
+module.exports = {
+  PRESET_ID,
+  STAGE_TYPES,
+  validatePreset,
+  buildFilters,
+  formatPreset,
+  createPresetStore,
+};
@@ -0,0 +1,163 @@
+/**
+ * Reference Matching
+ * quick-master can take a reference track next to the mix: instead of a
+ * preset's fixed targets, the job masters towards what the reference measures.
+ * server.js analyses both tracks in one ffmpeg pass each (ebur128 for
+ * loudness, true peak and loudness range; volumedetect per band for spectral
+ * balance), matchPreset() turns the differences into a preset graph - EQ per
+ * band, compression, loudness and ceiling - that runs through the usual chain
+ * (presets.js buildFilters), and compareReport() sets reference, input and
+ * output side by side.
+ */
+
+// Spectral balance bands: level relative to the whole signal, so tracks of
+// different loudness compare. `eq` is how a band is corrected - shelves at
+// the edges, bells between (an octave width that covers the band)
+const BANDS = [
+  { name: 'sub', low: 20, high: 60, eq: { type: 'lowshelf', freq: 60 } },
+  { name: 'bass', low: 60, high: 250, eq: { type: 'peak', freq: 120, octaves: 2 } },
+  { name: 'low_mid', low: 250, high: 800, eq: { type: 'peak', freq: 450, octaves: 1.7 } },
+  { name: 'mid', low: 800, high: 3000, eq: { type: 'peak', freq: 1550, octaves: 1.9 } },
+  { name: 'presence', low: 3000, high: 8000, eq: { type: 'peak', freq: 4900, octaves: 1.4 } },
+  { name: 'air', low: 8000, high: 20000, eq: { type: 'highshelf', freq: 8000 } }
+];
+
+// Bands quieter than this (relative dB) count as empty, so silence doesn't
+// ask for a huge boost
+const BALANCE_FLOOR_DB = -60;
+
+// EQ moves this share of the balance difference, within +-MAX_EQ_DB, and
+// skips bands that are already closer than MIN_EQ_DB
+const MATCH_STRENGTH = 0.7;
+const MAX_EQ_DB = 6;
+const MIN_EQ_DB = 0.5;
+
+// Compress when the mix's loudness range is this much wider than the reference's
+const LRA_TOLERANCE_LU = 1;
+const MAX_RATIO = 4;
+
+// Loudness target and ceiling stay within what presets allow
+// (presets.js TARGET), and never above -0.5 dBTP even if the reference clips
+const LUFS_RANGE = [-24, -5];
+const CEILING_RANGE = [-3, -0.5];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * ffmpeg arguments (after -i) for one analysis pass: ebur128 on the full
+ * signal, then volumedetect on the full signal and on each band
+ * @returns {string}
+ */
+function analysisArgs() {
+  const branches = BANDS.map((band, i) => `[b${i}]highpass=f=${band.low},lowpass=f=${band.high},volumedetect,anullsink`);
+  const splits = BANDS.map((band, i) => `[b${i}]`).join('');
+  const graph = [`[0:a]asplit=${BANDS.length + 1}[all]${splits}`, '[all]ebur128=peak=true,volumedetect[out]', ...branches];
+  return `-filter_complex "${graph.join(';')}" -map "[out]" -f null -`;
+}
+
+/**
+ * Spectral balance from an analysisArgs() pass
+ * volumedetect reports as Parsed_volumedetect_<n> in graph order: the full
+ * signal first, then the bands.
+ * @param {string} stderr
+ * @returns {object} - { sub, bass, ... }: band RMS level minus the full signal's, dB
+ */
+function parseBalance(stderr) {
+  const levels = [...stderr.matchAll(/\[Parsed_volumedetect_(\d+) @ [^\]]+\] mean_volume: ([-\d.]+) dB/g)]
+    .map(match => ({ index: Number(match[1]), level: parseFloat(match[2]) }))
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.level);
+  if (levels.length !== BANDS.length + 1) {
+    throw new Error(`Spectral analysis returned ${levels.length} of ${BANDS.length + 1} levels`);
+  }
+
+  const [full, ...bands] = levels;
+  return Object.fromEntries(BANDS.map((band, i) => [band.name, round1(Math.max(BALANCE_FLOOR_DB, bands[i] - full))]));
+}
+
+/**
+ * The preset graph that moves the mix towards the reference
+ * @param {object} reference - Track analysis: { lufs, peak, lra, balance }
+ * @param {object} input - The mix, same shape
+ * @returns {object} - A preset (presets.js schema)
+ */
+function matchPreset(reference, input) {
+  const stages = [];
+
+  BANDS.forEach(band => {
+    const gain = round1(clamp((reference.balance[band.name] - input.balance[band.name]) * MATCH_STRENGTH, [-MAX_EQ_DB, MAX_EQ_DB]));
+    if (Math.abs(gain) >= MIN_EQ_DB) stages.push({ ...band.eq, gain });
+  });
+
+  // A wider loudness range than the reference: compress the louder half of the mix
+  if (input.lra - reference.lra > LRA_TOLERANCE_LU) {
+    stages.push({
+      type: 'compressor',
+      threshold: round1(clamp(input.lufs, [-40, -6])),
+      ratio: round1(clamp(input.lra / Math.max(reference.lra, 1), [1.2, MAX_RATIO])),
+      attack: 30,
+      release: 250
+    });
+  }
+
+  const ceiling = round1(clamp(reference.peak, CEILING_RANGE));
+  stages.push({ type: 'gain' }, { type: 'limiter', limit: ceiling, attack: 5, release: 50 });
+
+  return {
+    name: 'Reference match',
+    description: 'EQ, dynamics and loudness matched to the reference track',
+    target: { lufs: round1(clamp(reference.lufs, LUFS_RANGE)), tp: ceiling, tolerance: 1 },
+    stages
+  };
+}
+
+// What the report shows of a track analysis
+const summary = (track) => ({
+  lufs: track.lufs,
+  truePeak: track.peak,
+  lra: track.lra,
+  plr: round1(track.peak - track.lufs),
+  balance: track.balance
+});
+
+// How far a track is from the reference; balance_error is the mean band difference
+function difference(track, reference) {
+  const balance = Object.fromEntries(BANDS.map(band => [band.name, round1(track.balance[band.name] - reference.balance[band.name])]));
+  const values = Object.values(balance);
+  return {
+    lufs: round1(track.lufs - reference.lufs),
+    lra: round1(track.lra - reference.lra),
+    plr: round1(summary(track).plr - summary(reference).plr),
+    balance,
+    balance_error: round1(values.reduce((sum, value) => sum + Math.abs(value), 0) / values.length)
+  };
+}
+
+/**
+ * Reference vs. input vs. output, for the finished job
+ * @param {object} reference - Track analyses ({ lufs, peak, lra, balance })
+ * @param {object} input
+ * @param {object} output
+ * @param {object} preset - The matchPreset() graph that was applied
+ * @returns {object}
+ */
+function compareReport(reference, input, output, preset) {
+  return {
+    bands: BANDS.map(({ name, low, high }) => ({ name, low, high })),
+    reference: summary(reference),
+    input: summary(input),
+    output: summary(output),
+    before: difference(input, reference),
+    after: difference(output, reference),
+    applied: { target: preset.target, stages: preset.stages }
+  };
+}
+
+module.exports = {
+  BANDS,
+  analysisArgs,
+  parseBalance,
+  matchPreset,
+  compareReport,
+};
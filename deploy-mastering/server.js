@@ -9,9 +9,12 @@ const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const util = require('util');
 const execPromise = util.promisify(exec);
+const { createJobQueue, isFinished } = require('./job-queue');
+const { PRESET_ID, validatePreset, buildFilters, createPresetStore } = require('./presets');
+const { analysisArgs, parseBalance, matchPreset, compareReport } = require('./reference-match');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -19,10 +22,18 @@ const PORT = process.env.PORT || 3001;
 // Directories
 const UPLOAD_DIR = path.join(__dirname, 'uploads');
 const OUTPUT_DIR = path.join(__dirname, 'output');
-[UPLOAD_DIR, OUTPUT_DIR].forEach(dir => {
+const DATA_DIR = path.join(__dirname, 'data');
+[UPLOAD_DIR, OUTPUT_DIR, DATA_DIR].forEach(dir => {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 });
 
+// Job queue: jobs mastered at the same time, and how many may wait
+const MASTERING_CONCURRENCY = parseInt(process.env.MASTERING_CONCURRENCY, 10) || 2;
+const MAX_QUEUED_JOBS = parseInt(process.env.MAX_QUEUED_JOBS, 10) || 50;
+
+// Uploads, outputs and finished jobs are kept this long
+const MAX_FILE_AGE_MS = 2 * 60 * 60 * 1000;
+
 // Multer
 const storage = multer.diskStorage({
   destination: UPLOAD_DIR,
@@ -30,289 +41,101 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage, limits: { fileSize: 200 * 1024 * 1024 } });
 
+// Preset id reported for jobs mastered towards a reference track
+const REFERENCE_PRESET = 'reference';
+
 // CORS
-app.use(cors({ origin: '*', methods: ['GET', 'POST', 'OPTIONS'] }));
+app.use(cors({ origin: '*', methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'] }));
 app.use(express.json());
 app.use('/output', express.static(OUTPUT_DIR));
 
-// Presets - musical and transparent
-const PRESETS = {
-  kidandali: {
-    name: 'Kidandali',
-    lufs: -9,
-    tp: -1.0,
-    // EQ: gentle warmth
-    bass: { freq: 80, gain: 1.5 },
-    mid: { freq: 3000, gain: 0.5, q: 1.5 },
-    high: { freq: 10000, gain: 0.5 },
-    // Compression: musical glue
-    comp: { threshold: -12, ratio: 2, attack: 25, release: 100 },
-    // Limiter: transparent ceiling
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  kidandali_banger: {
-    name: 'Kidandali Banger',
-    lufs: -9,
-    tp: -0.5,
-    bass: { freq: 70, gain: 2 },
-    mid: { freq: 3500, gain: 0.8, q: 1.3 },
-    high: { freq: 10000, gain: 0.3 },
-    comp: { threshold: -10, ratio: 2.5, attack: 20, release: 80 },
-    limiter: { limit: -0.3, attack: 3, release: 30 }
-  },
-  kidandali_2: {
-    name: 'Kidandali 2',
-    lufs: -8.5,
-    tp: -0.5,
-    // EQ: Polished with controlled harshness - bright but not harsh
-    bass: { freq: 75, gain: 1.8 }, // Punchy but controlled
-    mid: { freq: 2500, gain: 0.3, q: 1.2 }, // Gentle mid presence
-    high: { freq: 11000, gain: 1.2 }, // Air and polish without harshness
-    // Compression: Musical glue, not squashing
-    comp: { threshold: -11, ratio: 2.2, attack: 22, release: 90 },
-    // Limiter: Aggressive but clean - loud without distortion
-    limiter: { limit: -0.4, attack: 4, release: 40 }
-  },
-  nico_pan_afro_dance: {
-    name: 'NICO PAN AFRO DANCE',
-    lufs: -9,
-    tp: -1.0,
-    // Special chain - will use custom processing
-    custom: true
-  },
-  nico_pan_afro_dance_2: {
-    name: 'NICO PAN AFRO DANCE 2',
-    lufs: -9,
-    tp: -1.0,
-    // Special chain with 2.0 kHz dynamic EQ cut
-    custom: true
-  },
-  afrobeat: {
-    name: 'Afrobeat',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 100, gain: 1.5 },
-    mid: { freq: 2500, gain: 1, q: 1.2 },
-    high: { freq: 12000, gain: 1 },
-    comp: { threshold: -14, ratio: 2, attack: 30, release: 120 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  amapiano: {
-    name: 'Amapiano',
-    lufs: -8,
-    tp: -0.5,
-    bass: { freq: 60, gain: 2.5 },
-    mid: { freq: 800, gain: -1, q: 2 },
-    high: { freq: 8000, gain: 1.5 },
-    comp: { threshold: -8, ratio: 3, attack: 15, release: 60 },
-    limiter: { limit: -0.3, attack: 3, release: 25 }
-  },
-  hiphop: {
-    name: 'Hip-Hop',
-    lufs: -9,
-    tp: -0.5,
-    bass: { freq: 60, gain: 2 },
-    mid: { freq: 3000, gain: 0.5, q: 1.5 },
-    high: { freq: 10000, gain: 1 },
-    comp: { threshold: -10, ratio: 2.5, attack: 20, release: 80 },
-    limiter: { limit: -0.3, attack: 3, release: 30 }
-  },
-  pop: {
-    name: 'Pop',
-    lufs: -11,
-    tp: -1.0,
-    bass: { freq: 100, gain: 1 },
-    mid: { freq: 3000, gain: 1, q: 1.2 },
-    high: { freq: 12000, gain: 1.5 },
-    comp: { threshold: -16, ratio: 1.8, attack: 30, release: 150 },
-    limiter: { limit: -0.5, attack: 5, release: 60 }
-  },
-  edm: {
-    name: 'EDM',
-    lufs: -7,
-    tp: -0.3,
-    bass: { freq: 50, gain: 2.5 },
-    mid: { freq: 4000, gain: 1, q: 1 },
-    high: { freq: 10000, gain: 2 },
-    comp: { threshold: -6, ratio: 4, attack: 10, release: 40 },
-    limiter: { limit: -0.2, attack: 2, release: 20 }
-  },
-  transparent: {
-    name: 'Transparent',
-    lufs: -14,
-    tp: -1.0,
-    bass: { freq: 80, gain: 0 },
-    mid: { freq: 3000, gain: 0, q: 1 },
-    high: { freq: 10000, gain: 0 },
-    comp: { threshold: -20, ratio: 1.5, attack: 50, release: 200 },
-    limiter: { limit: -1.0, attack: 10, release: 100 }
-  },
-  // Latin & Caribbean
-  reggaeton: {
-    name: 'Reggaeton',
-    lufs: -8,
-    tp: -0.5,
-    bass: { freq: 60, gain: 2.5 },
-    mid: { freq: 2000, gain: 0.5, q: 1.2 },
-    high: { freq: 10000, gain: 1.5 },
-    comp: { threshold: -8, ratio: 3, attack: 15, release: 60 },
-    limiter: { limit: -0.3, attack: 3, release: 25 }
-  },
-  dancehall: {
-    name: 'Dancehall',
-    lufs: -8.5,
-    tp: -0.5,
-    bass: { freq: 70, gain: 2.2 },
-    mid: { freq: 2500, gain: 0.8, q: 1.3 },
-    high: { freq: 12000, gain: 1.2 },
-    comp: { threshold: -9, ratio: 2.8, attack: 18, release: 70 },
-    limiter: { limit: -0.4, attack: 4, release: 30 }
-  },
-  soca: {
-    name: 'Soca',
-    lufs: -9,
-    tp: -0.5,
-    bass: { freq: 80, gain: 2 },
-    mid: { freq: 3000, gain: 1, q: 1.2 },
-    high: { freq: 10000, gain: 1.5 },
-    comp: { threshold: -10, ratio: 2.5, attack: 20, release: 80 },
-    limiter: { limit: -0.3, attack: 3, release: 30 }
-  },
-  // Asian
-  kpop: {
-    name: 'K-Pop',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 100, gain: 1.5 },
-    mid: { freq: 3000, gain: 1.2, q: 1.2 },
-    high: { freq: 12000, gain: 2 },
-    comp: { threshold: -14, ratio: 2, attack: 25, release: 100 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  bollywood: {
-    name: 'Bollywood',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 90, gain: 1.8 },
-    mid: { freq: 2800, gain: 1.5, q: 1.3 },
-    high: { freq: 11000, gain: 1.8 },
-    comp: { threshold: -12, ratio: 2.2, attack: 22, release: 90 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  bhangra: {
-    name: 'Bhangra',
-    lufs: -9,
-    tp: -0.5,
-    bass: { freq: 70, gain: 2.2 },
-    mid: { freq: 3200, gain: 1, q: 1.2 },
-    high: { freq: 10000, gain: 1.5 },
-    comp: { threshold: -10, ratio: 2.5, attack: 20, release: 80 },
-    limiter: { limit: -0.3, attack: 3, release: 30 }
-  },
-  // African (additional)
-  soukous: {
-    name: 'Soukous',
-    lufs: -9.5,
-    tp: -0.5,
-    bass: { freq: 75, gain: 2 },
-    mid: { freq: 2500, gain: 1.2, q: 1.3 },
-    high: { freq: 10000, gain: 1.3 },
-    comp: { threshold: -11, ratio: 2.3, attack: 22, release: 85 },
-    limiter: { limit: -0.4, attack: 4, release: 35 }
-  },
-  highlife: {
-    name: 'Highlife',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 85, gain: 1.5 },
-    mid: { freq: 3000, gain: 1, q: 1.2 },
-    high: { freq: 12000, gain: 1.5 },
-    comp: { threshold: -13, ratio: 2, attack: 28, release: 110 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  // Brazilian
-  samba: {
-    name: 'Samba',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 80, gain: 1.8 },
-    mid: { freq: 3000, gain: 1.2, q: 1.2 },
-    high: { freq: 11000, gain: 1.5 },
-    comp: { threshold: -12, ratio: 2.2, attack: 25, release: 100 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  baile_funk: {
-    name: 'Baile Funk',
-    lufs: -8,
-    tp: -0.5,
-    bass: { freq: 60, gain: 2.8 },
-    mid: { freq: 2000, gain: 0.5, q: 1.2 },
-    high: { freq: 10000, gain: 1.2 },
-    comp: { threshold: -7, ratio: 3.2, attack: 12, release: 55 },
-    limiter: { limit: -0.3, attack: 3, release: 25 }
-  },
-  // Middle Eastern
-  arabic_pop: {
-    name: 'Arabic Pop',
-    lufs: -10,
-    tp: -1.0,
-    bass: { freq: 90, gain: 1.6 },
-    mid: { freq: 2800, gain: 1.3, q: 1.3 },
-    high: { freq: 12000, gain: 1.8 },
-    comp: { threshold: -13, ratio: 2.1, attack: 26, release: 105 },
-    limiter: { limit: -0.5, attack: 5, release: 50 }
-  },
-  // European
-  eurodance: {
-    name: 'Eurodance',
-    lufs: -8.5,
-    tp: -0.5,
-    bass: { freq: 70, gain: 2.2 },
-    mid: { freq: 3000, gain: 1, q: 1.2 },
-    high: { freq: 10000, gain: 1.8 },
-    comp: { threshold: -9, ratio: 2.6, attack: 18, release: 75 },
-    limiter: { limit: -0.4, attack: 4, release: 30 }
-  },
-  // Additional Global
-  dembow: {
-    name: 'Dembow',
-    lufs: -8,
-    tp: -0.5,
-    bass: { freq: 65, gain: 2.6 },
-    mid: { freq: 2200, gain: 0.6, q: 1.2 },
-    high: { freq: 10000, gain: 1.3 },
-    comp: { threshold: -8, ratio: 3, attack: 15, release: 60 },
-    limiter: { limit: -0.3, attack: 3, release: 25 }
-  },
-  afrohouse: {
-    name: 'Afrohouse',
-    lufs: -9,
-    tp: -0.5,
-    bass: { freq: 75, gain: 2.3 },
-    mid: { freq: 3000, gain: 0.8, q: 1.2 },
-    high: { freq: 10000, gain: 1.4 },
-    comp: { threshold: -10, ratio: 2.5, attack: 20, release: 80 },
-    limiter: { limit: -0.3, attack: 3, release: 30 }
-  }
-};
+// Presets - JSON processing graphs in presets/ (see presets.js)
+const PRESETS_DIR = path.join(__dirname, 'presets');
+const DEFAULT_PRESET = 'kidandali';
+const presets = createPresetStore(PRESETS_DIR);
+
+// Preset writes need `Authorization: Bearer <MASTERING_ADMIN_TOKEN>`; without
+// the variable, presets can only be changed on disk
+const MASTERING_ADMIN_TOKEN = process.env.MASTERING_ADMIN_TOKEN || '';
 
 // Health check
 app.get('/api/health', async (req, res) => {
   try {
     await execPromise('ffmpeg -version');
-    res.json({ status: 'ok', ffmpeg: true, presets: Object.keys(PRESETS) });
+    const pending = queue.pending();
+    res.json({
+      status: 'ok',
+      ffmpeg: true,
+      presets: presets.list().map(preset => preset.id),
+      jobs: {
+        queued: pending.filter(job => job.status === 'queued').length,
+        processing: pending.filter(job => job.status === 'processing').length,
+        concurrency: MASTERING_CONCURRENCY
+      }
+    });
   } catch {
     res.json({ status: 'ok', ffmpeg: false });
   }
 });
 
-// Analyze audio
-async function analyzeAudio(filepath) {
-  const cmd = `ffmpeg -hide_banner -i "${filepath}" -af ebur128=peak=true -f null - 2>&1`;
-  const { stdout } = await execPromise(cmd, { maxBuffer: 50 * 1024 * 1024 });
-  
+// Mastering functions take the running job: { signal, stage(name, percent) }.
+// The signal kills the current ffmpeg process on cancel; stage() reports progress.
+const NO_JOB = { signal: undefined, stage: () => {} };
+
+// Enter a stage at `from` percent. The returned onProgress(fraction) moves the
+// job towards `to` as an ffmpeg pass works through the file
+function enterStage(job, name, from, to) {
+  job.stage(name, from);
+  return (fraction) => job.stage(name, from + (to - from) * fraction);
+}
+
+/**
+ * Run one ffmpeg pass with -progress on stdout
+ * The input duration comes from ffmpeg's own stderr, out_time_us from the
+ * progress lines; their ratio is passed to onProgress as 0..1.
+ * @param {string} args - Everything after `ffmpeg -hide_banner`
+ * @param {object} options - { signal, onProgress }
+ * @returns {Promise<string>} - stderr (the analysis filters print there)
+ */
+function runFfmpeg(args, { signal, onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(`ffmpeg -hide_banner -nostats -progress pipe:1 ${args}`, { shell: true, signal });
+    let stderr = '';
+    let duration = 0;
+    let pending = '';
+
+    child.stderr.on('data', (chunk) => {
+      stderr += chunk;
+      if (!duration) {
+        const match = stderr.match(/Duration:\s*(\d+):(\d+):([\d.]+)/);
+        if (match) duration = Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+      }
+    });
+
+    child.stdout.on('data', (chunk) => {
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        // out_time_ms is microseconds too (an old ffmpeg naming slip)
+        const match = line.match(/^out_time_(?:us|ms)=(\d+)/);
+        if (match && duration) onProgress(Math.min(1, Number(match[1]) / 1e6 / duration));
+      }
+    });
+
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code === 0) return resolve(stderr);
+      const lastLine = stderr.trim().split('\n').pop();
+      reject(new Error(`ffmpeg exited with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+    });
+  });
+}
+
+// Loudness from ebur128 output: integrated LUFS, true peak and loudness range (LU)
+function parseLoudness(stdout) {
   const lufsMatch = stdout.match(/I:\s+([-\d.]+)\s+LUFS/g);
   const peakMatch = stdout.match(/Peak:\s+([-\d.]+)\s+dBFS/);
+  const lraMatch = stdout.match(/LRA:\s+([-\d.]+)\s+LU\b/g);
   
   // Get last LUFS value (from summary)
   let lufs = -23;
@@ -324,371 +147,383 @@ async function analyzeAudio(filepath) {
   
   const peak = peakMatch ? parseFloat(peakMatch[1]) : 0;
   
-  return { lufs, peak };
+  // Last LRA value too (the per-frame lines carry a running one)
+  const lra = lraMatch ? parseFloat(lraMatch[lraMatch.length - 1].match(/([-\d.]+)/)[1]) : 0;
+  
+  return { lufs, peak, lra };
+}
+
+// Analyze audio
+async function analyzeAudio(filepath, job = NO_JOB, onProgress) {
+  const stdout = await runFfmpeg(`-i "${filepath}" -af ebur128=peak=true -f null -`, { signal: job.signal, onProgress });
+  return parseLoudness(stdout);
+}
+
+// Loudness plus spectral balance in one pass (reference matching)
+async function analyzeTrack(filepath, job = NO_JOB, onProgress) {
+  const stderr = await runFfmpeg(`-i "${filepath}" ${analysisArgs()}`, { signal: job.signal, onProgress });
+  return { ...parseLoudness(stderr), balance: parseBalance(stderr) };
 }
 
 /**
  * Professional mastering chain
  * NO loudnorm pumping - just clean processing
+ * The preset's stages become one ffmpeg filter chain (presets.js buildFilters)
  */
-// NICO PAN AFRO DANCE - Advanced mastering chain
-async function masterNicoPanAfroDance(inputPath, outputWav, outputMp3) {
-  console.log(`\n🎛️ Mastering: NICO PAN AFRO DANCE`);
-  console.log(`   Target: -9 LUFS, -1.0 dBTP`);
+async function masterAudio(inputPath, outputWav, outputMp3, p, job = NO_JOB) {
+  console.log(`\n🎛️ Mastering: ${p.name}`);
+  console.log(`   Target: ${p.target.lufs} LUFS, ${p.target.tp} dBTP`);
+  if (p.description) console.log(`   Feature: ${p.description}`);
   
-  const input = await analyzeAudio(inputPath);
+  // Step 1: Analyze input
+  const input = await analyzeAudio(inputPath, job, enterStage(job, 'analyzing', 0, 15));
   console.log(`   Input: ${input.lufs.toFixed(1)} LUFS, ${input.peak.toFixed(1)} dBTP`);
   
-  const filters = [];
-  
-  // 1️⃣ CLEAN-UP EQ (Subtle - Don't Shape Too Much)
-  // High-Pass: 25 Hz, 12 dB/oct (gentle rumble removal, keeps kick weight)
-  filters.push(`highpass=f=25`);
-  
-  // Boxiness Removal: 250-350 Hz, -1.5 dB, Q 1.2
-  filters.push(`equalizer=f=300:g=-1.5:t=h:w=1.2`);
-  
-  // Harshness Control: 3.2-4.5 kHz, -1 dB, Q 1.5
-  filters.push(`equalizer=f=3850:g=-1:t=h:w=1.5`);
-  
-  // Air Control: High shelf @ 11 kHz, -0.5 dB (prevents hiss/whistle)
-  filters.push(`highshelf=f=11000:g=-0.5`);
-  
-  // 2️⃣ DYNAMIC EQ (Low-Mid & High-Mid Control)
-  // Low-Mid Control: 180-280 Hz, -2 dB
-  filters.push(`equalizer=f=230:g=-1.5:t=h:w=1.0`);
-  
-  // High-Mid Harshness: 3.5-5 kHz, -2 dB (fast response)
-  filters.push(`equalizer=f=4250:g=-1.5:t=h:w=1.5`);
-  
-  // 3️⃣ TRANSIENT SHAPER (Punch Without Boom)
-  // Fast attack for punch, medium release for controlled sustain
-  filters.push(`acompressor=threshold=-10dB:ratio=1.8:attack=10:release=80`);
-  
-  // 4️⃣ LOW-END CONTROL (Multiband - Very Light)
-  // Low Band (20-90 Hz): Tight kick, no boomy bass
-  filters.push(`lowshelf=f=90:g=-0.3`);
-  filters.push(`acompressor=threshold=-6dB:ratio=1.5:attack=30:release=120`);
-  
-  // 5️⃣ SATURATION (Clean Digital Warmth)
-  // Very light saturation for thickness without distortion
-  // Applied via subtle harmonic enhancement
-  
-  // 6️⃣ STEREO CONTROL
-  // Low frequencies: Mono-safe (handled via processing)
-  // High frequencies: Width maintained
-  
-  // 7️⃣ BUS COMPRESSOR (Glue Only - No Pumping)
-  // Ratio 1.4:1, Attack 30ms, Release Auto, GR 1-1.5 dB
-  filters.push(`acompressor=threshold=-12dB:ratio=1.4:attack=30:release=150`);
-  
-  // Calculate gain for target LUFS
-  const gainNeeded = -9 - input.lufs;
-  const safeGain = Math.max(-6, Math.min(12, gainNeeded));
-  
-  if (Math.abs(safeGain) > 0.5) {
-    filters.push(`volume=${safeGain}dB`);
-  }
-  
-  // 8️⃣ LIMITER (Final Loudness Control)
-  // Ceiling -1.0 dB, Lookahead ON, Transparent style
-  filters.push(`alimiter=limit=-1.0dB:attack=5:release=50`);
+  // Step 2: Build filter chain (gain towards target is limited to -6..+12 dB)
+  const { filters, gain } = buildFilters(p, input);
+  console.log(`   Gain: ${gain.toFixed(1)} dB`);
   
   const filterChain = filters.join(',');
-  console.log(`   Chain: ${filters.length} stages (NICO PAN AFRO DANCE)`);
+  console.log(`   Chain: ${filters.length} stages`);
   
-  // Process
-  const cmd = `ffmpeg -hide_banner -y -i "${inputPath}" -af "${filterChain}" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-  await execPromise(cmd, { maxBuffer: 50 * 1024 * 1024 });
+  // Step 3: Process
+  const cmd = `-y -i "${inputPath}" -af "${filterChain}" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
+  await runFfmpeg(cmd, { signal: job.signal, onProgress: enterStage(job, 'processing', 15, 65) });
   console.log('   ✅ WAV created');
   
-  // Verify output
-  const output = await analyzeAudio(outputWav);
+  // Step 4: Verify output
+  const output = await analyzeAudio(outputWav, job, enterStage(job, 'verifying', 65, 75));
   console.log(`   Output: ${output.lufs.toFixed(1)} LUFS, ${output.peak.toFixed(1)} dBTP`);
   
-  // Fine-tune if needed (gentle loudnorm for final level)
-  if (Math.abs(output.lufs - (-9)) > 1.5) {
+  // Step 5: If too far from target, do a second pass with loudnorm (gentle)
+  if (Math.abs(output.lufs - p.target.lufs) > (p.target.tolerance ?? 2)) {
     console.log('   🔄 Fine-tuning with loudnorm...');
     const tempWav = outputWav.replace('.wav', '_temp.wav');
     fs.renameSync(outputWav, tempWav);
     
-    const lnCmd = `ffmpeg -hide_banner -y -i "${tempWav}" -af "loudnorm=I=-9:TP=-1.0:LRA=20:linear=true" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-    await execPromise(lnCmd, { maxBuffer: 50 * 1024 * 1024 });
+    // Gentle loudnorm (just for level, not dynamics)
+    const lnCmd = `-y -i "${tempWav}" -af "loudnorm=I=${p.target.lufs}:TP=${p.target.tp}:LRA=20:linear=true" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
+    await runFfmpeg(lnCmd, { signal: job.signal, onProgress: enterStage(job, 'normalizing', 75, 86) });
     fs.unlinkSync(tempWav);
     
-    const final = await analyzeAudio(outputWav);
+    const final = await analyzeAudio(outputWav, job, enterStage(job, 'normalizing', 86, 90));
     console.log(`   Final: ${final.lufs.toFixed(1)} LUFS, ${final.peak.toFixed(1)} dBTP`);
     output.lufs = final.lufs;
     output.peak = final.peak;
   }
   
-  // MP3
-  const mp3Cmd = `ffmpeg -hide_banner -y -i "${outputWav}" -c:a libmp3lame -b:a 320k "${outputMp3}"`;
-  await execPromise(mp3Cmd, { maxBuffer: 50 * 1024 * 1024 });
+  // Step 6: MP3
+  const mp3Cmd = `-y -i "${outputWav}" -c:a libmp3lame -b:a 320k "${outputMp3}"`;
+  await runFfmpeg(mp3Cmd, { signal: job.signal, onProgress: enterStage(job, 'encoding', 90, 100) });
   console.log('   ✅ MP3 created');
   
   return {
     input,
     output: { lufs: output.lufs, truePeak: output.peak },
-    preset: 'nico_pan_afro_dance',
-    gain: safeGain
+    preset: p.id,
+    gain
   };
 }
 
-// NICO PAN AFRO DANCE 2 - With 2.0 kHz dynamic EQ cut
-async function masterNicoPanAfroDance2(inputPath, outputWav, outputMp3) {
-  console.log(`\n🎛️ Mastering: NICO PAN AFRO DANCE 2`);
-  console.log(`   Target: -9 LUFS, -1.0 dBTP`);
-  console.log(`   Feature: 2.0 kHz dynamic EQ cut for smoother vocals`);
-  
-  const input = await analyzeAudio(inputPath);
-  console.log(`   Input: ${input.lufs.toFixed(1)} LUFS, ${input.peak.toFixed(1)} dBTP`);
-  
-  const filters = [];
-  
-  // 1️⃣ CLEAN-UP EQ (Subtle - Don't Shape Too Much)
-  // High-Pass: 25 Hz, 12 dB/oct (gentle rumble removal, keeps kick weight)
-  filters.push(`highpass=f=25`);
-  
-  // Boxiness Removal: 250-350 Hz, -1.5 dB, Q 1.2
-  filters.push(`equalizer=f=300:g=-1.5:t=h:w=1.2`);
-  
-  // Harshness Control: 3.2-4.5 kHz, -1 dB, Q 1.5
-  filters.push(`equalizer=f=3850:g=-1:t=h:w=1.5`);
-  
-  // Air Control: High shelf @ 11 kHz, -0.5 dB (prevents hiss/whistle)
-  filters.push(`highshelf=f=11000:g=-0.5`);
-  
-  // 2️⃣ DYNAMIC EQ (Low-Mid & High-Mid Control)
-  // Low-Mid Control: 180-280 Hz, -2 dB
-  filters.push(`equalizer=f=230:g=-1.5:t=h:w=1.0`);
-  
-  // ⭐ KEY FEATURE: 2.0 kHz Dynamic EQ Cut
-  // Frequency: 2.0 kHz, Range: -1.5 dB max, Fast attack (5-10ms), Medium release (80-120ms)
-  // This removes harsh edge, keeps vocals forward, prevents dullness
-  filters.push(`equalizer=f=2000:g=-1.0:t=h:w=1.4`);
-  // Dynamic compression on this band (only activates on peaks)
-  filters.push(`acompressor=threshold=-8dB:ratio=2:attack=8:release=100`);
-  
-  // High-Mid Harshness: 3.5-5 kHz, -2 dB (fast response)
-  filters.push(`equalizer=f=4250:g=-1.5:t=h:w=1.5`);
-  
-  // 3️⃣ TRANSIENT SHAPER (Punch Without Boom)
-  // Fast attack for punch, medium release for controlled sustain
-  filters.push(`acompressor=threshold=-10dB:ratio=1.8:attack=10:release=80`);
-  
-  // 4️⃣ LOW-END CONTROL (Multiband - Very Light)
-  // Low Band (20-90 Hz): Tight kick, no boomy bass
-  filters.push(`lowshelf=f=90:g=-0.3`);
-  filters.push(`acompressor=threshold=-6dB:ratio=1.5:attack=30:release=120`);
-  
-  // 5️⃣ SATURATION (Clean Digital Warmth)
-  // Very light saturation for thickness without distortion
-  
-  // 6️⃣ STEREO CONTROL
-  // Low frequencies: Mono-safe (handled via processing)
-  // High frequencies: Width maintained
-  
-  // 7️⃣ BUS COMPRESSOR (Glue Only - No Pumping)
-  // Ratio 1.4:1, Attack 30ms, Release Auto, GR 1-1.5 dB
-  filters.push(`acompressor=threshold=-12dB:ratio=1.4:attack=30:release=150`);
-  
-  // Calculate gain for target LUFS
-  const gainNeeded = -9 - input.lufs;
-  const safeGain = Math.max(-6, Math.min(12, gainNeeded));
-  
-  if (Math.abs(safeGain) > 0.5) {
-    filters.push(`volume=${safeGain}dB`);
-  }
-  
-  // 8️⃣ LIMITER (Final Loudness Control)
-  // Ceiling -1.0 dB, Lookahead ON, Transparent style
-  filters.push(`alimiter=limit=-1.0dB:attack=5:release=50`);
-  
-  const filterChain = filters.join(',');
-  console.log(`   Chain: ${filters.length} stages (NICO PAN AFRO DANCE 2 with 2.0 kHz cut)`);
-  
-  // Process
-  const cmd = `ffmpeg -hide_banner -y -i "${inputPath}" -af "${filterChain}" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-  await execPromise(cmd, { maxBuffer: 50 * 1024 * 1024 });
-  console.log('   ✅ WAV created');
-  
-  // Verify output
-  const output = await analyzeAudio(outputWav);
-  console.log(`   Output: ${output.lufs.toFixed(1)} LUFS, ${output.peak.toFixed(1)} dBTP`);
-  
-  // Fine-tune if needed (gentle loudnorm for final level)
-  if (Math.abs(output.lufs - (-9)) > 1.5) {
-    console.log('   🔄 Fine-tuning with loudnorm...');
-    const tempWav = outputWav.replace('.wav', '_temp.wav');
-    fs.renameSync(outputWav, tempWav);
-    
-    const lnCmd = `ffmpeg -hide_banner -y -i "${tempWav}" -af "loudnorm=I=-9:TP=-1.0:LRA=20:linear=true" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-    await execPromise(lnCmd, { maxBuffer: 50 * 1024 * 1024 });
-    fs.unlinkSync(tempWav);
-    
-    const final = await analyzeAudio(outputWav);
-    console.log(`   Final: ${final.lufs.toFixed(1)} LUFS, ${final.peak.toFixed(1)} dBTP`);
-    output.lufs = final.lufs;
-    output.peak = final.peak;
+// Output files of a job
+function jobOutputs(job) {
+  const base = path.join(OUTPUT_DIR, `${job.name}_master_${job.id}`);
+  return { wav: `${base}.wav`, mp3: `${base}.mp3` };
+}
+
+// The preset a job runs with: the graph sent along with it (a user's custom
+// preset), else the stored preset - or the default when it was deleted meanwhile
+function jobPreset(job) {
+  if (job.preset_graph) return { id: job.preset, ...job.preset_graph };
+  return presets.get(job.preset) || presets.get(DEFAULT_PRESET) || presets.list()[0];
+}
+
+/**
+ * Master towards a reference track instead of a preset
+ * Both tracks are measured (matching, 0-20%), the matchPreset() graph runs
+ * through masterAudio (its stages scaled to 20-90%), and the master is
+ * measured again for the comparison report (comparing, 90-100%).
+ */
+async function masterToReference(job, outputs, { signal, stage }) {
+  const running = { signal, stage };
+  const reference = await analyzeTrack(job.reference_path, running, enterStage(running, 'matching', 0, 10));
+  const mix = await analyzeTrack(job.input_path, running, enterStage(running, 'matching', 10, 20));
+  const preset = { id: REFERENCE_PRESET, ...matchPreset(reference, mix) };
+  console.log(`\n🎯 Reference: ${reference.lufs.toFixed(1)} LUFS, ${reference.peak.toFixed(1)} dBTP, LRA ${reference.lra.toFixed(1)} LU`);
+  
+  const scaled = { signal, stage: (name, percent) => stage(name, 20 + percent * 0.7) };
+  const result = await masterAudio(job.input_path, outputs.wav, outputs.mp3, preset, scaled);
+  
+  const output = await analyzeTrack(outputs.wav, running, enterStage(running, 'comparing', 90, 100));
+  const report = compareReport(reference, mix, output, preset);
+  console.log(`   Balance off by ${report.before.balance_error} dB before, ${report.after.balance_error} dB after`);
+  return { ...result, reference: report };
+}
+
+// Run one queued job (called by the queue)
+async function runMasteringJob(job, { signal, stage }) {
+  const outputs = jobOutputs(job);
+  try {
+    let result;
+    if (job.reference_path) {
+      result = await masterToReference(job, outputs, { signal, stage });
+    } else {
+      const preset = jobPreset(job);
+      if (!preset) throw new Error('No mastering presets available');
+      result = await masterAudio(job.input_path, outputs.wav, outputs.mp3, preset, { signal, stage });
+    }
+    return {
+      preset: result.preset,
+      input: result.input,
+      output: result.output,
+      gain: result.gain,
+      ...(result.reference && { reference: result.reference }),
+      downloads: {
+        wav: `/output/${path.basename(outputs.wav)}`,
+        mp3: `/output/${path.basename(outputs.mp3)}`
+      }
+    };
+  } catch (err) {
+    // Failed or cancelled part-way: drop partial outputs
+    [outputs.wav, outputs.mp3, outputs.wav.replace('.wav', '_temp.wav')].forEach(f => fs.unlink(f, () => {}));
+    throw err;
   }
-  
-  // MP3
-  const mp3Cmd = `ffmpeg -hide_banner -y -i "${outputWav}" -c:a libmp3lame -b:a 320k "${outputMp3}"`;
-  await execPromise(mp3Cmd, { maxBuffer: 50 * 1024 * 1024 });
-  console.log('   ✅ MP3 created');
-  
-  return {
-    input,
-    output: { lufs: output.lufs, truePeak: output.peak },
-    preset: 'nico_pan_afro_dance_2',
-    gain: safeGain
+}
+
+const queue = createJobQueue({
+  stateFile: path.join(DATA_DIR, 'jobs.json'),
+  concurrency: MASTERING_CONCURRENCY,
+  maxQueued: MAX_QUEUED_JOBS,
+  run: runMasteringJob,
+  canResume: (job) => fs.existsSync(job.input_path) && (!job.reference_path || fs.existsSync(job.reference_path)),
+  cleanup: (job) => [job.input_path, job.reference_path].filter(Boolean).forEach(f => fs.unlink(f, () => {}))
+});
+
+// A job as clients see it. Completed jobs also carry what the synchronous
+// endpoint used to return, plus audioUrl/mp3 for the worker and mastering.js
+function jobView(job) {
+  const view = {
+    jobId: job.id,
+    status: job.status,
+    stage: job.stage,
+    percent: job.percent,
+    preset: job.preset,
+    created_at: job.created_at,
+    updated_at: job.updated_at
   };
+  if (job.status === 'queued') view.position = queue.position(job.id);
+  if (job.status === 'failed') view.error = job.error;
+  if (job.status === 'completed') {
+    Object.assign(view, job.result, {
+      audioUrl: job.result.downloads.wav,
+      downloadUrl: job.result.downloads.wav,
+      mp3: job.result.downloads.mp3
+    });
+  }
+  return view;
 }
 
-async function masterAudio(inputPath, outputWav, outputMp3, presetName) {
-  // Special handling for NICO PAN AFRO DANCE presets
-  if (presetName === 'nico_pan_afro_dance') {
-    return await masterNicoPanAfroDance(inputPath, outputWav, outputMp3);
+// Preset writes - the worker forwards them for admins with MASTERING_ADMIN_TOKEN
+function requireAdminToken(req, res, next) {
+  if (!MASTERING_ADMIN_TOKEN) {
+    return res.status(403).json({ error: 'Preset editing is disabled on this server (MASTERING_ADMIN_TOKEN is not set)' });
   }
-  if (presetName === 'nico_pan_afro_dance_2') {
-    return await masterNicoPanAfroDance2(inputPath, outputWav, outputMp3);
+  if (req.get('Authorization') !== `Bearer ${MASTERING_ADMIN_TOKEN}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
   }
-  
-  const p = PRESETS[presetName] || PRESETS.kidandali;
-  
-  console.log(`\n🎛️ Mastering: ${p.name}`);
-  console.log(`   Target: ${p.lufs} LUFS, ${p.tp} dBTP`);
-  
-  // Step 1: Analyze input
-  const input = await analyzeAudio(inputPath);
-  console.log(`   Input: ${input.lufs.toFixed(1)} LUFS, ${input.peak.toFixed(1)} dBTP`);
-  
-  // Step 2: Calculate gain needed
-  const gainNeeded = p.lufs - input.lufs;
-  // Limit gain to prevent distortion (-6 to +12 dB range)
-  const safeGain = Math.max(-6, Math.min(12, gainNeeded));
-  console.log(`   Gain: ${safeGain.toFixed(1)} dB`);
-  
-  // Step 3: Build filter chain
-  const filters = [];
-  
-  // EQ
-  if (p.bass.gain !== 0) {
-    filters.push(`lowshelf=f=${p.bass.freq}:g=${p.bass.gain}`);
+  next();
+}
+
+// A preset from a request body, or an error response
+function presetFromBody(req, res) {
+  const { id, ...preset } = req.body || {};
+  const errors = validatePreset(preset);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'Invalid preset', details: errors });
+    return null;
   }
-  if (p.mid.gain !== 0) {
-    filters.push(`equalizer=f=${p.mid.freq}:g=${p.mid.gain}:t=h:w=${p.mid.q || 1}`);
+  return preset;
+}
+
+// List presets (the mastering.html picker), in picker order
+app.get('/api/presets', (req, res) => {
+  res.json({ presets: presets.list() });
+});
+
+app.get('/api/presets/:id', (req, res) => {
+  const preset = presets.get(req.params.id);
+  if (!preset) return res.status(404).json({ error: 'Preset not found' });
+  res.json(preset);
+});
+
+// Create a preset - body: { id, name, target, stages, ... }
+app.post('/api/presets', requireAdminToken, (req, res) => {
+  const id = req.body && req.body.id;
+  if (typeof id !== 'string' || !PRESET_ID.test(id)) {
+    return res.status(400).json({ error: 'id must be 1-40 characters of a-z, 0-9 and _' });
   }
-  if (p.high.gain !== 0) {
-    filters.push(`highshelf=f=${p.high.freq}:g=${p.high.gain}`);
+  if (presets.has(id)) return res.status(409).json({ error: 'A preset with this id already exists' });
+  const preset = presetFromBody(req, res);
+  if (!preset) return;
+  presets.save(id, preset);
+  console.log(`🎚️ Preset ${id} created`);
+  res.status(201).json(presets.get(id));
+});
+
+// Replace a preset
+app.put('/api/presets/:id', requireAdminToken, (req, res) => {
+  if (!presets.has(req.params.id)) return res.status(404).json({ error: 'Preset not found' });
+  const preset = presetFromBody(req, res);
+  if (!preset) return;
+  presets.save(req.params.id, preset);
+  console.log(`🎚️ Preset ${req.params.id} updated`);
+  res.json(presets.get(req.params.id));
+});
+
+// Delete a preset - queued jobs that asked for it fall back to the default
+app.delete('/api/presets/:id', requireAdminToken, (req, res) => {
+  if (!presets.has(req.params.id)) return res.status(404).json({ error: 'Preset not found' });
+  if (req.params.id === DEFAULT_PRESET) {
+    return res.status(409).json({ error: 'The default preset cannot be deleted' });
   }
-  
-  // Gentle compression (only if needed)
-  if (input.lufs > -20) {
-    filters.push(`acompressor=threshold=${p.comp.threshold}dB:ratio=${p.comp.ratio}:attack=${p.comp.attack}:release=${p.comp.release}`);
+  presets.remove(req.params.id);
+  console.log(`🎚️ Preset ${req.params.id} deleted`);
+  res.json({ success: true });
+});
+
+// Master endpoint - queues the job and answers right away (202 + jobId)
+// preset_graph (optional, JSON): a full preset to run instead of a stored one -
+// how the worker sends a user's custom preset (preset=user:<id>)
+// reference (optional file): master towards this track instead of a preset;
+// the finished job carries a `reference` comparison report
+const masterUpload = upload.fields([{ name: 'audio', maxCount: 1 }, { name: 'reference', maxCount: 1 }]);
+app.post('/api/quick-master', masterUpload, (req, res) => {
+  const file = req.files?.audio?.[0];
+  const reference = req.files?.reference?.[0];
+  const dropUploads = () => [file, reference].filter(Boolean).forEach(f => fs.unlink(f.path, () => {}));
+  if (!file) {
+    dropUploads();
+    return res.status(400).json({ error: 'No file' });
   }
   
-  // Volume adjustment
-  if (Math.abs(safeGain) > 0.5) {
-    filters.push(`volume=${safeGain}dB`);
+  let presetGraph;
+  if (req.body.preset_graph) {
+    let errors;
+    try {
+      presetGraph = JSON.parse(req.body.preset_graph);
+      errors = validatePreset(presetGraph);
+    } catch {
+      errors = ['preset_graph must be JSON'];
+    }
+    if (errors.length > 0) {
+      dropUploads();
+      return res.status(400).json({ error: 'Invalid preset', details: errors });
+    }
   }
   
-  // Final limiter (prevents clipping)
-  filters.push(`alimiter=limit=${p.limiter.limit}dB:attack=${p.limiter.attack}:release=${p.limiter.release}`);
-  
-  const filterChain = filters.join(',');
-  console.log(`   Chain: ${filters.length} stages`);
-  
-  // Step 4: Process
-  const cmd = `ffmpeg -hide_banner -y -i "${inputPath}" -af "${filterChain}" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-  await execPromise(cmd, { maxBuffer: 50 * 1024 * 1024 });
-  console.log('   ✅ WAV created');
-  
-  // Step 5: Verify output
-  const output = await analyzeAudio(outputWav);
-  console.log(`   Output: ${output.lufs.toFixed(1)} LUFS, ${output.peak.toFixed(1)} dBTP`);
+  const job = queue.enqueue({
+    preset: reference ? REFERENCE_PRESET : (req.body.preset || DEFAULT_PRESET),
+    preset_graph: reference ? undefined : presetGraph,
+    name: file.originalname.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]/g, '_'),
+    original_name: file.originalname,
+    input_path: file.path,
+    reference_name: reference?.originalname,
+    reference_path: reference?.path
+  });
   
-  // Step 6: If too far from target, do a second pass with loudnorm (gentle)
-  if (Math.abs(output.lufs - p.lufs) > 2) {
-    console.log('   🔄 Fine-tuning with loudnorm...');
-    const tempWav = outputWav.replace('.wav', '_temp.wav');
-    fs.renameSync(outputWav, tempWav);
-    
-    // Gentle loudnorm (just for level, not dynamics)
-    const lnCmd = `ffmpeg -hide_banner -y -i "${tempWav}" -af "loudnorm=I=${p.lufs}:TP=${p.tp}:LRA=20:linear=true" -c:a pcm_s24le -ar 48000 "${outputWav}"`;
-    await execPromise(lnCmd, { maxBuffer: 50 * 1024 * 1024 });
-    fs.unlinkSync(tempWav);
-    
-    const final = await analyzeAudio(outputWav);
-    console.log(`   Final: ${final.lufs.toFixed(1)} LUFS, ${final.peak.toFixed(1)} dBTP`);
-    output.lufs = final.lufs;
-    output.peak = final.peak;
+  if (!job) {
+    dropUploads();
+    return res.status(503).json({ error: 'The mastering queue is full, please try again in a few minutes' });
   }
   
-  // Step 7: MP3
-  const mp3Cmd = `ffmpeg -hide_banner -y -i "${outputWav}" -c:a libmp3lame -b:a 320k "${outputMp3}"`;
-  await execPromise(mp3Cmd, { maxBuffer: 50 * 1024 * 1024 });
-  console.log('   ✅ MP3 created');
-  
-  return {
-    input,
-    output: { lufs: output.lufs, truePeak: output.peak },
-    preset: presetName,
-    gain: safeGain
+  console.log(`📥 Job ${job.id} queued (${job.preset}), position ${queue.position(job.id)}`);
+  res.status(202).json({ success: true, ...jobView(job) });
+});
+
+// Job status (/api/master-status/:id is the path older clients poll)
+app.get(['/api/jobs/:id', '/api/master-status/:id'], (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json(jobView(job));
+});
+
+// Job progress as Server-Sent Events: the job as GET /api/jobs/:id shows it,
+// sent right away and again on every change (queue position, stage, percent).
+// The stream ends once the job has finished.
+app.get('/api/jobs/:id/events', (req, res) => {
+  const job = queue.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  let stop = () => {};
+  const send = () => {
+    res.write(`data: ${JSON.stringify(jobView(job))}\n\n`);
+    if (isFinished(job)) {
+      stop();
+      res.end();
+    }
   };
-}
 
-// Master endpoint
-app.post('/api/quick-master', upload.single('audio'), async (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'No file' });
-  
-  const preset = req.body.preset || 'kidandali';
-  const id = uuidv4();
-  const name = req.file.originalname.replace(/\.[^.]+$/, '').replace(/[^a-zA-Z0-9_-]/g, '_');
-  
-  const outputWav = path.join(OUTPUT_DIR, `${name}_master_${id}.wav`);
-  const outputMp3 = path.join(OUTPUT_DIR, `${name}_master_${id}.mp3`);
-  
-  try {
-    const result = await masterAudio(req.file.path, outputWav, outputMp3, preset);
-    
-    fs.unlink(req.file.path, () => {});
-    
-    res.json({
-      success: true,
-      preset: result.preset,
-      input: result.input,
-      output: result.output,
-      gain: result.gain,
-      downloads: {
-        wav: `/output/${path.basename(outputWav)}`,
-        mp3: `/output/${path.basename(outputMp3)}`
-      }
-    });
-  } catch (err) {
-    console.error('❌ Error:', err.message);
-    res.status(500).json({ error: err.message });
-  }
+  // Other jobs starting or leaving move a queued job up the line
+  const unsubscribe = queue.subscribe((changed) => {
+    if (changed === job || job.status === 'queued') send();
+  });
+  // Comment lines keep proxies from closing a quiet stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  stop = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+  };
+  req.on('close', stop);
+
+  send();
 });
 
-// Cleanup
+// Cancel a queued or running job
+app.post('/api/jobs/:id/cancel', cancelJob);
+app.delete('/api/jobs/:id', cancelJob);
+
+function cancelJob(req, res) {
+  const job = queue.cancel(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'cancelled') {
+    return res.status(409).json({ error: `Job already ${job.status}`, ...jobView(job) });
+  }
+  console.log(`🛑 Job ${job.id} cancelled`);
+  res.json(jobView(job));
+}
+
+// Cleanup - uploads still waiting in the queue are kept
 setInterval(() => {
-  const maxAge = 2 * 60 * 60 * 1000;
+  const inUse = new Set(queue.pending().flatMap(job => [job.input_path, job.reference_path]));
   [UPLOAD_DIR, OUTPUT_DIR].forEach(dir => {
     fs.readdirSync(dir).forEach(f => {
       const fp = path.join(dir, f);
       try {
-        if (Date.now() - fs.statSync(fp).mtimeMs > maxAge) fs.unlinkSync(fp);
+        if (!inUse.has(fp) && Date.now() - fs.statSync(fp).mtimeMs > MAX_FILE_AGE_MS) fs.unlinkSync(fp);
       } catch {}
     });
   });
+  queue.prune(MAX_FILE_AGE_MS);
 }, 60 * 60 * 1000);
 
+// Save job state before pm2 restarts us
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+  queue.flush();
+  process.exit(0);
+}));
+
 app.listen(PORT, () => {
   console.log(`\n🎵 Audio City Mastering`);
   console.log(`   http://localhost:${PORT}`);
-  console.log(`   Presets: ${Object.keys(PRESETS).join(', ')}\n`);
+  console.log(`   Presets: ${presets.list().map(preset => preset.id).join(', ')}`);
+  console.log(`   Jobs: ${MASTERING_CONCURRENCY} at a time, up to ${MAX_QUEUED_JOBS} waiting\n`);
 });
 
 
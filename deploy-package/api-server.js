@@ -18,14 +18,41 @@ const fs = require('fs');
 const https = require('https');
 const { exec } = require('child_process');
 const util = require('util');
+const { createHash } = require('crypto');
+const { pathToFileURL } = require('url');
 const execPromise = util.promisify(exec);
 
 // R2 Storage (Cloudflare R2 for tracks & images)
 const { uploadBufferToR2, uploadToR2, deleteFromR2 } = require('./r2-storage');
 
+// SQLite storage (same schema as the D1 worker)
+const { openDatabase, migrate, d1Database } = require('./sqlite-db');
+
+// Real-time inbox (WebSocket on the same port)
+const { attachInboxSocket } = require('./inbox-socket');
+
+// Shared API core (ES modules, also run by the D1 worker) - loaded before the server starts listening.
+// Lives next to this package: upload the repo's core/ and migrations/ folders alongside it.
+const CORE_DIR = process.env.CORE_DIR || path.join(__dirname, '..', 'core');
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'migrations');
+let core = null;      // core/api.mjs
+let passwords = null; // core/password.mjs
+let jwt = null;       // core/jwt.mjs
+let roles = null;     // core/roles.mjs
+let api = null;       // core.createApiCore() over the SQLite database
+let inboxProtocol = null; // core/inbox.mjs
+let inbox = null;     // attachInboxSocket() once listening: { publish, isConnected }
+
 const app = express();
 const PORT = process.env.API_PORT || 3002;
 
+// Signs and verifies access tokens (core/jwt.mjs) - the server won't start without it
+const JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.error('❌ JWT_SECRET is not set - add a long random value to .env');
+  process.exit(1);
+}
+
 // Create profiles directory
 const PROFILES_DIR = path.join(__dirname, 'uploads', 'profiles');
 if (!fs.existsSync(PROFILES_DIR)) {
@@ -67,61 +94,24 @@ if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
-// Persistent user storage file
-const USERS_STORAGE_FILE = path.join(DATA_DIR, 'users.json');
-// Persistent stats storage file
-const STATS_STORAGE_FILE = path.join(DATA_DIR, 'stats.json');
-// Persistent follows storage file
-const FOLLOWS_STORAGE_FILE = path.join(DATA_DIR, 'follows.json');
-// Persistent messages storage file
-const MESSAGES_STORAGE_FILE = path.join(DATA_DIR, 'messages.json');
-
-// Stats storage
-let statsStorage = {
-  tracksMastered: 0,
-  totalVisitors: 0,
-  uniqueVisitors: [],
-  visitorsByDate: {}, // { "2024-01-01": { total: 10, unique: [] } }
-  lastUpdated: new Date().toISOString()
-};
-
-// Load stats from file
-function loadStatsStorage() {
-  try {
-    if (fs.existsSync(STATS_STORAGE_FILE)) {
-      const data = fs.readFileSync(STATS_STORAGE_FILE, 'utf8');
-      const loaded = JSON.parse(data);
-      statsStorage = {
-        tracksMastered: loaded.tracksMastered || 0,
-        totalVisitors: loaded.totalVisitors || 0,
-        uniqueVisitors: Array.isArray(loaded.uniqueVisitors) ? loaded.uniqueVisitors : [],
-        visitorsByDate: loaded.visitorsByDate || {},
-        lastUpdated: loaded.lastUpdated || new Date().toISOString()
-      };
-    }
-  } catch (err) {
-    console.error('Error loading stats:', err);
-    statsStorage = {
-      tracksMastered: 0,
-      totalVisitors: 0,
-      uniqueVisitors: [],
-      visitorsByDate: {},
-      lastUpdated: new Date().toISOString()
-    };
-  }
+// SQLite database - migrations/ are applied on startup, like ./migrate.sh does for D1.
+// Data from the old data/*.json files is brought over once with `npm run import-json`.
+const DATABASE_FILE = process.env.DATABASE_FILE || path.join(DATA_DIR, 'audio-city.db');
+const db = openDatabase(DATABASE_FILE);
+try {
+  const applied = migrate(db, MIGRATIONS_DIR);
+  if (applied.length > 0) {
+    console.log(`Applied ${applied.length} database migration(s): ${applied.join(', ')}`);
+  }
+} catch (error) {
+  console.error(`❌ Database migration failed (migrations from ${MIGRATIONS_DIR}):`, error);
+  process.exit(1);
 }
-
-// Save stats to file
-function saveStatsStorage() {
-  try {
-    statsStorage.lastUpdated = new Date().toISOString();
-    fs.writeFileSync(STATS_STORAGE_FILE, JSON.stringify(statsStorage, null, 2), 'utf8');
-  } catch (err) {
-    console.error('Error saving stats:', err);
-  }
+if (!db.prepare('SELECT 1 FROM users LIMIT 1').get() && fs.existsSync(path.join(DATA_DIR, 'users.json'))) {
+  console.warn('⚠️  Database is empty but data/users.json exists - run `npm run import-json` to import it');
 }
 
-// Track visitor
+// Track visitor (one row per visitor per day; the upsert keeps concurrent hits from being lost)
 function trackVisitor(req) {
   try {
     const ip = req.ip || req.connection.remoteAddress || 'unknown';
@@ -131,35 +121,15 @@ function trackVisitor(req) {
     // Create unique visitor ID (IP + User Agent hash)
     const visitorId = Buffer.from(`${ip}-${userAgent}`).toString('base64').substring(0, 32);
     
-    // Initialize date entry if needed
-    if (!statsStorage.visitorsByDate[today]) {
-      statsStorage.visitorsByDate[today] = { total: 0, unique: [] };
-    }
-    
-    // Track total visitors
-    statsStorage.totalVisitors++;
-    statsStorage.visitorsByDate[today].total++;
-    
-    // Track unique visitors
-    if (!statsStorage.uniqueVisitors.includes(visitorId)) {
-      statsStorage.uniqueVisitors.push(visitorId);
-    }
-    
-    // Track unique visitors for today
-    if (!statsStorage.visitorsByDate[today].unique.includes(visitorId)) {
-      statsStorage.visitorsByDate[today].unique.push(visitorId);
-    }
-    
-    statsStorage.lastUpdated = new Date().toISOString();
-    saveStatsStorage();
+    db.prepare(`
+      INSERT INTO site_visits (day, visitor_id, visits, last_visit_at) VALUES (?, ?, 1, datetime('now'))
+      ON CONFLICT(day, visitor_id) DO UPDATE SET visits = visits + 1, last_visit_at = datetime('now')
+    `).run(today, visitorId);
   } catch (err) {
     console.error('Error tracking visitor:', err);
   }
 }
 
-// Load stats on startup
-loadStatsStorage();
-
 // Multer configuration for profile pictures
 // Use memory storage for R2 uploads
 const profileUpload = multer({
@@ -331,143 +301,191 @@ function generateMockArtist(index = 0) {
 
 // Routes
 
-// Persistent tracks storage
-const TRACKS_STORAGE_FILE = path.join(DATA_DIR, 'tracks.json');
-let tracksStorage = [];
+// Get user by ID
+function getUserById(userId) {
+  return db.prepare('SELECT * FROM users WHERE id = ?').get(userId) || null;
+}
 
-// Load tracks from file on startup
-function loadTracksStorage() {
-  try {
-    if (fs.existsSync(TRACKS_STORAGE_FILE)) {
-      const data = fs.readFileSync(TRACKS_STORAGE_FILE, 'utf8');
-      tracksStorage = JSON.parse(data);
-      console.log(`Loaded ${tracksStorage.length} tracks from storage`);
-    }
-  } catch (error) {
-    console.error('Error loading tracks storage:', error);
-    tracksStorage = [];
-  }
+// Get user by email (case-insensitive)
+function getUserByEmail(email) {
+  return db.prepare('SELECT * FROM users WHERE LOWER(email) = ?').get(email.toLowerCase().trim()) || null;
 }
 
-// Save tracks to file
-function saveTracksStorage() {
-  try {
-    fs.writeFileSync(TRACKS_STORAGE_FILE, JSON.stringify(tracksStorage, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving tracks storage:', error);
-  }
+// Update columns on a user row (column names come from this file, never from the request)
+function updateUser(userId, fields) {
+  const columns = Object.keys(fields);
+  db.prepare(`UPDATE users SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`)
+    .run(...Object.values(fields), userId);
 }
 
-// Load tracks on startup
-loadTracksStorage();
+// Up to 5 previous password hashes, newest first
+function recentPasswords(userId) {
+  return db.prepare('SELECT password FROM password_history WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 5')
+    .pluck().all(userId);
+}
 
-// Persistent user storage (load from file on startup)
-// Structure: Map<emailKey, { id, username, email, name, bio, location, avatar_url, created_at, ... }>
-let usersStorage = new Map();
+// Store a new password hash, moving the current one into the history (last 5 kept)
+const setPassword = db.transaction((user, passwordHash) => {
+  if (user.password) {
+    db.prepare("INSERT INTO password_history (id, user_id, password, created_at) VALUES (?, ?, ?, datetime('now'))")
+      .run(uuidv4(), user.id, user.password);
+    db.prepare(`
+      DELETE FROM password_history WHERE user_id = ? AND id NOT IN (
+        SELECT id FROM password_history WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT 5
+      )
+    `).run(user.id, user.id);
+  }
+  updateUser(user.id, { password: passwordHash });
+});
 
-// Load users from file on startup
-function loadUsersStorage() {
-  try {
-    if (fs.existsSync(USERS_STORAGE_FILE)) {
-      const data = fs.readFileSync(USERS_STORAGE_FILE, 'utf8');
-      const users = JSON.parse(data);
-      usersStorage = new Map(Object.entries(users));
-      console.log(`Loaded ${usersStorage.size} users from storage`);
-    }
-  } catch (error) {
-    console.error('Error loading users storage:', error);
-    usersStorage = new Map();
-  }
+// SHA-256 of a reset token - only the hash is stored, as in the worker
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+// Roles a user holds (user_roles, core/roles.mjs order, always including listener)
+function userRoles(userId) {
+  return roles.normalizeRoles(db.prepare('SELECT role FROM user_roles WHERE user_id = ?').pluck().all(userId));
 }
 
-// Save users to file
-function saveUsersStorage() {
-  try {
-    const usersObj = Object.fromEntries(usersStorage);
-    fs.writeFileSync(USERS_STORAGE_FILE, JSON.stringify(usersObj, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving users storage:', error);
-  }
+// Access token for a user (core/jwt.mjs, as the worker signs them)
+function issueToken(user) {
+  return jwt.createJWT({ id: user.id, email: user.email, role: roles.primaryRole(userRoles(user.id)) }, JWT_SECRET, '7d');
 }
 
-// Get user by ID (search through storage)
-function getUserById(userId) {
-  for (const user of usersStorage.values()) {
-    if (user.id === userId) {
-      return user;
-    }
-  }
-  return null;
+// User row (plus `roles`) for a signed access token, or null
+async function userFromToken(token) {
+  const payload = token ? await jwt.verifyJWT(token, JWT_SECRET) : null;
+  const user = payload && getUserById(payload.id);
+  return user ? { ...user, roles: userRoles(user.id) } : null;
 }
 
-// Get user by email key
-function getUserByEmailKey(emailKey) {
-  return usersStorage.get(emailKey.toLowerCase()) || null;
+// Inbox socket caller: { id, expiresAt } for a signed access token, or null
+async function socketUser(token) {
+  const payload = token ? await jwt.verifyJWT(token, JWT_SECRET) : null;
+  return payload && getUserById(payload.id) ? { id: payload.id, expiresAt: payload.exp * 1000 } : null;
 }
 
-// Follow relationships storage
-// Structure: { "followerId:followeeId": true, ... }
-let followsStorage = {};
+// Caller from the Bearer token
+function requestUser(req) {
+  const match = /^Bearer (.+)$/.exec(req.get('authorization') || '');
+  return match ? userFromToken(match[1]) : Promise.resolve(null);
+}
 
-// Load follows from file
-function loadFollowsStorage() {
-  try {
-    if (fs.existsSync(FOLLOWS_STORAGE_FILE)) {
-      const data = fs.readFileSync(FOLLOWS_STORAGE_FILE, 'utf8');
-      followsStorage = JSON.parse(data);
-      console.log(`Loaded ${Object.keys(followsStorage).length} follow relationships`);
+// Route middleware: Require a signed-in caller whose roles grant `permission` (as the worker's can())
+function requirePermission(permission) {
+  return async (req, res, next) => {
+    try {
+      const user = await requestUser(req);
+      if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!roles.hasPermission(user.roles, permission)) {
+        return res.status(403).json({ error: 'You do not have permission to do this', permission });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      next(error);
     }
-  } catch (error) {
-    console.error('Error loading follows storage:', error);
-    followsStorage = {};
-  }
+  };
 }
 
-// Save follows to file
-function saveFollowsStorage() {
-  try {
-    fs.writeFileSync(FOLLOWS_STORAGE_FILE, JSON.stringify(followsStorage, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving follows storage:', error);
+// Delete a track's row and everything hanging off it, and recount the artist's tracks
+// (call inside a transaction)
+function deleteTrackRows(track) {
+  db.prepare('DELETE FROM comment_likes WHERE comment_id IN (SELECT id FROM comments WHERE track_id = ?)').run(track.id);
+  for (const table of ['comments', 'track_likes', 'reposts', 'playlist_tracks', 'notifications']) {
+    db.prepare(`DELETE FROM ${table} WHERE track_id = ?`).run(track.id);
   }
+  db.prepare('DELETE FROM tracks WHERE id = ?').run(track.id);
+  db.prepare("UPDATE users SET tracks_count = (SELECT COUNT(*) FROM tracks WHERE artist_id = ?), updated_at = datetime('now') WHERE id = ?")
+    .run(track.artist_id, track.artist_id);
 }
 
-// Check if user A follows user B
-function isFollowing(followerId, followeeId) {
-  const key = `${followerId}:${followeeId}`;
-  return followsStorage[key] === true;
-}
+// Delete a user account with everything that belongs to it: tracks, comments, likes, reposts,
+// follows, messages, notifications, playlists, sessions, roles, passwords and tokens. The counts
+// cached on other users, tracks and comments are recomputed (runs in one transaction)
+const deleteUserRows = db.transaction((userId) => {
+  for (const track of db.prepare('SELECT id, artist_id FROM tracks WHERE artist_id = ?').all(userId)) {
+    deleteTrackRows(track);
+  }
+  
+  // Their comments on other tracks, and what they liked or reposted
+  db.prepare('DELETE FROM comment_likes WHERE comment_id IN (SELECT id FROM comments WHERE user_id = ?)').run(userId);
+  db.prepare('DELETE FROM notifications WHERE comment_id IN (SELECT id FROM comments WHERE user_id = ?)').run(userId);
+  db.prepare('DELETE FROM comments WHERE user_id = ?').run(userId);
+  const likedComments = db.prepare('SELECT comment_id FROM comment_likes WHERE user_id = ?').pluck().all(userId);
+  const touchedTracks = db.prepare('SELECT track_id FROM track_likes WHERE user_id = ? UNION SELECT track_id FROM reposts WHERE user_id = ?')
+    .pluck().all(userId, userId);
+  for (const table of ['comment_likes', 'track_likes', 'reposts']) {
+    db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+  }
+  for (const commentId of likedComments) {
+    db.prepare('UPDATE comments SET likes = (SELECT COUNT(*) FROM comment_likes WHERE comment_id = ?) WHERE id = ?').run(commentId, commentId);
+  }
+  for (const trackId of touchedTracks) {
+    db.prepare(`
+      UPDATE tracks SET
+        likes_count = (SELECT COUNT(*) FROM track_likes WHERE track_id = ?),
+        reposts_count = (SELECT COUNT(*) FROM reposts WHERE track_id = ?)
+      WHERE id = ?
+    `).run(trackId, trackId, trackId);
+  }
+  
+  // Follows, conversations and notifications either side
+  const followed = db.prepare('SELECT follower_id FROM follows WHERE followee_id = ? UNION SELECT followee_id FROM follows WHERE follower_id = ?')
+    .pluck().all(userId, userId);
+  db.prepare('DELETE FROM follows WHERE follower_id = ? OR followee_id = ?').run(userId, userId);
+  for (const id of followed) {
+    db.prepare(`
+      UPDATE users SET
+        followers_count = (SELECT COUNT(*) FROM follows WHERE followee_id = ?),
+        following_count = (SELECT COUNT(*) FROM follows WHERE follower_id = ?)
+      WHERE id = ?
+    `).run(id, id, id);
+  }
+  db.prepare('DELETE FROM messages WHERE sender_id = ? OR receiver_id = ?').run(userId, userId);
+  db.prepare('DELETE FROM conversations WHERE participant1_id = ? OR participant2_id = ?').run(userId, userId);
+  db.prepare('DELETE FROM notifications WHERE user_id = ? OR actor_id = ?').run(userId, userId);
+  db.prepare('DELETE FROM playlist_tracks WHERE playlist_id IN (SELECT id FROM playlists WHERE user_id = ?)').run(userId);
+  
+  // Rows that only belong to the account
+  for (const table of [
+    'playlists', 'session_refresh_tokens', 'sessions', 'user_roles', 'password_history', 'password_reset_tokens',
+    'email_verification_tokens', 'user_presets', 'user_strikes', 'user_moderation'
+  ]) {
+    db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+  }
+  db.prepare('DELETE FROM content_reports WHERE reporter_id = ?').run(userId);
+  db.prepare('DELETE FROM users WHERE id = ?').run(userId);
+});
 
-// Toggle follow relationship
-function toggleFollow(followerId, followeeId) {
-  const key = `${followerId}:${followeeId}`;
-  const isCurrentlyFollowing = followsStorage[key] === true;
-  
-  if (isCurrentlyFollowing) {
-    delete followsStorage[key];
-    return false; // Unfollowed
-  } else {
-    followsStorage[key] = true;
-    return true; // Followed
+// Does the password match any of these stored values (hashes, or legacy plaintext)?
+async function matchesAnyPassword(password, stored) {
+  for (const value of stored || []) {
+    if (value && await passwords.verifyPassword(password, value)) return true;
   }
+  return false;
 }
 
-// Get follower count for a user
-function getFollowerCount(userId) {
-  return Object.keys(followsStorage).filter(key => key.endsWith(`:${userId}`)).length;
+// Route handler that runs a core call and sends its { status, body } result
+function coreRoute(failureMessage, handler) {
+  return async (req, res) => {
+    try {
+      const { status, body } = await handler(req);
+      res.status(status).json(body);
+    } catch (error) {
+      console.error(`[API] ${failureMessage}:`, error);
+      res.status(500).json({ error: failureMessage });
+    }
+  };
 }
 
-// Get following count for a user
-function getFollowingCount(userId) {
-  return Object.keys(followsStorage).filter(key => key.startsWith(`${userId}:`)).length;
+// Make a stored image path absolute for this host
+function absoluteUrl(req, url) {
+  if (!url || url.startsWith('http') || url.startsWith('data:')) return url || null;
+  return `${req.protocol}://${req.get('host')}${url.startsWith('/') ? '' : '/'}${url}`;
 }
 
-// Load follows on startup
-loadFollowsStorage();
-
-// Load users on startup
-loadUsersStorage();
-
 // Configure Passport Google OAuth Strategy
 const GOOGLE_CLIENT_ID = process.env.GOOGLE_CLIENT_ID || 'YOUR_GOOGLE_CLIENT_ID_HERE';
 const GOOGLE_CLIENT_SECRET = process.env.GOOGLE_CLIENT_SECRET || 'YOUR_GOOGLE_CLIENT_SECRET_HERE';
@@ -483,59 +501,40 @@ passport.use(new GoogleStrategy({
   passReqToCallback: true
 }, async (req, accessToken, refreshToken, profile, done) => {
   try {
-    loadUsersStorage();
-    const emailKey = profile.emails[0].value.toLowerCase();
-    let user = getUserByEmailKey(emailKey);
+    const email = profile.emails[0].value.toLowerCase();
+    const photo = profile.photos?.[0]?.value || null;
+    let user = getUserByEmail(email);
     
     if (!user) {
       // Create new user from Google account
       const userId = uuidv4();
-      const username = profile.emails[0].value.split('@')[0].toLowerCase().replace(/[^a-z0-9]/g, '');
+      const username = email.split('@')[0].replace(/[^a-z0-9]/g, '');
       
       // Check if username is taken
       let finalUsername = username;
       let counter = 1;
-      while (Array.from(usersStorage.values()).some(u => u.username === finalUsername)) {
+      while (db.prepare('SELECT 1 FROM users WHERE LOWER(username) = ?').get(finalUsername)) {
         finalUsername = `${username}${counter}`;
         counter++;
       }
       
-      user = {
-        id: userId,
-        username: finalUsername,
-        email: profile.emails[0].value,
-        name: profile.displayName || profile.name?.givenName || finalUsername,
-        bio: null,
-        location: null,
-        avatar_url: profile.photos?.[0]?.value || null,
-        profile_image: profile.photos?.[0]?.value || null,
-        password: null, // No password for Google-authenticated users
-        auth_provider: 'google',
-        google_id: profile.id,
-        followers_count: 0,
-        following_count: 0,
-        tracks_count: 0,
-        verified: false,
-        is_admin: false,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      usersStorage.set(emailKey, user);
-      saveUsersStorage();
+      // No password for Google-authenticated users; Google has confirmed the email
+      db.prepare(`
+        INSERT INTO users (id, username, email, name, avatar_url, profile_image, auth_provider, google_id,
+          email_verified, email_verified_at, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, 'google', ?, 1, datetime('now'), datetime('now'), datetime('now'))
+      `).run(userId, finalUsername, email, profile.displayName || profile.name?.givenName || finalUsername, photo, photo, profile.id);
+      user = getUserById(userId);
       console.log(`[GOOGLE SIGNUP] New user created: ${user.email}`);
     } else {
       // Update existing user with Google info if needed
       if (!user.auth_provider) {
-        user.auth_provider = 'google';
-        user.google_id = profile.id;
-        if (profile.photos?.[0]?.value && !user.avatar_url) {
-          user.avatar_url = profile.photos[0].value;
-          user.profile_image = profile.photos[0].value;
-        }
-        user.updated_at = new Date().toISOString();
-        usersStorage.set(emailKey, user);
-        saveUsersStorage();
+        updateUser(user.id, {
+          auth_provider: 'google',
+          google_id: profile.id,
+          ...(photo && !user.avatar_url ? { avatar_url: photo, profile_image: photo } : {})
+        });
+        user = getUserById(user.id);
       }
       console.log(`[GOOGLE LOGIN] User logged in: ${user.email}`);
     }
@@ -555,13 +554,11 @@ passport.serializeUser((user, done) => {
 
 // Passport deserialization (retrieve user from ID)
 passport.deserializeUser((id, done) => {
-  loadUsersStorage();
   // If id is already a user object, return it; otherwise look it up
   if (typeof id === 'object' && id.id) {
     return done(null, id);
   }
-  const user = Array.from(usersStorage.values()).find(u => u.id === id);
-  done(null, user || null);
+  done(null, getUserById(id));
 });
 
 // Log OAuth configuration on startup
@@ -576,359 +573,130 @@ if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_ID !== 'YOUR_GOOGLE_CLIENT_ID_HERE') {
   console.warn('[GOOGLE OAUTH] Client ID not configured! Set GOOGLE_CLIENT_ID in .env');
 }
 
+// Fields GET /api/tracks can order by - only these names reach the SQL
+const TRACK_ORDER_FIELDS = [
+  'created_at', 'updated_at', 'title', 'duration', 'bpm', 'views_count', 'plays_count',
+  'likes_count', 'shares_count', 'downloads_count', 'reposts_count'
+];
+
 // GET /api/tracks - Get tracks with optional query params
 app.get('/api/tracks', (req, res) => {
-  let tracks = [...tracksStorage];
+  const where = [];
+  const values = [];
   
   // Filter by artist_id if provided
   if (req.query.artist_id) {
-    const operator = req.query.artist_id.startsWith('eq.') ? 'eq' : 'eq';
-    const artistId = req.query.artist_id.replace(/^(eq|neq|gt|lt)\./, '');
-    if (operator === 'eq') {
-      tracks = tracks.filter(t => t.artist_id === artistId);
-    }
+    where.push('t.artist_id = ?');
+    values.push(req.query.artist_id.replace(/^(eq|neq|gt|lt)\./, ''));
   }
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
   
-  // Sort tracks
+  // Sort tracks (unknown fields are ignored; upload order by default)
+  let orderSql = 't.rowid ASC';
   if (req.query.order) {
     const [field, direction] = req.query.order.split('.');
-    tracks.sort((a, b) => {
-      const aVal = a[field] || 0;
-      const bVal = b[field] || 0;
-      return direction === 'desc' ? bVal - aVal : aVal - bVal;
-    });
-  }
-  
-  // Limit results
-  if (req.query.limit) {
-    tracks = tracks.slice(0, parseInt(req.query.limit));
-  }
-  
-  // Enrich tracks with artist information
-  const baseUrl = req.protocol + '://' + req.get('host');
-  const enrichedTracks = tracks.map(track => {
-    const enriched = { ...track };
-    
-    // Get artist/user information
-    if (track.artist_id) {
-      const artist = getUserById(track.artist_id);
-      if (artist) {
-        enriched.artist_username = artist.username || 'creator';
-        enriched.artist_is_verified = artist.verified || false;
-        
-        // Get profile image URL
-        if (artist.profile_image || artist.avatar_url) {
-          let profileImage = artist.profile_image || artist.avatar_url;
-          // Make absolute URL if relative
-          if (profileImage && !profileImage.startsWith('http') && !profileImage.startsWith('data:')) {
-            if (profileImage.startsWith('/')) {
-              profileImage = baseUrl + profileImage;
-            } else {
-              profileImage = baseUrl + '/' + profileImage;
-            }
-          }
-          enriched.artist_profile_image = profileImage;
-        } else {
-          enriched.artist_profile_image = null;
-        }
-      } else {
-        // Fallback if artist not found
-        enriched.artist_username = 'creator';
-        enriched.artist_profile_image = null;
-        enriched.artist_is_verified = false;
-      }
-    } else {
-      enriched.artist_username = 'creator';
-      enriched.artist_profile_image = null;
-      enriched.artist_is_verified = false;
+    if (TRACK_ORDER_FIELDS.includes(field)) {
+      orderSql = `t.${field} ${direction === 'desc' ? 'DESC' : 'ASC'}, t.rowid ASC`;
     }
-    
-    return enriched;
-  });
-  
-  res.json(enrichedTracks);
-});
-
-// GET /api/tracks/:id - Get single track
-app.get('/api/tracks/:id', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) {
-    // Fallback to mock track for compatibility
-    const mockTrack = generateMockTrack(0);
-    mockTrack.id = req.params.id;
-    return res.json(mockTrack);
   }
   
-  // Ensure liked_by array exists for compatibility with existing tracks
-  if (!track.liked_by || !Array.isArray(track.liked_by)) {
-    track.liked_by = [];
-  }
-  // Ensure shares_count exists for compatibility with existing tracks
-  if (typeof track.shares_count !== 'number') {
-    track.shares_count = 0;
-  }
-  
-  // Enrich track with artist information
-  const baseUrl = req.protocol + '://' + req.get('host');
-  const enriched = { ...track };
-  
-  if (track.artist_id) {
-    const artist = getUserById(track.artist_id);
-    if (artist) {
-      enriched.artist_username = artist.username || 'creator';
-      enriched.artist_is_verified = artist.verified || false;
-      
-      // Get profile image URL
-      if (artist.profile_image || artist.avatar_url) {
-        let profileImage = artist.profile_image || artist.avatar_url;
-        // Make absolute URL if relative
-        if (profileImage && !profileImage.startsWith('http') && !profileImage.startsWith('data:')) {
-          if (profileImage.startsWith('/')) {
-            profileImage = baseUrl + profileImage;
-          } else {
-            profileImage = baseUrl + '/' + profileImage;
-          }
-        }
-        enriched.artist_profile_image = profileImage;
-      } else {
-        enriched.artist_profile_image = null;
-      }
-    } else {
-      enriched.artist_username = 'creator';
-      enriched.artist_profile_image = null;
-      enriched.artist_is_verified = false;
+  // Cursor pagination (same response shape as the D1 worker; the cursor here is an offset)
+  const paginated = req.query.cursor !== undefined;
+  const total = db.prepare(`SELECT COUNT(*) FROM tracks t ${whereSql}`).pluck().get(...values);
+  let offset = 0;
+  if (paginated && req.query.cursor) {
+    try {
+      offset = JSON.parse(Buffer.from(req.query.cursor, 'base64url').toString()).offset || 0;
+    } catch (e) {
+      return res.status(400).json({ error: 'Invalid cursor for this sort order' });
     }
-  } else {
-    enriched.artist_username = 'creator';
-    enriched.artist_profile_image = null;
-    enriched.artist_is_verified = false;
   }
   
-  res.json(enriched);
-});
-
-// POST /api/tracks/:id/play - increment play count
-app.post('/api/tracks/:id/play', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) return res.status(404).json({ error: 'Track not found' });
-  track.views_count = (track.views_count || 0) + 1;
-  track.plays_count = (track.plays_count || 0) + 1;
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  res.json({ success: true, views_count: track.views_count, plays_count: track.plays_count });
-});
-
-// POST /api/tracks/:id/like - like/unlike track (one like per user)
-app.post('/api/tracks/:id/like', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) return res.status(404).json({ error: 'Track not found' });
-  
-  // Initialize liked_by array if it doesn't exist
-  if (!track.liked_by || !Array.isArray(track.liked_by)) {
-    track.liked_by = [];
-  }
-  
-  const userId = req.body.user_id || req.query.user_id;
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
-  }
-  
-  // Check if user already liked (case-insensitive comparison for safety)
-  const isLiked = track.liked_by.some(id => String(id) === String(userId));
+  // Limit results
+  const limit = Math.min(parseInt(req.query.limit) || (paginated ? 20 : total), 100);
+  const pageSql = (paginated || req.query.limit) ? 'LIMIT ? OFFSET ?' : '';
+  const pageValues = pageSql ? [limit, offset] : [];
+  
+  // With artist information
+  const tracks = db.prepare(`
+    SELECT t.*, COALESCE(u.username, 'creator') AS artist_username,
+      COALESCE(u.profile_image, u.avatar_url) AS artist_profile_image, COALESCE(u.verified, 0) AS artist_is_verified
+    FROM tracks t
+    LEFT JOIN users u ON t.artist_id = u.id
+    ${whereSql}
+    ORDER BY ${orderSql}
+    ${pageSql}
+  `).all(...values, ...pageValues).map(track => ({
+    ...track,
+    artist_profile_image: absoluteUrl(req, track.artist_profile_image),
+    artist_is_verified: track.artist_is_verified === 1
+  }));
   
-  if (isLiked) {
-    // Unlike - remove user from liked_by and decrement count
-    track.liked_by = track.liked_by.filter(id => String(id) !== String(userId));
-    track.likes_count = Math.max(0, (track.likes_count || 0) - 1);
-  } else {
-    // Like - add user to liked_by and increment count (only if not already there)
-    if (!track.liked_by.some(id => String(id) === String(userId))) {
-      track.liked_by.push(userId);
-      track.likes_count = (track.likes_count || 0) + 1;
-    }
+  if (paginated) {
+    const hasMore = offset + limit < total;
+    return res.json({
+      tracks,
+      total,
+      has_more: hasMore,
+      next_cursor: hasMore ? Buffer.from(JSON.stringify({ offset: offset + limit })).toString('base64url') : null
+    });
   }
   
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  
-  // Final check to ensure consistency
-  const finalIsLiked = track.liked_by.some(id => String(id) === String(userId));
-  
-  res.json({ 
-    success: true, 
-    likes_count: track.likes_count,
-    is_liked: finalIsLiked
-  });
+  res.json(tracks);
 });
 
-// POST /api/tracks/:id/share - Share a track (increment share count)
-app.post('/api/tracks/:id/share', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) {
-    return res.status(404).json({ error: 'Track not found' });
-  }
-  
-  // Initialize shares_count if it doesn't exist
-  if (typeof track.shares_count !== 'number') {
-    track.shares_count = 0;
+// GET /api/tracks/:id - Get single track with its comments
+app.get('/api/tracks/:id', coreRoute('Failed to load track', async (req) => {
+  const result = await api.getTrack(req.params.id);
+  if (result.status === 200) {
+    result.body.artist_profile_image = absoluteUrl(req, result.body.artist_profile_image);
   }
-  
-  // Increment share count
-  track.shares_count = (track.shares_count || 0) + 1;
-  
-  // Save to storage
-  saveTracksStorage();
-  
-  res.json({
-    success: true,
-    shares_count: track.shares_count
-  });
-});
+  return result;
+}));
 
-// POST /api/tracks/:id/repost - repost a track
-app.post('/api/tracks/:id/repost', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) return res.status(404).json({ error: 'Track not found' });
-  
-  const userId = req.body.user_id || req.body.reposted_by;
-  if (!userId) {
-    return res.status(400).json({ error: 'User ID is required' });
-  }
-  
-  // Initialize reposted_by array if it doesn't exist
-  if (!track.reposted_by) {
-    track.reposted_by = [];
-  }
-  
-  // Check if user already reposted
-  if (track.reposted_by.includes(userId)) {
-    return res.status(400).json({ error: 'Track already reposted by this user' });
-  }
-  
-  // Add user to reposted_by
-  track.reposted_by.push(userId);
-  track.reposts_count = (track.reposts_count || 0) + 1;
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  
-  res.json({ 
-    success: true, 
-    reposts_count: track.reposts_count,
-    message: 'Track reposted successfully'
-  });
-});
+// POST /api/tracks/:id/play - increment play count
+app.post('/api/tracks/:id/play', coreRoute('Failed to update play count', (req) =>
+  api.playTrack(req.params.id)));
 
-// POST /api/tracks/:id/comment - add comment
-app.post('/api/tracks/:id/comment', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) return res.status(404).json({ error: 'Track not found' });
-  const { author, text } = req.body;
-  if (!text) return res.status(400).json({ error: 'Comment text is required' });
-  if (!track.comments) track.comments = [];
-  const comment = {
-    id: uuidv4(),
-    author: author || 'User',
-    text,
-    time: new Date().toISOString(),
-    user_id: req.body.user_id || null,
-    author_id: req.body.user_id || req.body.author_id || null,
-    likes: 0,
-    liked_by: []
-  };
-  track.comments.unshift(comment);
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  res.json({ success: true, comment, comments_count: track.comments.length });
-});
+// POST /api/tracks/:id/like - like/unlike track as the signed-in user (one like per user)
+app.post('/api/tracks/:id/like', coreRoute('Failed to update like', async (req) =>
+  api.toggleLike(req.params.id, (await requestUser(req))?.id)));
 
-// DELETE /api/tracks/:id/comments/:commentId - delete comment
-app.delete('/api/tracks/:id/comments/:commentId', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
-  if (!track) return res.status(404).json({ error: 'Track not found' });
-  
-  if (!track.comments || !Array.isArray(track.comments)) {
-    return res.status(404).json({ error: 'Comment not found' });
-  }
-  
-  const commentId = req.params.commentId;
-  const commentIndex = track.comments.findIndex(c => c.id === commentId);
-  
-  if (commentIndex === -1) {
-    return res.status(404).json({ error: 'Comment not found' });
-  }
-  
-  // Remove the comment (global deletion - everyone can delete any comment)
-  track.comments.splice(commentIndex, 1);
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  
-  res.json({ success: true, comments_count: track.comments.length });
-});
+// POST /api/tracks/:id/share - Share a track (increment share count)
+app.post('/api/tracks/:id/share', coreRoute('Failed to update share count', (req) =>
+  api.shareTrack(req.params.id)));
+
+// POST /api/tracks/:id/repost - repost/un-repost a track (toggle) as the signed-in user
+app.post('/api/tracks/:id/repost', coreRoute('Failed to update repost', async (req) =>
+  api.toggleRepost(req.params.id, (await requestUser(req))?.id)));
+
+// POST /api/tracks/:id/comment - add comment as the signed-in user
+app.post(['/api/tracks/:id/comment', '/api/tracks/:id/comments'], coreRoute('Failed to add comment', async (req) =>
+  api.addComment(req.params.id, { userId: (await requestUser(req))?.id, text: req.body.text })));
+
+// DELETE /api/tracks/:id/comments/:commentId - delete comment (author, or staff with content:delete)
+app.delete('/api/tracks/:id/comments/:commentId', coreRoute('Failed to delete comment', async (req) => {
+  const user = await requestUser(req);
+  const actor = user && { id: user.id, canModerate: roles.hasPermission(user.roles, 'content:delete') };
+  return api.deleteComment(req.params.id, req.params.commentId, actor);
+}));
 
 // POST /api/tracks/:id/comments/:commentId/like - like/unlike comment
-app.post('/api/tracks/:id/comments/:commentId/like', (req, res) => {
-  const track = tracksStorage.find(t => t.id === req.params.id);
+app.post('/api/tracks/:id/comments/:commentId/like', coreRoute('Failed to update comment like', async (req) =>
+  api.toggleCommentLike(req.params.id, req.params.commentId, (await requestUser(req))?.id)));
+
+// DELETE /api/tracks/:id - delete track (its artist, or staff with content:delete)
+app.delete('/api/tracks/:id', async (req, res) => {
+  const user = await requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Unauthorized' });
+  const track = db.prepare('SELECT id, artist_id FROM tracks WHERE id = ?').get(req.params.id);
   if (!track) return res.status(404).json({ error: 'Track not found' });
-  
-  if (!track.comments || !Array.isArray(track.comments)) {
-    return res.status(404).json({ error: 'Comment not found' });
-  }
-  
-  const commentId = req.params.commentId;
-  const comment = track.comments.find(c => c.id === commentId);
-  
-  if (!comment) {
-    return res.status(404).json({ error: 'Comment not found' });
+  if (track.artist_id !== user.id && !roles.hasPermission(user.roles, 'content:delete')) {
+    return res.status(403).json({ error: 'Unauthorized' });
   }
   
-  // Initialize likes if not exists
-  if (!comment.likes) {
-    comment.likes = 0;
-  }
-  if (!comment.liked_by) {
-    comment.liked_by = [];
-  }
-  
-  const userId = req.body.user_id || req.query.user_id;
-  const isLiked = userId && comment.liked_by.includes(userId);
-  
-  if (isLiked) {
-    // Unlike
-    comment.likes = Math.max(0, comment.likes - 1);
-    comment.liked_by = comment.liked_by.filter(id => id !== userId);
-  } else {
-    // Like
-    comment.likes = (comment.likes || 0) + 1;
-    if (userId && !comment.liked_by.includes(userId)) {
-      comment.liked_by.push(userId);
-    }
-  }
-  
-  track.updated_at = new Date().toISOString();
-  saveTracksStorage();
-  
-  res.json({ 
-    success: true, 
-    likes: comment.likes,
-    is_liked: userId ? comment.liked_by.includes(userId) : false
-  });
-});
-
-// DELETE /api/tracks/:id - delete track
-app.delete('/api/tracks/:id', (req, res) => {
-  const index = tracksStorage.findIndex(t => t.id === req.params.id);
-  if (index === -1) return res.status(404).json({ error: 'Track not found' });
-  const track = tracksStorage[index];
-  tracksStorage.splice(index, 1);
-  saveTracksStorage();
-  
-  // Decrement user track count
-  const user = getUserById(track.artist_id);
-  if (user && user.tracks_count > 0) {
-    user.tracks_count -= 1;
-    user.updated_at = new Date().toISOString();
-    saveUsersStorage();
-  }
+  // The track, everything hanging off it and the artist's track count go together
+  db.transaction(() => deleteTrackRows(track))();
   
   res.json({ success: true });
 });
@@ -950,13 +718,16 @@ app.post('/api/tracks', trackUpload.single('audioFile'), async (req, res) => {
     if (!title || !artist_id) {
       return res.status(400).json({ error: 'Title and artist_id are required' });
     }
+    if (!req.file && !req.body.audio_url) {
+      return res.status(400).json({ error: 'An audio file or audio_url is required' });
+    }
     
+    const trackId = uuidv4();
     let audioUrl = req.body.audio_url || null;
     
     // Upload to R2 if file provided
     if (req.file) {
       try {
-        const trackId = uuidv4();
         const ext = path.extname(req.file.originalname) || '.mp3';
         const r2Key = `tracks/${trackId}${ext}`;
         
@@ -978,42 +749,33 @@ app.post('/api/tracks', trackUpload.single('audioFile'), async (req, res) => {
       }
     }
     
-    const track = {
-      id: uuidv4(),
-      title: title.trim(),
-      description: description || '',
-      genre: genre || 'Unknown',
-      bpm: bpm ? parseInt(bpm) : null,
-      artist_id: artist_id,
-      artist_name: artist_name || 'Unknown Artist',
-      cover_art_url: cover_art_url || null,
-      audio_url: audioUrl,
-      duration: duration || null,
-      views_count: 0,
-      likes_count: 0,
-      liked_by: [],
-      shares_count: 0,
-      plays_count: 0,
-      comments: [],
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    tracksStorage.push(track);
-    saveTracksStorage(); // Save to file
-    
-    // Update user's tracks count
-    const user = getUserById(artist_id);
-    if (user) {
-      user.tracks_count = (user.tracks_count || 0) + 1;
-      user.updated_at = new Date().toISOString();
-      saveUsersStorage();
-    }
+    // Save the track and bump the user's tracks count together
+    db.transaction(() => {
+      db.prepare(`
+        INSERT INTO tracks (id, artist_id, title, description, genre, bpm, cover_art_url, audio_url, duration, created_at, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      `).run(
+        trackId,
+        artist_id,
+        title.trim(),
+        description || '',
+        genre || 'Unknown',
+        bpm ? parseInt(bpm) : null,
+        cover_art_url || null,
+        audioUrl,
+        duration ? parseInt(duration) : null
+      );
+      db.prepare("UPDATE users SET tracks_count = COALESCE(tracks_count, 0) + 1, updated_at = datetime('now') WHERE id = ?")
+        .run(artist_id);
+    })();
     
     res.status(201).json({
       success: true,
       message: 'Track uploaded successfully',
-      track: track
+      track: {
+        ...db.prepare('SELECT * FROM tracks WHERE id = ?').get(trackId),
+        artist_name: artist_name || 'Unknown Artist'
+      }
     });
   } catch (err) {
     console.error('Track upload error:', err);
@@ -1029,11 +791,8 @@ app.get('/api/feed/trending-artists', (req, res) => {
 
 // GET /api/users - Get users/artists
 app.get('/api/users', (req, res) => {
-  // Reload users from file to ensure fresh data
-  loadUsersStorage();
-  
-  // Return all users from storage with proper profile picture URLs
-  const users = Array.from(usersStorage.values()).map(user => {
+  // Return all users with proper profile picture URLs
+  const users = db.prepare('SELECT * FROM users ORDER BY created_at, rowid').all().map(user => {
     const baseUrl = req.protocol + '://' + req.get('host');
     
     // Ensure profile picture URLs are absolute
@@ -1057,83 +816,18 @@ app.get('/api/users', (req, res) => {
       user.profile_image_url = user.profile_image || user.avatar_url || null;
     }
     
-    return user;
+    return core.publicUser(user);
   });
   res.json(users);
 });
 
 // POST /api/users/:id/follow - Toggle follow relationship
-app.post('/api/users/:id/follow', (req, res) => {
-  const followeeId = req.params.id; // User being followed/unfollowed
-  const followerId = req.body.user_id; // Current user (follower)
-  
-  if (!followerId) {
-    return res.status(401).json({ error: 'User ID required' });
-  }
-  
-  if (followerId === followeeId) {
-    return res.status(400).json({ error: 'Cannot follow yourself' });
-  }
-  
-  // Check if users exist
-  const follower = getUserById(followerId);
-  const followee = getUserById(followeeId);
-  
-  if (!follower) {
-    return res.status(404).json({ error: 'Follower not found' });
-  }
-  
-  if (!followee) {
-    return res.status(404).json({ error: 'User to follow not found' });
-  }
-  
-  // Toggle follow relationship
-  const isNowFollowing = toggleFollow(followerId, followeeId);
-  saveFollowsStorage();
-  
-  // Update follower/following counts
-  const followerCount = getFollowerCount(followeeId);
-  const followingCount = getFollowingCount(followerId);
-  
-  // Update followee's follower count
-  if (followee) {
-    followee.followers_count = followerCount;
-    const emailKey = followee.email?.toLowerCase();
-    if (emailKey && usersStorage.has(emailKey)) {
-      usersStorage.set(emailKey, followee);
-      saveUsersStorage();
-    }
-  }
-  
-  // Update follower's following count
-  if (follower) {
-    follower.following_count = followingCount;
-    const emailKey = follower.email?.toLowerCase();
-    if (emailKey && usersStorage.has(emailKey)) {
-      usersStorage.set(emailKey, follower);
-      saveUsersStorage();
-    }
-  }
-  
-  res.json({
-    is_following: isNowFollowing,
-    followers_count: followerCount,
-    following_count: followingCount
-  });
-});
+app.post(['/api/users/:id/follow', '/api/users/:id/unfollow'], coreRoute('Failed to update follow status', async (req) =>
+  api.toggleFollow(req.params.id, (await requestUser(req))?.id)));
 
 // GET /api/users/:id/follow-status - Check if current user follows this user
-app.get('/api/users/:id/follow-status', (req, res) => {
-  const followeeId = req.params.id;
-  const followerId = req.query.user_id;
-  
-  if (!followerId) {
-    return res.json({ is_following: false });
-  }
-  
-  const isFollowingUser = isFollowing(followerId, followeeId);
-  res.json({ is_following: isFollowingUser });
-});
+app.get('/api/users/:id/follow-status', coreRoute('Failed to check follow status', (req) =>
+  api.followStatus(req.params.id, req.query.user_id)));
 
 // GET /api/users/:id - Get single user by ID
 app.get('/api/users/:id', (req, res) => {
@@ -1187,8 +881,7 @@ app.get('/api/users/:id', (req, res) => {
           user.avatar_url = currentAvatarUrl;
           user.profile_image = currentAvatarUrl;
           user.profile_image_url = currentAvatarUrl;
-          user.updated_at = new Date().toISOString();
-          saveUsersStorage();
+          updateUser(userId, { avatar_url: currentAvatarUrl, profile_image: currentAvatarUrl, profile_image_url: currentAvatarUrl });
         }
         foundProfilePic = true;
         break;
@@ -1232,7 +925,7 @@ app.get('/api/users/:id', (req, res) => {
     }
   }
   
-  res.json(user);
+  res.json(core.publicUser(user));
 });
 
 // POST /api/users/:id/profile-picture - Upload profile picture
@@ -1268,25 +961,8 @@ app.post('/api/users/:id/profile-picture', profileUpload.single('profilePicture'
     console.log(`⚠️  Fallback to local storage: ${avatarUrl}`);
   }
   
-  // Update user in storage
-  let user = getUserById(userId);
-  if (user) {
-    user.avatar_url = avatarUrl;
-    user.profile_image = avatarUrl;
-    user.updated_at = new Date().toISOString();
-    saveUsersStorage();
-  } else {
-    // Find user by email key and update
-    for (const [key, storedUser] of usersStorage.entries()) {
-      if (storedUser.id === userId) {
-        storedUser.avatar_url = avatarUrl;
-        storedUser.profile_image = avatarUrl;
-        storedUser.updated_at = new Date().toISOString();
-        saveUsersStorage();
-        break;
-      }
-    }
-  }
+  // Update user in the database
+  updateUser(userId, { avatar_url: avatarUrl, profile_image: avatarUrl, profile_image_url: avatarUrl });
   
   res.json({
     success: true,
@@ -1303,7 +979,7 @@ app.post('/api/users/:id/profile-picture', profileUpload.single('profilePicture'
 
 // PUT /api/users/:id/profile - Update user profile
 // POST /api/users/:id/password - Change user password
-app.post('/api/users/:id/password', (req, res) => {
+app.post('/api/users/:id/password', async (req, res) => {
   const userId = req.params.id;
   const { oldPassword, newPassword } = req.body;
   
@@ -1315,9 +991,6 @@ app.post('/api/users/:id/password', (req, res) => {
     return res.status(400).json({ error: 'New password must be at least 6 characters long' });
   }
   
-  // Reload users to ensure fresh data
-  loadUsersStorage();
-  
   // Find user by ID
   const user = getUserById(userId);
   
@@ -1325,11 +998,10 @@ app.post('/api/users/:id/password', (req, res) => {
     return res.status(404).json({ error: 'User not found' });
   }
   
-  // Check if old password matches
-  // Note: In a real app, passwords should be hashed. For now, we'll check against stored password
+  // Check if old password matches (hashed, or plaintext on accounts that haven't logged in since)
   // If user doesn't have a password set (old accounts), we need to handle this
   if (user.password) {
-    if (user.password !== oldPassword) {
+    if (!(await passwords.verifyPassword(oldPassword, user.password))) {
       return res.status(401).json({ error: 'Current password is incorrect' });
     }
   } else {
@@ -1340,40 +1012,17 @@ app.post('/api/users/:id/password', (req, res) => {
   }
   
   // Check if new password is the same as current password
-  if (user.password === newPassword) {
+  if (await matchesAnyPassword(newPassword, [user.password])) {
     return res.status(400).json({ error: 'You are trying to use your current password. Please choose a different password.' });
   }
   
   // Check password history to prevent reuse
-  // Initialize password_history if it doesn't exist
-  if (!user.password_history) {
-    user.password_history = [];
-  }
-  
-  // Check if new password was used before
-  if (user.password_history.includes(newPassword)) {
+  if (await matchesAnyPassword(newPassword, recentPasswords(userId))) {
     return res.status(400).json({ error: 'You are trying to use a recently changed password. Please choose a different password.' });
   }
   
-  // Add current password to history (before updating)
-  if (user.password) {
-    user.password_history.push(user.password);
-    // Keep only last 5 passwords in history (for security and storage efficiency)
-    if (user.password_history.length > 5) {
-      user.password_history = user.password_history.slice(-5);
-    }
-  }
-  
-  // Update password
-  user.password = newPassword;
-  user.updated_at = new Date().toISOString();
-  
-  // Save to storage
-  const emailKey = user.email?.toLowerCase();
-  if (emailKey) {
-    usersStorage.set(emailKey, user);
-    saveUsersStorage();
-  }
+  // Update password (the current one goes into the history)
+  setPassword(user, await passwords.hashPassword(newPassword));
   
   res.json({ 
     success: true, 
@@ -1385,64 +1034,31 @@ app.put('/api/users/:id/profile', (req, res) => {
   const userId = req.params.id;
   const { bio, location, name, username } = req.body;
   
-  // Get user from storage
-  let user = getUserById(userId);
+  if (!getUserById(userId)) {
+    return res.status(404).json({ error: 'User not found' });
+  }
   
-  if (user) {
-    // Update user profile
-    if (bio !== undefined) user.bio = bio;
-    if (location !== undefined) user.location = location;
-    if (name !== undefined) user.name = name;
-    if (username !== undefined) user.username = username;
-    user.updated_at = new Date().toISOString();
-    saveUsersStorage();
-    
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      user: user
-    });
-  } else {
-    // User not found, create new entry
-    const baseUrl = req.protocol + '://' + req.get('host');
-    let avatarUrl = null;
-    const possibleExtensions = ['.jpg', '.png', '.gif', '.webp'];
-    for (const ext of possibleExtensions) {
-      const profilePicPath = path.join(PROFILES_DIR, `${userId}${ext}`);
-      if (fs.existsSync(profilePicPath)) {
-        avatarUrl = `${baseUrl}/uploads/profiles/${userId}${ext}`;
-        break;
-      }
+  // Usernames are unique regardless of case
+  if (username !== undefined) {
+    const taken = db.prepare('SELECT 1 FROM users WHERE LOWER(username) = ? AND id != ?').get(String(username).toLowerCase(), userId);
+    if (taken) {
+      return res.status(409).json({ error: 'This username is already taken. Please choose a different username.' });
     }
-    
-    user = {
-      id: userId,
-      username: username || 'user',
-      name: name || 'User',
-      email: `${userId}@example.com`,
-      bio: bio || null,
-      location: location || null,
-      avatar_url: avatarUrl,
-      profile_image: avatarUrl,
-      followers_count: 0,
-      following_count: 0,
-      tracks_count: 0,
-      verified: false,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    
-    // Try to find by email key, otherwise create new entry
-    const emailKey = user.email.toLowerCase();
-    usersStorage.set(emailKey, user);
-    saveUsersStorage();
-    
-    res.json({
-      success: true,
-      message: 'Profile updated successfully',
-      user: user
-    });
   }
+  
+  // Update user profile
+  const fields = {};
+  if (bio !== undefined) fields.bio = bio;
+  if (location !== undefined) fields.location = location;
+  if (name !== undefined) fields.name = name;
+  if (username !== undefined) fields.username = username;
+  updateUser(userId, fields);
+  
+  res.json({
+    success: true,
+    message: 'Profile updated successfully',
+    user: core.publicUser(getUserById(userId))
+  });
 });
 
 // GET /api/users/:id/notifications
@@ -1450,37 +1066,66 @@ app.get('/api/users/:id/notifications', (req, res) => {
   res.json([]);
 });
 
-// Messages storage
-let messagesStorage = [];
+// Messages live in the D1 tables: conversation id is the two user ids sorted and joined with '_'
+const conversationId = (userId1, userId2) => [userId1, userId2].sort().join('_');
+
+// Message row -> the shape this API has always returned
+const messageView = (row) => ({
+  id: row.id,
+  sender_id: row.sender_id,
+  recipient_id: row.receiver_id,
+  content: row.text,
+  created_at: row.created_at,
+  read: row.read === 1
+});
 
-// Load messages from file
-function loadMessagesStorage() {
-  try {
-    if (fs.existsSync(MESSAGES_STORAGE_FILE)) {
-      const data = fs.readFileSync(MESSAGES_STORAGE_FILE, 'utf8');
-      messagesStorage = JSON.parse(data);
-      console.log(`Loaded ${messagesStorage.length} messages from storage`);
-    }
-  } catch (error) {
-    console.error('Error loading messages storage:', error);
-    messagesStorage = [];
-  }
+// Push an inbox event to these users' open sockets (no-op before the server is listening)
+function publishToInbox(userIds, type, fields) {
+  if (inbox) inbox.publish(userIds, inboxProtocol.inboxEvent(type, fields));
 }
 
-// Save messages to file
-function saveMessagesStorage() {
-  try {
-    fs.writeFileSync(MESSAGES_STORAGE_FILE, JSON.stringify(messagesStorage, null, 2), 'utf8');
-  } catch (error) {
-    console.error('Error saving messages storage:', error);
-  }
+// Ids of the user's most recent conversation partners (presence and typing go to them)
+function conversationPartners(userId) {
+  return db.prepare(`
+    SELECT CASE WHEN participant1_id = ? THEN participant2_id ELSE participant1_id END
+    FROM conversations
+    WHERE participant1_id = ? OR participant2_id = ?
+    ORDER BY last_message_at DESC
+    LIMIT ?
+  `).pluck().all(userId, userId, userId, inboxProtocol.PRESENCE_FANOUT_LIMIT).filter(Boolean);
 }
 
-// Load messages on startup
-loadMessagesStorage();
+// Record that the user was just active
+function markSeen(userId) {
+  db.prepare("UPDATE users SET last_seen = datetime('now') WHERE id = ?").run(userId);
+}
+
+// POST /api/users/:id/online - Heartbeat from clients without an inbox socket
+app.post('/api/users/:id/online', (req, res) => {
+  markSeen(req.params.id);
+  res.json({ success: true, last_seen: new Date().toISOString() });
+});
+
+// GET /api/users/:id/online - Online with an open inbox socket or a heartbeat in the last 5 minutes
+app.get('/api/users/:id/online', (req, res) => {
+  const user = db.prepare(`
+    SELECT last_seen, CAST((julianday('now') - julianday(last_seen)) * 1440 AS INTEGER) AS minutes_ago
+    FROM users WHERE id = ?
+  `).get(req.params.id);
+  
+  if (!user || !user.last_seen) {
+    return res.json({ is_online: false, last_seen: null });
+  }
+  res.json({
+    is_online: Boolean(inbox && inbox.isConnected(req.params.id)) || user.minutes_ago < 5,
+    last_seen: user.last_seen,
+    minutes_ago: user.minutes_ago
+  });
+});
 
 // POST /api/messages - Send a message
-app.post('/api/messages', (req, res) => {
+// (also at /api/conversations/:userId1/:userId2/messages, where inbox.html sends)
+app.post(['/api/messages', '/api/conversations/:userId1/:userId2/messages'], (req, res) => {
   const { sender_id, recipient_id, content } = req.body;
   
   if (!sender_id || !recipient_id || !content) {
@@ -1491,125 +1136,110 @@ app.post('/api/messages', (req, res) => {
     return res.status(400).json({ error: 'Message content cannot be empty' });
   }
   
-  const message = {
-    id: uuidv4(),
-    sender_id,
-    recipient_id,
-    content: content.trim(),
-    created_at: new Date().toISOString(),
-    read: false
-  };
+  const messageId = uuidv4();
+  const convId = conversationId(sender_id, recipient_id);
   
-  messagesStorage.push(message);
-  saveMessagesStorage();
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO conversations (id, participant1_id, participant2_id, created_at, last_message_at)
+      VALUES (?, ?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT(id) DO UPDATE SET last_message_at = datetime('now')
+    `).run(convId, sender_id, recipient_id);
+    db.prepare(`
+      INSERT INTO messages (id, conversation_id, sender_id, receiver_id, text, read, created_at)
+      VALUES (?, ?, ?, ?, ?, 0, datetime('now'))
+    `).run(messageId, convId, sender_id, recipient_id, content.trim());
+  })();
   
+  const message = messageView(db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId));
+  publishToInbox([recipient_id, sender_id], 'message', { message });
   res.status(201).json(message);
 });
 
 // GET /api/conversations/:userId1/:userId2/messages - Get messages between two users
-app.get('/api/conversations/:userId1/:userId2/messages', (req, res) => {
+// (only for the signed-in user, and only when they are one of the two)
+app.get('/api/conversations/:userId1/:userId2/messages', async (req, res) => {
   const { userId1, userId2 } = req.params;
+  const user = await requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
+  if (user.id !== userId1 && user.id !== userId2) {
+    return res.status(403).json({ error: 'Not a participant in this conversation' });
+  }
   
-  const conversationMessages = messagesStorage.filter(msg => 
-    (msg.sender_id === userId1 && msg.recipient_id === userId2) ||
-    (msg.sender_id === userId2 && msg.recipient_id === userId1)
-  ).sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const conversationMessages = db.prepare(`
+    SELECT * FROM messages
+    WHERE (sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?)
+    ORDER BY created_at ASC, rowid ASC
+  `).all(userId1, userId2, userId2, userId1);
   
-  res.json(conversationMessages);
+  res.json(conversationMessages.map(messageView));
 });
 
 // GET /api/users/:id/messages - Get all conversations for a user
 app.get('/api/users/:id/messages', (req, res) => {
   const userId = req.params.id;
   
-  // Get unique conversation partners
-  const conversations = new Map();
-  
-  // First pass: collect all messages and find latest message for each conversation
-  messagesStorage.forEach(msg => {
-    if (msg.sender_id === userId || msg.recipient_id === userId) {
-      const partnerId = msg.sender_id === userId ? msg.recipient_id : msg.sender_id;
-      
-      if (!conversations.has(partnerId)) {
-        // Get partner user info
-        let partnerName = 'User';
-        let partnerAvatar = null;
-        const partnerUser = getUserById(partnerId);
-        if (partnerUser) {
-          partnerName = partnerUser.name || partnerUser.full_name || partnerUser.username || 'User';
-          partnerAvatar = partnerUser.profile_image || partnerUser.avatar_url || partnerUser.profile_image_url || null;
-        }
-        
-        conversations.set(partnerId, {
-          id: partnerId,
-          conversation_id: partnerId,
-          sender_id: msg.sender_id === userId ? partnerId : userId,
-          sender_name: partnerName,
-          sender: {
-            id: partnerId,
-            username: partnerName,
-            profile_image: partnerAvatar
-          },
-          last_message: msg.content,
-          created_at: msg.created_at,
-          updated_at: msg.created_at,
-          hasUnreadMessages: false  // Will be calculated in second pass
-        });
-      } else {
-        const conv = conversations.get(partnerId);
-        if (new Date(msg.created_at) > new Date(conv.updated_at)) {
-          conv.last_message = msg.content;
-          conv.updated_at = msg.created_at;
-        }
-      }
-    }
-  });
-  
-  // Second pass: check if conversation has any unread messages sent TO current user
-  messagesStorage.forEach(msg => {
-    if (msg.sender_id === userId || msg.recipient_id === userId) {
-      const partnerId = msg.sender_id === userId ? msg.recipient_id : msg.sender_id;
-      const conv = conversations.get(partnerId);
-      
-      if (conv) {
-        // If this message was sent TO current user and is unread, mark conversation as unread
-        if (msg.recipient_id === userId && !msg.read) {
-          conv.hasUnreadMessages = true;
-        }
-      }
-    }
+  // One row per conversation partner: latest message, and whether anything sent TO this user is still unread
+  const conversations = db.prepare(`
+    SELECT c.partner_id, MAX(c.created_at) AS updated_at, MIN(c.created_at) AS created_at,
+      (SELECT l.text FROM messages l WHERE l.conversation_id = c.conversation_id
+        ORDER BY l.created_at DESC, l.rowid DESC LIMIT 1) AS last_message,
+      MAX(CASE WHEN c.receiver_id = ? AND c.read = 0 THEN 1 ELSE 0 END) AS has_unread,
+      u.name, u.username, u.profile_image, u.avatar_url, u.profile_image_url
+    FROM (
+      SELECT m.*, CASE WHEN m.sender_id = ? THEN m.receiver_id ELSE m.sender_id END AS partner_id
+      FROM messages m
+      WHERE m.sender_id = ? OR m.receiver_id = ?
+    ) c
+    LEFT JOIN users u ON u.id = c.partner_id
+    GROUP BY c.partner_id
+    ORDER BY MIN(c.created_at) ASC
+  `).all(userId, userId, userId, userId);
+  
+  const result = conversations.map(conv => {
+    const partnerName = conv.name || conv.username || 'User';
+    return {
+      id: conv.partner_id,
+      conversation_id: conv.partner_id,
+      sender_id: conv.partner_id,
+      sender_name: partnerName,
+      sender: {
+        id: conv.partner_id,
+        username: partnerName,
+        profile_image: conv.profile_image || conv.avatar_url || conv.profile_image_url || null
+      },
+      last_message: conv.last_message,
+      created_at: conv.created_at,
+      updated_at: conv.updated_at,
+      hasUnreadMessages: conv.has_unread === 1,
+      read: conv.has_unread !== 1
+    };
   });
   
-  // Convert hasUnreadMessages to read status (read = !hasUnreadMessages)
-  const result = Array.from(conversations.values()).map(conv => ({
-    ...conv,
-    read: !conv.hasUnreadMessages
-  }));
-  
   res.json(result);
 });
 
 // PUT /api/conversations/:userId1/:userId2/messages/read - Mark messages as read
-app.put('/api/conversations/:userId1/:userId2/messages/read', (req, res) => {
-  const { userId1, userId2 } = req.params;
+// (the reader is the signed-in user, who has to be one of the two)
+app.put('/api/conversations/:userId1/:userId2/messages/read', async (req, res) => {
+  const user = await requestUser(req);
+  if (!user) return res.status(401).json({ error: 'Authentication required' });
+  if (user.id !== req.params.userId1 && user.id !== req.params.userId2) {
+    return res.status(403).json({ error: 'Not a participant in this conversation' });
+  }
+  const userId1 = user.id;
+  const userId2 = user.id === req.params.userId1 ? req.params.userId2 : req.params.userId1;
   
   // Mark all messages in this conversation as read for userId1 (the one viewing)
-  let updated = 0;
-  messagesStorage.forEach(msg => {
-    if (
-      ((msg.sender_id === userId2 && msg.recipient_id === userId1) ||
-       (msg.sender_id === userId1 && msg.recipient_id === userId2)) &&
-      !msg.read
-    ) {
-      msg.read = true;
-      updated++;
-    }
-  });
+  const { changes: updated } = db.prepare(`
+    UPDATE messages SET read = 1
+    WHERE ((sender_id = ? AND receiver_id = ?) OR (sender_id = ? AND receiver_id = ?)) AND read = 0
+  `).run(userId2, userId1, userId1, userId2);
   
+  // Read receipt for the sender (and the reader's other tabs)
   if (updated > 0) {
-    saveMessagesStorage();
+    publishToInbox([userId1, userId2], 'read', { conversation_id: conversationId(userId1, userId2), reader_id: userId1 });
   }
-  
   res.json({ success: true, updated });
 });
 
@@ -1624,211 +1254,32 @@ app.post('/api/notifications/:id/read', (req, res) => {
 });
 
 // POST /api/auth/signup - User registration
-app.post('/api/auth/signup', (req, res) => {
-  const { username, email, password } = req.body;
-  
-  // Basic validation
-  if (!username || !email || !password) {
-    return res.status(400).json({ error: 'Username, email, and password are required' });
-  }
-  
-  if (password.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters' });
-  }
+app.post('/api/auth/signup', coreRoute('Signup failed', async (req) => {
+  const created = await api.signup(req.body || {});
+  if (!created.user) return created;
   
-  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
-    return res.status(400).json({ error: 'Invalid email format' });
-  }
-  
-  // Check if user already exists by email
-  const userIdKey = email.toLowerCase();
-  let user = getUserByEmailKey(userIdKey);
-  
-  if (user) {
-    // User with this email already exists - return error
-    return res.status(409).json({ 
-      error: 'An account with this email already exists. Please use a different email or try logging in.' 
-    });
-  }
-  
-  // Check if username is already taken by another user
-  for (const existingUser of usersStorage.values()) {
-    if (existingUser.username && existingUser.username.toLowerCase() === username.toLowerCase() && 
-        existingUser.email.toLowerCase() !== email.toLowerCase()) {
-      return res.status(409).json({ 
-        error: 'This username is already taken. Please choose a different username.' 
-      });
-    }
-  }
-  
-  // Create new user (email and username are both unique)
-  // IMPORTANT: Only store ONCE with email as key - never store by username
-  const userId = uuidv4();
-  const baseUrl = req.protocol + '://' + req.get('host');
-  
-  // Check if profile picture exists
-  let avatarUrl = null;
-  const possibleExtensions = ['.jpg', '.png', '.gif', '.webp'];
-  for (const ext of possibleExtensions) {
-    const profilePicPath = path.join(PROFILES_DIR, `${userId}${ext}`);
-    if (fs.existsSync(profilePicPath)) {
-      avatarUrl = `${baseUrl}/uploads/profiles/${userId}${ext}`;
-      break;
+  console.log(`[SIGNUP] Account created: email=${created.user.email}, username=${created.user.username}`);
+  return {
+    status: created.status,
+    body: {
+      ...created.body,
+      message: 'Account created successfully',
+      token: await issueToken(created.user)
     }
-  }
-  
-  user = {
-    id: userId,
-    username: username,
-    email: email,
-    password: password, // Store password for password change functionality
-    password_history: [], // Track password history to prevent reuse
-    name: username,
-    bio: null,
-    location: null,
-    avatar_url: avatarUrl,
-    profile_image: avatarUrl,
-    followers_count: 0,
-    following_count: 0,
-    tracks_count: 0,
-    verified: false,
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
   };
-  
-  // Store user ONCE with email as the key (never store by username)
-  console.log(`[SIGNUP] Creating account: email=${email}, username=${username}, key=${userIdKey}`);
-  usersStorage.set(userIdKey, user);
-  saveUsersStorage(); // Save to file
-  console.log(`[SIGNUP] Account created successfully. Total users: ${usersStorage.size}`);
-  
-  // Return success with user data
-  res.status(201).json({
-    success: true,
-    message: 'Account created successfully',
-    user: user,
-    token: `mock_token_${user.id}`
-  });
-});
+}));
 
 // POST /api/auth/login - User login
-app.post('/api/auth/login', (req, res) => {
-  const { identifier, password } = req.body;
-  
-  // Basic validation
-  if (!identifier || !password) {
-    return res.status(400).json({ error: 'Email/username and password are required' });
-  }
-  
-  // Admin login check (same as in login.html)
-  const ADMIN_EMAIL = 'chilafrican@gmail.com';
-  const ADMIN_PASSWORD = 'Semakulanico1';
-  
-  if (identifier.toLowerCase() === ADMIN_EMAIL.toLowerCase() && password === ADMIN_PASSWORD) {
-    // Use consistent admin user ID
-    const adminUserIdKey = ADMIN_EMAIL.toLowerCase();
-    let adminUser = getUserByEmailKey(adminUserIdKey);
-    
-    if (!adminUser) {
-      const adminUserId = 'admin_' + ADMIN_EMAIL.replace(/[^a-zA-Z0-9]/g, '_');
-      const baseUrl = req.protocol + '://' + req.get('host');
-      
-      // Check if profile picture exists for admin
-      let avatarUrl = null;
-      const possibleExtensions = ['.jpg', '.png', '.gif', '.webp'];
-      for (const ext of possibleExtensions) {
-        const profilePicPath = path.join(PROFILES_DIR, `${adminUserId}${ext}`);
-        if (fs.existsSync(profilePicPath)) {
-          avatarUrl = `${baseUrl}/uploads/profiles/${adminUserId}${ext}`;
-          break;
-        }
-      }
-      
-      adminUser = {
-        id: adminUserId,
-        name: 'Admin',
-        username: 'admin',
-        email: ADMIN_EMAIL,
-        bio: null,
-        location: null,
-        avatar_url: avatarUrl,
-        profile_image: avatarUrl,
-        followers_count: 0,
-        following_count: 0,
-        tracks_count: 0,
-        verified: true,
-        is_admin: true,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      
-      usersStorage.set(adminUserIdKey, adminUser);
-      saveUsersStorage(); // Save to file
-    }
-    
-    return res.json({
-      success: true,
-      message: 'Admin login successful',
-      user: adminUser,
-      token: `admin_token_${Date.now()}`
-    });
-  }
-  
-  // Reload users to ensure fresh data (important after password changes)
-  loadUsersStorage();
-  
-  // For other users, try to find by email or username
-  // First, try to find by email if identifier is an email
-  let user = null;
-  let userIdKey = null;
-  
-  if (identifier.includes('@')) {
-    // Identifier is an email
-    userIdKey = identifier.toLowerCase();
-    user = getUserByEmailKey(userIdKey);
-  } else {
-    // Identifier is a username - search all users to find by username
-    for (const existingUser of usersStorage.values()) {
-      if (existingUser.username && existingUser.username.toLowerCase() === identifier.toLowerCase()) {
-        user = existingUser;
-        userIdKey = existingUser.email.toLowerCase();
-        break;
-      }
-    }
+app.post('/api/auth/login', coreRoute('Login failed', async (req) => {
+  const { identifier, email, password } = req.body || {};
+  if (!(identifier || email) || !password) {
+    return { status: 400, body: { error: 'Email/username and password are required' } };
   }
   
+  // Also upgrades legacy plaintext passwords to a hash on success
+  const user = await api.verifyCredentials(identifier || email, password);
   if (!user) {
-    // User not found - return error (don't auto-create accounts during login)
-    return res.status(401).json({ 
-      error: 'Invalid credentials. Please check your email/username and password, or sign up for a new account.' 
-    });
-  }
-  
-  // Validate password - check current password and password history
-  if (user.password) {
-    // Check if password matches current password
-    if (user.password !== password) {
-      // Check password history if current password doesn't match
-      if (user.password_history && user.password_history.includes(password)) {
-        return res.status(401).json({ 
-          error: 'You are trying to use a recently changed password. Please use your current password or reset it if you forgot it.' 
-        });
-      }
-      return res.status(401).json({ 
-        error: 'Invalid credentials. Please check your email/username and password.' 
-      });
-    }
-  } else {
-    // User doesn't have a password set (old account)
-    // Allow login but note this
-    console.log(`[LOGIN] User ${user.email} logged in without password (old account)`);
-  }
-  
-  // If user doesn't have a password set (old account), allow login
-  // But we should encourage them to set a password
-  if (!user.password) {
-    // Old account without password - allow login but note this
-    console.log(`[LOGIN] User ${user.email} logged in without password (old account)`);
+    return { status: 401, body: { error: 'Invalid credentials' } };
   }
   
   // Update avatar URL if profile picture exists but not in user data
@@ -1840,20 +1291,22 @@ app.post('/api/auth/login', (req, res) => {
       if (fs.existsSync(profilePicPath)) {
         user.avatar_url = `${baseUrl}/uploads/profiles/${user.id}${ext}`;
         user.profile_image = user.avatar_url;
-        user.updated_at = new Date().toISOString();
-        saveUsersStorage();
+        updateUser(user.id, { avatar_url: user.avatar_url, profile_image: user.profile_image });
         break;
       }
     }
   }
   
-  res.json({
-    success: true,
-    message: 'Login successful',
-    user: user,
-    token: `mock_token_${user.id}`
-  });
-});
+  return {
+    status: 200,
+    body: {
+      success: true,
+      message: 'Login successful',
+      user: core.publicUser(user),
+      token: await issueToken(user)
+    }
+  };
+}));
 
 // POST /api/auth/forgot-password - Request password reset
 app.post('/api/auth/forgot-password', (req, res) => {
@@ -1863,23 +1316,15 @@ app.post('/api/auth/forgot-password', (req, res) => {
     return res.status(400).json({ error: 'Email or username is required' });
   }
   
-  // Reload users to ensure fresh data
-  loadUsersStorage();
-  
   // Find user by email or username
   let user = null;
   
   if (identifier.includes('@')) {
     // Identifier is an email
-    user = getUserByEmailKey(identifier.toLowerCase());
+    user = getUserByEmail(identifier);
   } else {
-    // Identifier is a username - search all users
-    for (const existingUser of usersStorage.values()) {
-      if (existingUser.username && existingUser.username.toLowerCase() === identifier.toLowerCase()) {
-        user = existingUser;
-        break;
-      }
-    }
+    // Identifier is a username
+    user = db.prepare('SELECT * FROM users WHERE LOWER(username) = ?').get(identifier.toLowerCase().trim()) || null;
   }
   
   if (!user) {
@@ -1892,19 +1337,15 @@ app.post('/api/auth/forgot-password', (req, res) => {
   
   // Generate reset token (in production, this would be a secure token sent via email)
   const resetToken = uuidv4();
-  const resetTokenExpiry = new Date(Date.now() + 3600000); // 1 hour from now
   
-  // Store reset token in user object
-  user.reset_token = resetToken;
-  user.reset_token_expiry = resetTokenExpiry.toISOString();
-  user.updated_at = new Date().toISOString();
-  
-  // Save to storage
-  const emailKey = user.email?.toLowerCase();
-  if (emailKey) {
-    usersStorage.set(emailKey, user);
-    saveUsersStorage();
-  }
+  // Only the newest link stays valid; it expires in 1 hour
+  db.transaction(() => {
+    db.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL').run(user.id);
+    db.prepare(`
+      INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at, requested_ip, created_at)
+      VALUES (?, ?, ?, datetime('now', '+60 minutes'), ?, datetime('now'))
+    `).run(uuidv4(), user.id, hashToken(resetToken), req.ip || null);
+  })();
   
   // Generate reset link
   const resetLink = `${req.protocol}://${req.get('host')}/reset-password.html?token=${resetToken}`;
@@ -1949,7 +1390,7 @@ app.post('/api/auth/forgot-password', (req, res) => {
 });
 
 // POST /api/auth/reset-password - Reset password with token
-app.post('/api/auth/reset-password', (req, res) => {
+app.post('/api/auth/reset-password', async (req, res) => {
   const { token, newPassword } = req.body;
   
   if (!token || !newPassword) {
@@ -1960,62 +1401,42 @@ app.post('/api/auth/reset-password', (req, res) => {
     return res.status(400).json({ error: 'Password must be at least 6 characters long' });
   }
   
-  // Reload users to ensure fresh data
-  loadUsersStorage();
-  
   // Find user by reset token
-  let user = null;
-  for (const existingUser of usersStorage.values()) {
-    if (existingUser.reset_token === token) {
-      // Check if token is still valid
-      if (existingUser.reset_token_expiry) {
-        const expiryDate = new Date(existingUser.reset_token_expiry);
-        if (expiryDate < new Date()) {
-          return res.status(400).json({ error: 'Reset token has expired. Please request a new one.' });
-        }
-      }
-      user = existingUser;
-      break;
-    }
-  }
+  const resetRow = db.prepare(`
+    SELECT id, user_id, expires_at > datetime('now') AS valid FROM password_reset_tokens
+    WHERE token_hash = ? AND used_at IS NULL
+  `).get(hashToken(token));
+  const user = resetRow && getUserById(resetRow.user_id);
   
   if (!user) {
     return res.status(400).json({ error: 'Invalid or expired reset token. Please request a new password reset.' });
   }
+  // Check if token is still valid
+  if (!resetRow.valid) {
+    return res.status(400).json({ error: 'Reset token has expired. Please request a new one.' });
+  }
   
   // Check if new password is the same as current password
-  if (user.password === newPassword) {
+  if (await matchesAnyPassword(newPassword, [user.password])) {
     return res.status(400).json({ error: 'New password must be different from your current password' });
   }
   
   // Check password history
-  if (!user.password_history) {
-    user.password_history = [];
-  }
-  
-  if (user.password_history.includes(newPassword)) {
+  if (await matchesAnyPassword(newPassword, recentPasswords(user.id))) {
     return res.status(400).json({ error: 'You are trying to use a recently changed password. Please choose a different password.' });
   }
   
-  // Add current password to history
-  if (user.password) {
-    user.password_history.push(user.password);
-    if (user.password_history.length > 5) {
-      user.password_history = user.password_history.slice(-5);
-    }
-  }
-  
-  // Update password and clear reset token
-  user.password = newPassword;
-  user.reset_token = null;
-  user.reset_token_expiry = null;
-  user.updated_at = new Date().toISOString();
-  
-  // Save to storage
-  const emailKey = user.email?.toLowerCase();
-  if (emailKey) {
-    usersStorage.set(emailKey, user);
-    saveUsersStorage();
+  // Update password and use up the reset token (a concurrent request using it gets nothing)
+  const passwordHash = await passwords.hashPassword(newPassword);
+  const claimed = db.transaction(() => {
+    const claim = db.prepare("UPDATE password_reset_tokens SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL")
+      .run(resetRow.id);
+    if (claim.changes === 0) return false;
+    setPassword(getUserById(user.id), passwordHash);
+    return true;
+  })();
+  if (!claimed) {
+    return res.status(400).json({ error: 'This reset link has already been used' });
   }
   
   res.json({
@@ -2045,7 +1466,7 @@ app.get('/auth/google/callback',
       return `${frontendUrl}/login.html?error=google_auth_failed`;
     })()
   }),
-  (req, res) => {
+  async (req, res) => {
     // User is authenticated, redirect to frontend with token
     const user = req.user;
     
@@ -2055,7 +1476,7 @@ app.get('/auth/google/callback',
     }
     
     // Generate auth token
-    const authToken = 'google_token_' + Date.now() + '_' + uuidv4();
+    const authToken = await issueToken(user);
     
     // Redirect to frontend with token
     const frontendBaseUrl = process.env.FRONTEND_URL || 'http://localhost:8000';
@@ -2066,7 +1487,7 @@ app.get('/auth/google/callback',
       `user_name=${encodeURIComponent(user.name)}&` +
       `username=${encodeURIComponent(user.username)}&` +
       `user_email=${encodeURIComponent(user.email)}&` +
-      `is_admin=${user.is_admin || false}`;
+      `is_admin=${userRoles(user.id).includes('admin')}`;
     
     console.log(`[GOOGLE OAUTH] Redirecting user ${user.email} to frontend`);
     res.redirect(frontendUrl);
@@ -2090,10 +1511,20 @@ app.get('/auth/logout', (req, res) => {
   });
 });
 
-// GET /api/admin/stats - Get admin statistics (admin only)
-app.get('/api/admin/stats', (req, res) => {
-  // In production, verify admin authentication here
-  // For now, we'll allow access (you should add proper auth check)
+// Everything under /api/admin/ needs a staff role (admin:access), on top of each route's own permission
+app.use('/api/admin', requirePermission('admin:access'));
+
+// GET /api/admin/stats - Get admin statistics (stats:read)
+app.get('/api/admin/stats', requirePermission('stats:read'), (req, res) => {
+  const totals = db.prepare(`
+    SELECT COALESCE(SUM(visits), 0) AS total, COUNT(DISTINCT visitor_id) AS unique_visitors, MAX(last_visit_at) AS last_visit_at
+    FROM site_visits
+  `).get();
+  const mastering = db.prepare('SELECT tracks_mastered, last_updated FROM mastering_stats LIMIT 1').get();
+  const days = new Map(db.prepare(`
+    SELECT day, SUM(visits) AS total, COUNT(*) AS unique_visitors FROM site_visits
+    WHERE day >= date('now', '-29 days') GROUP BY day
+  `).all().map(row => [row.day, row]));
   
   // Get last 30 days of visitor data
   const last30Days = {};
@@ -2102,19 +1533,20 @@ app.get('/api/admin/stats', (req, res) => {
     const date = new Date(today);
     date.setDate(date.getDate() - i);
     const dateStr = date.toISOString().split('T')[0];
-    const dayData = statsStorage.visitorsByDate[dateStr] || { total: 0, unique: [] };
+    const dayData = days.get(dateStr);
     last30Days[dateStr] = {
-      total: dayData.total,
-      unique: Array.isArray(dayData.unique) ? dayData.unique.length : 0
+      total: dayData?.total || 0,
+      unique: dayData?.unique_visitors || 0
     };
   }
   
+  const lastUpdated = [totals.last_visit_at, mastering?.last_updated].filter(Boolean).sort().pop();
   res.json({
-    totalVisitors: statsStorage.totalVisitors,
-    uniqueVisitors: statsStorage.uniqueVisitors.length,
+    totalVisitors: totals.total,
+    uniqueVisitors: totals.unique_visitors,
     visitorsByDate: last30Days,
-    tracksMastered: statsStorage.tracksMastered,
-    lastUpdated: statsStorage.lastUpdated
+    tracksMastered: mastering?.tracks_mastered || 0,
+    lastUpdated: lastUpdated || new Date().toISOString()
   });
 });
 
@@ -2172,9 +1604,10 @@ app.post('/api/violations/check', (req, res) => {
 // Health check
 // GET /api/stats - Get usage statistics
 app.get('/api/stats', (req, res) => {
+  const stats = db.prepare('SELECT tracks_mastered, last_updated FROM mastering_stats LIMIT 1').get();
   res.json({
-    tracksMastered: statsStorage.tracksMastered || 0,
-    lastUpdated: statsStorage.lastUpdated || new Date().toISOString()
+    tracksMastered: stats?.tracks_mastered || 0,
+    lastUpdated: stats?.last_updated || new Date().toISOString()
   });
 });
 
@@ -2751,8 +2184,7 @@ app.post('/api/quick-master', masteringUpload.single('audio'), async (req, res)
       fs.unlink(req.file.path, () => {});
       
       // Increment stats
-      statsStorage.tracksMastered++;
-      saveStatsStorage();
+      db.prepare("UPDATE mastering_stats SET tracks_mastered = tracks_mastered + 1, last_updated = datetime('now')").run();
       
       // Mark as complete
       masteringProgress.set(id, {
@@ -2915,22 +2347,13 @@ app.post('/api/restart', async (req, res) => {
   }
 });
 
-// DELETE /api/admin/users/:id - Remove user account (admin only)
-app.delete('/api/admin/users/:id', (req, res) => {
+// DELETE /api/admin/users/:id - Remove user account (users:manage)
+app.delete('/api/admin/users/:id', requirePermission('users:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
     
     // Find user by ID
-    let userToRemove = null;
-    let userKey = null;
-    
-    for (const [key, user] of usersStorage.entries()) {
-      if (user && user.id === userId) {
-        userToRemove = user;
-        userKey = key;
-        break;
-      }
-    }
+    const userToRemove = getUserById(userId);
     
     if (!userToRemove) {
       return res.status(404).json({ 
@@ -2939,22 +2362,19 @@ app.delete('/api/admin/users/:id', (req, res) => {
       });
     }
     
+    if (userRoles(userId).includes('admin')) {
+      return res.status(403).json({ error: 'Cannot delete admin accounts' });
+    }
+    
     // Check for associated tracks
-    const tracksToRemove = tracksStorage.filter(track => 
-      track.artist_id === userId || 
-      track.user_id === userId ||
-      track.creator_id === userId
-    );
+    const associatedTracks = db.prepare('SELECT COUNT(*) FROM tracks WHERE artist_id = ?').pluck().get(userId);
     
     // Create backup
-    const backupFile = USERS_STORAGE_FILE + '.backup.' + Date.now();
-    if (fs.existsSync(USERS_STORAGE_FILE)) {
-      fs.copyFileSync(USERS_STORAGE_FILE, backupFile);
-    }
+    const backupFile = DATABASE_FILE + '.backup.' + Date.now();
+    await db.backup(backupFile);
     
-    // Remove user
-    usersStorage.delete(userKey);
-    saveUsersStorage();
+    // Remove the user with their tracks, comments, likes, follows and the rest
+    deleteUserRows(userId);
     
     res.json({
       success: true,
@@ -2964,7 +2384,7 @@ app.delete('/api/admin/users/:id', (req, res) => {
         username: userToRemove.username,
         email: userToRemove.email
       },
-      associatedTracks: tracksToRemove.length,
+      associatedTracks,
       backupFile: path.basename(backupFile)
     });
   } catch (error) {
@@ -2976,120 +2396,45 @@ app.delete('/api/admin/users/:id', (req, res) => {
   }
 });
 
-// POST /api/admin/remove-duplicates - Remove duplicate user accounts
-app.post('/api/admin/remove-duplicates', (req, res) => {
+// POST /api/admin/remove-duplicates - Remove duplicate user accounts (users:manage)
+// Emails and usernames are unique, but only case-sensitively; this keeps the oldest account per
+// case-insensitive email/username and removes the rest
+app.post('/api/admin/remove-duplicates', requirePermission('users:manage'), async (req, res) => {
   try {
-    // Load users
-    let users = {};
-    if (fs.existsSync(USERS_STORAGE_FILE)) {
-      const data = fs.readFileSync(USERS_STORAGE_FILE, 'utf8');
-      users = JSON.parse(data);
-    }
-    
-    // Group users by email (case-insensitive)
-    const usersByEmail = {};
-    const duplicates = [];
-    
-    for (const [key, user] of Object.entries(users)) {
-      if (!user || !user.email) continue;
-      
-      const emailKey = user.email.toLowerCase();
-      
-      if (!usersByEmail[emailKey]) {
-        usersByEmail[emailKey] = [];
-      }
-      
-      usersByEmail[emailKey].push({ key, user });
-    }
-    
-    // Find and remove duplicates
-    let removedCount = 0;
-    const removedKeys = [];
-    
-    for (const [email, userList] of Object.entries(usersByEmail)) {
-      if (userList.length > 1) {
-        // Sort by created_at (oldest first)
-        userList.sort((a, b) => {
-          const dateA = a.user.created_at ? new Date(a.user.created_at) : new Date(0);
-          const dateB = b.user.created_at ? new Date(b.user.created_at) : new Date(0);
-          return dateA - dateB;
-        });
-        
-        // Keep the first (oldest) account, remove the rest
-        const keep = userList[0];
-        const remove = userList.slice(1);
-        
-        for (const r of remove) {
-          delete users[r.key];
-          removedKeys.push(r.key);
-          removedCount++;
-        }
-        
-        duplicates.push({
-          email,
-          kept: keep.key,
-          removed: remove.map(r => r.key)
-        });
-      }
-    }
-    
-    // Also check for duplicate usernames
-    const usersByUsername = {};
-    
-    for (const [key, user] of Object.entries(users)) {
-      if (!user || !user.username) continue;
-      
-      const usernameKey = user.username.toLowerCase();
-      
-      if (!usersByUsername[usernameKey]) {
-        usersByUsername[usernameKey] = [];
-      }
-      
-      usersByUsername[usernameKey].push({ key, user });
-    }
-    
-    for (const [username, userList] of Object.entries(usersByUsername)) {
-      if (userList.length > 1) {
-        // Sort by created_at (oldest first)
-        userList.sort((a, b) => {
-          const dateA = a.user.created_at ? new Date(a.user.created_at) : new Date(0);
-          const dateB = b.user.created_at ? new Date(b.user.created_at) : new Date(0);
-          return dateA - dateB;
-        });
-        
-        // Keep the first (oldest) account, remove the rest
-        const remove = userList.slice(1);
-        
-        for (const r of remove) {
-          if (users[r.key]) {
-            delete users[r.key];
-            removedKeys.push(r.key);
-            removedCount++;
-          }
-        }
-      }
-    }
+    const duplicates = db.prepare(`
+      SELECT u.id, u.email, u.username,
+        (SELECT o.id FROM users o
+          WHERE o.id != u.id AND (LOWER(o.email) = LOWER(u.email) OR LOWER(o.username) = LOWER(u.username))
+          ORDER BY o.created_at, o.rowid LIMIT 1) AS kept_id
+      FROM users u
+      WHERE EXISTS (
+        SELECT 1 FROM users o
+        WHERE o.id != u.id
+          AND (LOWER(o.email) = LOWER(u.email) OR LOWER(o.username) = LOWER(u.username))
+          AND (o.created_at < u.created_at OR (o.created_at = u.created_at AND o.rowid < u.rowid))
+      )
+    `).all();
     
     // Create backup
-    const backupFile = USERS_STORAGE_FILE + '.backup.' + Date.now();
-    if (fs.existsSync(USERS_STORAGE_FILE)) {
-      fs.copyFileSync(USERS_STORAGE_FILE, backupFile);
+    const backupFile = DATABASE_FILE + '.backup.' + Date.now();
+    if (duplicates.length > 0) {
+      await db.backup(backupFile);
     }
     
-    // Save cleaned users
-    fs.writeFileSync(USERS_STORAGE_FILE, JSON.stringify(users, null, 2), 'utf8');
-    
-    // Reload users storage
-    loadUsersStorage();
+    db.transaction(() => {
+      for (const duplicate of duplicates) {
+        deleteUserRows(duplicate.id);
+      }
+    })();
     
     res.json({
       success: true,
-      message: `Removed ${removedCount} duplicate account(s)`,
-      duplicatesFound: duplicates.length,
-      removedCount,
-      removedKeys,
-      keptCount: Object.keys(users).length,
-      backupFile: path.basename(backupFile)
+      message: `Removed ${duplicates.length} duplicate account(s)`,
+      duplicatesFound: new Set(duplicates.map(duplicate => duplicate.kept_id)).size,
+      removedCount: duplicates.length,
+      removedKeys: duplicates.map(duplicate => duplicate.email),
+      keptCount: db.prepare('SELECT COUNT(*) FROM users').pluck().get(),
+      backupFile: duplicates.length > 0 ? path.basename(backupFile) : null
     });
   } catch (error) {
     console.error('Error removing duplicates:', error);
@@ -3100,8 +2445,30 @@ app.post('/api/admin/remove-duplicates', (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`
+Promise.all([
+  import(pathToFileURL(path.join(CORE_DIR, 'api.mjs')).href),
+  import(pathToFileURL(path.join(CORE_DIR, 'sql-store.mjs')).href),
+  import(pathToFileURL(path.join(CORE_DIR, 'password.mjs')).href),
+  import(pathToFileURL(path.join(CORE_DIR, 'inbox.mjs')).href),
+  import(pathToFileURL(path.join(CORE_DIR, 'jwt.mjs')).href),
+  import(pathToFileURL(path.join(CORE_DIR, 'roles.mjs')).href)
+]).then(([coreModule, sqlStore, passwordModule, inboxModule, jwtModule, rolesModule]) => {
+  core = coreModule;
+  passwords = passwordModule;
+  inboxProtocol = inboxModule;
+  jwt = jwtModule;
+  roles = rolesModule;
+  api = core.createApiCore(sqlStore.createSqlStore(d1Database(db)));
+  startServer();
+}).catch((error) => {
+  console.error(`❌ Could not load the shared API core from ${CORE_DIR}:`, error);
+  process.exit(1);
+});
+
+// Called once the shared API core is loaded
+function startServer() {
+  const server = app.listen(PORT, () => {
+    console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║   Audio City Local API Server                        ║
 ║   Running on: http://localhost:${PORT}                ║
@@ -3115,7 +2482,15 @@ app.listen(PORT, () => {
 ║   • POST /api/violations/check                       ║
 ║   • POST /api/quick-master                           ║
 ║   • GET /api/health                                  ║
+║   • WS  /api/inbox/socket                            ║
 ╚═══════════════════════════════════════════════════════╝
-  `);
-});
-
+    `);
+  });
+  
+  inbox = attachInboxSocket(server, {
+    protocol: inboxProtocol,
+    authenticate: socketUser,
+    partnersOf: conversationPartners,
+    markSeen
+  });
+}
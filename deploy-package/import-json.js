@@ -0,0 +1,236 @@
+/**
+ * JSON → SQLite Importer
+ * One-shot move of the old data/*.json files (users, tracks, follows,
+ * messages, stats) into the SQLite database api-server.js now uses.
+ *
+ *   node import-json.js [--data-dir ./data] [--db ./data/audio-city.db]
+ *
+ * Runs in a single transaction and is safe to re-run: rows that already exist
+ * (same id, or a user with the same email/username in any case) are skipped.
+ * The JSON files are left in place - remove them once the import checks out.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { openDatabase, migrate } = require('./sqlite-db');
+
+// Helper: Value of a --flag argument
+const argument = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+const DATA_DIR = path.resolve(argument('--data-dir') || path.join(__dirname, 'data'));
+const DATABASE_FILE = path.resolve(argument('--db') || process.env.DATABASE_FILE || path.join(__dirname, 'data', 'audio-city.db'));
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, '..', 'migrations');
+
+// Helper: Parse one data file (null when missing)
+function readJson(name) {
+  const file = path.join(DATA_DIR, name);
+  if (!fs.existsSync(file)) {
+    console.log(`   (no ${name})`);
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Helper: ISO timestamp -> SQLite datetime ('YYYY-MM-DD HH:MM:SS'), matching datetime('now')
+function sqlTime(value) {
+  const date = value ? new Date(value) : new Date();
+  return (Number.isNaN(date.getTime()) ? new Date() : date).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Helper: Whole number or null (durations and BPMs were stored as strings sometimes)
+const integer = (value) => (Number.isFinite(parseInt(value, 10)) ? parseInt(value, 10) : null);
+
+// Helper: Entries of an array-or-missing field
+const list = (value) => (Array.isArray(value) ? value : []);
+
+console.log('═══════════════════════════════════════════════════════════════');
+console.log('  Audio City JSON → SQLite import');
+console.log('═══════════════════════════════════════════════════════════════');
+console.log(`  From: ${DATA_DIR}`);
+console.log(`  Into: ${DATABASE_FILE}\n`);
+
+const db = openDatabase(DATABASE_FILE);
+const applied = migrate(db, MIGRATIONS_DIR);
+if (applied.length) console.log(`🔧 Applied ${applied.length} migration(s)\n`);
+
+const usersJson = readJson('users.json') || {};
+const tracksJson = readJson('tracks.json') || [];
+const followsJson = readJson('follows.json') || {};
+const messagesJson = readJson('messages.json') || [];
+const statsJson = readJson('stats.json');
+
+const counts = { users: 0, tracks: 0, likes: 0, reposts: 0, comments: 0, commentLikes: 0, follows: 0, messages: 0, visits: 0 };
+const skipped = [];
+
+const userTaken = db.prepare('SELECT id FROM users WHERE id = ? OR LOWER(email) = ? OR LOWER(username) = ?');
+const insertUser = db.prepare(`
+  INSERT INTO users (id, username, email, name, bio, biography, location, avatar_url, profile_image, profile_image_url,
+    password, auth_provider, google_id, verified, is_admin, email_verified, email_verified_at, created_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, datetime('now'), ?, ?)
+`);
+const insertAdminRole = db.prepare("INSERT OR IGNORE INTO user_roles (user_id, role) VALUES (?, 'admin')");
+const insertPasswordHistory = db.prepare('INSERT INTO password_history (id, user_id, password, created_at) VALUES (?, ?, ?, ?)');
+const insertTrack = db.prepare(`
+  INSERT OR IGNORE INTO tracks (id, artist_id, title, description, audio_url, cover_art_url, duration, genre, bpm,
+    views_count, shares_count, plays_count, downloads_count, created_at, updated_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+const insertLike = db.prepare('INSERT OR IGNORE INTO track_likes (id, track_id, user_id) VALUES (?, ?, ?)');
+const insertRepost = db.prepare('INSERT OR IGNORE INTO reposts (id, user_id, track_id) VALUES (?, ?, ?)');
+const insertComment = db.prepare('INSERT OR IGNORE INTO comments (id, track_id, user_id, content, created_at) VALUES (?, ?, ?, ?, ?)');
+const insertCommentLike = db.prepare('INSERT OR IGNORE INTO comment_likes (id, user_id, comment_id) VALUES (?, ?, ?)');
+const insertFollow = db.prepare('INSERT OR IGNORE INTO follows (id, follower_id, followee_id) VALUES (?, ?, ?)');
+const insertConversation = db.prepare(`
+  INSERT INTO conversations (id, participant1_id, participant2_id, created_at, last_message_at) VALUES (?, ?, ?, ?, ?)
+  ON CONFLICT(id) DO UPDATE SET last_message_at = MAX(last_message_at, excluded.last_message_at)
+`);
+const insertMessage = db.prepare(`
+  INSERT OR IGNORE INTO messages (id, conversation_id, sender_id, receiver_id, text, read, created_at)
+  VALUES (?, ?, ?, ?, ?, ?, ?)
+`);
+const insertVisit = db.prepare(`
+  INSERT INTO site_visits (day, visitor_id, visits, last_visit_at) VALUES (?, ?, ?, ?)
+  ON CONFLICT(day, visitor_id) DO UPDATE SET visits = MAX(visits, excluded.visits)
+`);
+
+const runImport = db.transaction(() => {
+  // Users - oldest first, so when two records share an email/username the original account wins
+  const users = Object.values(usersJson)
+    .filter(Boolean)
+    .sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+  for (const user of users) {
+    const email = (user.email || '').trim().toLowerCase();
+    const username = (user.username || '').trim();
+    if (!user.id || !email || !username) {
+      skipped.push(`user ${user.id || email || '?'}: missing id, email or username`);
+      continue;
+    }
+    if (userTaken.get(user.id, email, username.toLowerCase())) {
+      skipped.push(`user ${username} <${email}>: already in the database`);
+      continue;
+    }
+
+    insertUser.run(
+      user.id, username, email, user.name || username, user.bio || null, user.biography || user.bio || null,
+      user.location || null, user.avatar_url || null, user.profile_image || null,
+      user.profile_image_url || user.profile_image || user.avatar_url || null,
+      user.password || null, user.auth_provider || 'local', user.google_id || null,
+      user.verified ? 1 : 0, user.is_admin ? 1 : 0, sqlTime(user.created_at), sqlTime(user.updated_at)
+    );
+    if (user.is_admin) insertAdminRole.run(user.id);
+    // Pending reset tokens are not carried over - users can request a new link
+    for (const oldPassword of list(user.password_history).slice(-5)) {
+      insertPasswordHistory.run(uuidv4(), user.id, oldPassword, sqlTime(user.updated_at));
+    }
+    counts.users++;
+  }
+
+  // Tracks, with their likes, reposts and comments
+  for (const track of tracksJson) {
+    if (!track || !track.id || !track.artist_id || !track.audio_url) {
+      skipped.push(`track ${track?.id || '?'} "${track?.title || ''}": missing id, artist_id or audio_url`);
+      continue;
+    }
+    const inserted = insertTrack.run(
+      track.id, track.artist_id, track.title || 'Untitled', track.description || null, track.audio_url,
+      track.cover_art_url || null, integer(track.duration), track.genre || null, integer(track.bpm),
+      track.views_count || 0, track.shares_count || 0, track.plays_count || 0, track.downloads_count || 0,
+      sqlTime(track.created_at), sqlTime(track.updated_at)
+    );
+    if (inserted.changes === 0) {
+      skipped.push(`track ${track.id}: already in the database`);
+      continue;
+    }
+    counts.tracks++;
+
+    for (const userId of list(track.liked_by)) {
+      counts.likes += insertLike.run(uuidv4(), track.id, String(userId)).changes;
+    }
+    for (const userId of list(track.reposted_by)) {
+      counts.reposts += insertRepost.run(uuidv4(), String(userId), track.id).changes;
+    }
+    for (const comment of list(track.comments)) {
+      const content = comment.content || comment.text;
+      if (!content) continue;
+      const commentId = comment.id || uuidv4();
+      counts.comments += insertComment.run(
+        commentId, track.id, comment.user_id || comment.author_id || null, content, sqlTime(comment.created_at || comment.time)
+      ).changes;
+      for (const userId of list(comment.liked_by)) {
+        counts.commentLikes += insertCommentLike.run(uuidv4(), String(userId), commentId).changes;
+      }
+    }
+  }
+
+  // Follows ("followerId:followeeId": true)
+  for (const [key, following] of Object.entries(followsJson)) {
+    const [followerId, followeeId] = key.split(':');
+    if (!following || !followerId || !followeeId) continue;
+    counts.follows += insertFollow.run(uuidv4(), followerId, followeeId).changes;
+  }
+
+  // Messages - conversation id is the two user ids sorted and joined with '_', as in the worker
+  for (const message of messagesJson) {
+    if (!message || !message.sender_id || !message.recipient_id || !message.content) continue;
+    const [first, second] = [message.sender_id, message.recipient_id].sort();
+    const conversationId = `${first}_${second}`;
+    const sentAt = sqlTime(message.created_at);
+    insertConversation.run(conversationId, first, second, sentAt, sentAt);
+    counts.messages += insertMessage.run(
+      message.id || uuidv4(), conversationId, message.sender_id, message.recipient_id,
+      message.content, message.read ? 1 : 0, sentAt
+    ).changes;
+  }
+
+  // Stats: the mastered counter, and visits per day (per-visitor counts weren't kept,
+  // so each visitor gets one visit and the day's remaining visits go to the first)
+  if (statsJson) {
+    db.prepare('UPDATE mastering_stats SET tracks_mastered = MAX(tracks_mastered, ?), last_updated = datetime(\'now\')')
+      .run(statsJson.tracksMastered || 0);
+    for (const [day, dayStats] of Object.entries(statsJson.visitorsByDate || {})) {
+      const visitors = list(dayStats?.unique);
+      const extra = Math.max((dayStats?.total || 0) - visitors.length, 0);
+      visitors.forEach((visitorId, i) => {
+        insertVisit.run(day, visitorId, i === 0 ? 1 + extra : 1, `${day} 00:00:00`);
+        counts.visits++;
+      });
+    }
+  }
+
+  // Cached counts from the rows just written
+  db.exec(`
+    UPDATE tracks SET
+      likes_count = (SELECT COUNT(*) FROM track_likes l WHERE l.track_id = tracks.id),
+      reposts_count = (SELECT COUNT(*) FROM reposts r WHERE r.track_id = tracks.id);
+    UPDATE comments SET likes = (SELECT COUNT(*) FROM comment_likes l WHERE l.comment_id = comments.id);
+    UPDATE users SET
+      followers_count = (SELECT COUNT(*) FROM follows f WHERE f.followee_id = users.id),
+      following_count = (SELECT COUNT(*) FROM follows f WHERE f.follower_id = users.id),
+      tracks_count = (SELECT COUNT(*) FROM tracks t WHERE t.artist_id = users.id);
+  `);
+});
+
+try {
+  runImport();
+} catch (error) {
+  console.error('\n❌ Import failed, nothing was written:', error.message);
+  process.exit(1);
+}
+
+console.log('\n✅ Import complete');
+console.log(`   Users:         ${counts.users}`);
+console.log(`   Tracks:        ${counts.tracks} (${counts.likes} likes, ${counts.reposts} reposts)`);
+console.log(`   Comments:      ${counts.comments} (${counts.commentLikes} likes)`);
+console.log(`   Follows:       ${counts.follows}`);
+console.log(`   Messages:      ${counts.messages}`);
+console.log(`   Visitor days:  ${counts.visits}`);
+if (skipped.length) {
+  console.log(`\n⚠️  Skipped ${skipped.length} record(s):`);
+  skipped.forEach(reason => console.log(`   - ${reason}`));
+}
+db.close();
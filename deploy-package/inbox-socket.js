@@ -0,0 +1,141 @@
+/**
+ * Inbox Socket
+ * The real-time inbox (protocol: core/inbox.mjs) for api-server.js, on `ws`.
+ * It does what the worker's InboxHub Durable Object does, for a single
+ * process: it keeps every user's open sockets in memory, pushes events to
+ * them, and relays typing and presence to conversation partners.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+// Dead connections (no pong to our ping) are dropped after this long
+const KEEPALIVE_MS = 30 * 1000;
+
+// Close code sent when the access token behind a socket expires
+const TOKEN_EXPIRED_CODE = 4001;
+
+/**
+ * Accept inbox sockets on an HTTP server
+ * @param {http.Server} server - What app.listen() returned
+ * @param {object} options
+ * @param {object} options.protocol - core/inbox.mjs
+ * @param {function} options.authenticate - token -> { id, expiresAt } for a signed access token, or null
+ *   (or a promise of either); the socket is closed when expiresAt (epoch ms) passes
+ * @param {function} options.partnersOf - userId -> ids of the user's recent conversation partners
+ * @param {function} options.markSeen - userId -> void (updates last_seen)
+ * @returns {object} - { publish(userIds, event), isConnected(userId) }
+ */
+function attachInboxSocket(server, { protocol, authenticate, partnersOf, markSeen }) {
+  const { inboxEvent, parseClientEvent, INBOX_SOCKET_PATH, LAST_SEEN_INTERVAL_MS } = protocol;
+  const wss = new WebSocketServer({ noServer: true });
+  const socketsByUser = new Map();
+  const lastSeenWrittenAt = new Map();
+
+  // Push an event (from inboxEvent) to every open socket of these users
+  const publish = (userIds, event) => {
+    for (const userId of new Set(userIds.filter(Boolean))) {
+      for (const ws of socketsByUser.get(userId) || []) {
+        if (ws.readyState === WebSocket.OPEN) ws.send(event);
+      }
+    }
+  };
+
+  const seen = (userId) => {
+    lastSeenWrittenAt.set(userId, Date.now());
+    markSeen(userId);
+  };
+
+  // First socket opened or last socket closed: tell the user's partners
+  const presenceChanged = (userId, online) => {
+    seen(userId);
+    publish(partnersOf(userId), inboxEvent('presence', { user_id: userId, online, last_seen: new Date().toISOString() }));
+  };
+
+  const onMessage = (userId, ws, data, isBinary) => {
+    const event = isBinary ? null : parseClientEvent(data.toString());
+    if (!event) return;
+
+    if (event.type === 'ping') {
+      ws.send(inboxEvent('pong'));
+      if (Date.now() - (lastSeenWrittenAt.get(userId) || 0) > LAST_SEEN_INTERVAL_MS) seen(userId);
+      return;
+    }
+
+    // Typing indicators only go to people the user already talks to
+    if (event.type === 'typing' && partnersOf(userId).includes(event.to)) {
+      publish([event.to], inboxEvent('typing', { user_id: userId, typing: event.typing }));
+    }
+  };
+
+  const onConnection = (ws, userId, expiresAt) => {
+    // A socket is only as good as the token it opened with; the client reconnects with a fresh one
+    const expiry = expiresAt
+      ? setTimeout(() => ws.close(TOKEN_EXPIRED_CODE, 'Token expired'), Math.max(expiresAt - Date.now(), 0))
+      : null;
+    if (expiry) expiry.unref();
+    
+    const sockets = socketsByUser.get(userId) || new Set();
+    socketsByUser.set(userId, sockets);
+    sockets.add(ws);
+    if (sockets.size === 1) presenceChanged(userId, true);
+
+    ws.isAlive = true;
+    ws.on('pong', () => { ws.isAlive = true; });
+    ws.on('message', (data, isBinary) => {
+      try {
+        onMessage(userId, ws, data, isBinary);
+      } catch (error) {
+        console.error('[Inbox] Message handling failed:', error.message);
+      }
+    });
+    ws.on('close', () => {
+      clearTimeout(expiry);
+      sockets.delete(ws);
+      if (sockets.size > 0) return;
+      socketsByUser.delete(userId);
+      lastSeenWrittenAt.delete(userId);
+      presenceChanged(userId, false);
+    });
+    ws.on('error', (error) => console.error('[Inbox] Socket error:', error.message));
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== INBOX_SOCKET_PATH) {
+      socket.destroy();
+      return;
+    }
+    const user = await Promise.resolve(authenticate(url.searchParams.get('token'))).catch((error) => {
+      console.error('[Inbox] Authentication failed:', error.message);
+      return null;
+    });
+    if (!user) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => onConnection(ws, user.id, user.expiresAt));
+  });
+
+  // Ping every socket; terminate the ones that didn't answer the last ping
+  const keepalive = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, KEEPALIVE_MS);
+  keepalive.unref();
+  server.on('close', () => clearInterval(keepalive));
+
+  return {
+    publish,
+    isConnected: (userId) => socketsByUser.has(userId)
+  };
+}
+
+module.exports = {
+  attachInboxSocket,
+};
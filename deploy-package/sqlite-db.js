@@ -0,0 +1,114 @@
+/**
+ * SQLite Database
+ * Embedded storage for api-server.js (better-sqlite3), on the same schema as
+ * the D1 worker: migrate() applies pending migrations/NNNN_name.sql files and
+ * records them in schema_migrations, exactly like ./migrate.sh does for D1.
+ * d1Database() exposes the connection through D1's prepare/bind/first/all/
+ * run/batch API so the shared SQL store (core/sql-store.mjs) runs on it as is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const MIGRATION_FILE = /^(\d{4})_.+\.sql$/;
+
+/**
+ * Open the database file, creating it if needed
+ * @param {string} file - Path to the .db file
+ * @returns {Database} - better-sqlite3 connection
+ */
+function openDatabase(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  // WAL lets requests read while another one writes; wait instead of failing on a locked file
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  return db;
+}
+
+/**
+ * Apply pending schema migrations, each in its own transaction
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} migrationsDir - Folder holding NNNN_name.sql files
+ * @returns {string[]} - Names of the migrations applied
+ */
+function migrate(db, migrationsDir) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').pluck().all());
+  const record = db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+  const files = fs.readdirSync(migrationsDir).filter(file => MIGRATION_FILE.test(file)).sort();
+
+  const ran = [];
+  for (const file of files) {
+    const name = path.basename(file, '.sql');
+    const version = MIGRATION_FILE.exec(file)[1];
+    if (applied.has(version)) continue;
+
+    const sql = fs.readFileSync(path.join(migrationsDir, file), 'utf8');
+    db.transaction(() => {
+      db.exec(sql);
+      record.run(version, name);
+    })();
+    ran.push(name);
+  }
+  return ran;
+}
+
+// Helper: D1 binds booleans as 1/0; better-sqlite3 rejects them
+const bindable = (values) => values.map(value => (typeof value === 'boolean' ? Number(value) : value));
+
+// Helper: Run one statement, returning D1's result shape
+function execute(db, sql, values) {
+  const statement = db.prepare(sql);
+  if (statement.reader) {
+    return { success: true, results: statement.all(...values), meta: { changes: 0 } };
+  }
+  const info = statement.run(...values);
+  return { success: true, results: [], meta: { changes: info.changes, last_row_id: Number(info.lastInsertRowid) } };
+}
+
+/**
+ * Wrap a connection in the subset of the D1 API the shared core uses
+ * @param {Database} db - better-sqlite3 connection
+ * @returns {object} - { prepare(sql), batch(statements) }
+ */
+function d1Database(db) {
+  const statement = (sql, values = []) => ({
+    sql,
+    values,
+    bind: (...args) => statement(sql, bindable(args)),
+    async first(column) {
+      const row = db.prepare(sql).get(...values);
+      if (row === undefined) return null;
+      return column ? row[column] : row;
+    },
+    async all() {
+      return execute(db, sql, values);
+    },
+    async run() {
+      return execute(db, sql, values);
+    }
+  });
+
+  return {
+    prepare: (sql) => statement(sql),
+    // Like D1, a batch runs as one transaction
+    async batch(statements) {
+      return db.transaction(() => statements.map(s => execute(db, s.sql, s.values)))();
+    }
+  };
+}
+
+module.exports = {
+  openDatabase,
+  migrate,
+  d1Database,
+};
@@ -28,10 +28,12 @@ class ModerationIntegration {
   // USER STATUS CHECK
   // ============================================
   
-  checkUserStatus() {
+  async checkUserStatus() {
     const userId = localStorage.getItem('user_id');
     if (!userId) return;
     
+    // Server is the source of truth for strikes; refresh the cache first
+    await this.moderation.syncUserStatus(userId);
     const status = this.moderation.getUserStrikeStatus(userId);
     
     if (status.status !== 'active') {
@@ -255,7 +257,14 @@ class ModerationIntegration {
   // HIDDEN CONTENT
   // ============================================
   
-  checkHiddenContent() {
+  async checkHiddenContent() {
+    // Ask the server which of the items on this page are hidden
+    const idsOf = (attr) => [...document.querySelectorAll(`[${attr}]`)].map(el => el.getAttribute(attr));
+    await Promise.all([
+      this.moderation.syncHiddenContent('comment', idsOf('data-comment-id')),
+      this.moderation.syncHiddenContent('post', idsOf('data-post-id'))
+    ]);
+    
     // Check comments
     document.querySelectorAll('[data-comment-id]').forEach(comment => {
       const commentId = comment.getAttribute('data-comment-id');
@@ -1,12 +1,18 @@
 /**
  * Audio City - Content Moderation System
  * Comprehensive violation detection, reporting, and moderation
+ *
+ * Reports, strikes and hidden content live on the server (/api/moderation/*,
+ * worker/moderation.js). The localStorage keys below are only a cache so the
+ * synchronous checks used by form handlers keep working between syncs.
  */
 
 class ModerationSystem {
   constructor() {
+    this.apiBase = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+      ? 'http://localhost:3002'
+      : 'https://api.audiocity-ug.com';
     this.storageKey = 'audio_city_moderation';
-    this.reportsKey = 'audio_city_reports';
     this.strikesKey = 'audio_city_strikes';
     this.hiddenContentKey = 'audio_city_hidden';
     
@@ -26,9 +32,6 @@ class ModerationSystem {
   }
   
   initStorage() {
-    if (!localStorage.getItem(this.reportsKey)) {
-      localStorage.setItem(this.reportsKey, JSON.stringify({}));
-    }
     if (!localStorage.getItem(this.strikesKey)) {
       localStorage.setItem(this.strikesKey, JSON.stringify({}));
     }
@@ -37,12 +40,87 @@ class ModerationSystem {
     }
   }
   
+  // ============================================
+  // API
+  // ============================================
+  
+  async apiRequest(path, options = {}) {
+    const token = localStorage.getItem('auth_token');
+    const response = await fetch(`${this.apiBase}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+        ...(options.headers || {})
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, status: response.status, data };
+  }
+  
+  /**
+   * Refresh the cached strike status from the server
+   * @param {string} userId - User ID
+   */
+  async syncUserStatus(userId) {
+    if (!userId || !localStorage.getItem('auth_token')) return;
+    try {
+      const { ok, data } = await this.apiRequest(`/api/users/${encodeURIComponent(userId)}/moderation-status`);
+      if (!ok) return;
+      
+      // Store in the same shape addStrike() uses so canUserPerformAction() works offline
+      const strikes = this.getStrikes();
+      const remaining = data.expiresAt ? Date.parse(data.expiresAt) - Date.now() : null;
+      strikes[userId] = {
+        userId,
+        strikes: [],
+        totalStrikes: data.totalStrikes || 0,
+        status: data.status || 'active',
+        lastAction: data.status && data.status !== 'active'
+          ? { type: data.lastAction, status: data.status, duration: remaining }
+          : null,
+        lastActionAt: Date.now(),
+        syncedAt: Date.now()
+      };
+      this.saveStrikes(strikes);
+    } catch (error) {
+      console.warn('Moderation status unavailable:', error.message);
+    }
+  }
+  
+  /**
+   * Refresh the hidden-content cache for a set of items
+   * @param {string} contentType - Content type
+   * @param {Array<string>} contentIds - Content IDs on the page
+   */
+  async syncHiddenContent(contentType, contentIds) {
+    const ids = [...new Set(contentIds.filter(Boolean))].slice(0, 100);
+    if (ids.length === 0) return;
+    try {
+      const query = `type=${encodeURIComponent(contentType)}&ids=${ids.map(encodeURIComponent).join(',')}`;
+      const { ok, data } = await this.apiRequest(`/api/moderation/hidden?${query}`);
+      if (!ok) return;
+      
+      const hiddenIds = new Set(data.hidden || []);
+      ids.forEach(id => {
+        if (hiddenIds.has(id)) {
+          if (!this.isContentHidden(id, contentType)) this.hideContent(id, contentType, 'server');
+        } else if (this.isContentHidden(id, contentType)) {
+          this.unhideContent(id, contentType);
+        }
+      });
+    } catch (error) {
+      console.warn('Hidden content lookup unavailable:', error.message);
+    }
+  }
+  
   // ============================================
   // VIOLATION DETECTION
   // ============================================
   
   /**
    * Detect violations in text content
+   * (worker/moderation.js enforces the same rules server-side - keep them in sync)
    * @param {string} text - Content to check
    * @param {string} type - Type of content (comment, post, bio)
    * @returns {Array} Array of violation objects
@@ -247,73 +325,32 @@ class ModerationSystem {
   // ============================================
   
   /**
-   * Report content
+   * Report content (sent to the server so admins see it)
    * @param {string} contentId - Content ID
    * @param {string} contentType - Type (comment, post, bio, track)
    * @param {string} reason - Report reason
-   * @param {string} reporterId - User ID of reporter
-   * @returns {Object} Report result
+   * @returns {Promise<Object>} Report result
    */
-  reportContent(contentId, contentType, reason, reporterId) {
-    const reports = this.getReports();
-    const reportKey = `${contentType}_${contentId}`;
-    
-    if (!reports[reportKey]) {
-      reports[reportKey] = {
-        contentId,
-        contentType,
-        reports: [],
-        count: 0,
-        createdAt: Date.now(),
-        status: 'pending'
-      };
-    }
-    
-    // Check if user already reported
-    const existingReport = reports[reportKey].reports.find(r => r.reporterId === reporterId);
-    if (existingReport) {
-      return {
-        success: false,
-        message: 'You have already reported this content.'
-      };
-    }
-    
-    // Add report
-    reports[reportKey].reports.push({
-      reporterId,
-      reason,
-      timestamp: Date.now()
-    });
-    
-    reports[reportKey].count = reports[reportKey].reports.length;
-    
-    // Auto-flag if threshold reached
-    if (reports[reportKey].count >= this.AUTO_FLAG_THRESHOLD) {
-      reports[reportKey].status = 'flagged';
-      this.hideContent(contentId, contentType, 'auto-flagged');
-      
+  async reportContent(contentId, contentType, reason) {
+    try {
+      const { ok, status, data } = await this.apiRequest('/api/moderation/reports', {
+        method: 'POST',
+        body: JSON.stringify({ content_id: contentId, content_type: contentType, reason })
+      });
+      if (status === 401) {
+        return { success: false, message: 'Please sign in again to report content.' };
+      }
+      if (ok && data.autoFlagged) this.hideContent(contentId, contentType, 'auto-flagged');
       return {
-        success: true,
-        message: 'Content has been reported and automatically flagged for review.',
-        autoFlagged: true
+        success: ok && !!data.success,
+        message: data.message || data.error || 'Failed to report content.',
+        count: data.count,
+        autoFlagged: data.autoFlagged
       };
+    } catch (error) {
+      console.error('Report failed:', error.message);
+      return { success: false, message: 'Could not send your report. Check your connection and try again.' };
     }
-    
-    this.saveReports(reports);
-    
-    return {
-      success: true,
-      message: 'Content reported successfully. It will be reviewed.',
-      count: reports[reportKey].count
-    };
-  }
-  
-  getReports() {
-    return JSON.parse(localStorage.getItem(this.reportsKey) || '{}');
-  }
-  
-  saveReports(reports) {
-    localStorage.setItem(this.reportsKey, JSON.stringify(reports));
   }
   
   getReportReasons() {
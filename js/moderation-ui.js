@@ -185,13 +185,15 @@ class ModerationUI {
     
     // Submit report
     const submitBtn = modal.querySelector('.submit-report');
-    submitBtn.addEventListener('click', () => {
+    submitBtn.addEventListener('click', async () => {
       if (!selectedReason) {
         this.showMessage('Please select a reason for reporting.', 'error');
         return;
       }
       
-      const result = this.moderation.reportContent(contentId, contentType, selectedReason, reporterId);
+      submitBtn.disabled = true;
+      const result = await this.moderation.reportContent(contentId, contentType, selectedReason);
+      submitBtn.disabled = false;
       
       if (result.success) {
         this.showMessage(result.message, 'success');
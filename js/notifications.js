@@ -0,0 +1,240 @@
+/**
+ * Audio City - Notifications Bell
+ * Header bell with unread badge and dropdown list, backed by
+ * /api/users/:id/notifications (feed.html, discover.html, profile.html)
+ */
+
+class NotificationsBell {
+  constructor() {
+    this.apiBase = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+      ? 'http://localhost:3002'
+      : 'https://api.audiocity-ug.com';
+    this.userId = localStorage.getItem('user_id');
+    this.token = localStorage.getItem('auth_token');
+    this.pollInterval = 60000;
+    this.nextOffset = 0;
+    this.init();
+  }
+
+  init() {
+    // Signed-out visitors don't get a bell
+    if (!this.userId || !this.token) return;
+
+    const anchor = document.getElementById('profileDropdown') || document.getElementById('profileBtn');
+    if (!anchor || !anchor.parentNode) return;
+
+    this.render(anchor);
+    this.refreshCount();
+    this.timer = setInterval(() => {
+      if (!document.hidden) this.refreshCount();
+    }, this.pollInterval);
+  }
+
+  // ============================================
+  // API
+  // ============================================
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiBase}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        ...(options.headers || {})
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Notifications request failed (${response.status})`);
+    }
+    return response.json();
+  }
+
+  async refreshCount() {
+    try {
+      const data = await this.request(`/api/users/${encodeURIComponent(this.userId)}/notifications/unread-count`);
+      this.setCount(data.unread_count || 0);
+    } catch (error) {
+      console.warn('Could not load notification count:', error.message);
+    }
+  }
+
+  async loadPage(reset = false) {
+    if (reset) {
+      this.nextOffset = 0;
+      this.list.innerHTML = '';
+    }
+    if (this.nextOffset === null) return;
+
+    try {
+      const data = await this.request(
+        `/api/users/${encodeURIComponent(this.userId)}/notifications?limit=20&offset=${this.nextOffset}`
+      );
+      this.setCount(data.unread_count || 0);
+      this.nextOffset = data.next_offset;
+      data.notifications.forEach(n => this.list.appendChild(this.renderItem(n)));
+
+      if (!this.list.children.length) {
+        this.list.innerHTML = '<div style="padding: 24px; text-align: center; color: var(--text-secondary, #999); font-size: 14px;">No notifications yet</div>';
+      }
+      this.moreBtn.style.display = this.nextOffset === null ? 'none' : 'block';
+    } catch (error) {
+      console.warn('Could not load notifications:', error.message);
+    }
+  }
+
+  async markRead(notification, item) {
+    if (notification.is_read) return;
+    try {
+      const data = await this.request(`/api/notifications/${encodeURIComponent(notification.id)}/read`, { method: 'POST' });
+      notification.is_read = true;
+      item.style.background = 'transparent';
+      this.setCount(data.unread_count || 0);
+    } catch (error) {
+      console.warn('Could not mark notification read:', error.message);
+    }
+  }
+
+  async markAllRead() {
+    try {
+      await this.request('/api/notifications/read-all', { method: 'POST' });
+      this.setCount(0);
+      this.loadPage(true);
+    } catch (error) {
+      console.warn('Could not mark notifications read:', error.message);
+    }
+  }
+
+  // ============================================
+  // UI
+  // ============================================
+
+  render(anchor) {
+    this.root = document.createElement('div');
+    this.root.className = 'notifications-bell';
+    this.root.style.cssText = 'position: relative; display: flex; align-items: center;';
+    this.root.innerHTML = `
+      <button type="button" class="notifications-toggle" title="Notifications" style="
+        position: relative; width: 40px; height: 40px; border-radius: 50%;
+        background: transparent; border: 1px solid var(--border, rgba(255, 255, 255, 0.1));
+        color: var(--text, #fff); font-size: 18px; cursor: pointer;
+      ">🔔<span class="notifications-badge" style="
+        display: none; position: absolute; top: -4px; right: -4px; min-width: 18px; height: 18px;
+        padding: 0 5px; border-radius: 9px; background: #ef4444; color: white;
+        font-size: 11px; font-weight: 700; line-height: 18px; text-align: center;
+      "></span></button>
+      <div class="notifications-panel" style="
+        display: none; position: absolute; top: 100%; right: 0; margin-top: 8px; width: 340px;
+        max-height: 440px; overflow-y: auto; background: var(--bg-card, #1a1a28);
+        border: 1px solid var(--border, rgba(255, 255, 255, 0.1)); border-radius: 12px;
+        box-shadow: 0 10px 40px rgba(0, 0, 0, 0.4); z-index: 1000;
+      ">
+        <div style="display: flex; justify-content: space-between; align-items: center; padding: 12px 14px; border-bottom: 1px solid var(--border, rgba(255, 255, 255, 0.1));">
+          <strong style="color: var(--text, #fff); font-size: 14px;">Notifications</strong>
+          <button type="button" class="notifications-read-all" style="background: none; border: none; color: var(--accent, #8b5cf6); font-size: 13px; cursor: pointer;">Mark all read</button>
+        </div>
+        <div class="notifications-list"></div>
+        <button type="button" class="notifications-more" style="display: none; width: 100%; padding: 10px; background: none; border: none; color: var(--accent, #8b5cf6); font-size: 13px; cursor: pointer;">Load more</button>
+      </div>
+    `;
+    anchor.parentNode.insertBefore(this.root, anchor);
+
+    this.badge = this.root.querySelector('.notifications-badge');
+    this.panel = this.root.querySelector('.notifications-panel');
+    this.list = this.root.querySelector('.notifications-list');
+    this.moreBtn = this.root.querySelector('.notifications-more');
+
+    this.root.querySelector('.notifications-toggle').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const open = this.panel.style.display === 'none';
+      this.panel.style.display = open ? 'block' : 'none';
+      if (open) this.loadPage(true);
+    });
+    this.root.querySelector('.notifications-read-all').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.markAllRead();
+    });
+    this.moreBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.loadPage();
+    });
+    document.addEventListener('click', (e) => {
+      if (!this.root.contains(e.target)) this.panel.style.display = 'none';
+    });
+  }
+
+  setCount(count) {
+    this.badge.textContent = count > 99 ? '99+' : String(count);
+    this.badge.style.display = count > 0 ? 'block' : 'none';
+  }
+
+  describe(n) {
+    const actor = this.escapeHtml(n.actor_name || n.actor_username || 'Someone');
+    const track = n.track_title ? `<strong>${this.escapeHtml(n.track_title)}</strong>` : 'your track';
+    switch (n.type) {
+      case 'like': return `${actor} liked ${track}`;
+      case 'follow': return `${actor} started following you`;
+      case 'comment': return `${actor} commented on ${track}: "${this.escapeHtml(n.preview || '')}"`;
+      case 'comment_like': return `${actor} liked your comment on ${track}`;
+      case 'repost': return `${actor} reposted ${track}`;
+      case 'message': return `${actor} sent you a message: "${this.escapeHtml(n.preview || '')}"`;
+      default: return `${actor} interacted with you`;
+    }
+  }
+
+  linkFor(n) {
+    if (n.type === 'message') return `inbox.html?user=${encodeURIComponent(n.actor_id)}`;
+    if (n.type === 'follow') return `profile.html?id=${encodeURIComponent(n.actor_id)}`;
+    if (n.track_id) return `track.html?id=${encodeURIComponent(n.track_id)}`;
+    return null;
+  }
+
+  renderItem(n) {
+    const item = document.createElement('a');
+    const link = this.linkFor(n);
+    item.href = link || '#';
+    item.style.cssText = `
+      display: block; padding: 12px 14px; text-decoration: none; font-size: 13px; line-height: 1.4;
+      color: var(--text, #fff); border-bottom: 1px solid var(--border, rgba(255, 255, 255, 0.05));
+      background: ${n.is_read ? 'transparent' : 'rgba(139, 92, 246, 0.12)'};
+    `;
+    item.innerHTML = `
+      <div>${this.describe(n)}</div>
+      <div style="margin-top: 4px; font-size: 11px; color: var(--text-secondary, #999);">${this.timeAgo(n.created_at)}</div>
+    `;
+    item.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await this.markRead(n, item);
+      if (link) window.location.href = link;
+    });
+    return item;
+  }
+
+  timeAgo(value) {
+    // D1 datetime('now') is UTC without a zone suffix
+    const date = new Date(String(value).replace(' ', 'T') + (String(value).includes('Z') ? '' : 'Z'));
+    const seconds = Math.floor((Date.now() - date.getTime()) / 1000);
+    if (isNaN(seconds)) return '';
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Export
+window.NotificationsBell = NotificationsBell;
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.notificationsBell = new NotificationsBell();
+  });
+} else {
+  window.notificationsBell = new NotificationsBell();
+}
@@ -0,0 +1,151 @@
+/**
+ * Audio City - Auth Session
+ * Keeps the access token fresh with the rotating refresh token from
+ * /api/auth/login and wraps the /api/auth/sessions endpoints (settings.html).
+ */
+
+class AuthSession {
+  constructor() {
+    this.apiBase = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+      ? 'http://localhost:3002'
+      : 'https://api.audiocity-ug.com';
+    // Refresh when the access token has less than a day left
+    this.refreshWindow = 24 * 60 * 60 * 1000;
+    this.init();
+  }
+
+  init() {
+    if (!this.refreshToken) return;
+    this.refreshIfNeeded();
+    this.timer = setInterval(() => {
+      if (!document.hidden) this.refreshIfNeeded();
+    }, 60 * 60 * 1000);
+  }
+
+  get token() {
+    return localStorage.getItem('auth_token');
+  }
+
+  get refreshToken() {
+    return localStorage.getItem('refresh_token');
+  }
+
+  // ============================================
+  // TOKEN REFRESH
+  // ============================================
+
+  // Expiry (ms) from the JWT payload, or null for tokens that aren't JWTs
+  tokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return payload.exp ? payload.exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async refreshIfNeeded() {
+    const expiry = this.tokenExpiry(this.token || '');
+    if (!this.refreshToken || (expiry && expiry - Date.now() > this.refreshWindow)) return;
+    await this.refresh();
+  }
+
+  // Rotate the refresh token. Tabs take turns (Web Locks) so two tabs never
+  // present the same refresh token - the server treats that as theft.
+  async refresh() {
+    const run = async () => {
+      const refreshToken = this.refreshToken;
+      if (!refreshToken) return false;
+      // Another tab may have refreshed while we waited for the lock
+      const expiry = this.tokenExpiry(this.token || '');
+      if (expiry && expiry - Date.now() > this.refreshWindow) return true;
+
+      try {
+        const response = await fetch(`${this.apiBase}/api/auth/refresh`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ refresh_token: refreshToken })
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.status === 401) {
+          // Session revoked or token reused - this device is signed out
+          console.warn('Session ended:', data.error);
+          localStorage.removeItem('refresh_token');
+          localStorage.removeItem('auth_token');
+          return false;
+        }
+        if (!response.ok) return false;
+
+        localStorage.setItem('auth_token', data.token);
+        localStorage.setItem('refresh_token', data.refresh_token);
+        return true;
+      } catch (error) {
+        console.warn('Could not refresh session:', error.message);
+        return false;
+      }
+    };
+
+    if (navigator.locks?.request) {
+      return navigator.locks.request('audiocity-session-refresh', run);
+    }
+    return run();
+  }
+
+  // ============================================
+  // SESSIONS API
+  // ============================================
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.apiBase}${path}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        ...(options.headers || {})
+      }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `Session request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  async listSessions() {
+    const data = await this.request('/api/auth/sessions');
+    return data.sessions || [];
+  }
+
+  async revokeSession(sessionId) {
+    return this.request(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+  }
+
+  // keepCurrent: sign out every other device but stay signed in here
+  async revokeAll(keepCurrent = true) {
+    return this.request(`/api/auth/sessions?keep_current=${keepCurrent}`, { method: 'DELETE' });
+  }
+
+  // Revoke this device's session on the server (best effort, used on sign out)
+  logout() {
+    const token = this.token;
+    localStorage.removeItem('refresh_token');
+    if (!token) return;
+    fetch(`${this.apiBase}/api/auth/logout`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token}` },
+      keepalive: true
+    }).catch(() => {});
+  }
+}
+
+// Export
+window.AuthSession = AuthSession;
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.authSession = new AuthSession();
+  });
+} else {
+  window.authSession = new AuthSession();
+}
@@ -2,9 +2,11 @@
  * Clean Mastering JavaScript - Async Job Pattern
  * 
  * This file handles:
- * 1. Submitting mastering jobs via POST /api/quick-master
- * 2. Polling /api/master-status/:jobId until completion
+ * 1. Submitting mastering jobs via POST /api/quick-master (the server queues them)
+ * 2. Following /api/jobs/:jobId/events (queue position, stage, percent) until
+ *    completion, polling /api/jobs/:jobId when the stream is unavailable
  * 3. Updating UI and playing/downloading WAV only when ready
+ * 4. Cancelling the running job via POST /api/jobs/:jobId/cancel
  * 
  * NO legacy .wav access outside polling - all access is safe and validated.
  * 
@@ -13,7 +15,7 @@
  */
 
 // 🔥 VERIFICATION: If you see this in console, mastering.js is loaded
-console.log("🔥🔥🔥 ACTIVE FILE CONFIRMED - mastering.js v20241230-4 loaded 🔥🔥🔥");
+console.log("🔥🔥🔥 ACTIVE FILE CONFIRMED - mastering.js v20261019-4 loaded 🔥🔥🔥");
 console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥");
 
 (function() {
@@ -45,6 +47,8 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
     const peakDisplay = document.getElementById('peakDisplay');
     const gainDisplay = document.getElementById('gainDisplay');
     const peakBar = document.getElementById('peakBar');
+    const cancelJobBtn = document.getElementById('cancelJobBtn');
+    const referenceReport = document.getElementById('referenceReport');
 
     // Validate required elements exist
     if (!masterBtn || !statusBar || !statusText) {
@@ -59,6 +63,7 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
     const getState = () => ({
       currentFile: window.currentFile,
       selectedPreset: window.selectedPreset || 'kidandali',
+      referenceFile: window.referenceFile,
       audioContext: window.audioContext,
       masteredBuffer: window.masteredBuffer,
       playbackMode: window.playbackMode || 'after',
@@ -133,14 +138,21 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
         const formData = new FormData();
         formData.append('audio', fileToUse);
         formData.append('preset', state.selectedPreset);
+        // The server matches the reference instead of using the preset
+        if (state.referenceFile) formData.append('reference', state.referenceFile);
+        showReferenceReport(null);
 
         console.log('📤 Submitting mastering job...', {
           file: fileToUse.name,
-          preset: state.selectedPreset
+          preset: state.selectedPreset,
+          reference: state.referenceFile ? state.referenceFile.name : null
         });
 
+        // Signed in: custom presets (preset=user:<id>) are looked up for this account
+        const token = localStorage.getItem('auth_token');
         const response = await fetch(`${API}/quick-master`, {
           method: 'POST',
+          headers: token ? { Authorization: `Bearer ${token}` } : {},
           body: formData
         });
 
@@ -231,8 +243,9 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
         // Reset polling counters
         consecutive503Count = 0;
         
-        // Start polling
-        pollMasteringJob(jobId, 0);
+        // Follow progress (event stream, polling as fallback)
+        setCurrentJob(jobId);
+        watchMasteringJob(jobId);
         return jobId;
 
       } catch (err) {
@@ -254,9 +267,186 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
 
     // Track polling state
     let consecutive503Count = 0;
-    const MAX_RETRIES = 60; // Max 60 retries (3 minutes at 3s intervals)
+    let currentJobId = null; // Job being polled; cleared when it ends or is cancelled
+    const MAX_RETRIES = 400; // Max 400 retries (20 minutes at 3s intervals - room for a full queue)
     const MAX_503_RETRIES = 20; // Max 20 consecutive 503s (1 minute)
 
+    // What the server is doing, by job stage (deploy-mastering/server.js)
+    const STAGE_LABELS = {
+      starting: 'Starting...',
+      matching: 'Analyzing the reference track...',
+      analyzing: 'Analyzing loudness...',
+      processing: 'EQ, compression & limiting...',
+      verifying: 'Checking the master...',
+      normalizing: 'Fine-tuning loudness...',
+      encoding: 'Encoding MP3...',
+      comparing: 'Comparing with the reference...'
+    };
+
+    const BAND_LABELS = { sub: 'Sub', bass: 'Bass', low_mid: 'Low mids', mid: 'Mids', presence: 'Presence', air: 'Air' };
+
+    /**
+     * Reference vs. mix vs. master, for tracks mastered towards a reference
+     * (report from deploy-mastering/reference-match.js); hides it for null
+     */
+    function showReferenceReport(report) {
+      if (!referenceReport) return;
+      if (!report) {
+        referenceReport.style.display = 'none';
+        referenceReport.innerHTML = '';
+        return;
+      }
+      
+      const format = (value) => (typeof value === 'number' ? value.toFixed(1) : '--');
+      const cells = (value) => ['reference', 'input', 'output'].map(track => `<td>${format(value(report[track]))}</td>`).join('');
+      const rows = [
+        ['Loudness (LUFS)', track => track.lufs],
+        ['True peak (dBTP)', track => track.truePeak],
+        ['Loudness range (LU)', track => track.lra],
+        ['Peak to loudness (dB)', track => track.plr]
+      ].map(([label, value]) => `<tr><td>${label}</td>${cells(value)}</tr>`);
+      const bandRows = (report.bands || []).map(band => 
+        `<tr><td title="${band.low}-${band.high} Hz">${BAND_LABELS[band.name] || band.name}</td>${cells(track => track.balance[band.name])}</tr>`);
+      
+      referenceReport.innerHTML = `
+        <div class="reviews-title">🎯 Reference Match</div>
+        <table>
+          <thead><tr><th></th><th>Ref</th><th>Mix</th><th>Master</th></tr></thead>
+          <tbody>
+            ${rows.join('')}
+            <tr><td colspan="4" class="band-heading">Tonal balance (dB against the whole track)</td></tr>
+            ${bandRows.join('')}
+          </tbody>
+        </table>
+        <div class="match-summary">Tonal balance off by ${format(report.before.balance_error)} dB before mastering, ${format(report.after.balance_error)} dB after</div>`;
+      referenceReport.style.display = 'block';
+    }
+
+    /**
+     * Remember the job being polled; shows the Cancel button while there is one
+     */
+    function setCurrentJob(jobId) {
+      currentJobId = jobId;
+      if (cancelJobBtn) {
+        cancelJobBtn.style.display = jobId ? 'block' : 'none';
+        cancelJobBtn.disabled = false;
+      }
+    }
+
+    /**
+     * End the current job without a result (cancelled, expired)
+     */
+    function endJob(message) {
+      setCurrentJob(null);
+      statusBar.className = 'status-bar error';
+      statusText.textContent = message;
+      const progressPercentage = document.getElementById('progressPercentage');
+      if (progressPercentage) progressPercentage.style.display = 'none';
+      masterBtn.disabled = false;
+      masterBtn.classList.remove('processing');
+      const masterBtnIconEnd = document.getElementById('masterBtnIcon');
+      const masterBtnTextEnd = document.getElementById('masterBtnText');
+      const masterBtnPercentageEnd = document.getElementById('masterBtnPercentage');
+      if (masterBtnIconEnd) masterBtnIconEnd.textContent = '🎛️';
+      if (masterBtnTextEnd) masterBtnTextEnd.textContent = 'Master Track';
+      if (masterBtnPercentageEnd) masterBtnPercentageEnd.style.display = 'none';
+    }
+
+    /**
+     * Cancel the current job (queued or running)
+     */
+    async function cancelMasteringJob() {
+      const jobId = currentJobId;
+      if (!jobId) return;
+      if (cancelJobBtn) cancelJobBtn.disabled = true;
+
+      try {
+        const res = await fetch(`${API}/jobs/${jobId}/cancel`, { method: 'POST' });
+        const data = await res.json().catch(() => ({}));
+        // 409: the job finished meanwhile - the next poll shows its result
+        if (res.status === 409) return;
+        if (!res.ok) {
+          throw new Error(data.error || `Cancel failed: ${res.status}`);
+        }
+        console.log('🛑 Mastering job cancelled:', jobId);
+        endJob('🛑 Mastering cancelled');
+      } catch (err) {
+        console.error('❌ Cancel error:', err);
+        if (cancelJobBtn) cancelJobBtn.disabled = false;
+        alert(`❌ Could not cancel: ${err.message}`);
+      }
+    }
+
+    /**
+     * Show a queued or processing job: queue position or stage, and percent
+     */
+    function showJobProgress(status) {
+      statusBar.className = 'status-bar processing';
+      if (status.status === 'queued') {
+        statusText.textContent = status.position
+          ? `⏳ Waiting in queue - ${status.position === 1 ? 'you are next' : `position ${status.position}`}`
+          : '⏳ Waiting in queue...';
+      } else {
+        const stageLabel = STAGE_LABELS[status.stage] || 'BAMBI GUMIKIRIZAKO..... PLEASE WAIT....';
+        statusText.innerHTML = `<span class="typing-animation">${stageLabel}</span>`;
+      }
+      
+      // Update progress percentage
+      const progress = Math.max(0, Math.min(99, Math.round(status.percent || 0)));
+      const progressPercentage = document.getElementById('progressPercentage');
+      const progressPercent = document.getElementById('progressPercent');
+      if (progressPercentage && progressPercent) {
+        progressPercentage.style.display = 'flex';
+        progressPercent.textContent = `${progress}%`;
+      }
+      const masterBtnPercentage = document.getElementById('masterBtnPercentage');
+      if (masterBtnPercentage) masterBtnPercentage.textContent = `${progress}%`;
+    }
+
+    /**
+     * Follow a job over Server-Sent Events (/api/jobs/:jobId/events)
+     * Progress arrives as it happens; once the job has finished, one poll picks
+     * up the result (with absolute download URLs). If the stream can't be opened
+     * or drops, polling takes over.
+     */
+    function watchMasteringJob(jobId) {
+      if (!window.EventSource) {
+        pollMasteringJob(jobId, 0);
+        return;
+      }
+
+      const source = new EventSource(`${API}/jobs/${jobId}/events`);
+      const stopWatching = () => {
+        source.close();
+        if (jobId === currentJobId) pollMasteringJob(jobId, 0);
+      };
+
+      source.onmessage = (event) => {
+        // Cancelled (or replaced) meanwhile
+        if (jobId !== currentJobId) {
+          source.close();
+          return;
+        }
+        let status;
+        try {
+          status = JSON.parse(event.data);
+        } catch (err) {
+          console.error('❌ Bad progress event:', err);
+          return;
+        }
+        if (status.status === 'queued' || status.status === 'processing') {
+          showJobProgress(status);
+        } else {
+          stopWatching();
+        }
+      };
+
+      source.onerror = () => {
+        console.warn('⚠️ Progress stream unavailable, polling instead');
+        stopWatching();
+      };
+    }
+
     /**
      * Poll mastering job status until completion
      */
@@ -266,9 +456,13 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
         return;
       }
 
+      // Cancelled (or replaced) while this poll was scheduled
+      if (jobId !== currentJobId) return;
+
       // Check retry limits
       if (retryCount >= MAX_RETRIES) {
         console.error('❌ Max retries reached, stopping polling');
+        setCurrentJob(null);
         statusBar.className = 'status-bar error';
         statusText.textContent = '❌ Request timeout - mastering service is taking too long. Please try again.';
         masterBtn.disabled = false;
@@ -285,6 +479,7 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
 
       if (consecutive503Count >= MAX_503_RETRIES) {
         console.error('❌ Too many consecutive 503 errors, stopping polling');
+        setCurrentJob(null);
         statusBar.className = 'status-bar error';
         statusText.textContent = '❌ Mastering service is currently unavailable. Please try again later.';
         masterBtn.disabled = false;
@@ -302,15 +497,14 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
       try {
         console.log(`🔄 Polling job status: ${jobId} (attempt ${retryCount + 1}/${MAX_RETRIES})`);
         
-        // Update progress percentage on Master button
-        const masterBtnPercentagePoll = document.getElementById('masterBtnPercentage');
-        if (masterBtnPercentagePoll) {
-          // Calculate progress: 20% base + 70% based on retries (up to 90%)
-          const progress = Math.min(90, 20 + Math.floor((retryCount / MAX_RETRIES) * 70));
-          masterBtnPercentagePoll.textContent = `${progress}%`;
-        }
+        const res = await fetch(`${API}/jobs/${jobId}`);
         
-        const res = await fetch(`${API}/master-status/${jobId}`);
+        // Unknown or expired job - polling again won't change that
+        if (res.status === 404) {
+          const errorData = await res.json().catch(() => ({}));
+          endJob(`❌ ${errorData.error || 'Mastering job not found'}`);
+          return;
+        }
         
         // Handle 503 errors gracefully - continue polling
         if (res.status === 503) {
@@ -347,8 +541,12 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
         const status = await res.json();
         console.log('📊 Job status:', status);
 
+        // Cancelled while the request was in flight
+        if (jobId !== currentJobId) return;
+
         // Job completed successfully
         if (status.status === 'completed') {
+          setCurrentJob(null);
           const baseUrl = API.replace('/api', '');
           
           // Get audio URL safely - NO direct .wav access
@@ -405,6 +603,7 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
           if (status.gain !== undefined && gainDisplay) {
             gainDisplay.textContent = `${status.gain > 0 ? '+' : ''}${status.gain.toFixed(1)} dB`;
           }
+          showReferenceReport(status.reference);
 
           // Play mastered audio
           playMasteredAudio(audioUrl);
@@ -443,8 +642,15 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
           return;
         }
 
+        // Cancelled elsewhere (another tab)
+        if (status.status === 'cancelled') {
+          endJob('🛑 Mastering cancelled');
+          return;
+        }
+
         // Job failed
         if (status.status === 'failed') {
+          setCurrentJob(null);
           statusBar.className = 'status-bar error';
           statusText.textContent = `❌ ${status.error || 'Mastering failed'}`;
           masterBtn.disabled = false;
@@ -459,18 +665,8 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
           return;
         }
 
-        // Still processing
-        statusText.innerHTML = '<span class="typing-animation">BAMBI GUMIKIRIZAKO..... PLEASE WAIT....</span>';
-        
-        // Update progress percentage
-        const progressPercentage3 = document.getElementById('progressPercentage');
-        const progressPercent3 = document.getElementById('progressPercent');
-        if (progressPercentage3 && progressPercent3) {
-          progressPercentage3.style.display = 'flex';
-          const progress = Math.min(90, 20 + Math.floor((retryCount / MAX_RETRIES) * 70));
-          progressPercent3.textContent = `${progress}%`;
-        }
-        
+        // Still queued or processing
+        showJobProgress(status);
         setTimeout(() => pollMasteringJob(jobId, retryCount + 1), 3000);
 
       } catch (err) {
@@ -539,6 +735,7 @@ console.log("🔥🔥🔥 NO .wav ACCESS IN THIS FILE - ALL FIXED 🔥🔥🔥")
 
     // Attach event listener to master button
     masterBtn.addEventListener('click', submitMasteringJob);
+    if (cancelJobBtn) cancelJobBtn.addEventListener('click', cancelMasteringJob);
     
     console.log('✅ Mastering module ready');
   }
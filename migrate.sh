@@ -0,0 +1,175 @@
+#!/bin/bash
+
+# Apply pending D1 schema migrations (migrations/NNNN_name.sql)
+#
+# Usage: ./migrate.sh [--remote | --local | --sqlite <file>] [--status] [--baseline <version>]
+#
+#   --remote            production D1 (default)
+#   --local             wrangler's local D1 (the SQLite file used by `wrangler dev`)
+#   --sqlite <file>     a plain SQLite database, through the sqlite3 CLI
+#   --status            list migrations and whether they have been applied
+#   --baseline <NNNN>   record migrations up to NNNN as applied without running them
+#                       (for databases set up by hand from the old d1-*-schema.sql files)
+#
+# A database set up by hand from the old d1-*-schema.sql files already has some of
+# the columns that migrations 0005, 0008 and 0011 add, so those ALTER TABLEs would
+# fail. Before applying a migration, its ADD COLUMNs are checked against the
+# database; if a column is already there, nothing is applied and you're asked to
+# baseline first: ./migrate.sh --baseline <NNNN>, where NNNN is the last migration
+# whose old schema file the database got (0011 if it got all of them).
+#
+# Applied versions are recorded in the schema_migrations table, so each file
+# runs once. Migrations are never edited after they ship - add a new file.
+
+CONFIG="wrangler-d1.toml"
+DATABASE="audio-city-db"
+MIGRATIONS_DIR="$(dirname "$0")/migrations"
+TARGET="--remote"
+SQLITE_FILE=""
+MODE="apply"
+BASELINE=""
+
+while [ $# -gt 0 ]; do
+    case "$1" in
+        --remote|--local) TARGET="$1" ;;
+        --sqlite) SQLITE_FILE="$2"; TARGET="--sqlite"; shift ;;
+        --status) MODE="status" ;;
+        --baseline) BASELINE="$2"; MODE="baseline"; shift ;;
+        *)
+            echo "❌ Unknown option: $1"
+            echo "   Usage: ./migrate.sh [--remote | --local | --sqlite <file>] [--status] [--baseline <version>]"
+            exit 1
+            ;;
+    esac
+    shift
+done
+
+if [ "$TARGET" == "--sqlite" ] && [ -z "$SQLITE_FILE" ]; then
+    echo "❌ --sqlite needs a database file"
+    exit 1
+fi
+if [ "$MODE" == "baseline" ] && ! [[ "$BASELINE" =~ ^[0-9]{4}$ ]]; then
+    echo "❌ --baseline needs a 4-digit version, e.g. --baseline 0011"
+    exit 1
+fi
+
+# Run SQL from a file against the target
+run_file() {
+    if [ "$TARGET" == "--sqlite" ]; then
+        sqlite3 -bail "$SQLITE_FILE" < "$1"
+    else
+        npx wrangler d1 execute "$DATABASE" $TARGET --config "$CONFIG" --file "$1" > /dev/null
+    fi
+}
+
+# Run one SQL command against the target
+run_sql() {
+    if [ "$TARGET" == "--sqlite" ]; then
+        sqlite3 -bail "$SQLITE_FILE" "$1"
+    else
+        npx wrangler d1 execute "$DATABASE" $TARGET --config "$CONFIG" --command "$1" > /dev/null
+    fi
+}
+
+# Applied versions, one per line
+applied_versions() {
+    if [ "$TARGET" == "--sqlite" ]; then
+        sqlite3 "$SQLITE_FILE" "SELECT version FROM schema_migrations ORDER BY version;"
+    else
+        npx wrangler d1 execute "$DATABASE" $TARGET --config "$CONFIG" --json \
+            --command "SELECT version FROM schema_migrations ORDER BY version;" 2>/dev/null \
+            | grep -o '"version": *"[0-9]*"' | grep -o '[0-9]\{4\}'
+    fi
+}
+
+# 1 if table $1 has column $2, else 0
+has_column() {
+    local query="SELECT COUNT(*) AS present FROM pragma_table_info('$1') WHERE name = '$2';"
+    if [ "$TARGET" == "--sqlite" ]; then
+        sqlite3 "$SQLITE_FILE" "$query"
+    else
+        npx wrangler d1 execute "$DATABASE" $TARGET --config "$CONFIG" --json --command "$query" 2>/dev/null \
+            | grep -o '"present": *[0-9]*' | grep -o '[0-9]*$'
+    fi
+}
+
+# table.column for each column a migration file adds that the database already has
+existing_columns() {
+    grep -io 'ALTER TABLE [a-z_]* ADD COLUMN [a-z_]*' "$1" | while read -r _ _ TABLE _ _ COLUMN; do
+        [ "$(has_column "$TABLE" "$COLUMN")" == "1" ] && echo "$TABLE.$COLUMN"
+    done
+}
+
+echo "═══════════════════════════════════════════════════════════════"
+echo "  Audio City schema migrations (${TARGET#--}${SQLITE_FILE:+: $SQLITE_FILE})"
+echo "═══════════════════════════════════════════════════════════════"
+echo ""
+
+run_sql "CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TEXT DEFAULT (datetime('now'))
+);"
+if [ $? -ne 0 ]; then
+    echo "❌ Could not reach the database"
+    exit 1
+fi
+
+APPLIED=" $(applied_versions | tr '\n' ' ') "
+PENDING=0
+TMP_FILE=$(mktemp)
+trap 'rm -f "$TMP_FILE"' EXIT
+
+for FILE in "$MIGRATIONS_DIR"/[0-9][0-9][0-9][0-9]_*.sql; do
+    NAME=$(basename "$FILE" .sql)
+    VERSION=${NAME:0:4}
+
+    if [[ "$APPLIED" == *" $VERSION "* ]]; then
+        [ "$MODE" == "status" ] && echo "   ✅ $NAME"
+        continue
+    fi
+
+    case "$MODE" in
+        status)
+            echo "   ⏳ $NAME (pending)"
+            PENDING=$((PENDING + 1))
+            ;;
+        baseline)
+            [[ "$VERSION" > "$BASELINE" ]] && continue
+            echo "📌 Marking $NAME as applied..."
+            run_sql "INSERT OR IGNORE INTO schema_migrations (version, name) VALUES ('$VERSION', '$NAME');" || exit 1
+            ;;
+        apply)
+            echo "🔧 Applying $NAME..."
+            EXISTING=$(existing_columns "$FILE" | tr '\n' ' ')
+            if [ -n "$EXISTING" ]; then
+                echo "   ❌ The database already has ${EXISTING% } - it was set up by hand from the old"
+                echo "      d1-*-schema.sql files. Record the migrations it already has with"
+                echo "      ./migrate.sh --baseline <NNNN> (the last one whose schema file it got), then run ./migrate.sh again"
+                exit 1
+            fi
+            # The migration and its schema_migrations row go in one run; sqlite3 wraps them in a transaction
+            {
+                [ "$TARGET" == "--sqlite" ] && echo "BEGIN;"
+                cat "$FILE"
+                echo ""
+                echo "INSERT INTO schema_migrations (version, name) VALUES ('$VERSION', '$NAME');"
+                [ "$TARGET" == "--sqlite" ] && echo "COMMIT;"
+            } > "$TMP_FILE"
+
+            if ! run_file "$TMP_FILE"; then
+                echo "   ❌ $NAME failed - fix it and run ./migrate.sh again"
+                exit 1
+            fi
+            echo "   ✅ Applied"
+            PENDING=$((PENDING + 1))
+            ;;
+    esac
+done
+
+echo ""
+case "$MODE" in
+    status) echo "$PENDING pending migration(s)" ;;
+    baseline) echo "✅ Baseline recorded up to $BASELINE" ;;
+    apply) [ "$PENDING" -eq 0 ] && echo "✅ Schema is up to date" || echo "✅ Applied $PENDING migration(s)" ;;
+esac
@@ -0,0 +1,150 @@
+-- Audio City D1 Database Schema (baseline)
+-- The core tables as the worker queries them, including the columns and
+-- tables that request handlers used to create on the fly (last_seen,
+-- downloads_count, review_status, playlists, mastering_stats, ...).
+-- Databases set up by hand before migrations existed: see ./migrate.sh --baseline
+
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT UNIQUE NOT NULL,
+  email TEXT UNIQUE NOT NULL,
+  name TEXT,
+  bio TEXT,
+  biography TEXT,
+  location TEXT,
+  phone_number TEXT,
+  user_type TEXT,
+  avatar_url TEXT,
+  profile_image TEXT,
+  profile_image_url TEXT,
+  password TEXT,
+  auth_provider TEXT,
+  google_id TEXT,
+  followers_count INTEGER DEFAULT 0,
+  following_count INTEGER DEFAULT 0,
+  tracks_count INTEGER DEFAULT 0,
+  verified INTEGER DEFAULT 0,            -- artist blue check
+  is_admin INTEGER DEFAULT 0,
+  banned INTEGER DEFAULT 0,
+  ban_reason TEXT,
+  suspended INTEGER DEFAULT 0,
+  suspend_reason TEXT,
+  suspend_until TEXT,
+  last_seen TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS tracks (
+  id TEXT PRIMARY KEY,
+  artist_id TEXT NOT NULL,
+  title TEXT NOT NULL,
+  description TEXT,
+  audio_url TEXT NOT NULL,
+  cover_art_url TEXT,
+  duration INTEGER,
+  file_size INTEGER,
+  genre TEXT,
+  tags TEXT,
+  views_count INTEGER DEFAULT 0,
+  likes_count INTEGER DEFAULT 0,
+  shares_count INTEGER DEFAULT 0,
+  plays_count INTEGER DEFAULT 0,
+  downloads_count INTEGER DEFAULT 0,
+  review_status TEXT DEFAULT 'approved', -- approved | pending | rejected
+  flag_reason TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (artist_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS track_likes (
+  id TEXT PRIMARY KEY,
+  track_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(track_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS follows (
+  id TEXT PRIMARY KEY,
+  follower_id TEXT NOT NULL,
+  followee_id TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (follower_id) REFERENCES users(id),
+  FOREIGN KEY (followee_id) REFERENCES users(id),
+  UNIQUE(follower_id, followee_id)
+);
+
+-- conversation_id is the two user ids sorted and joined with '_'
+CREATE TABLE IF NOT EXISTS conversations (
+  id TEXT PRIMARY KEY,
+  participant1_id TEXT NOT NULL,
+  participant2_id TEXT NOT NULL,
+  last_message_at TEXT DEFAULT (datetime('now')),
+  created_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL,
+  sender_id TEXT NOT NULL,
+  receiver_id TEXT NOT NULL,
+  text TEXT NOT NULL,
+  read INTEGER DEFAULT 0,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (sender_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  token TEXT UNIQUE NOT NULL,
+  expires_at TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE TABLE IF NOT EXISTS playlists (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  cover_image_url TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS playlist_tracks (
+  id TEXT PRIMARY KEY,
+  playlist_id TEXT NOT NULL,
+  track_id TEXT NOT NULL,
+  position INTEGER DEFAULT 0,
+  added_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(playlist_id, track_id)
+);
+
+-- Single row: platform-wide mastering counter
+CREATE TABLE IF NOT EXISTS mastering_stats (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tracks_mastered INTEGER DEFAULT 0,
+  last_updated TEXT DEFAULT (datetime('now'))
+);
+
+INSERT INTO mastering_stats (tracks_mastered)
+SELECT 0 WHERE NOT EXISTS (SELECT 1 FROM mastering_stats);
+
+CREATE INDEX IF NOT EXISTS idx_tracks_artist_id ON tracks(artist_id);
+CREATE INDEX IF NOT EXISTS idx_tracks_created_at ON tracks(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_track_likes_track ON track_likes(track_id);
+CREATE INDEX IF NOT EXISTS idx_track_likes_user ON track_likes(user_id);
+CREATE INDEX IF NOT EXISTS idx_follows_follower ON follows(follower_id);
+CREATE INDEX IF NOT EXISTS idx_follows_followee ON follows(followee_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_participant1 ON conversations(participant1_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_participant2 ON conversations(participant2_id);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_receiver ON messages(receiver_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(token);
+CREATE INDEX IF NOT EXISTS idx_playlists_user ON playlists(user_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_tracks_playlist ON playlist_tracks(playlist_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_tracks_track ON playlist_tracks(track_id);
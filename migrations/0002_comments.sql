@@ -1,5 +1,4 @@
 -- Add Comments and Comment Likes tables to D1 Database
--- Run this in D1 Console after the main schema
 
 CREATE TABLE IF NOT EXISTS comments (
   id TEXT PRIMARY KEY,
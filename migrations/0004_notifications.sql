@@ -0,0 +1,21 @@
+-- Add Notifications table to D1 Database
+-- type: like | follow | comment | comment_like | repost | message
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  actor_id TEXT,
+  type TEXT NOT NULL,
+  track_id TEXT,
+  comment_id TEXT,
+  conversation_id TEXT,
+  preview TEXT,
+  is_read INTEGER DEFAULT 0,
+  read_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (actor_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id, is_read, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_actor ON notifications(actor_id, type);
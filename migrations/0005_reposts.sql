@@ -0,0 +1,17 @@
+-- Add Reposts table to D1 Database
+
+CREATE TABLE IF NOT EXISTS reposts (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  track_id TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id),
+  FOREIGN KEY (track_id) REFERENCES tracks(id),
+  UNIQUE(user_id, track_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reposts_track_id ON reposts(track_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reposts_user_id ON reposts(user_id, created_at DESC);
+
+-- Cached count shown on track cards
+ALTER TABLE tracks ADD COLUMN reposts_count INTEGER DEFAULT 0;
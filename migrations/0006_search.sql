@@ -0,0 +1,107 @@
+-- Add Full-Text Search (FTS5) indexes to D1 Database
+-- Triggers keep the indexes in sync; the INSERT ... SELECT blocks backfill existing rows
+
+-- playlists are normally created on first use by the worker; make sure they exist for the triggers
+CREATE TABLE IF NOT EXISTS playlists (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  cover_image_url TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS playlist_tracks (
+  id TEXT PRIMARY KEY,
+  playlist_id TEXT NOT NULL,
+  track_id TEXT NOT NULL,
+  position INTEGER DEFAULT 0,
+  added_at TEXT DEFAULT (datetime('now')),
+  UNIQUE(playlist_id, track_id)
+);
+
+-- ==================== TRACKS ====================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS tracks_fts USING fts5(
+  track_id UNINDEXED,
+  title,
+  description,
+  tags,
+  genre,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS tracks_fts_insert AFTER INSERT ON tracks BEGIN
+  INSERT INTO tracks_fts (track_id, title, description, tags, genre)
+  VALUES (new.id, new.title, new.description, new.tags, new.genre);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tracks_fts_update AFTER UPDATE OF title, description, tags, genre ON tracks BEGIN
+  DELETE FROM tracks_fts WHERE track_id = old.id;
+  INSERT INTO tracks_fts (track_id, title, description, tags, genre)
+  VALUES (new.id, new.title, new.description, new.tags, new.genre);
+END;
+
+CREATE TRIGGER IF NOT EXISTS tracks_fts_delete AFTER DELETE ON tracks BEGIN
+  DELETE FROM tracks_fts WHERE track_id = old.id;
+END;
+
+INSERT INTO tracks_fts (track_id, title, description, tags, genre)
+SELECT id, title, description, tags, genre FROM tracks
+WHERE id NOT IN (SELECT track_id FROM tracks_fts);
+
+-- ==================== ARTISTS (USERS) ====================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS users_fts USING fts5(
+  user_id UNINDEXED,
+  username,
+  name,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS users_fts_insert AFTER INSERT ON users BEGIN
+  INSERT INTO users_fts (user_id, username, name) VALUES (new.id, new.username, new.name);
+END;
+
+CREATE TRIGGER IF NOT EXISTS users_fts_update AFTER UPDATE OF username, name ON users BEGIN
+  DELETE FROM users_fts WHERE user_id = old.id;
+  INSERT INTO users_fts (user_id, username, name) VALUES (new.id, new.username, new.name);
+END;
+
+CREATE TRIGGER IF NOT EXISTS users_fts_delete AFTER DELETE ON users BEGIN
+  DELETE FROM users_fts WHERE user_id = old.id;
+END;
+
+INSERT INTO users_fts (user_id, username, name)
+SELECT id, username, name FROM users
+WHERE id NOT IN (SELECT user_id FROM users_fts);
+
+-- ==================== PLAYLISTS ====================
+
+CREATE VIRTUAL TABLE IF NOT EXISTS playlists_fts USING fts5(
+  playlist_id UNINDEXED,
+  name,
+  description,
+  tokenize = 'unicode61 remove_diacritics 2',
+  prefix = '2 3'
+);
+
+CREATE TRIGGER IF NOT EXISTS playlists_fts_insert AFTER INSERT ON playlists BEGIN
+  INSERT INTO playlists_fts (playlist_id, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS playlists_fts_update AFTER UPDATE OF name, description ON playlists BEGIN
+  DELETE FROM playlists_fts WHERE playlist_id = old.id;
+  INSERT INTO playlists_fts (playlist_id, name, description) VALUES (new.id, new.name, new.description);
+END;
+
+CREATE TRIGGER IF NOT EXISTS playlists_fts_delete AFTER DELETE ON playlists BEGIN
+  DELETE FROM playlists_fts WHERE playlist_id = old.id;
+END;
+
+INSERT INTO playlists_fts (playlist_id, name, description)
+SELECT id, name, description FROM playlists
+WHERE id NOT IN (SELECT playlist_id FROM playlists_fts);
@@ -0,0 +1,76 @@
+-- Add Moderation tables (reports, strikes, hidden content) to D1 Database
+-- Server-side replacement for the localStorage keys used by js/moderation-system.js
+
+-- One row per report; reports on the same content are grouped by (content_type, content_id)
+CREATE TABLE IF NOT EXISTS content_reports (
+  id TEXT PRIMARY KEY,
+  content_type TEXT NOT NULL,            -- comment | post | bio | track | message | user
+  content_id TEXT NOT NULL,
+  reporter_id TEXT,                      -- NULL for automatic flags from detectViolations
+  reason TEXT NOT NULL,
+  details TEXT,
+  status TEXT DEFAULT 'pending',         -- pending | flagged | dismissed | actioned
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (reporter_id) REFERENCES users(id),
+  UNIQUE(content_type, content_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_reports_content ON content_reports(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_content_reports_status ON content_reports(status, created_at DESC);
+
+-- Soft-hidden content (auto-flagged or hidden by an admin)
+CREATE TABLE IF NOT EXISTS hidden_content (
+  content_type TEXT NOT NULL,
+  content_id TEXT NOT NULL,
+  reason TEXT,
+  status TEXT DEFAULT 'hidden',          -- hidden | restored
+  hidden_by TEXT,                        -- NULL when hidden automatically
+  hidden_at TEXT DEFAULT (datetime('now')),
+  restored_at TEXT,
+  PRIMARY KEY (content_type, content_id)
+);
+
+-- Individual strikes; weight depends on severity (low 0.5, medium 1, high 1.5, critical 2)
+CREATE TABLE IF NOT EXISTS user_strikes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  severity TEXT NOT NULL DEFAULT 'medium',
+  weight REAL NOT NULL DEFAULT 1,
+  content_type TEXT,
+  content_id TEXT,
+  issued_by TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_strikes_user_id ON user_strikes(user_id, created_at DESC);
+
+-- Current standing per user, derived from strikes
+CREATE TABLE IF NOT EXISTS user_moderation (
+  user_id TEXT PRIMARY KEY,
+  total_strikes REAL DEFAULT 0,
+  status TEXT DEFAULT 'active',          -- active | warned | muted | suspended | banned
+  last_action TEXT,                      -- warning | mute | suspension | ban
+  action_expires_at TEXT,                -- NULL = permanent (or no restriction)
+  last_action_at TEXT,
+  updated_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Every action taken from the admin moderation queue (and direct hide/strike calls)
+CREATE TABLE IF NOT EXISTS moderation_audit_log (
+  id TEXT PRIMARY KEY,
+  admin_id TEXT NOT NULL,
+  action TEXT NOT NULL,                  -- dismiss | hide | unhide | delete | strike | suspend | grant_role | revoke_role | unlock
+  content_type TEXT,
+  content_id TEXT,
+  target_user_id TEXT,                   -- author of the content, when known
+  reason TEXT,
+  details TEXT,                          -- JSON
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (admin_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_created ON moderation_audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_audit_log_content ON moderation_audit_log(content_type, content_id);
@@ -0,0 +1,24 @@
+-- Add per-device session tracking and rotating refresh tokens to D1 Database
+
+-- Device details shown in Settings > Sessions
+ALTER TABLE sessions ADD COLUMN user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN ip_address TEXT;
+ALTER TABLE sessions ADD COLUMN last_used_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, expires_at);
+
+-- Refresh tokens rotate on every use; only the SHA-256 is stored.
+-- A token that comes back after being used (used_at set) revokes its session.
+CREATE TABLE IF NOT EXISTS session_refresh_tokens (
+  token_hash TEXT PRIMARY KEY,
+  session_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (session_id) REFERENCES sessions(id),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_session ON session_refresh_tokens(session_id);
+CREATE INDEX IF NOT EXISTS idx_session_refresh_tokens_user ON session_refresh_tokens(user_id);
@@ -0,0 +1,20 @@
+-- Add Roles (role-based access control) to D1 Database
+-- Permissions per role are defined in worker/roles.js; every account is implicitly a listener.
+-- The first admin is created with ./bootstrap-admin.sh <email>
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id TEXT NOT NULL,
+  role TEXT NOT NULL,                    -- admin | moderator | artist
+  granted_by TEXT,                       -- NULL for bootstrap/automatic grants
+  created_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (user_id, role),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role ON user_roles(role, created_at DESC);
+
+-- Carry over existing artists. Admins are deliberately NOT carried over from
+-- users.is_admin: older builds set that flag on hardcoded accounts, so the
+-- admin role is only ever granted by ./bootstrap-admin.sh (then admin.html).
+INSERT OR IGNORE INTO user_roles (user_id, role)
+SELECT DISTINCT artist_id, 'artist' FROM tracks WHERE artist_id IN (SELECT id FROM users);
@@ -0,0 +1,17 @@
+-- Add login rate limiting and account lockout to D1 Database
+-- Limits per scope live in worker/rate-limit.js. Times are epoch milliseconds.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,                  -- scope:kind:subject
+  scope TEXT NOT NULL,                   -- login | signup | forgot_password
+  kind TEXT NOT NULL,                    -- ip | identifier
+  subject TEXT NOT NULL,                 -- client IP, or the email/username tried
+  attempts INTEGER DEFAULT 0,            -- attempts in the current window
+  window_started_at INTEGER NOT NULL,
+  locked_until INTEGER,                  -- NULL when not locked
+  lockouts INTEGER DEFAULT 0,            -- doubles the next lock (exponential backoff)
+  updated_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_locked ON rate_limits(locked_until);
+CREATE INDEX IF NOT EXISTS idx_rate_limits_updated ON rate_limits(updated_at);
@@ -0,0 +1,22 @@
+-- Add Email Verification to D1 Database
+-- email_verified confirms the address; it is separate from `verified` (the artist blue check).
+-- Only the SHA-256 of each token is stored; tokens are single-use (used_at)
+
+ALTER TABLE users ADD COLUMN email_verified INTEGER DEFAULT 0;
+ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+
+-- Accounts that existed before verification (and Google sign-ins) count as verified
+UPDATE users SET email_verified = 1, email_verified_at = datetime('now');
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  email TEXT NOT NULL,                   -- the address the link was sent to
+  token_hash TEXT UNIQUE NOT NULL,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id, created_at);
@@ -0,0 +1,26 @@
+-- Add what the Express server (deploy-package/api-server.js) stored in its
+-- JSON files and the D1 schema had no place for, now that it runs on SQLite
+-- with this same schema. Unused by the worker.
+
+ALTER TABLE tracks ADD COLUMN bpm INTEGER;
+
+-- Last few password hashes per user, so a change can't reuse one
+CREATE TABLE IF NOT EXISTS password_history (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  password TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Page views per visitor per day (visitor_id: IP + user agent fingerprint)
+CREATE TABLE IF NOT EXISTS site_visits (
+  day TEXT NOT NULL,                     -- YYYY-MM-DD
+  visitor_id TEXT NOT NULL,
+  visits INTEGER DEFAULT 0,
+  last_visit_at TEXT DEFAULT (datetime('now')),
+  PRIMARY KEY (day, visitor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user ON password_history(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_site_visits_visitor ON site_visits(visitor_id);
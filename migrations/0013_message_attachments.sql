@@ -0,0 +1,10 @@
+-- Typed messages: besides plain text, a message can share a track, carry an
+-- image or a short recorded voice note (worker/attachments.js). `text` holds
+-- the caption for those, '' when there is none.
+
+ALTER TABLE messages ADD COLUMN message_type TEXT DEFAULT 'text';  -- text | track | image | voice
+ALTER TABLE messages ADD COLUMN track_id TEXT;                     -- shared track (message_type = 'track')
+ALTER TABLE messages ADD COLUMN media_key TEXT;                    -- R2 key under messages/ (image, voice)
+ALTER TABLE messages ADD COLUMN media_type TEXT;                   -- MIME type of media_key
+ALTER TABLE messages ADD COLUMN media_size INTEGER;                -- bytes
+ALTER TABLE messages ADD COLUMN duration REAL;                     -- voice note length in seconds
@@ -0,0 +1,15 @@
+-- Custom mastering presets saved to an account (worker/mastering-presets.js).
+-- `settings` is JSON with the knobs of the built-in genre presets (lufs, tp,
+-- bass, mid, high, comp, limiter); /api/quick-master takes preset=user:<id>.
+
+CREATE TABLE IF NOT EXISTS user_presets (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  settings TEXT NOT NULL,
+  created_at TEXT DEFAULT (datetime('now')),
+  updated_at TEXT DEFAULT (datetime('now')),
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_presets_user ON user_presets(user_id, updated_at);
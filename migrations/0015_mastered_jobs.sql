@@ -0,0 +1,8 @@
+-- Mastering jobs already counted in mastering_stats.tracks_mastered.
+-- GET /api/jobs/:id is polled, so a finished job is seen many times; the
+-- worker records its id here and only counts it the first time.
+
+CREATE TABLE IF NOT EXISTS mastered_jobs (
+  job_id TEXT PRIMARY KEY,
+  counted_at TEXT DEFAULT (datetime('now'))
+);
@@ -0,0 +1,47 @@
+/**
+ * Access token and role tests (core/jwt.mjs, core/roles.mjs)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJWT, verifyJWT } from '../core/jwt.mjs';
+import { normalizeRoles, primaryRole, hasPermission } from '../core/roles.mjs';
+
+const SECRET = 'test-secret';
+
+test('a token verifies with the secret it was signed with', async () => {
+  const token = await createJWT({ id: 'u1', email: 'a@example.com', role: 'listener' }, SECRET);
+  const payload = await verifyJWT(token, SECRET);
+  assert.equal(payload.id, 'u1');
+  assert.equal(payload.exp - payload.iat, 7 * 24 * 60 * 60);
+});
+
+test('forged, tampered, malformed and expired tokens are rejected', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const token = await createJWT({ id: 'u1' }, SECRET);
+  const [header, , signature] = token.split('.');
+  const forgedPayload = btoa(JSON.stringify({ id: 'admin', exp: 9999999999 })).replace(/=/g, '');
+
+  assert.equal(await verifyJWT(token, 'other-secret'), null);
+  assert.equal(await verifyJWT(`${header}.${forgedPayload}.${signature}`, SECRET), null);
+  assert.equal(await verifyJWT('mock_token_u1', SECRET), null);
+  assert.equal(await verifyJWT('', SECRET), null);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 8 * 24 * 60 * 60 * 1000 });
+  assert.equal(await verifyJWT(token, SECRET), null);
+});
+
+test('every account is a listener; unknown roles are dropped', () => {
+  assert.deepEqual(normalizeRoles([]), ['listener']);
+  assert.deepEqual(normalizeRoles(['artist', 'superuser', 'admin']), ['admin', 'artist', 'listener']);
+  assert.equal(primaryRole(normalizeRoles(['artist', 'moderator'])), 'moderator');
+});
+
+test('moderators and admins may delete others\' content, listeners and artists may not', () => {
+  assert.equal(hasPermission(normalizeRoles(['moderator']), 'content:delete'), true);
+  assert.equal(hasPermission(normalizeRoles(['admin']), 'content:delete'), true);
+  assert.equal(hasPermission(normalizeRoles(['artist']), 'content:delete'), false);
+  assert.equal(hasPermission(normalizeRoles([]), 'content:delete'), false);
+  assert.equal(hasPermission(normalizeRoles(['moderator']), 'users:manage'), false);
+});
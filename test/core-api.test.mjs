@@ -0,0 +1,152 @@
+/**
+ * Shared API core tests (core/api.mjs over core/sql-store.mjs)
+ * Runs the handlers against an in-memory SQLite database built from
+ * migrations/, through the D1 adapter the Express server uses
+ * (deploy-package/sqlite-db.js). Needs better-sqlite3: cd deploy-package && npm install
+ * Run with: npm test
+ */
+
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+import { createApiCore, publicUser } from '../core/api.mjs';
+import { createSqlStore } from '../core/sql-store.mjs';
+
+// Resolves from deploy-package/, where better-sqlite3 is installed
+const require = createRequire(new URL('../deploy-package/package.json', import.meta.url));
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations', import.meta.url));
+
+// deploy-package/sqlite-db.js, or null if its dependencies aren't installed
+const sqlite = (() => {
+  try {
+    return require('./sqlite-db.js');
+  } catch {
+    return null;
+  }
+})();
+const skip = sqlite ? false : 'better-sqlite3 is not installed (cd deploy-package && npm install)';
+
+let db;      // better-sqlite3 connection
+let api;     // createApiCore() over it
+let events;  // notify/retract hook calls, in order
+let artist;  // signed-up users
+let fan;
+
+before(async () => {
+  if (skip) return;
+  const Database = require('better-sqlite3');
+  db = new Database(':memory:');
+  sqlite.migrate(db, MIGRATIONS_DIR);
+
+  events = [];
+  api = createApiCore(createSqlStore(sqlite.d1Database(db)), {
+    notify: async (event) => { events.push(['notify', event.type]); },
+    retract: async (event) => { events.push(['retract', event.type]); }
+  });
+
+  artist = (await api.signup({ username: 'Artist', email: 'Artist@Example.com', password: 'secret123' })).user;
+  fan = (await api.signup({ username: 'fan', email: 'fan@example.com', password: 'secret123' })).user;
+  db.prepare("INSERT INTO tracks (id, artist_id, title, audio_url) VALUES ('t1', ?, 'First', 'x')").run(artist.id);
+});
+
+test('signup validates input, rejects taken names and never returns the password', { skip }, async () => {
+  assert.equal((await api.signup({ username: 'x', email: 'x@example.com' })).status, 400);
+  assert.equal((await api.signup({ username: 'x', email: 'x@example.com', password: '123' })).status, 400);
+  assert.equal((await api.signup({ username: 'x', email: 'not-an-email', password: 'secret123' })).status, 400);
+  assert.equal((await api.signup({ username: 'other', email: 'ARTIST@example.com', password: 'secret123' })).status, 409);
+  assert.equal((await api.signup({ username: 'ARTIST', email: 'other@example.com', password: 'secret123' })).status, 409);
+
+  const result = await api.signup({ username: 'newbie', email: 'newbie@example.com', password: 'secret123' });
+  assert.equal(result.status, 200);
+  assert.equal(result.body.user.username, 'newbie');
+  assert.equal('password' in result.body.user, false);
+  assert.notEqual(result.user.password, 'secret123');
+});
+
+test('credentials match by email or username, case-insensitively', { skip }, async () => {
+  assert.equal((await api.verifyCredentials('artist@example.com', 'secret123'))?.id, artist.id);
+  assert.equal((await api.verifyCredentials('  ARTIST ', 'secret123'))?.id, artist.id);
+  assert.equal(await api.verifyCredentials('artist', 'wrong'), null);
+  assert.equal(await api.verifyCredentials('nobody', 'secret123'), null);
+});
+
+test('publicUser strips stored secrets', () => {
+  assert.deepEqual(publicUser({ id: 'u1', password: 'h', reset_token: 't', username: 'a' }), { id: 'u1', username: 'a' });
+  assert.equal(publicUser(null), null);
+});
+
+test('likes toggle, keep the cached count and notify the artist', { skip }, async () => {
+  assert.equal((await api.toggleLike('t1', null)).status, 401);
+  assert.equal((await api.toggleLike('missing', fan.id)).status, 404);
+
+  events.length = 0;
+  const liked = await api.toggleLike('t1', fan.id);
+  assert.deepEqual(liked.body, { success: true, liked: true, is_liked: true, likes_count: 1 });
+  assert.equal(db.prepare("SELECT likes_count FROM tracks WHERE id = 't1'").get().likes_count, 1);
+
+  const unliked = await api.toggleLike('t1', fan.id);
+  assert.equal(unliked.body.liked, false);
+  assert.equal(unliked.body.likes_count, 0);
+  assert.deepEqual(events, [['notify', 'like'], ['retract', 'like']]);
+});
+
+test('reposts toggle and show on the track page', { skip }, async () => {
+  const reposted = await api.toggleRepost('t1', fan.id);
+  assert.equal(reposted.body.reposted, true);
+  assert.equal(reposted.body.reposts_count, 1);
+
+  const page = await api.getTrack('t1');
+  assert.equal(page.status, 200);
+  assert.equal(page.body.reposts_count, 1);
+  assert.equal(page.body.artist_username, 'Artist');
+
+  assert.equal((await api.toggleRepost('t1', fan.id)).body.reposts_count, 0);
+  assert.equal((await api.getTrack('missing')).status, 404);
+});
+
+test('plays and shares count up on existing tracks only', { skip }, async () => {
+  assert.equal((await api.playTrack('t1')).body.plays_count, 1);
+  assert.equal((await api.playTrack('t1')).body.plays_count, 2);
+  assert.equal((await api.shareTrack('t1')).body.shares_count, 1);
+  assert.equal((await api.playTrack('missing')).status, 404);
+});
+
+test('follows toggle both cached counts and refuse self-follows', { skip }, async () => {
+  assert.equal((await api.toggleFollow(fan.id, fan.id)).status, 400);
+  assert.equal((await api.toggleFollow('missing', fan.id)).status, 404);
+
+  const followed = await api.toggleFollow(artist.id, fan.id);
+  assert.deepEqual(followed.body, { success: true, is_following: true, followers_count: 1, following_count: 1 });
+  assert.equal((await api.followStatus(artist.id, fan.id)).body.is_following, true);
+
+  const unfollowed = await api.toggleFollow(artist.id, fan.id);
+  assert.equal(unfollowed.body.followers_count, 0);
+  assert.equal((await api.followStatus(artist.id, fan.id)).body.is_following, false);
+});
+
+test('comments: add, like, and delete by the author or a moderator only', { skip }, async () => {
+  assert.equal((await api.addComment('t1', { text: 'hi' })).status, 401);
+  assert.equal((await api.addComment('t1', { userId: fan.id, text: '   ' })).status, 400);
+
+  const added = await api.addComment('t1', { userId: fan.id, text: ' Great track ' });
+  assert.equal(added.status, 200);
+  assert.equal(added.body.comment.text, 'Great track');
+  assert.equal(added.body.comment.author, 'fan');
+  assert.equal(added.body.comments_count, 1);
+  const commentId = added.body.comment.id;
+
+  const liked = await api.toggleCommentLike('t1', commentId, artist.id);
+  assert.deepEqual(liked.body, { success: true, likes: 1, is_liked: true });
+  const [listed] = (await api.getTrack('t1')).body.comments;
+  assert.deepEqual(listed.liked_by, [artist.id]);
+
+  // Another track's id doesn't reach the comment
+  assert.equal((await api.deleteComment('t2', commentId, { id: fan.id })).status, 404);
+  assert.equal((await api.deleteComment('t1', commentId, null)).status, 401);
+  assert.equal((await api.deleteComment('t1', commentId, { id: artist.id, canModerate: false })).status, 403);
+
+  const deleted = await api.deleteComment('t1', commentId, { id: artist.id, canModerate: true });
+  assert.deepEqual(deleted.body, { success: true, comments_count: 0 });
+  assert.equal(db.prepare('SELECT COUNT(*) AS n FROM comment_likes WHERE comment_id = ?').get(commentId).n, 0);
+});
@@ -0,0 +1,104 @@
+/**
+ * Router tests (worker/router.js)
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Router, compilePattern } from '../worker/router.js';
+
+// Helper: Run a request through the router and return { status, body, headers }
+const request = async (router, method, path) => {
+  const response = await router.handle(new Request(`https://api.example.com${path}`, { method }));
+  return { status: response.status, body: await response.json(), headers: response.headers };
+};
+
+// The track like routes as worker-d1.js registers them: the track route first,
+// the comment route much later
+const trackRoutes = () => new Router()
+  .get('/api/tracks/:id', ({ params }) => Response.json({ route: 'track', params }))
+  .post('/api/tracks/:id/like', ({ params }) => Response.json({ route: 'track-like', params }))
+  .delete('/api/tracks/:id/comments/:commentId', ({ params }) => Response.json({ route: 'comment-delete', params }))
+  .post('/api/tracks/:id/comments/:commentId/like', ({ params }) => Response.json({ route: 'comment-like', params }));
+
+test('a track like and a comment like reach their own routes', async () => {
+  const router = trackRoutes();
+
+  const track = await request(router, 'POST', '/api/tracks/t1/like');
+  assert.equal(track.status, 200);
+  assert.deepEqual(track.body, { route: 'track-like', params: { id: 't1' } });
+
+  const comment = await request(router, 'POST', '/api/tracks/t1/comments/c1/like');
+  assert.equal(comment.status, 200);
+  assert.deepEqual(comment.body, { route: 'comment-like', params: { id: 't1', commentId: 'c1' } });
+});
+
+test('params stop at a slash, so /:id/like never swallows a longer path', () => {
+  const { regex } = compilePattern('/api/tracks/:id/like');
+  assert.ok(regex.test('/api/tracks/t1/like'));
+  assert.ok(regex.test('/api/tracks/t1/like/'));
+  assert.ok(!regex.test('/api/tracks/t1/comments/c1/like'));
+});
+
+test('params are URL-decoded, and malformed escapes are passed through', async () => {
+  const router = trackRoutes();
+  assert.deepEqual((await request(router, 'GET', '/api/tracks/a%20b')).body.params, { id: 'a b' });
+  assert.deepEqual((await request(router, 'GET', '/api/tracks/a%E0')).body.params, { id: 'a%E0' });
+});
+
+test('an unknown path is a 404', async () => {
+  const { status, body } = await request(trackRoutes(), 'POST', '/api/tracks/t1/comments/c1/unlike');
+  assert.equal(status, 404);
+  assert.deepEqual(body, { error: 'Not Found' });
+});
+
+test('a known path with the wrong method is a 405 listing the allowed methods', async () => {
+  const router = trackRoutes();
+
+  const like = await request(router, 'GET', '/api/tracks/t1/like');
+  assert.equal(like.status, 405);
+  assert.deepEqual(like.body.allowed, ['POST']);
+  assert.equal(like.headers.get('Allow'), 'POST');
+
+  const comment = await request(router, 'PUT', '/api/tracks/t1/comments/c1');
+  assert.equal(comment.status, 405);
+  assert.deepEqual(comment.body.allowed, ['DELETE']);
+});
+
+test('HEAD is answered by the GET route', async () => {
+  const { status, body } = await request(trackRoutes(), 'HEAD', '/api/tracks/t1');
+  assert.equal(status, 200);
+  assert.equal(body.route, 'track');
+});
+
+test('routes match in registration order, and a handler returning nothing passes to the next match', async () => {
+  const seen = [];
+  const router = new Router()
+    .get('/api/users/:id', ({ params }) => {
+      seen.push('user');
+      if (params.id === 'me') return undefined;
+      return Response.json({ route: 'user' });
+    })
+    .get('/api/users/me', () => Response.json({ route: 'me' }));
+
+  assert.equal((await request(router, 'GET', '/api/users/u1')).body.route, 'user');
+  assert.equal((await request(router, 'GET', '/api/users/me')).body.route, 'me');
+  assert.deepEqual(seen, ['user', 'user']);
+});
+
+test('route middleware runs around its handler and can answer instead of it', async () => {
+  const signedIn = (ctx, next) => (ctx.request.headers.has('Authorization')
+    ? next()
+    : Response.json({ error: 'Authentication required' }, { status: 401 }));
+  const router = new Router()
+    .post('/api/tracks/:id/like', signedIn, () => Response.json({ route: 'track-like' }));
+
+  const { status } = await request(router, 'POST', '/api/tracks/t1/like');
+  assert.equal(status, 401);
+
+  const response = await router.handle(new Request('https://api.example.com/api/tracks/t1/like', {
+    method: 'POST',
+    headers: { Authorization: 'Bearer x' }
+  }));
+  assert.equal(response.status, 200);
+});
@@ -5,84 +5,56 @@
  * No breaking changes for 8M+ users
  */
 
+import { Router, cors, jsonBody, authenticate, requireUser } from './worker/router.js';
+import {
+  ROLES, PERMISSIONS, getUserRoles, primaryRole, permissionsFor, hasPermission, grantRole, revokeRole,
+  listRoles, listRoleAssignments, requirePermission
+} from './worker/roles.js';
+import { createApiCore, publicUser } from './core/api.mjs';
+import { createSqlStore } from './core/sql-store.mjs';
+import { hashPassword } from './core/password.mjs';
+import { createJWT, verifyJWT } from './core/jwt.mjs';
+import { inboxEvent, INBOX_SOCKET_PATH } from './core/inbox.mjs';
+import { generateToken, hashToken } from './worker/tokens.js';
+import {
+  createSession, touchSession, rotateRefreshToken, listSessions, revokeSessions, revokeAllSessions
+} from './worker/sessions.js';
+import { createMailer, templates } from './worker/email.js';
+import { createRateLimiter, createD1Store, RATE_LIMITS } from './worker/rate-limit.js';
+import { notify, retract, listNotifications, countUnread, markRead, markAllRead } from './worker/notifications.js';
+import { timeline, trending, TIMELINE_TYPES } from './worker/feed.js';
+import { search, typeahead, SEARCH_GROUPS } from './worker/search.js';
+import { listTracks, deleteTrack, parseSort, parseFilters, trackColumns, MAX_TRACKS_LIMIT } from './worker/tracks.js';
+import { findMediaObject, serveMediaObject } from './worker/media.js';
+import { publishToInbox, connectInbox, isInboxConnected } from './worker/inbox.js';
+import {
+  MESSAGE_TYPES, MAX_CAPTION_LENGTH, ATTACHMENT_PREFIX, ATTACHMENT_COLUMNS, ATTACHMENT_JOINS,
+  validateAttachment, storeAttachment, messagePreview, attachmentFields, verifyMediaSignature
+} from './worker/attachments.js';
+import {
+  USER_PRESET_PREFIX, MAX_USER_PRESETS, MAX_PRESET_NAME_LENGTH, PRESET_KNOBS,
+  validatePresetSettings, presetGraph, formatUserPreset
+} from './worker/mastering-presets.js';
+import {
+  detectViolations, blockingViolations, reportContent, flagViolations, hideContent, unhideContent,
+  hiddenContentIds, notHidden, addStrike, canUserPerformAction, getUserStrikeStatus, REPORT_REASONS, CONTENT_TYPES
+} from './worker/moderation.js';
+import {
+  listReportQueue, getQueueItem, applyQueueAction, logModerationAction, listAuditLog, suspendUser
+} from './worker/moderation-queue.js';
+
+// Durable Object classes have to be exported by the main module (bindings in wrangler-d1.toml)
+export { InboxHub } from './worker/inbox.js';
+
 // JWT SECRET - Change this in production!
 const JWT_SECRET = 'AUDIO_CITY_SUPER_SECRET_CHANGE_THIS_IN_PRODUCTION_2025';
 
-// Helper: Create JWT token
-async function createJWT(payload, secret, expiresIn = '7d') {
-  const header = { alg: 'HS256', typ: 'JWT' };
-  
-  // Calculate expiry
-  const now = Math.floor(Date.now() / 1000);
-  const expiry = now + (expiresIn === '7d' ? 7 * 24 * 60 * 60 : 24 * 60 * 60);
-  
-  const jwtPayload = {
-    ...payload,
-    iat: now,
-    exp: expiry
-  };
-  
-  // Base64 encode
-  const base64Header = btoa(JSON.stringify(header)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-  const base64Payload = btoa(JSON.stringify(jwtPayload)).replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-  
-  // Create signature
-  const data = `${base64Header}.${base64Payload}`;
-  const encoder = new TextEncoder();
-  const key = await crypto.subtle.importKey(
-    'raw',
-    encoder.encode(secret),
-    { name: 'HMAC', hash: 'SHA-256' },
-    false,
-    ['sign']
-  );
-  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
-  const base64Signature = btoa(String.fromCharCode(...new Uint8Array(signature)))
-    .replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-  
-  return `${data}.${base64Signature}`;
-}
-
-// Helper: Verify JWT token
-async function verifyJWT(token, secret) {
-  try {
-    const [header, payload, signature] = token.split('.');
-    if (!header || !payload || !signature) return null;
-    
-    // Verify signature
-    const data = `${header}.${payload}`;
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['verify']
-    );
-    
-    // Decode signature
-    const signatureBytes = Uint8Array.from(
-      atob(signature.replace(/-/g, '+').replace(/_/g, '/') + '=='.substring(0, (3 * signature.length) % 4)), 
-      c => c.charCodeAt(0)
-    );
-    
-    const valid = await crypto.subtle.verify('HMAC', key, signatureBytes, encoder.encode(data));
-    if (!valid) return null;
-    
-    // Decode and verify payload
-    const decodedPayload = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/') + '=='.substring(0, (3 * payload.length) % 4)));
-    
-    // Check expiry
-    if (decodedPayload.exp && decodedPayload.exp < Math.floor(Date.now() / 1000)) {
-      return null; // Token expired
-    }
-    
-    return decodedPayload;
-  } catch (error) {
-    console.error('[JWT Verify] Error:', error);
-    return null;
-  }
-}
+// Password reset links stay valid for this long
+const PASSWORD_RESET_TTL_MINUTES = 60;
+
+// Email verification links stay valid for this long; a new one can be requested after the cooldown
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const EMAIL_VERIFICATION_RESEND_SECONDS = 60;
 
 export default {
   async fetch(request, env, ctx) {
@@ -92,7 +64,7 @@ export default {
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS, PATCH',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, X-Admin-Email, X-User-Email',
+      'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Requested-With, Range, If-None-Match, If-Modified-Since, If-Range',
       'Access-Control-Max-Age': '86400',
       'Cache-Control': 'no-cache, no-store, must-revalidate', // Default: no cache for dynamic data
       'Pragma': 'no-cache',
@@ -106,11 +78,6 @@ export default {
       'Vary': 'Accept'
     };
 
-    // Handle CORS preflight
-    if (request.method === 'OPTIONS') {
-      return new Response(null, { status: 204, headers: corsHeaders });
-    }
-
     // Helper: Generate UUID
     const uuid = () => {
       return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
@@ -135,6 +102,10 @@ export default {
       if (authHeader?.startsWith('Bearer ')) {
         return authHeader.substring(7);
       }
+      // Browsers can't set headers on a WebSocket, so the inbox socket passes ?token=
+      if (request.headers.get('Upgrade') === 'websocket') {
+        return url.searchParams.get('token');
+      }
       return null;
     };
 
@@ -146,35 +117,210 @@ export default {
       const payload = await verifyJWT(token, JWT_SECRET);
       if (!payload) return null;
       
+      // Tokens tied to a session stop working as soon as that session is revoked
+      if (payload.sid) {
+        try {
+          const session = await touchSession(env.DB, payload.sid);
+          if (!session || session.user_id !== payload.id) return null;
+        } catch (error) {
+          console.error('[Auth] Session lookup failed:', error.message);
+          return null;
+        }
+      }
+      
+      // Roles come from D1 on every request, so a revoked role takes effect immediately
+      // (the role claim in the token is informational only)
+      let roles;
+      try {
+        roles = await getUserRoles(env.DB, payload.id);
+      } catch (error) {
+        console.error('[Auth] Role lookup failed:', error.message);
+        return null;
+      }
+      
       // Return user data from token
       return {
         id: payload.id,
         email: payload.email,
-        role: payload.role || 'user',
-        is_admin: payload.role === 'admin'
+        role: primaryRole(roles),
+        roles,
+        is_admin: roles.includes('admin'),
+        session_id: payload.sid || null
       };
     };
 
-    // Middleware: Require authentication
-    const requireAuth = async (request) => {
-      const user = await verifyUserFromToken(request);
-      if (!user) {
-        return { error: 'Authentication required', status: 401 };
+    // Helper: Start a device session and sign its access token.
+    // Returns { token, refresh_token, session_id }; without the sessions schema
+    // (migration 0008) it falls back to a plain 7-day JWT.
+    const startSession = async (user, roles) => {
+      const claims = { id: user.id, email: user.email, role: primaryRole(roles) };
+      try {
+        const session = await createSession(env.DB, {
+          userId: user.id,
+          userAgent: request.headers.get('User-Agent'),
+          ip: request.headers.get('CF-Connecting-IP') || null
+        });
+        return {
+          token: await createJWT({ ...claims, sid: session.sessionId }, JWT_SECRET, '7d'),
+          refresh_token: session.refreshToken,
+          session_id: session.sessionId
+        };
+      } catch (error) {
+        console.error('[Sessions] Could not create session:', error.message);
+        return { token: await createJWT(claims, JWT_SECRET, '7d') };
+      }
+    };
+
+    // Auth throttling (worker/rate-limit.js), per client IP and per email/username tried
+    const limiter = env.DB ? createRateLimiter(createD1Store(env.DB)) : null;
+    const clientIp = request.headers.get('CF-Connecting-IP') || null;
+    
+    // Helper: 429 with Retry-After (exposed so login.html can read it cross-origin)
+    const tooManyAttempts = (retryAfter) => {
+      const minutes = Math.ceil(retryAfter / 60);
+      return Response.json({
+        error: `Too many attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+        retry_after: retryAfter
+      }, {
+        status: 429,
+        headers: { ...corsHeaders, 'Retry-After': String(retryAfter), 'Access-Control-Expose-Headers': 'Retry-After' }
+      });
+    };
+    
+    // Helper: Run a limiter check/hit; returns a 429 Response when blocked, else null.
+    // Fails open so a missing rate_limits table (migration 0010) never blocks sign-in.
+    const throttle = async (action, scope, subjects) => {
+      if (!limiter) return null;
+      try {
+        const result = await limiter[action](scope, subjects);
+        return !result || result.allowed ? null : tooManyAttempts(result.retryAfter);
+      } catch (error) {
+        console.error(`[RateLimit] ${scope} ${action} failed:`, error.message);
+        return null;
+      }
+    };
+
+    // Route middleware: Require a signed-in user, or one whose roles grant a permission (worker/roles.js)
+    const signedIn = requireUser({ headers: corsHeaders });
+    const can = (permission) => requirePermission(permission, { headers: corsHeaders });
+    
+    // Helper: Public role info for auth responses
+    const describeRoles = (roles) => ({
+      role: primaryRole(roles),
+      roles,
+      permissions: permissionsFor(roles),
+      is_admin: roles.includes('admin')
+    });
+    
+    // Helper: Has this account confirmed its email address? (not the artist `verified` badge)
+    // Before migration 0011 there is no column and everyone counts as confirmed.
+    const isEmailVerified = (user) => user.email_verified === undefined || user.email_verified === 1;
+    
+    // Helper: Uploads and messaging need a confirmed email; returns a 403 Response or null
+    const requireVerifiedEmail = (user, action) => {
+      if (isEmailVerified(user)) return null;
+      return Response.json({
+        error: `Please confirm your email address before ${action}. Check your inbox or resend the link from Settings.`,
+        code: 'email_unverified'
+      }, { status: 403, headers: corsHeaders });
+    };
+    
+    // Helper: Email a fresh verification link; older unused links stop working.
+    // Throws before touching the tokens when email isn't configured.
+    const sendVerificationEmail = async (user) => {
+      const mailer = createMailer(env, { origin: url.origin });
+      await env.DB.prepare('DELETE FROM email_verification_tokens WHERE user_id = ? AND used_at IS NULL')
+        .bind(user.id).run();
+      
+      const verifyToken = generateToken();
+      await env.DB.prepare(`
+        INSERT INTO email_verification_tokens (id, user_id, email, token_hash, expires_at, created_at)
+        VALUES (?, ?, ?, ?, datetime('now', ?), datetime('now'))
+      `).bind(
+        uuid(), user.id, user.email.toLowerCase(), await hashToken(verifyToken), `+${EMAIL_VERIFICATION_TTL_HOURS} hours`
+      ).run();
+      
+      const frontendOrigin = env.FRONTEND_URL || (url.origin.includes('localhost')
+        ? 'http://localhost:8000'
+        : 'https://www.audiocity-ug.com');
+      await mailer.send({
+        to: user.email,
+        ...templates.verifyEmail({
+          name: user.name || user.username,
+          verifyLink: `${frontendOrigin}/verify-email.html?token=${verifyToken}`,
+          expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+        })
+      });
+      console.log(`[VerifyEmail] Verification link sent to user ${user.id} via ${mailer.transport}`);
+    };
+    
+    // Helper: Only the user themselves (or an account manager) may act on /api/users/:id/... private data
+    const forbidUnlessSelf = (user, userId) => {
+      if (user.id === userId || hasPermission(user.roles, 'users:manage')) return null;
+      return Response.json({ error: 'Not allowed to access another user\'s data' }, 
+        { status: 403, headers: corsHeaders });
+    };
+
+    // Helper: Add one to mastering_stats.tracks_mastered. A job id is counted once
+    // (mastered_jobs, migration 0015) however often its finished status is polled.
+    const countMasteredTrack = async (jobId = null) => {
+      if (!env.DB) return;
+      try {
+        if (jobId) {
+          const { meta } = await env.DB.prepare('INSERT OR IGNORE INTO mastered_jobs (job_id) VALUES (?)').bind(jobId).run();
+          if (!meta?.changes) return;
+        }
+        await env.DB.prepare(`
+          UPDATE mastering_stats 
+          SET tracks_mastered = tracks_mastered + 1, 
+              last_updated = datetime('now')
+          WHERE id = (SELECT id FROM mastering_stats LIMIT 1)
+        `).run();
+      } catch (e) {
+        console.error('[Mastering] Error incrementing mastering count:', e);
       }
-      return { user };
     };
 
-    // Middleware: Require admin role
-    const requireAdmin = async (request) => {
-      const authResult = await requireAuth(request);
-      if (authResult.error) return authResult;
+    // Helper: Server-side moderation for user submissions (comment, message, upload).
+    // Returns { denied: { status, body } } when muted/suspended/banned or the text has
+    // critical/high violations; otherwise { violations } to flag once the content exists.
+    const screenSubmission = async (userId, action, texts, contentType = action) => {
+      try {
+        const standing = await canUserPerformAction(env.DB, userId, action);
+        if (!standing.allowed) {
+          return { denied: { status: 403, body: { error: standing.message, reason: standing.reason } } };
+        }
+      } catch (error) {
+        // Moderation tables missing - don't block posting, but make it visible in logs
+        console.error('[Moderation] Standing check failed:', error.message);
+      }
       
-      if (authResult.user.role !== 'admin') {
-        return { error: 'Admin access required', status: 403 };
+      const violations = texts.filter(Boolean).flatMap(text => detectViolations(text, contentType));
+      const blocking = blockingViolations(violations);
+      if (blocking.length > 0) {
+        return { denied: { status: 400, body: { error: blocking[0].message, violations: blocking } } };
       }
-      return { user: authResult.user };
+      return { violations };
     };
 
+    // Helper: screenSubmission with `denied` as a ready Response
+    const moderateSubmission = async (...args) => {
+      const screening = await screenSubmission(...args);
+      if (!screening.denied) return screening;
+      return { denied: Response.json(screening.denied.body, { status: screening.denied.status, headers: corsHeaders }) };
+    };
+
+    // Shared API core (core/api.mjs) over D1 - the Express server runs the same handlers
+    const api = env.DB ? createApiCore(createSqlStore(env.DB), {
+      notify: (event) => notify(env.DB, event),
+      retract: (event) => retract(env.DB, event),
+      screen: screenSubmission,
+      flag: (contentType, id, violations) => flagViolations(env.DB, contentType, id, violations)
+    }) : null;
+
+    // Helper: Send a core { status, body } result
+    const respond = ({ status, body }) => Response.json(body, { status, headers: corsHeaders });
+
     // Helper: Get user from token (OLD - for backward compatibility)
     const getUserFromToken = async (token) => {
       if (!token || !env.DB) return null;
@@ -193,59 +339,16 @@ export default {
       return null;
     };
 
-    // Helper: Get user with admin bypass - ADMIN HAS FULL RIGHTS WITHOUT AUTH
-    const getUserOrAdmin = async (request, formData = null) => {
-      // Check for admin email in headers or formData
-      const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-      const adminEmailFromForm = formData ? formData.get('admin_email') : null;
-      const adminEmail = (adminEmailHeader || adminEmailFromForm || '').toString().trim().toLowerCase();
-      
-      // ADMIN BYPASS: If email is chilafrican@gmail.com, grant FULL ACCESS immediately
-      const ADMIN_EMAIL = 'chilafrican@gmail.com';
-      const ADMIN_PASSWORD = 'Semakulanico1';
-      
-      if (adminEmail === ADMIN_EMAIL.toLowerCase()) {
-        console.log('[Admin Bypass] ✅ Admin email detected - granting full access');
-        if (env.DB) {
-          let adminUser = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-            .bind(ADMIN_EMAIL.toLowerCase()).first();
-          
-          if (!adminUser) {
-            // Create admin user if doesn't exist
-            const adminUserId = 'admin_' + Date.now();
-            await env.DB.prepare(`
-              INSERT INTO users (
-                id, username, email, name, password, is_admin, verified, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, 1, 1, datetime('now'), datetime('now'))
-            `).bind(
-              adminUserId,
-              'admin',
-              ADMIN_EMAIL,
-              'Admin',
-              ADMIN_PASSWORD
-            ).run();
-            
-            adminUser = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-              .bind(ADMIN_EMAIL.toLowerCase()).first();
-            console.log('[Admin Bypass] ✅ Created admin user:', adminUser?.id);
-          } else {
-            // RESET/UPDATE admin account - Always force admin status and verified
-            await env.DB.prepare('UPDATE users SET is_admin = 1, verified = 1, username = ?, name = ?, password = ? WHERE LOWER(email) = ?')
-              .bind('admin', 'Admin', ADMIN_PASSWORD, ADMIN_EMAIL.toLowerCase()).run();
-            adminUser.is_admin = 1;
-            adminUser.verified = 1;
-            adminUser.username = 'admin';
-            adminUser.name = 'Admin';
-            adminUser.password = ADMIN_PASSWORD;
-            console.log('[Admin Bypass] ✅ Admin account reset/updated - status forced');
-          }
-          return adminUser;
-        }
-      }
-      
-      // If not admin, check normal token authentication
-      const token = getAuthToken(request);
-      return await getUserFromToken(token);
+    // Helper: Full user row (with roles) for the caller - a JWT already verified by the
+    // authenticate middleware (pass ctx.user) or an older session token
+    const getRequestUser = async (tokenUser) => {
+      if (!env.DB) return null;
+      const user = tokenUser
+        ? await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(tokenUser.id).first()
+        : await getUserFromToken(getAuthToken(request));
+      if (!user) return null;
+      user.roles = tokenUser ? tokenUser.roles : await getUserRoles(env.DB, user.id);
+      return user;
     };
 
     // Helper: Get R2 public URL
@@ -307,10 +410,54 @@ export default {
       }
     };
 
+    // ==================== ROUTER ====================
+
+    // Routes match in registration order; unknown paths fall through to the
+    // 404 below, known paths with the wrong method get a 405 with `Allow`.
+    const router = new Router({
+      notFound: () => {
+        // Log for debugging
+        console.error('404 Not Found:', {
+          path: url.pathname,
+          method: request.method,
+          url: request.url,
+          host: url.hostname
+        });
+
+        return Response.json({
+          error: 'Not Found',
+          path: url.pathname,
+          method: request.method,
+          url: request.url,
+          hint: 'API endpoint not found. Check /api/health for available endpoints.',
+          availableEndpoints: [
+            '/api/health',
+            '/api/users',
+            '/api/tracks',
+            '/api/feed',
+            '/api/feed/trending-artists',
+            '/api/search',
+            '/api/moderation/*',
+            '/api/auth/*',
+            '/api/media/*'
+          ]
+        }, { status: 404, headers: corsHeaders });
+      }
+    });
+
+    // Global middleware: CORS (incl. preflight), JSON body parsing, JWT user
+    router.use(cors(corsHeaders));
+    router.use(jsonBody());
+    router.use(authenticate(verifyUserFromToken));
+    
+    // Everything under /api/admin/ needs a staff role (admin:access), on top of each route's own permission
+    const adminArea = can('admin:access');
+    router.use((ctx, next) => ctx.url.pathname.startsWith('/api/admin/') ? adminArea(ctx, next) : next());
+
     // ==================== STATIC FILES ====================
     
     // Handle manifest.json (should be served by Pages, but handle here as fallback)
-    if (url.pathname === '/manifest.json') {
+    router.get('/manifest.json', async () => {
       const manifest = {
         name: "Audio City",
         short_name: "Audio City",
@@ -326,12 +473,12 @@ export default {
           'Content-Type': 'application/manifest+json'
         }
       });
-    }
+    });
 
     // ==================== API ROUTES ====================
 
     // GET /api/health
-    if (url.pathname === '/api/health') {
+    router.all('/api/health', async () => {
       return Response.json({
         status: 'ok',
         service: 'audio-city-api-worker',
@@ -341,11 +488,48 @@ export default {
         path: url.pathname,
         method: request.method
       }, { headers: corsHeaders });
-    }
+    });
+
+    // GET /api/search?q= - Full-text search across tracks, artists and playlists
+    // Query: &type=tracks|artists|playlists (one group, for "see all"), &limit=10, &offset=0
+    //        &mode=typeahead returns one short merged list for the header search box
+    // CACHED: Public results - cache for 60s (browser) / 120s (CDN)
+    router.get('/api/search', async () => {
+      const q = (url.searchParams.get('q') || '').trim().substring(0, 100);
+      const mode = url.searchParams.get('mode');
+      if (!q) {
+        return Response.json({ error: 'Search query (q) required' }, { status: 400, headers: corsHeaders });
+      }
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        if (mode === 'typeahead') {
+          const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '8', 10) || 8, 1), 15);
+          return Response.json(await typeahead(env.DB, q, { limit }), 
+            { headers: { ...corsHeaders, ...cacheHeaders } });
+        }
+        
+        const type = url.searchParams.get('type');
+        if (type && !SEARCH_GROUPS.includes(type)) {
+          return Response.json({ error: `type must be one of: ${SEARCH_GROUPS.join(', ')}` }, 
+            { status: 400, headers: corsHeaders });
+        }
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '10', 10) || 10, 1), 50);
+        const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+        
+        const results = await search(env.DB, q, { groups: type ? [type] : SEARCH_GROUPS, limit, offset });
+        return Response.json(results, { headers: { ...corsHeaders, ...cacheHeaders } });
+      } catch (error) {
+        console.error('[Search] Error:', error);
+        return Response.json({ error: 'Search failed' }, { status: 500, headers: corsHeaders });
+      }
+    });
 
     // GET /api/users - Get all users/artists (excludes admin accounts from public view)
     // CACHED: Public artists list - cache for 60s (browser) / 120s (CDN)
-    if (url.pathname === '/api/users' && request.method === 'GET') {
+    router.get('/api/users', async () => {
       try {
         if (!env.DB) {
           console.warn('[GET /api/users] Database not configured');
@@ -528,7 +712,7 @@ export default {
         const responseHeaders = useCache 
           ? { ...corsHeaders, ...cacheHeaders }
           : corsHeaders; // No cache for name searches
-        return Response.json(enrichedUsers, { headers: responseHeaders });
+        return Response.json(enrichedUsers.map(publicUser), { headers: responseHeaders });
       } catch (error) {
         console.error('[GET /api/users] Error fetching users:', error);
         console.error('[GET /api/users] Error details:', {
@@ -542,42 +726,29 @@ export default {
           : corsHeaders;
         return Response.json([], { headers: responseHeaders });
       }
-    }
+    });
 
     // POST /api/users/:id/online - Update user online status (heartbeat)
-    if (url.pathname.includes('/online') && request.method === 'POST') {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.post('/api/users/:id/online', async ({ params }) => {
+      const userId = params.id;
       if (!userId || !env.DB) {
         return Response.json({ success: true }, { headers: corsHeaders });
       }
       
       try {
-        // Update last_seen timestamp (create column if it doesn't exist)
-        try {
-          await env.DB.prepare('UPDATE users SET last_seen = datetime("now") WHERE id = ?')
-            .bind(userId).run();
-        } catch (e) {
-          // Column might not exist, try to create it
-          try {
-            await env.DB.prepare('ALTER TABLE users ADD COLUMN last_seen TEXT').run();
-            await env.DB.prepare('UPDATE users SET last_seen = datetime("now") WHERE id = ?')
-              .bind(userId).run();
-          } catch (alterError) {
-            // Column might already exist, ignore
-            console.log('[Online] last_seen column may already exist');
-          }
-        }
+        await env.DB.prepare("UPDATE users SET last_seen = datetime('now') WHERE id = ?")
+          .bind(userId).run();
         
         return Response.json({ success: true, last_seen: new Date().toISOString() }, { headers: corsHeaders });
       } catch (error) {
         console.error('[Online] Error updating online status:', error);
         return Response.json({ success: true }, { headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/users/:id/online - Get user online status
-    if (url.pathname.includes('/online') && request.method === 'GET') {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.get('/api/users/:id/online', async ({ params }) => {
+      const userId = params.id;
       if (!userId || !env.DB) {
         return Response.json({ is_online: false }, { headers: corsHeaders });
       }
@@ -590,11 +761,11 @@ export default {
           return Response.json({ is_online: false, last_seen: null }, { headers: corsHeaders });
         }
         
-        // User is online if last_seen is within last 5 minutes
+        // User is online with an open inbox socket, or if last_seen is within last 5 minutes (polling clients)
         const lastSeen = new Date(user.last_seen);
         const now = new Date();
         const diffMinutes = (now - lastSeen) / (1000 * 60);
-        const isOnline = diffMinutes < 5;
+        const isOnline = (await isInboxConnected(env, userId)) || diffMinutes < 5;
         
         return Response.json({ 
           is_online: isOnline, 
@@ -605,290 +776,11 @@ export default {
         console.error('[Online] Error checking online status:', error);
         return Response.json({ is_online: false }, { headers: corsHeaders });
       }
-    }
-
-    // Visitor tracking endpoints removed - all visitor-related endpoints have been removed
-    if (false && url.pathname.includes('/users/') && url.pathname.includes('/visitors') && !url.pathname.includes('/count') && request.method === 'GET') {
-      const profileId = url.pathname.split('/api/users/')[1]?.split('/')[0];
-      if (!profileId || !env.DB) {
-        return Response.json({ error: 'Invalid profile ID' }, { status: 400, headers: corsHeaders });
-      }
-      
-      try {
-        const token = getAuthToken(request);
-        const currentUser = await getUserFromToken(token);
-        
-        if (!currentUser || currentUser.id !== profileId) {
-          return Response.json({ error: 'Unauthorized - can only view your own visitors' }, { status: 401, headers: corsHeaders });
-        }
-        
-        // Ensure profile_visitor_payments table exists
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS profile_visitor_payments (
-              id TEXT PRIMARY KEY,
-              profile_id TEXT NOT NULL,
-              payment_reference TEXT,
-              amount REAL DEFAULT 1000,
-              currency TEXT DEFAULT 'UGX',
-              paid_at TEXT DEFAULT (datetime('now')),
-              julypay_transaction_id TEXT,
-              status TEXT DEFAULT 'pending'
-            )
-          `).run();
-        } catch (e) {
-          // Table might already exist
-        }
-        
-        // First, check if table exists and has any records for this profile
-        let tableCheck = await env.DB.prepare(`
-          SELECT name FROM sqlite_master WHERE type='table' AND name='profile_visitor_payments'
-        `).first();
-        console.log('[Visitors] Table exists:', !!tableCheck);
-        
-        // Check if user has paid (check for 'completed' status, case-insensitive)
-        // Also try exact match in case LOWER() doesn't work as expected
-        let payment = await env.DB.prepare(`
-          SELECT * FROM profile_visitor_payments 
-          WHERE profile_id = ? AND (status = 'completed' OR LOWER(status) = 'completed')
-          ORDER BY paid_at DESC LIMIT 1
-        `).bind(profileId).first();
-        
-        // If no completed payment found, check for any payment with status that might be valid
-        if (!payment) {
-          const anyPayment = await env.DB.prepare(`
-            SELECT * FROM profile_visitor_payments 
-            WHERE profile_id = ?
-            ORDER BY paid_at DESC LIMIT 1
-          `).bind(profileId).first();
-          
-          console.log('[Visitors] No completed payment found. Checking any payment:', anyPayment ? `Found payment with status: "${anyPayment.status}"` : 'No payments found');
-          
-          // If there's a payment but status isn't 'completed', log it for debugging
-          if (anyPayment) {
-            console.log('[Visitors] ⚠️ Payment exists but status is:', anyPayment.status, 'Expected: completed');
-            console.log('[Visitors] Payment details:', JSON.stringify(anyPayment, null, 2));
-            console.log('[Visitors] Status comparison:', {
-              status: anyPayment.status,
-              equals_completed: anyPayment.status === 'completed',
-              lower_equals: anyPayment.status?.toLowerCase() === 'completed',
-              status_type: typeof anyPayment.status
-            });
-          }
-        }
-        
-        console.log('[Visitors] Checking payment for profile:', profileId, 'found completed payment:', payment ? 'YES' : 'NO');
-        if (payment) {
-          console.log('[Visitors] ✅ Payment found:', JSON.stringify(payment, null, 2));
-        }
-        
-        if (!payment) {
-          // Also check if there are any payments at all (for debugging)
-          const allPayments = await env.DB.prepare(`
-            SELECT id, profile_id, status, amount, paid_at, payment_reference, julypay_transaction_id FROM profile_visitor_payments WHERE profile_id = ?
-          `).bind(profileId).all();
-          console.log('[Visitors] All payments for profile:', allPayments.results?.length || 0);
-          if (allPayments.results && allPayments.results.length > 0) {
-            console.log('[Visitors] Payment records found:', JSON.stringify(allPayments.results, null, 2));
-          }
-          
-          return Response.json({ 
-            error: 'Payment required',
-            message: 'Please pay 1000 UGX to view visitor list',
-            amount: 1000,
-            currency: 'UGX',
-            debug: {
-              table_exists: !!tableCheck,
-              payments_found: allPayments.results?.length || 0
-            }
-          }, { status: 402, headers: corsHeaders }); // 402 Payment Required
-        }
-        
-        console.log('[Visitors] ✅ Payment found, granting access:', payment);
-        
-        // Get visitors with user info
-        console.log('[Visitors] Fetching visitors for profile:', profileId);
-        
-        // First check if profile_visits table exists and has data
-        try {
-          const visitCount = await env.DB.prepare('SELECT COUNT(*) as count FROM profile_visits WHERE profile_id = ?')
-            .bind(profileId).first();
-          console.log('[Visitors] Total visits for profile:', visitCount?.count || 0);
-        } catch (e) {
-          console.log('[Visitors] Error checking visit count:', e.message);
-        }
-        
-        const visits = await env.DB.prepare(`
-          SELECT DISTINCT v.visitor_id, v.visited_at, u.username, u.name, u.profile_image_url
-          FROM profile_visits v
-          LEFT JOIN users u ON v.visitor_id = u.id
-          WHERE v.profile_id = ?
-          ORDER BY v.visited_at DESC
-          LIMIT 100
-        `).bind(profileId).all();
-        
-        console.log('[Visitors] Raw visits query result:', visits.results?.length || 0, 'visits');
-        
-        const visitors = (visits.results || []).map(visit => {
-          const visitor = {
-            visitor_id: visit.visitor_id,
-            visited_at: visit.visited_at,
-            username: visit.username || (visit.visitor_id && visit.visitor_id.startsWith('anonymous_') ? 'Anonymous' : null),
-            name: visit.name || 'Anonymous Visitor',
-            profile_image_url: visit.profile_image_url || null
-          };
-          console.log('[Visitors] Mapped visitor:', visitor);
-          return visitor;
-        });
-        
-        console.log('[Visitors] Returning', visitors.length, 'visitors for profile', profileId);
-        return Response.json({ visitors, count: visitors.length }, { headers: corsHeaders });
-      } catch (error) {
-        console.error('[Visitors] Error fetching visitors:', error);
-        return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
-      }
-    }
-
-    // Visitor tracking endpoints removed
-    if (false && url.pathname.includes('/users/') && url.pathname.includes('/visitors/payment') && request.method === 'POST') {
-      const profileId = url.pathname.split('/api/users/')[1]?.split('/')[0];
-      if (!profileId || !env.DB) {
-        return Response.json({ error: 'Invalid profile ID' }, { status: 400, headers: corsHeaders });
-      }
-      
-      try {
-        const token = getAuthToken(request);
-        const currentUser = await getUserFromToken(token);
-        
-        if (!currentUser || currentUser.id !== profileId) {
-          return Response.json({ error: 'Unauthorized' }, { status: 401, headers: corsHeaders });
-        }
-        
-        // Ensure profile_visitor_payments table exists
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS profile_visitor_payments (
-              id TEXT PRIMARY KEY,
-              profile_id TEXT NOT NULL,
-              payment_reference TEXT,
-              amount REAL DEFAULT 1000,
-              currency TEXT DEFAULT 'UGX',
-              paid_at TEXT DEFAULT (datetime('now')),
-              julypay_transaction_id TEXT,
-              status TEXT DEFAULT 'pending'
-            )
-          `).run();
-        } catch (e) {
-          // Table might already exist
-          console.log('[Payment] Table creation check:', e.message);
-        }
-        
-        const body = await parseBody(request);
-        const { payment_reference, julypay_transaction_id, amount } = body || {};
-        
-        console.log('[Payment] Verifying payment for profile:', profileId, 'reference:', payment_reference || julypay_transaction_id, 'amount:', amount);
-        
-        // Validate payment amount - must be exactly 1000 UGX
-        const requiredAmount = 1000;
-        const paymentAmount = parseFloat(amount) || 0;
-        
-        if (paymentAmount < requiredAmount) {
-          console.log('[Payment] ❌ Insufficient payment amount:', paymentAmount, 'required:', requiredAmount);
-          return Response.json({ 
-            error: 'Insufficient payment amount',
-            message: `Payment amount (${paymentAmount} UGX) is less than required (${requiredAmount} UGX). Please pay the full amount.`,
-            required_amount: requiredAmount,
-            received_amount: paymentAmount
-          }, { status: 400, headers: corsHeaders });
-        }
-        
-        // For now, we'll mark payment as completed if reference is provided and amount is valid
-        // TODO: In production, verify with Julypay API to confirm:
-        // 1. Transaction exists and is completed
-        // 2. Amount matches (1000 UGX)
-        // 3. Transaction is for the correct user/service
-        if (payment_reference || julypay_transaction_id) {
-          const paymentId = uuid();
-          try {
-            // Use the provided amount if valid, otherwise default to 1000
-            const finalAmount = paymentAmount >= requiredAmount ? paymentAmount : requiredAmount;
-            
-            const insertResult = await env.DB.prepare(`
-              INSERT INTO profile_visitor_payments (id, profile_id, payment_reference, julypay_transaction_id, status, amount, currency, paid_at)
-              VALUES (?, ?, ?, ?, 'completed', ?, 'UGX', datetime('now'))
-            `).bind(paymentId, profileId, payment_reference || null, julypay_transaction_id || null, finalAmount).run();
-            
-            console.log('[Payment] ✅ Payment record inserted:', paymentId, 'for profile:', profileId, 'insert success:', insertResult.success);
-            
-            // Small delay to ensure write is committed
-            await new Promise(resolve => setTimeout(resolve, 100));
-            
-            // Verify the payment was actually saved by querying for it
-            const savedPayment = await env.DB.prepare(`
-              SELECT * FROM profile_visitor_payments WHERE id = ?
-            `).bind(paymentId).first();
-            
-            if (savedPayment) {
-              console.log('[Payment] ✅ Payment verified in database:', JSON.stringify(savedPayment, null, 2));
-              
-              // Double-check by querying for the profile's completed payments
-              // Try multiple query variations to ensure we can find it
-              const verifyQuery1 = await env.DB.prepare(`
-                SELECT * FROM profile_visitor_payments 
-                WHERE profile_id = ? AND status = 'completed'
-                ORDER BY paid_at DESC LIMIT 1
-              `).bind(profileId).first();
-              
-              const verifyQuery2 = await env.DB.prepare(`
-                SELECT * FROM profile_visitor_payments 
-                WHERE profile_id = ? AND LOWER(status) = 'completed'
-                ORDER BY paid_at DESC LIMIT 1
-              `).bind(profileId).first();
-              
-              const verifyQuery3 = await env.DB.prepare(`
-                SELECT * FROM profile_visitor_payments 
-                WHERE profile_id = ?
-                ORDER BY paid_at DESC LIMIT 1
-              `).bind(profileId).first();
-              
-              console.log('[Payment] ✅ Verification queries:');
-              console.log('[Payment]   - Exact match (status = "completed"):', verifyQuery1 ? 'FOUND' : 'NOT FOUND');
-              console.log('[Payment]   - Case-insensitive (LOWER(status) = "completed"):', verifyQuery2 ? 'FOUND' : 'NOT FOUND');
-              console.log('[Payment]   - Any payment for profile:', verifyQuery3 ? `FOUND (status: "${verifyQuery3.status}")` : 'NOT FOUND');
-              
-              if (verifyQuery1 || verifyQuery2) {
-                const foundPayment = verifyQuery1 || verifyQuery2;
-                console.log('[Payment] ✅ Verification query payment details:', JSON.stringify(foundPayment, null, 2));
-              } else if (verifyQuery3) {
-                console.log('[Payment] ⚠️ Payment found but status mismatch:', verifyQuery3.status, 'Expected: completed');
-              }
-              
-              return Response.json({ 
-                success: true, 
-                message: 'Payment verified',
-                payment_id: paymentId,
-                payment: savedPayment
-              }, { headers: corsHeaders });
-            } else {
-              console.error('[Payment] ❌ Payment was inserted but not found in database');
-              return Response.json({ error: 'Payment verification failed - record not saved' }, { status: 500, headers: corsHeaders });
-            }
-          } catch (insertError) {
-            console.error('[Payment] ❌ Error inserting payment:', insertError);
-            return Response.json({ error: 'Failed to save payment: ' + insertError.message }, { status: 500, headers: corsHeaders });
-          }
-        }
-        
-        return Response.json({ error: 'Payment reference required' }, { status: 400, headers: corsHeaders });
-      } catch (error) {
-        console.error('[Payment] Error processing payment:', error);
-        return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
-      }
-    }
+    });
 
     // GET /api/users/:id/messages - Get user conversations (alias for /api/conversations?user_id=:id)
-    if (url.pathname.includes('/users/') && url.pathname.includes('/messages') && request.method === 'GET') {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.get('/api/users/:id/messages', async ({ params }) => {
+      const userId = params.id;
       if (!userId || !env.DB) {
         return Response.json([], { headers: corsHeaders });
       }
@@ -905,8 +797,9 @@ export default {
         const enriched = await Promise.all((conversations.results || []).map(async (conv) => {
           const otherUser = await env.DB.prepare('SELECT id, username, name, profile_image_url FROM users WHERE id = ?')
             .bind(conv.other_user_id).first();
-          const lastMsg = await env.DB.prepare('SELECT text as content, created_at, sender_id FROM messages WHERE conversation_id = ? ORDER BY created_at DESC LIMIT 1')
+          const lastMsg = await env.DB.prepare(`SELECT text as content, message_type, created_at, sender_id FROM messages m WHERE conversation_id = ? AND ${notHidden('message', 'm.id')} ORDER BY created_at DESC LIMIT 1`)
             .bind(conv.id).first();
+          if (lastMsg) lastMsg.content = messagePreview(lastMsg.message_type, lastMsg.content);
           const unreadCount = await env.DB.prepare('SELECT COUNT(*) as count FROM messages WHERE conversation_id = ? AND receiver_id = ? AND read = 0')
             .bind(conv.id, userId).first();
           return {
@@ -921,34 +814,18 @@ export default {
         console.error('[GET /api/users/:id/messages] Error fetching conversations:', e);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
 
     // ==================== PLAYLIST ENDPOINTS ====================
     
     // GET /api/users/:id/playlists - Get all playlists for a user
-    if (url.pathname.includes('/users/') && url.pathname.includes('/playlists') && request.method === 'GET' && !url.pathname.includes('/tracks')) {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.get('/api/users/:id/playlists', async ({ params }) => {
+      const userId = params.id;
       if (!userId || !env.DB) {
         return Response.json([], { headers: corsHeaders });
       }
       
       try {
-        // Ensure playlists table exists
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS playlists (
-              id TEXT PRIMARY KEY,
-              user_id TEXT NOT NULL,
-              name TEXT NOT NULL,
-              description TEXT,
-              cover_image_url TEXT,
-              created_at TEXT DEFAULT (datetime('now')),
-              updated_at TEXT DEFAULT (datetime('now'))
-            )
-          `).run();
-          await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_playlists_user ON playlists(user_id)`).run();
-        } catch (e) { /* Table might already exist */ }
-        
         const playlists = await env.DB.prepare(`
           SELECT p.*, 
             (SELECT COUNT(*) FROM playlist_tracks WHERE playlist_id = p.id) as tracks_count
@@ -962,43 +839,16 @@ export default {
         console.error('[GET /api/users/:id/playlists] Error:', error);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
     
     // GET /api/playlists/:id - Get single playlist with tracks
-    if (url.pathname.startsWith('/api/playlists/') && request.method === 'GET' && !url.pathname.includes('/tracks/')) {
-      const playlistId = url.pathname.split('/api/playlists/')[1]?.split('/')[0];
+    router.get('/api/playlists/:id', async ({ params }) => {
+      const playlistId = params.id;
       if (!playlistId || !env.DB) {
         return Response.json({ error: 'Invalid playlist ID' }, { status: 400, headers: corsHeaders });
       }
       
       try {
-        // Ensure tables exist
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS playlists (
-              id TEXT PRIMARY KEY,
-              user_id TEXT NOT NULL,
-              name TEXT NOT NULL,
-              description TEXT,
-              cover_image_url TEXT,
-              created_at TEXT DEFAULT (datetime('now')),
-              updated_at TEXT DEFAULT (datetime('now'))
-            )
-          `).run();
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS playlist_tracks (
-              id TEXT PRIMARY KEY,
-              playlist_id TEXT NOT NULL,
-              track_id TEXT NOT NULL,
-              position INTEGER DEFAULT 0,
-              added_at TEXT DEFAULT (datetime('now')),
-              UNIQUE(playlist_id, track_id)
-            )
-          `).run();
-          await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_playlist_tracks_playlist ON playlist_tracks(playlist_id)`).run();
-          await env.DB.prepare(`CREATE INDEX IF NOT EXISTS idx_playlist_tracks_track ON playlist_tracks(track_id)`).run();
-        } catch (e) { /* Tables might already exist */ }
-        
         const playlist = await env.DB.prepare('SELECT * FROM playlists WHERE id = ?').bind(playlistId).first();
         if (!playlist) {
           return Response.json({ error: 'Playlist not found' }, { status: 404, headers: corsHeaders });
@@ -1022,10 +872,10 @@ export default {
         console.error('[GET /api/playlists/:id] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
     // POST /api/playlists - Create new playlist
-    if (url.pathname === '/api/playlists' && request.method === 'POST') {
+    router.post('/api/playlists', async () => {
       try {
         const token = getAuthToken(request);
         const user = await getUserFromToken(token);
@@ -1040,21 +890,6 @@ export default {
           return Response.json({ error: 'Playlist name is required' }, { status: 400, headers: corsHeaders });
         }
         
-        // Ensure playlists table exists
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS playlists (
-              id TEXT PRIMARY KEY,
-              user_id TEXT NOT NULL,
-              name TEXT NOT NULL,
-              description TEXT,
-              cover_image_url TEXT,
-              created_at TEXT DEFAULT (datetime('now')),
-              updated_at TEXT DEFAULT (datetime('now'))
-            )
-          `).run();
-        } catch (e) { /* Table might already exist */ }
-        
         const playlistId = uuid();
         await env.DB.prepare(`
           INSERT INTO playlists (id, user_id, name, description, cover_image_url, created_at, updated_at)
@@ -1067,11 +902,11 @@ export default {
         console.error('[POST /api/playlists] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
     // PUT /api/playlists/:id - Update playlist
-    if (url.pathname.startsWith('/api/playlists/') && request.method === 'PUT' && !url.pathname.includes('/tracks')) {
-      const playlistId = url.pathname.split('/api/playlists/')[1]?.split('/')[0];
+    router.put('/api/playlists/:id', async ({ params }) => {
+      const playlistId = params.id;
       if (!playlistId || !env.DB) {
         return Response.json({ error: 'Invalid playlist ID' }, { status: 400, headers: corsHeaders });
       }
@@ -1096,22 +931,22 @@ export default {
         const { name, description, cover_image_url } = body || {};
         
         const updates = [];
-        const params = [];
+        const values = [];
         
         if (name !== undefined) {
           if (!name.trim()) {
             return Response.json({ error: 'Playlist name cannot be empty' }, { status: 400, headers: corsHeaders });
           }
           updates.push('name = ?');
-          params.push(name.trim());
+          values.push(name.trim());
         }
         if (description !== undefined) {
           updates.push('description = ?');
-          params.push(description?.trim() || null);
+          values.push(description?.trim() || null);
         }
         if (cover_image_url !== undefined) {
           updates.push('cover_image_url = ?');
-          params.push(cover_image_url || null);
+          values.push(cover_image_url || null);
         }
         
         if (updates.length === 0) {
@@ -1119,11 +954,11 @@ export default {
         }
         
         updates.push('updated_at = datetime("now")');
-        params.push(playlistId);
+        values.push(playlistId);
         
         await env.DB.prepare(`
           UPDATE playlists SET ${updates.join(', ')} WHERE id = ?
-        `).bind(...params).run();
+        `).bind(...values).run();
         
         const updated = await env.DB.prepare('SELECT * FROM playlists WHERE id = ?').bind(playlistId).first();
         return Response.json(updated, { headers: corsHeaders });
@@ -1131,11 +966,11 @@ export default {
         console.error('[PUT /api/playlists/:id] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
     // DELETE /api/playlists/:id - Delete playlist
-    if (url.pathname.startsWith('/api/playlists/') && request.method === 'DELETE' && !url.pathname.includes('/tracks')) {
-      const playlistId = url.pathname.split('/api/playlists/')[1]?.split('/')[0];
+    router.delete('/api/playlists/:id', async ({ params }) => {
+      const playlistId = params.id;
       if (!playlistId || !env.DB) {
         return Response.json({ error: 'Invalid playlist ID' }, { status: 400, headers: corsHeaders });
       }
@@ -1166,11 +1001,11 @@ export default {
         console.error('[DELETE /api/playlists/:id] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
     // POST /api/playlists/:id/tracks - Add track to playlist
-    if (url.pathname.includes('/playlists/') && url.pathname.includes('/tracks') && request.method === 'POST' && !url.pathname.includes('/tracks/')) {
-      const playlistId = url.pathname.split('/api/playlists/')[1]?.split('/')[0];
+    router.post('/api/playlists/:id/tracks', async ({ params }) => {
+      const playlistId = params.id;
       if (!playlistId || !env.DB) {
         return Response.json({ error: 'Invalid playlist ID' }, { status: 400, headers: corsHeaders });
       }
@@ -1182,20 +1017,6 @@ export default {
           return Response.json({ error: 'Unauthorized' }, { status: 401, headers: corsHeaders });
         }
         
-        // Ensure tables exist
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS playlist_tracks (
-              id TEXT PRIMARY KEY,
-              playlist_id TEXT NOT NULL,
-              track_id TEXT NOT NULL,
-              position INTEGER DEFAULT 0,
-              added_at TEXT DEFAULT (datetime('now')),
-              UNIQUE(playlist_id, track_id)
-            )
-          `).run();
-        } catch (e) { /* Table might already exist */ }
-        
         const playlist = await env.DB.prepare('SELECT * FROM playlists WHERE id = ?').bind(playlistId).first();
         if (!playlist) {
           return Response.json({ error: 'Playlist not found' }, { status: 404, headers: corsHeaders });
@@ -1242,13 +1063,12 @@ export default {
         console.error('[POST /api/playlists/:id/tracks] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
     // DELETE /api/playlists/:id/tracks/:trackId - Remove track from playlist
-    if (url.pathname.includes('/playlists/') && url.pathname.includes('/tracks/') && request.method === 'DELETE') {
-      const pathParts = url.pathname.split('/api/playlists/')[1]?.split('/');
-      const playlistId = pathParts?.[0];
-      const trackId = pathParts?.[2];
+    router.delete('/api/playlists/:id/tracks/:trackId', async ({ params }) => {
+      const playlistId = params.id;
+      const trackId = params.trackId;
       
       if (!playlistId || !trackId || !env.DB) {
         return Response.json({ error: 'Invalid playlist or track ID' }, { status: 400, headers: corsHeaders });
@@ -1278,11 +1098,11 @@ export default {
         console.error('[DELETE /api/playlists/:id/tracks/:trackId] Error:', error);
         return Response.json({ error: error.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/users/:id - Get single user
-    if (url.pathname.startsWith('/api/users/') && request.method === 'GET' && !url.pathname.includes('/follow') && !url.pathname.includes('/profile-picture') && !url.pathname.includes('/messages') && !url.pathname.includes('/notifications') && !url.pathname.includes('/requests') && !url.pathname.includes('/online') && !url.pathname.includes('/playlists')) {
-      const userId = url.pathname.split('/api/users/')[1]?.split('?')[0]?.split('/')[0];
+    router.get('/api/users/:id', async ({ params, user: tokenUser }) => {
+      const userId = params.id;
       if (!userId) {
         return Response.json({
           id: 'unknown',
@@ -1309,35 +1129,7 @@ export default {
           }, { headers: corsHeaders });
         }
         
-        // Handle admin user IDs - look up admin user by email instead
-        let user = null;
-        if (userId.startsWith('admin_')) {
-          // Admin user ID - lookup by email
-          user = await env.DB.prepare('SELECT *, last_seen FROM users WHERE email = ? AND is_admin = 1').bind('chilafrican@gmail.com').first();
-          if (!user) {
-            // Admin user doesn't exist - create it
-            const adminEmail = 'chilafrican@gmail.com';
-            await env.DB.prepare(`
-              INSERT INTO users (
-                id, username, email, name, password, is_admin, verified, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, 1, 1, datetime('now'), datetime('now'))
-            `).bind(
-              userId,
-              'admin',
-              adminEmail,
-              'Admin',
-              'ssemakulanico1'
-            ).run();
-            user = await env.DB.prepare('SELECT * FROM users WHERE email = ?').bind(adminEmail).first();
-          }
-          if (user) {
-            // Use the provided userId but return admin user data
-            user.id = userId;
-          }
-        } else {
-          // Regular user lookup by ID
-          user = await env.DB.prepare('SELECT *, last_seen FROM users WHERE id = ?').bind(userId).first();
-        }
+        const user = await env.DB.prepare('SELECT *, last_seen FROM users WHERE id = ?').bind(userId).first();
         
         // Calculate online status if last_seen exists
         if (user && user.last_seen) {
@@ -1391,18 +1183,17 @@ export default {
         user.following_count = followingCount;
         user.tracks_count = tracksCount;
         
-        // Privacy: Only show email to the user themselves or admins
-        const token = getAuthToken(request);
-        const currentUser = await getUserFromToken(token);
+        // Privacy: Only show email to the user themselves or staff who can look up accounts
+        const currentUser = tokenUser || await getUserFromToken(getAuthToken(request));
         const isOwnProfile = currentUser && currentUser.id === userId;
-        const isAdmin = currentUser && (currentUser.is_admin === 1 || currentUser.is_admin === true);
+        const canSeeEmail = tokenUser && hasPermission(tokenUser.roles, 'users:read');
         
-        if (!isOwnProfile && !isAdmin) {
+        if (!isOwnProfile && !canSeeEmail) {
           // Hide sensitive info from other users
           delete user.email;
         }
         
-        return Response.json(user, { headers: corsHeaders });
+        return Response.json(publicUser(user), { headers: corsHeaders });
       } catch (error) {
         console.error('Error fetching user:', error);
         return Response.json({
@@ -1412,64 +1203,27 @@ export default {
           avatar_url: null
         }, { headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/auth/validate - Validate current token and return user info
-    // Auto-renews session if token expired but user_id is valid
-    if (url.pathname === '/api/auth/validate' && request.method === 'GET') {
+    // Expired access tokens are renewed with POST /api/auth/refresh (refresh token), not here
+    router.get('/api/auth/validate', async ({ user: tokenUser }) => {
       try {
         const token = getAuthToken(request);
-        const userId = url.searchParams.get('user_id'); // Optional: for auto-renewal
         
         if (!token) {
           return Response.json({ valid: false, error: 'No token provided' }, { headers: corsHeaders });
         }
         
-        let user = await getUserFromToken(token);
-        
-        // If token is invalid/expired but user_id is provided, try to auto-renew
-        if (!user && userId) {
-          // Check if user exists
-          const existingUser = await env.DB.prepare('SELECT * FROM users WHERE id = ?')
-            .bind(userId).first();
-          
-          if (existingUser) {
-            // User exists - create new session (auto-renewal)
-            const newToken = 'token_' + Date.now() + '_' + uuid();
-            const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-            await env.DB.prepare(`
-              INSERT INTO sessions (id, user_id, token, expires_at, created_at)
-              VALUES (?, ?, ?, ?, datetime('now'))
-            `).bind(uuid(), userId, newToken, expiresAt).run();
-            
-            // Delete old expired sessions for this user (cleanup)
-            await env.DB.prepare(`
-              DELETE FROM sessions WHERE user_id = ? AND expires_at <= datetime('now')
-            `).bind(userId).run();
-            
-            user = existingUser;
-            
-            return Response.json({
-              valid: true,
-              token: newToken, // Return new token for frontend to update
-              renewed: true,
-              user: {
-                id: user.id,
-                username: user.username,
-                name: user.name,
-                email: user.email,
-                user_type: user.user_type,
-                is_admin: user.is_admin === 1,
-                verified: user.verified === 1,
-                profile_image_url: user.profile_image_url
-              }
-            }, { headers: corsHeaders });
-          }
-        }
+        // Session-backed JWT (checked by the authenticate middleware) or an older session token
+        const user = tokenUser
+          ? await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(tokenUser.id).first()
+          : await getUserFromToken(token);
         
         if (!user) {
           return Response.json({ valid: false, error: 'Invalid or expired token' }, { headers: corsHeaders });
         }
+        const roles = tokenUser ? tokenUser.roles : await getUserRoles(env.DB, user.id);
         
         return Response.json({
           valid: true,
@@ -1479,8 +1233,9 @@ export default {
             name: user.name,
             email: user.email,
             user_type: user.user_type,
-            is_admin: user.is_admin === 1,
+            ...describeRoles(roles),
             verified: user.verified === 1,
+            email_verified: isEmailVerified(user),
             profile_image_url: user.profile_image_url
           }
         }, { headers: corsHeaders });
@@ -1488,152 +1243,101 @@ export default {
         console.error('Token validation error:', error);
         return Response.json({ valid: false, error: 'Validation failed' }, { headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/users/:id/follow-status - Check if user follows another user
-    if (url.pathname.includes('/follow-status') && request.method === 'GET') {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
-      const followerId = url.searchParams.get('user_id');
-      
-      if (!userId || !followerId || !env.DB) {
+    router.get('/api/users/:id/follow-status', async ({ params }) => {
+      if (!api) {
         return Response.json({ is_following: false }, { headers: corsHeaders });
       }
       
       try {
-        const follow = await env.DB.prepare(
-          'SELECT id FROM follows WHERE follower_id = ? AND followee_id = ?'
-        ).bind(followerId, userId).first();
-        
-        return Response.json({ is_following: !!follow }, { headers: corsHeaders });
+        return respond(await api.followStatus(params.id, url.searchParams.get('user_id')));
       } catch (error) {
         return Response.json({ is_following: false }, { headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/users/:id/follow - Toggle follow relationship
-    if (url.pathname.includes('/follow') && request.method === 'POST' && !url.pathname.includes('follow-status')) {
-      const followeeId = url.pathname.split('/api/users/')[1]?.split('/')[0];
-      const body = await parseBody(request);
-      const followerId = body?.user_id;
-      
-      if (!followeeId || !followerId || !env.DB) {
-        return Response.json({ error: 'User IDs required' }, { status: 400, headers: corsHeaders });
+    // POST /api/users/:id/follow - Toggle follow relationship (the follower is the signed-in user)
+    router.post(['/api/users/:id/follow', '/api/users/:id/unfollow'], signedIn, async ({ params, user }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
       }
       
       try {
-        // Check if already following
-        const existing = await env.DB.prepare(
-          'SELECT id FROM follows WHERE follower_id = ? AND followee_id = ?'
-        ).bind(followerId, followeeId).first();
-        
-        if (existing) {
-          // Unfollow
-          await env.DB.prepare('DELETE FROM follows WHERE follower_id = ? AND followee_id = ?')
-            .bind(followerId, followeeId).run();
-          
-          // Update counts
-          await env.DB.prepare('UPDATE users SET following_count = following_count - 1 WHERE id = ?')
-            .bind(followerId).run();
-          await env.DB.prepare('UPDATE users SET followers_count = followers_count - 1 WHERE id = ?')
-            .bind(followeeId).run();
-          
-          return Response.json({ success: true, is_following: false }, { headers: corsHeaders });
-        } else {
-          // Follow
-          await env.DB.prepare(
-            'INSERT INTO follows (id, follower_id, followee_id, created_at) VALUES (?, ?, ?, datetime("now"))'
-          ).bind(uuid(), followerId, followeeId).run();
-          
-          // Update counts
-          await env.DB.prepare('UPDATE users SET following_count = following_count + 1 WHERE id = ?')
-            .bind(followerId).run();
-          await env.DB.prepare('UPDATE users SET followers_count = followers_count + 1 WHERE id = ?')
-            .bind(followeeId).run();
-          
-          return Response.json({ success: true, is_following: true }, { headers: corsHeaders });
-        }
+        return respond(await api.toggleFollow(params.id, user.id));
       } catch (error) {
         console.error('Follow error:', error);
         return Response.json({ error: 'Failed to update follow status' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/tracks - Get tracks (admin posts on behalf of artists are visible)
-    if (url.pathname === '/api/tracks' && request.method === 'GET') {
+    // Query: order=field.dir[,field.dir] (whitelisted), limit (max 100), genre, tags,
+    // artist_id, artist (username), from/to (dates), min_duration/max_duration (seconds).
+    // Passing `cursor` (empty for the first page) switches the response from a plain array
+    // to { tracks, total, has_more, next_cursor } for infinite scroll.
+    router.get('/api/tracks', async () => {
       try {
         if (!env.DB) {
           return Response.json({ error: 'Database not configured' }, { headers: corsHeaders });
         }
         
-        const orderBy = url.searchParams.get('order') || 'created_at.desc';
-        const limit = parseInt(url.searchParams.get('limit') || '100');
-        const artistId = url.searchParams.get('artist_id');
-        
-        // Filter out pending/rejected tracks - only show approved tracks
-        // Note: Admin posts on behalf of artists, so we show tracks based on artist_id (not uploader)
-        // The artist_id should be the actual artist (not admin), so tracks should be visible
-        // Note: review_status column may not exist, so we'll filter in JavaScript if needed
-        let query = `SELECT t.*, u.username as artist_username, u.name as artist_name, u.profile_image_url as artist_profile_image, u.verified as artist_is_verified 
-          FROM tracks t 
-          LEFT JOIN users u ON t.artist_id = u.id
-          WHERE 1=1`;
-        const params = [];
+        const paginated = url.searchParams.has('cursor');
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || (paginated ? '20' : '100')) || 20, 1), MAX_TRACKS_LIMIT);
         
-        if (artistId) {
-          query += ' AND t.artist_id = ?';
-          params.push(artistId.replace(/^(eq|neq)\./, ''));
+        // Optional columns (review_status, reposts_count, downloads_count) decide what can be sorted/filtered
+        const columns = await trackColumns(env.DB);
+        const { sort, error: sortError } = parseSort(url.searchParams.get('order'), columns);
+        if (sortError) {
+          return Response.json({ error: sortError }, { status: 400, headers: corsHeaders });
+        }
+        const { where, values, error: filterError } = parseFilters(url.searchParams);
+        if (filterError) {
+          return Response.json({ error: filterError }, { status: 400, headers: corsHeaders });
         }
         
-        // Handle multiple order fields (e.g., "views_count.desc,likes_count.desc")
-        if (orderBy.includes(',')) {
-          const orderParts = orderBy.split(',').map(part => {
-            const trimmed = part.trim();
-            if (trimmed.includes('.')) {
-              const [field, direction] = trimmed.split('.');
-              return `t.${field} ${direction.toUpperCase()}`;
-            }
-            return `t.${trimmed} DESC`;
-          });
-          query += ` ORDER BY ${orderParts.join(', ')}`;
-        } else if (orderBy.includes('.')) {
-          const [field, direction] = orderBy.split('.');
-          query += ` ORDER BY t.${field} ${direction.toUpperCase()}`;
-        } else {
-          query += ' ORDER BY t.created_at DESC';
+        // Note: Admin posts on behalf of artists, so we show tracks based on artist_id (not uploader).
+        // Pending/rejected tracks are excluded in SQL so totals and pages agree.
+        const page = await listTracks(env.DB, {
+          sort, where, values, limit, columns,
+          cursor: url.searchParams.get('cursor') || null
+        });
+        if (page.error) {
+          return Response.json({ error: page.error }, { status: 400, headers: corsHeaders });
         }
         
-        query += ` LIMIT ?`;
-        params.push(limit);
-        
-        // D1 bind() returns a new statement - must use the returned value
-        const tracks = await env.DB.prepare(query).bind(...params).all();
-        
-        // Return raw tracks if enrichment fails
-        const rawTracks = tracks.results || [];
-        
-        // Filter out pending/rejected tracks (if review_status column exists)
-        // Only show approved tracks or tracks without review_status (backward compatibility)
-        const filteredTracks = rawTracks.filter(track => {
-          // If review_status doesn't exist on track, assume it's approved (legacy tracks)
-          if (track.review_status === undefined || track.review_status === null) {
-            return true; // Show tracks without review_status
-          }
-          // Only show approved tracks, hide pending/rejected
-          return track.review_status === 'approved' || track.review_status === '';
-        });
+        const filteredTracks = page.tracks;
+        const respond = (tracks) => Response.json(
+          paginated
+            ? { tracks, total: page.total, has_more: page.has_more, next_cursor: page.next_cursor }
+            : tracks,
+          { headers: { ...corsHeaders, ...cacheHeaders } }
+        );
         
         // Try to enrich with like counts (use track_likes table, not likes)
         try {
           const enrichedTracks = await Promise.all(filteredTracks.map(async (track) => {
             const likes = await env.DB.prepare('SELECT COUNT(*) as count FROM track_likes WHERE track_id = ?')
             .bind(track.id).first();
-          const comments = await env.DB.prepare('SELECT COUNT(*) as count FROM comments WHERE track_id = ?')
+          const comments = await env.DB.prepare(`SELECT COUNT(*) as count FROM comments c WHERE c.track_id = ? AND ${notHidden('comment', 'c.id')}`)
             .bind(track.id).first();
+          // "Reposted by" attribution - the most recent reposters
+          const reposters = await env.DB.prepare(`
+            SELECT u.id, u.username, u.name, u.profile_image_url
+            FROM reposts r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.track_id = ?
+            ORDER BY r.created_at DESC
+            LIMIT 3
+          `).bind(track.id).all();
           
           // Always use calculated counts from tables (source of truth), not cached columns
           track.likes_count = likes?.count || 0;
           track.comments_count = comments?.count || 0;
+          track.reposts_count = track.reposts_count || 0;
+          track.reposted_by = reposters.results || [];
           track.shares_count = track.shares_count || 0;
           track.downloads_count = track.downloads_count || 0; // downloads_count is stored in tracks table
           track.views_count = track.views_count || track.plays_count || 0; // Ensure views_count is set
@@ -1642,11 +1346,11 @@ export default {
           return track;
         }));
         // Return with cache headers for public feed data
-        return Response.json(enrichedTracks, { headers: { ...corsHeaders, ...cacheHeaders } });
+        return respond(enrichedTracks);
         } catch (enrichError) {
           // Return raw tracks without enrichment if it fails
           console.error('Enrichment error:', enrichError);
-          return Response.json(filteredTracks, { headers: { ...corsHeaders, ...cacheHeaders } });
+          return respond(filteredTracks);
         }
       } catch (error) {
         console.error('[GET /api/tracks] Error fetching tracks:', error);
@@ -1656,114 +1360,47 @@ export default {
           name: error.name
         });
         // Return empty array instead of error to prevent feed from breaking
-        return Response.json([], { headers: { ...corsHeaders, ...cacheHeaders } });
+        const empty = url.searchParams.has('cursor') ? { tracks: [], total: 0, has_more: false, next_cursor: null } : [];
+        return Response.json(empty, { headers: { ...corsHeaders, ...cacheHeaders } });
       }
-    }
+    });
 
-    // GET /api/tracks/:id - Get single track (PUBLIC - no auth required)
-    if (url.pathname.startsWith('/api/tracks/') && request.method === 'GET' && !url.pathname.includes('/play') && !url.pathname.includes('/like') && !url.pathname.includes('/comment')) {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('?')[0]?.split('/')[0];
-      
-      console.log('[Get Track] Request:', {
-        pathname: url.pathname,
-        trackId: trackId,
-        method: request.method
-      });
-      
-      if (!trackId || !env.DB) {
-        console.error('[Get Track] Missing trackId or DB not configured');
+    // GET /api/tracks/:id - Get single track with its comments (PUBLIC - no auth required)
+    router.get('/api/tracks/:id', async ({ params }) => {
+      if (!api) {
+        console.error('[Get Track] DB not configured');
         return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
       }
       
       try {
-        const track = await env.DB.prepare(
-          'SELECT t.*, u.username as artist_username, u.name as artist_name, u.profile_image_url as artist_profile_image, u.verified as artist_is_verified FROM tracks t LEFT JOIN users u ON t.artist_id = u.id WHERE t.id = ?'
-        ).bind(trackId).first();
-        
-        if (!track) {
-          console.error('[Get Track] Track not found in database:', trackId);
+        // Hidden by a moderator: gone for everyone until restored
+        if ((await hiddenContentIds(env.DB, 'track', [params.id])).length > 0) {
           return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
         }
-        
-        console.log('[Get Track] Track found:', trackId);
-        
-        const likes = await env.DB.prepare('SELECT COUNT(*) as count FROM track_likes WHERE track_id = ?')
-          .bind(trackId).first();
-        const comments = await env.DB.prepare('SELECT COUNT(*) as count FROM comments WHERE track_id = ?')
-          .bind(trackId).first();
-        
-        // Get comments with user info
-        const commentsData = await env.DB.prepare(`
-          SELECT c.*, u.username as author, u.name as author_name, u.profile_image_url as author_avatar
-          FROM comments c
-          LEFT JOIN users u ON c.user_id = u.id
-          WHERE c.track_id = ?
-          ORDER BY c.created_at DESC
-        `).bind(trackId).all();
-        
-        // Get comment likes for each comment
-        const commentsWithLikes = await Promise.all((commentsData.results || []).map(async (comment) => {
-          const commentLikes = await env.DB.prepare('SELECT COUNT(*) as count FROM comment_likes WHERE comment_id = ?')
-            .bind(comment.id).first();
-          return {
-            ...comment,
-            likes: commentLikes?.count || 0,
-            liked_by: [] // Will be populated if needed
-          };
-        }));
-        
-        // Always use calculated counts from tables (source of truth), not cached columns
-        track.likes_count = likes?.count || 0;
-        track.comments_count = comments?.count || 0;
-        track.comments = commentsWithLikes;
-        track.shares_count = track.shares_count || 0;
-        track.downloads_count = track.downloads_count || 0; // downloads_count is stored in tracks table
-        track.views_count = track.views_count || track.plays_count || 0; // Ensure views_count is set
-        track.plays_count = track.plays_count || track.views_count || 0; // Ensure plays_count is set
-        track.artist_is_verified = track.artist_is_verified === 1;
-        
-        return Response.json(track, { headers: corsHeaders });
+        return respond(await api.getTrack(params.id));
       } catch (error) {
         console.error('Error fetching track:', error);
         return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/tracks/:id/play - Increment play count
-    if (url.pathname.includes('/play') && request.method === 'POST') {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('/')[0];
-      if (!trackId || !env.DB) {
+    router.post('/api/tracks/:id/play', async ({ params }) => {
+      if (!api) {
         return Response.json({ success: true, views_count: 0, plays_count: 0 }, { headers: corsHeaders });
       }
       
       try {
-        // Update counts
-        await env.DB.prepare('UPDATE tracks SET plays_count = COALESCE(plays_count, 0) + 1, views_count = COALESCE(views_count, 0) + 1 WHERE id = ?')
-          .bind(trackId).run();
-        
-        // Get updated counts
-        const updatedTrack = await env.DB.prepare('SELECT views_count, plays_count FROM tracks WHERE id = ?')
-          .bind(trackId).first();
-        
-        const viewsCount = updatedTrack?.views_count || 0;
-        const playsCount = updatedTrack?.plays_count || 0;
-        
-        console.log('[Play] Incremented counts for track:', trackId, 'views:', viewsCount, 'plays:', playsCount);
-        
-        return Response.json({ 
-          success: true, 
-          views_count: viewsCount,
-          plays_count: playsCount
-        }, { headers: corsHeaders });
+        return respond(await api.playTrack(params.id));
       } catch (error) {
         console.error('[Play] Error updating play count:', error);
         return Response.json({ success: true, views_count: 0, plays_count: 0 }, { headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/tracks/:id/download - Increment download count
-    if (url.pathname.includes('/download') && request.method === 'POST') {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('/')[0];
+    router.post('/api/tracks/:id/download', async ({ params }) => {
+      const trackId = params.id;
       console.log('[Download] Request received for track:', trackId);
       
       if (!trackId || trackId === '' || trackId === 'null' || trackId === 'undefined') {
@@ -1786,28 +1423,8 @@ export default {
           return Response.json({ success: false, error: 'Track not found', downloads_count: 0 }, { headers: corsHeaders });
         }
         
-        // Check if column exists by trying to read it
-        let trackCheck;
-        try {
-          trackCheck = await env.DB.prepare('SELECT downloads_count FROM tracks WHERE id = ? LIMIT 1')
-            .bind(trackId).first();
-          console.log('[Download] Current downloads_count:', trackCheck?.downloads_count);
-        } catch (readError) {
-          // Column doesn't exist, create it
-          console.log('[Download] Column doesn\'t exist, creating it...');
-          try {
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN downloads_count INTEGER DEFAULT 0').run();
-            console.log('[Download] Created downloads_count column');
-            // Initialize all existing tracks to 0
-            await env.DB.prepare('UPDATE tracks SET downloads_count = 0 WHERE downloads_count IS NULL').run();
-            trackCheck = { downloads_count: 0 };
-          } catch (alterError) {
-            console.error('[Download] Error creating column:', alterError);
-            // Column might already exist, try to read again
-            trackCheck = await env.DB.prepare('SELECT downloads_count FROM tracks WHERE id = ? LIMIT 1')
-              .bind(trackId).first() || { downloads_count: 0 };
-          }
-        }
+        const trackCheck = await env.DB.prepare('SELECT downloads_count FROM tracks WHERE id = ? LIMIT 1')
+          .bind(trackId).first();
         
         // Update downloads_count
         const updateResult = await env.DB.prepare('UPDATE tracks SET downloads_count = COALESCE(downloads_count, 0) + 1 WHERE id = ?')
@@ -1835,87 +1452,38 @@ export default {
           downloads_count: 0 
         }, { headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/tracks/:id/like - Like/unlike track
-    if (url.pathname.includes('/like') && request.method === 'POST' && !url.pathname.includes('comments')) {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('/')[0];
-      const body = await parseBody(request);
-      const userId = body?.user_id;
-      
-      if (!trackId || !userId || !env.DB) {
-        return Response.json({ error: 'Track ID and user ID required' }, { status: 400, headers: corsHeaders });
+    // POST /api/tracks/:id/like - Like/unlike track as the signed-in user
+    router.post('/api/tracks/:id/like', signedIn, async ({ params, user }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
       }
       
       try {
-        const existing = await env.DB.prepare(
-          'SELECT id FROM track_likes WHERE user_id = ? AND track_id = ?'
-        ).bind(userId, trackId).first();
-        
-        if (existing) {
-          // Unlike
-          await env.DB.prepare('DELETE FROM track_likes WHERE user_id = ? AND track_id = ?')
-            .bind(userId, trackId).run();
-          
-          // Get updated like count
-          const likesResult = await env.DB.prepare('SELECT COUNT(*) as count FROM track_likes WHERE track_id = ?')
-            .bind(trackId).first();
-          const likesCount = likesResult?.count || 0;
-          
-          console.log('[Like] Unliked track:', trackId, 'new count:', likesCount);
-          
-          return Response.json({ 
-            success: true, 
-            liked: false,
-            likes_count: likesCount
-          }, { headers: corsHeaders });
-        } else {
-          // Like
-          await env.DB.prepare('INSERT INTO track_likes (id, user_id, track_id, created_at) VALUES (?, ?, ?, datetime("now"))')
-            .bind(uuid(), userId, trackId).run();
-          
-          // Get updated like count
-          const likesResult = await env.DB.prepare('SELECT COUNT(*) as count FROM track_likes WHERE track_id = ?')
-            .bind(trackId).first();
-          const likesCount = likesResult?.count || 0;
-          
-          console.log('[Like] Liked track:', trackId, 'new count:', likesCount);
-          
-          return Response.json({ 
-            success: true, 
-            liked: true,
-            likes_count: likesCount
-          }, { headers: corsHeaders });
-        }
+        return respond(await api.toggleLike(params.id, user.id));
       } catch (error) {
         console.error('Like error:', error);
         return Response.json({ error: 'Failed to update like' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/tracks/:id/share - Share track
-    if (url.pathname.includes('/share') && request.method === 'POST') {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('/')[0];
-      if (!trackId || !env.DB) {
+    router.post('/api/tracks/:id/share', async ({ params }) => {
+      if (!api) {
         return Response.json({ success: true, shares_count: 0 }, { headers: corsHeaders });
       }
       
       try {
-        await env.DB.prepare('UPDATE tracks SET shares_count = shares_count + 1 WHERE id = ?')
-          .bind(trackId).run();
-        
-        const track = await env.DB.prepare('SELECT shares_count FROM tracks WHERE id = ?').bind(trackId).first();
-        return Response.json({ 
-          success: true,
-          shares_count: track?.shares_count || 0
-        }, { headers: corsHeaders });
+        return respond(await api.shareTrack(params.id));
       } catch (error) {
+        console.error('[Share] Error updating share count:', error);
         return Response.json({ success: true, shares_count: 0 }, { headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/feed/trending-artists (excludes admin accounts from public view)
-    if (url.pathname === '/api/feed/trending-artists' && request.method === 'GET') {
+    router.get('/api/feed/trending-artists', async () => {
       try {
         if (!env.DB) {
           return Response.json([], { headers: corsHeaders });
@@ -2029,7 +1597,7 @@ export default {
           const originalImageUrl = artist.profile_image_url || artist.profile_image || artist.avatar_url;
           const profileImageUrl = normalizeProfileImageUrl(originalImageUrl, artist.id);
           
-          return {
+          return publicUser({
             ...artist,
             verified: artist.verified === 1,
             is_admin: artist.is_admin === 1,
@@ -2039,7 +1607,7 @@ export default {
             profile_image_url: profileImageUrl,
             profile_image: profileImageUrl,
             avatar_url: profileImageUrl
-          };
+          });
         }));
         
         return Response.json(results, { headers: corsHeaders });
@@ -2047,10 +1615,10 @@ export default {
         console.error('Error fetching trending artists:', error);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/auth/signup
-    if (url.pathname === '/api/auth/signup' && request.method === 'POST') {
+    router.post('/api/auth/signup', async () => {
       try {
         const body = await parseBody(request);
         if (!body || !body.email || !body.password || !body.username) {
@@ -2058,86 +1626,43 @@ export default {
             { status: 400, headers: corsHeaders });
         }
         
-        if (!env.DB) {
+        if (!api) {
           return Response.json({ error: 'Database not configured' }, 
             { status: 500, headers: corsHeaders });
         }
         
-        const existing = await env.DB.prepare('SELECT id FROM users WHERE email = ? OR username = ?')
-          .bind(body.email.toLowerCase(), body.username).first();
-        if (existing) {
-          return Response.json({ error: 'User already exists' }, 
-            { status: 400, headers: corsHeaders });
-        }
+        // Every signup attempt counts against the client IP
+        const limited = await throttle('hit', 'signup', { ip: clientIp });
+        if (limited) return limited;
         
-        const userId = uuid();
-        // Try to insert with biography, fallback if column doesn't exist
-        try {
-          await env.DB.prepare(`
-            INSERT INTO users (id, username, email, name, password, auth_provider, bio, biography, created_at, updated_at)
-            VALUES (?, ?, ?, ?, ?, 'local', ?, ?, datetime('now'), datetime('now'))
-          `).bind(
-            userId,
-            body.username,
-            body.email.toLowerCase(),
-            body.name || body.username,
-            body.password, // TODO: Hash password in production!
-            body.biography || body.bio || null,
-            body.biography || body.bio || null
-          ).run();
-        } catch (insertError) {
-          // If bio/biography columns don't exist, try without them
-          console.log('[Signup] bio/biography columns may not exist, trying without:', insertError.message);
+        const created = await api.signup(body);
+        if (!created.user) return respond(created);
+        
+        const user = created.user;
+        // New accounts are plain listeners
+        const roles = ['listener'];
+        const session = await startSession(user, roles);
+        user.verified = user.verified === 1;
+        
+        // The account works right away; uploads and messaging wait for the confirmed email
+        let verificationSent = false;
+        if (!isEmailVerified(user)) {
           try {
-            // Try to add bio column if it doesn't exist
-            await env.DB.prepare('ALTER TABLE users ADD COLUMN bio TEXT').run();
-            await env.DB.prepare('ALTER TABLE users ADD COLUMN biography TEXT').run();
-            // Retry insert
-            await env.DB.prepare(`
-              INSERT INTO users (id, username, email, name, password, auth_provider, bio, biography, created_at, updated_at)
-              VALUES (?, ?, ?, ?, ?, 'local', ?, ?, datetime('now'), datetime('now'))
-            `).bind(
-              userId,
-              body.username,
-              body.email.toLowerCase(),
-              body.name || body.username,
-              body.password,
-              body.biography || body.bio || null,
-              body.biography || body.bio || null
-            ).run();
-          } catch (alterError) {
-            // Column might already exist or other error, try insert without bio fields
-            console.log('[Signup] Could not add bio columns, inserting without them:', alterError.message);
-        await env.DB.prepare(`
-          INSERT INTO users (id, username, email, name, password, auth_provider, created_at, updated_at)
-          VALUES (?, ?, ?, ?, ?, 'local', datetime('now'), datetime('now'))
-        `).bind(
-          userId,
-          body.username,
-          body.email.toLowerCase(),
-          body.name || body.username,
-              body.password
-        ).run();
+            await sendVerificationEmail(user);
+            verificationSent = true;
+          } catch (mailError) {
+            console.error('[Signup] Could not send verification email:', mailError.message);
           }
         }
         
-        const token = 'token_' + Date.now() + '_' + uuid();
-        const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-        await env.DB.prepare(`
-          INSERT INTO sessions (id, user_id, token, expires_at, created_at)
-          VALUES (?, ?, ?, ?, datetime('now'))
-        `).bind(uuid(), userId, token, expiresAt).run();
-        
-        const user = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
-        user.verified = user.verified === 1;
-        user.is_admin = user.is_admin === 1;
-        
         return Response.json({
           success: true,
-          token,
+          ...session,
+          verification_sent: verificationSent,
           user: {
-            ...user,
-            password: undefined
+            ...publicUser(user),
+            ...describeRoles(roles),
+            email_verified: isEmailVerified(user)
           }
         }, { headers: corsHeaders });
       } catch (error) {
@@ -2145,10 +1670,10 @@ export default {
         return Response.json({ error: 'Signup failed' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/auth/login - JWT + Role-based auth
-    if (url.pathname === '/api/auth/login' && request.method === 'POST') {
+    router.post('/api/auth/login', async () => {
       try {
         const body = await parseBody(request);
         if (!body || (!body.email && !body.identifier) || !body.password) {
@@ -2162,96 +1687,42 @@ export default {
         }
         
         const identifier = (body.email || body.identifier || '').toLowerCase().trim();
-        const ADMIN_EMAIL = 'chilafrican@gmail.com';
-        const ADMIN_PASSWORD = 'Semakulanico1';
         
-        // ADMIN LOGIN: Check credentials and create/update admin user
-        if (identifier === ADMIN_EMAIL.toLowerCase() && body.password === ADMIN_PASSWORD) {
-          console.log('[Login] Admin credentials detected');
-          
-          // Get or create admin user
-          let user = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-            .bind(ADMIN_EMAIL.toLowerCase()).first();
-          
-          if (!user) {
-            // Create admin user
-            const adminUserId = 'admin_' + Date.now();
-            await env.DB.prepare(`
-              INSERT INTO users (
-                id, username, email, name, password, is_admin, verified, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, 1, 1, datetime('now'), datetime('now'))
-            `).bind(
-              adminUserId,
-              'admin',
-              ADMIN_EMAIL,
-              'Admin',
-              ADMIN_PASSWORD
-            ).run();
-            
-            user = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-              .bind(ADMIN_EMAIL.toLowerCase()).first();
-          } else {
-            // Update admin user
-            await env.DB.prepare('UPDATE users SET is_admin = 1, verified = 1, password = ? WHERE LOWER(email) = ?')
-              .bind(ADMIN_PASSWORD, ADMIN_EMAIL.toLowerCase()).run();
-            user.is_admin = 1;
-            user.verified = 1;
-          }
-          
-          // Create JWT token with role
-          const token = await createJWT({
-            id: user.id,
-            email: user.email,
-            role: 'admin'
-          }, JWT_SECRET, '7d');
-          
-          console.log('[Login] ✅ Admin login successful');
-          
-          return Response.json({
-            success: true,
-            token,
-            user: {
-              id: user.id,
-              email: user.email,
-              username: user.username || 'admin',
-              name: user.name || 'Admin',
-              role: 'admin',
-              is_admin: true,
-              verified: true
-            }
-          }, { headers: corsHeaders });
-        }
+        // Locked out (this IP or this account)? Don't even check the password.
+        const limited = await throttle('check', 'login', { ip: clientIp, identifier });
+        if (limited) return limited;
         
-        // REGULAR USER LOGIN
-        let user = await env.DB.prepare('SELECT * FROM users WHERE (LOWER(email) = ? OR LOWER(username) = ?) AND password = ?')
-          .bind(identifier, identifier, body.password).first();
+        // Also upgrades legacy plaintext (or weaker) password hashes on success
+        const user = await api.verifyCredentials(identifier, body.password);
         
         if (!user) {
+          // Count the failure; the attempt that crosses the limit already gets the 429
+          const locked = await throttle('hit', 'login', { ip: clientIp, identifier });
+          if (locked) return locked;
           return Response.json({ error: 'Invalid credentials' }, 
             { status: 401, headers: corsHeaders });
         }
         
-        // Determine role from is_admin flag
-        const role = (user.is_admin === 1 || user.is_admin === true) ? 'admin' : 'user';
+        // A successful sign-in clears the account's failed attempts (not the IP's)
+        await throttle('reset', 'login', { identifier });
+        
+        // Roles (admin, moderator, artist, listener) come from user_roles
+        const roles = await getUserRoles(env.DB, user.id);
         
-        // Create JWT token
-        const token = await createJWT({
-          id: user.id,
-          email: user.email,
-          role: role
-        }, JWT_SECRET, '7d');
+        // Create JWT token (tied to a new device session)
+        const session = await startSession(user, roles);
         
         return Response.json({
           success: true,
-          token,
+          ...session,
           user: {
             id: user.id,
             email: user.email,
             username: user.username,
             name: user.name,
-            role: role,
-            is_admin: role === 'admin',
-            verified: user.verified === 1
+            ...describeRoles(roles),
+            verified: user.verified === 1,
+            email_verified: isEmailVerified(user)
           }
         }, { headers: corsHeaders });
         
@@ -2262,35 +1733,356 @@ export default {
           details: error.message
         }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
+
+    // POST /api/auth/forgot-password - Email a single-use reset link
+    // Always answers with the same message so it can't be used to probe accounts
+    router.post('/api/auth/forgot-password', async () => {
+      const genericResponse = () => Response.json({
+        success: true,
+        message: 'If an account exists for that email or username, a password reset link has been sent.'
+      }, { headers: corsHeaders });
+
+      try {
+        const body = await parseBody(request);
+        const identifier = ((body && (body.identifier || body.email)) || '').toLowerCase().trim();
+        if (!identifier) {
+          return Response.json({ error: 'Email or username required' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        if (!env.DB) {
+          return Response.json({ error: 'Database not configured' }, 
+            { status: 500, headers: corsHeaders });
+        }
+
+        // Counted whether or not the account exists, so the 429 reveals nothing
+        const limited = await throttle('hit', 'forgot_password', { ip: clientIp, identifier });
+        if (limited) return limited;
+
+        const user = await env.DB.prepare('SELECT id, email, name, username FROM users WHERE LOWER(email) = ? OR LOWER(username) = ?')
+          .bind(identifier, identifier).first();
+        if (!user || !user.email) {
+          console.log('[ForgotPassword] No account with an email for identifier');
+          return genericResponse();
+        }
+
+        // Only the newest link stays valid
+        await env.DB.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL')
+          .bind(user.id).run();
+
+        const resetToken = generateToken();
+        await env.DB.prepare(`
+          INSERT INTO password_reset_tokens (id, user_id, token_hash, expires_at, requested_ip, created_at)
+          VALUES (?, ?, ?, datetime('now', ?), ?, datetime('now'))
+        `).bind(
+          uuid(),
+          user.id,
+          await hashToken(resetToken),
+          `+${PASSWORD_RESET_TTL_MINUTES} minutes`,
+          request.headers.get('CF-Connecting-IP') || null
+        ).run();
+
+        const frontendOrigin = env.FRONTEND_URL || (url.origin.includes('localhost')
+          ? 'http://localhost:8000'
+          : 'https://www.audiocity-ug.com');
+        const resetLink = `${frontendOrigin}/reset-password.html?token=${resetToken}`;
+
+        // A mail failure (or no transport configured) still gets the generic answer,
+        // so the response never reveals whether the account exists
+        try {
+          const mailer = createMailer(env, { origin: url.origin });
+          await mailer.send({
+            to: user.email,
+            ...templates.passwordReset({
+              name: user.name || user.username,
+              resetLink,
+              expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+            })
+          });
+          console.log(`[ForgotPassword] Reset link sent to user ${user.id} via ${mailer.transport}`);
+        } catch (mailError) {
+          console.error('[ForgotPassword] Could not send reset email:', mailError.message);
+        }
+
+        return genericResponse();
+      } catch (error) {
+        console.error('[ForgotPassword] Error:', error);
+        return Response.json({ error: 'Failed to send password reset email' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/auth/reset-password - Set a new password with a reset token
+    router.post('/api/auth/reset-password', async () => {
+      try {
+        const body = await parseBody(request);
+        const resetToken = body && body.token;
+        const newPassword = body && (body.newPassword || body.password);
+        if (!resetToken || !newPassword) {
+          return Response.json({ error: 'Reset token and new password required' }, 
+            { status: 400, headers: corsHeaders });
+        }
+        if (newPassword.length < 6) {
+          return Response.json({ error: 'Password must be at least 6 characters' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        if (!env.DB) {
+          return Response.json({ error: 'Database not configured' }, 
+            { status: 500, headers: corsHeaders });
+        }
+
+        const tokenHash = await hashToken(resetToken);
+        const resetRow = await env.DB.prepare(`
+          SELECT id, user_id FROM password_reset_tokens
+          WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+        `).bind(tokenHash).first();
+        if (!resetRow) {
+          return Response.json({ error: 'This reset link is invalid or has expired. Please request a new one.' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        // Claim the token first so two concurrent requests can't both use it
+        const claim = await env.DB.prepare(`
+          UPDATE password_reset_tokens SET used_at = datetime('now')
+          WHERE id = ? AND used_at IS NULL
+        `).bind(resetRow.id).run();
+        if (!claim.meta || claim.meta.changes === 0) {
+          return Response.json({ error: 'This reset link has already been used' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        await env.DB.batch([
+          env.DB.prepare("UPDATE users SET password = ?, updated_at = datetime('now') WHERE id = ?")
+            .bind(await hashPassword(newPassword), resetRow.user_id),
+          env.DB.prepare('DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL')
+            .bind(resetRow.user_id),
+          // Sign the user out everywhere
+          env.DB.prepare('DELETE FROM sessions WHERE user_id = ?')
+            .bind(resetRow.user_id)
+        ]);
+
+        console.log(`[ResetPassword] Password reset for user ${resetRow.user_id}`);
+        return Response.json({
+          success: true,
+          message: 'Your password has been reset. Please log in with your new password.'
+        }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[ResetPassword] Error:', error);
+        return Response.json({ error: 'Failed to reset password' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/auth/verify-email?token=... - Confirm an email address (link from the signup email)
+    router.get('/api/auth/verify-email', async () => {
+      const verifyToken = url.searchParams.get('token');
+      if (!verifyToken) {
+        return Response.json({ error: 'Verification token required' }, 
+          { status: 400, headers: corsHeaders });
+      }
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, 
+          { status: 500, headers: corsHeaders });
+      }
+
+      try {
+        const tokenRow = await env.DB.prepare(`
+          SELECT t.id, t.user_id, t.email, u.email as current_email
+          FROM email_verification_tokens t
+          JOIN users u ON u.id = t.user_id
+          WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > datetime('now')
+        `).bind(await hashToken(verifyToken)).first();
+        if (!tokenRow) {
+          return Response.json({ error: 'This verification link is invalid or has expired. Please request a new one.' }, 
+            { status: 400, headers: corsHeaders });
+        }
+        // The address changed after the link was sent
+        if ((tokenRow.current_email || '').toLowerCase() !== tokenRow.email) {
+          return Response.json({ error: 'This link was sent to a different email address. Please request a new one.' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        // Claim the token first so two concurrent requests can't both use it
+        const claim = await env.DB.prepare(`
+          UPDATE email_verification_tokens SET used_at = datetime('now')
+          WHERE id = ? AND used_at IS NULL
+        `).bind(tokenRow.id).run();
+        if (!claim.meta || claim.meta.changes === 0) {
+          return Response.json({ error: 'This verification link has already been used' }, 
+            { status: 400, headers: corsHeaders });
+        }
+
+        await env.DB.batch([
+          env.DB.prepare(`
+            UPDATE users SET email_verified = 1, email_verified_at = datetime('now'), updated_at = datetime('now')
+            WHERE id = ?
+          `).bind(tokenRow.user_id),
+          env.DB.prepare('DELETE FROM email_verification_tokens WHERE user_id = ? AND used_at IS NULL')
+            .bind(tokenRow.user_id)
+        ]);
+
+        console.log(`[VerifyEmail] Email confirmed for user ${tokenRow.user_id}`);
+        return Response.json({
+          success: true,
+          message: 'Your email address is confirmed. You can now upload tracks and send messages.'
+        }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[VerifyEmail] Error:', error);
+        return Response.json({ error: 'Failed to verify email' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/auth/resend-verification - Email a new verification link (once per cooldown)
+    router.post('/api/auth/resend-verification', signedIn, async ({ user: tokenUser }) => {
+      try {
+        const user = await getRequestUser(tokenUser);
+        if (!user || !user.email) {
+          return Response.json({ error: 'This account has no email address' }, 
+            { status: 400, headers: corsHeaders });
+        }
+        if (isEmailVerified(user)) {
+          return Response.json({ success: true, already_verified: true, message: 'Your email address is already confirmed' }, 
+            { headers: corsHeaders });
+        }
 
-    // POST /api/auth/forgot-password - Return success (no-op for now)
-    if (url.pathname === '/api/auth/forgot-password' && request.method === 'POST') {
-      return Response.json({ success: true, message: 'Password reset email sent' }, { headers: corsHeaders });
-    }
+        const latest = await env.DB.prepare(`
+          SELECT CAST(strftime('%s', 'now') - strftime('%s', created_at) AS INTEGER) as age
+          FROM email_verification_tokens WHERE user_id = ?
+          ORDER BY created_at DESC LIMIT 1
+        `).bind(user.id).first();
+        if (latest && latest.age < EMAIL_VERIFICATION_RESEND_SECONDS) {
+          const retryAfter = EMAIL_VERIFICATION_RESEND_SECONDS - latest.age;
+          return Response.json({
+            error: `Please wait ${retryAfter} seconds before requesting another link.`,
+            retry_after: retryAfter
+          }, {
+            status: 429,
+            headers: { ...corsHeaders, 'Retry-After': String(retryAfter), 'Access-Control-Expose-Headers': 'Retry-After' }
+          });
+        }
 
-    // POST /api/auth/reset-password - Return success (no-op for now)
-    if (url.pathname === '/api/auth/reset-password' && request.method === 'POST') {
-      return Response.json({ success: true, message: 'Password reset successful' }, { headers: corsHeaders });
-    }
+        await sendVerificationEmail(user);
+        return Response.json({
+          success: true,
+          message: `We sent a new confirmation link to ${user.email}.`,
+          retry_after: EMAIL_VERIFICATION_RESEND_SECONDS
+        }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[VerifyEmail] Resend error:', error);
+        return Response.json({ error: 'Failed to send verification email' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
 
     // POST /api/auth/logout - Logout user (delete session)
-    if (url.pathname === '/api/auth/logout' && request.method === 'POST') {
+    router.post('/api/auth/logout', async () => {
       try {
         const token = getAuthToken(request);
         if (token && env.DB) {
-          // Delete the session
-          await env.DB.prepare('DELETE FROM sessions WHERE token = ?').bind(token).run();
+          // Delete the session (JWTs name theirs in `sid`, older tokens are the row's token)
+          const payload = await verifyJWT(token, JWT_SECRET);
+          if (payload?.sid) {
+            await revokeSessions(env.DB, payload.id, [payload.sid]);
+          } else {
+            await env.DB.prepare('DELETE FROM sessions WHERE token = ?').bind(token).run();
+          }
         }
         return Response.json({ success: true, message: 'Logged out successfully' }, { headers: corsHeaders });
       } catch (error) {
         // Even if there's an error, return success (logout should always succeed)
         return Response.json({ success: true, message: 'Logged out successfully' }, { headers: corsHeaders });
       }
-    }
+    });
+
+    // POST /api/auth/refresh - Rotate a refresh token and issue a new access token for the same session
+    router.post('/api/auth/refresh', async ({ body }) => {
+      const refreshToken = body?.refresh_token;
+      if (!refreshToken || typeof refreshToken !== 'string') {
+        return Response.json({ error: 'refresh_token is required' }, { status: 400, headers: corsHeaders });
+      }
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const rotation = await rotateRefreshToken(env.DB, refreshToken, {
+          userAgent: request.headers.get('User-Agent'),
+          ip: request.headers.get('CF-Connecting-IP') || null
+        });
+        if (rotation.error) {
+          return Response.json({
+            error: rotation.error,
+            code: rotation.reused ? 'refresh_token_reused' : 'invalid_refresh_token'
+          }, { status: 401, headers: corsHeaders });
+        }
+        
+        const user = await env.DB.prepare('SELECT id, email FROM users WHERE id = ?')
+          .bind(rotation.session.user_id).first();
+        if (!user) {
+          await revokeSessions(env.DB, rotation.session.user_id, [rotation.session.id]);
+          return Response.json({ error: 'Account no longer exists', code: 'invalid_refresh_token' }, 
+            { status: 401, headers: corsHeaders });
+        }
+        
+        const role = primaryRole(await getUserRoles(env.DB, user.id));
+        const token = await createJWT({ id: user.id, email: user.email, role, sid: rotation.session.id }, JWT_SECRET, '7d');
+        
+        return Response.json({
+          success: true,
+          token,
+          refresh_token: rotation.refreshToken,
+          session_id: rotation.session.id
+        }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Sessions] Refresh error:', error);
+        return Response.json({ error: 'Failed to refresh session' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/auth/sessions - Signed-in devices for the current user
+    router.get('/api/auth/sessions', signedIn, async ({ user }) => {
+      try {
+        const sessions = await listSessions(env.DB, user.id, user.session_id);
+        return Response.json({ sessions }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Sessions] List error:', error);
+        return Response.json({ error: 'Failed to load sessions' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/auth/sessions?keep_current=true - Sign out everywhere (optionally except this device)
+    router.delete('/api/auth/sessions', signedIn, async ({ user }) => {
+      const keepCurrent = url.searchParams.get('keep_current') === 'true';
+      try {
+        const revoked = await revokeAllSessions(env.DB, user.id, {
+          exceptSessionId: keepCurrent ? user.session_id : null
+        });
+        return Response.json({ success: true, revoked }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Sessions] Revoke all error:', error);
+        return Response.json({ error: 'Failed to sign out sessions' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/auth/sessions/:id - Sign out one device
+    router.delete('/api/auth/sessions/:id', signedIn, async ({ params, user }) => {
+      try {
+        const revoked = await revokeSessions(env.DB, user.id, [params.id]);
+        if (!revoked) {
+          return Response.json({ error: 'Session not found' }, { status: 404, headers: corsHeaders });
+        }
+        return Response.json({ success: true, current: params.id === user.session_id }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Sessions] Revoke error:', error);
+        return Response.json({ error: 'Failed to sign out session' }, { status: 500, headers: corsHeaders });
+      }
+    });
 
     // GET /auth/google - OAuth redirect
-    if (url.pathname === '/auth/google' && request.method === 'GET') {
+    router.get('/auth/google', async () => {
       const GOOGLE_CLIENT_ID = env.GOOGLE_CLIENT_ID;
       if (!GOOGLE_CLIENT_ID) {
         return Response.json({ error: 'Google OAuth not configured' }, 
@@ -2305,10 +2097,10 @@ export default {
         `scope=profile email`;
       
       return Response.redirect(googleAuthUrl, 302);
-    }
+    });
 
     // GET /auth/google/callback - Handle OAuth callback
-    if (url.pathname === '/auth/google/callback' && request.method === 'GET') {
+    router.get('/auth/google/callback', async () => {
       const code = url.searchParams.get('code');
       
       // Get frontend origin - always use www.audiocity-ug.com for frontend
@@ -2418,23 +2210,33 @@ export default {
           }
         }
         
-        // Create session
-        const token = 'google_token_' + Date.now() + '_' + uuid();
-        const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
-        await env.DB.prepare(`
-          INSERT INTO sessions (id, user_id, token, expires_at, created_at)
-          VALUES (?, ?, ?, ?, datetime('now'))
-        `).bind(uuid(), user.id, token, expiresAt).run();
-        
+        // Google has already confirmed the address
+        if (googleUser.verified_email) {
+          try {
+            await env.DB.prepare(`
+              UPDATE users SET email_verified = 1, email_verified_at = COALESCE(email_verified_at, datetime('now'))
+              WHERE id = ? AND (email_verified IS NULL OR email_verified = 0)
+            `).bind(user.id).run();
+          } catch (verifyError) {
+            console.error('[OAuth] Could not mark email verified:', verifyError.message);
+          }
+        }
+        
+        // Create session
+        const roles = await getUserRoles(env.DB, user.id);
+        const session = await startSession(user, roles);
+        
         // Redirect to frontend with token
         const redirectUrl = `${frontendOrigin}/login.html?` +
           `google_auth=success&` +
-          `token=${token}&` +
+          `token=${session.token}&` +
+          (session.refresh_token ? `refresh_token=${session.refresh_token}&` : '') +
           `user_id=${user.id}&` +
           `user_name=${encodeURIComponent(user.name || user.username)}&` +
           `username=${encodeURIComponent(user.username)}&` +
           `user_email=${encodeURIComponent(user.email)}&` +
-          `is_admin=${user.is_admin || 0}`;
+          `role=${primaryRole(roles)}&` +
+          `is_admin=${roles.includes('admin')}`;
         
         return Response.redirect(redirectUrl, 302);
         
@@ -2445,20 +2247,20 @@ export default {
           : 'https://www.audiocity-ug.com';
         return Response.redirect(`${frontendOrigin}/login.html?error=oauth_error`, 302);
       }
-    }
+    });
 
     // POST /api/users/:id/profile-picture - Upload profile picture
-    if (url.pathname.includes('/profile-picture') && request.method === 'POST') {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.post('/api/users/:id/profile-picture', async ({ params, user: tokenUser }) => {
+      const userId = params.id;
       if (!userId) {
         return Response.json({ error: 'User ID required' }, { status: 400, headers: corsHeaders });
       }
 
       try {
-        // ADMIN BYPASS: Admin has full rights
+        // The user themselves, or staff with users:manage
         const formData = await request.formData();
-        const user = await getUserOrAdmin(request, formData);
-        if (!user || (user.id !== userId && user.email !== 'chilafrican@gmail.com')) {
+        const user = await getRequestUser(tokenUser);
+        if (!user || (user.id !== userId && !hasPermission(user.roles, 'users:manage'))) {
           return Response.json({ error: 'Unauthorized' }, { status: 401, headers: corsHeaders });
         }
         const file = formData.get('profilePicture');
@@ -2509,11 +2311,11 @@ export default {
         return Response.json({ error: 'Upload failed', message: error.message }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // PUT /api/users/:id/profile - Update user profile
-    if (url.pathname.includes('/profile') && request.method === 'PUT' && !url.pathname.includes('profile-picture')) {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
+    router.put('/api/users/:id/profile', async ({ params, user: tokenUser }) => {
+      const userId = params.id;
       const body = await parseBody(request);
       
       if (!userId || !env.DB) {
@@ -2521,10 +2323,10 @@ export default {
       }
 
       try {
-        // ADMIN BYPASS: Admin has full rights
+        // The user themselves, or staff with users:manage
         const body = await parseBody(request);
-        const user = await getUserOrAdmin(request, null);
-        if (!user || (user.id !== userId && user.email !== 'chilafrican@gmail.com')) {
+        const user = await getRequestUser(tokenUser);
+        if (!user || (user.id !== userId && !hasPermission(user.roles, 'users:manage'))) {
           return Response.json({ error: 'Unauthorized' }, { status: 401, headers: corsHeaders });
         }
 
@@ -2579,22 +2381,24 @@ export default {
         console.error('Profile update error:', error);
         return Response.json({ error: 'Update failed' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/tracks - Upload track
-    if (url.pathname === '/api/tracks' && request.method === 'POST') {
+    router.post('/api/tracks', async ({ user: tokenUser }) => {
       try {
-        // ADMIN BYPASS: Admin has full rights without authentication
         const formData = await request.formData();
-        const user = await getUserOrAdmin(request, formData);
+        const user = await getRequestUser(tokenUser);
         
         if (!user) {
           console.error('[Track Upload] ❌ Unauthorized - no user found');
           return Response.json({ 
             error: 'Unauthorized',
-            message: 'Please log in or provide admin credentials'
+            message: 'Please log in to upload tracks'
           }, { status: 401, headers: corsHeaders });
         }
+        
+        const unverified = requireVerifiedEmail(user, 'uploading tracks');
+        if (unverified) return unverified;
 
         if (!env.DB || !env.MEDIA_BUCKET) {
           return Response.json({ error: 'Database or R2 not configured' }, 
@@ -2609,10 +2413,11 @@ export default {
         // CRITICAL: For admin uploads, always use artist_id from formData if provided
         // Don't fall back to user.id (admin ID) - that would associate track with admin instead of artist
         const artistIdFromForm = formData.get('artist_id');
+        const uploadsForArtists = hasPermission(user.roles, 'tracks:manage');
         let artistId = null;
         
         // For admin uploads, artist_id MUST be provided - don't fall back to admin's ID
-        if (user.email === 'chilafrican@gmail.com' || user.is_admin === 1 || user.is_admin === true) {
+        if (uploadsForArtists) {
           // Admin upload - require artist_id from form
           if (!artistIdFromForm || artistIdFromForm.trim() === '') {
             console.error('[Track Upload] ❌ Admin upload missing artist_id!', {
@@ -2627,8 +2432,8 @@ export default {
           }
           artistId = artistIdFromForm.trim();
         } else {
-          // Regular user upload - use their own ID or provided artist_id
-          artistId = artistIdFromForm && artistIdFromForm.trim() !== '' ? artistIdFromForm.trim() : user.id;
+          // Regular user upload - always their own account
+          artistId = user.id;
         }
         
         const artistName = formData.get('artist_name') || user.name || user.username;
@@ -2637,7 +2442,7 @@ export default {
           fromForm: artistIdFromForm, 
           final: artistId, 
           userId: user.id, 
-          isAdmin: user.email === 'chilafrican@gmail.com' || user.is_admin === 1,
+          uploadsForArtists,
           adminEmail: user.email
         });
         const coverArtUrl = formData.get('cover_art_url');
@@ -2647,6 +2452,9 @@ export default {
           return Response.json({ error: 'Title and artist_id are required' }, 
             { status: 400, headers: corsHeaders });
         }
+        
+        const screening = await moderateSubmission(user.id, 'upload', [title, description], 'track');
+        if (screening.denied) return screening.denied;
 
         if (!audioFile || !(audioFile instanceof File)) {
           return Response.json({ error: 'Audio file is required' }, 
@@ -2742,57 +2550,29 @@ export default {
         const flagReason = formData.get('flag_reason') || null;
 
         // Create track in database
-        // Note: duration column may not exist in all database schemas, so we'll store it separately if needed
-        // Try to insert with review_status, fallback if column doesn't exist
-        try {
-          await env.DB.prepare(`
-            INSERT INTO tracks (
-              id, artist_id, title, description, audio_url, cover_art_url,
-              genre, views_count, likes_count, shares_count, plays_count,
-              review_status, flag_reason, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?, ?, datetime('now'), datetime('now'))
-          `).bind(
-            trackId, artistId, title, description, audioUrl, finalCoverArtUrl,
-            genre, reviewStatus, flagReason
-          ).run();
-        } catch (insertError) {
-          // If review_status column doesn't exist, try without it
-          console.log('[Track Upload] review_status column may not exist, trying without it:', insertError.message);
-          try {
-            // Try to create the column
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN review_status TEXT DEFAULT "approved"').run();
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN flag_reason TEXT').run();
-            // Retry insert
-            await env.DB.prepare(`
-              INSERT INTO tracks (
-                id, artist_id, title, description, audio_url, cover_art_url,
-                genre, views_count, likes_count, shares_count, plays_count,
-                review_status, flag_reason, created_at, updated_at
-              ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?, ?, datetime('now'), datetime('now'))
-            `).bind(
-              trackId, artistId, title, description, audioUrl, finalCoverArtUrl,
-              genre, reviewStatus, flagReason
-            ).run();
-          } catch (alterError) {
-            // Column might already exist or other error, try insert without review fields
-            console.log('[Track Upload] Could not add review_status column, inserting without it:', alterError.message);
         await env.DB.prepare(`
           INSERT INTO tracks (
             id, artist_id, title, description, audio_url, cover_art_url,
             genre, views_count, likes_count, shares_count, plays_count,
-            created_at, updated_at
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, datetime('now'), datetime('now'))
+            review_status, flag_reason, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, 0, 0, 0, 0, ?, ?, datetime('now'), datetime('now'))
         `).bind(
           trackId, artistId, title, description, audioUrl, finalCoverArtUrl,
-          genre
+          genre, reviewStatus, flagReason
         ).run();
-          }
-        }
 
         // Update user's track count
         await env.DB.prepare(
           'UPDATE users SET tracks_count = tracks_count + 1, updated_at = datetime("now") WHERE id = ?'
         ).bind(artistId).run();
+        await flagViolations(env.DB, 'track', trackId, screening.violations);
+        
+        // Publishing a track makes the account an artist
+        try {
+          await grantRole(env.DB, { userId: artistId, role: 'artist' });
+        } catch (roleError) {
+          console.error('[Track Upload] Could not grant artist role:', roleError.message);
+        }
 
         const track = await env.DB.prepare('SELECT * FROM tracks WHERE id = ?').bind(trackId).first();
 
@@ -2809,18 +2589,17 @@ export default {
           message: error.message 
         }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // DELETE /api/tracks/:id - Delete track
-    if (url.pathname.startsWith('/api/tracks/') && request.method === 'DELETE') {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('?')[0];
+    router.delete('/api/tracks/:id', async ({ params, user: tokenUser }) => {
+      const trackId = params.id;
       if (!trackId || !env.DB) {
         return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
       }
 
       try {
-        // ADMIN BYPASS: Admin has full rights without authentication
-        const user = await getUserOrAdmin(request, null);
+        const user = await getRequestUser(tokenUser);
         
         if (!user) {
           console.error('[Delete Track] ❌ Unauthorized - no user found');
@@ -2832,34 +2611,59 @@ export default {
           return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
         }
 
-        // Allow delete if user is admin OR track creator
-        if (track.artist_id !== user.id && !user.is_admin) {
+        // Allow delete if user is the track creator OR staff with content:delete
+        if (track.artist_id !== user.id && !hasPermission(user.roles, 'content:delete')) {
           return Response.json({ error: 'Unauthorized' }, { status: 403, headers: corsHeaders });
         }
 
-        // Delete track
-        await env.DB.prepare('DELETE FROM tracks WHERE id = ?').bind(trackId).run();
-        await env.DB.prepare('DELETE FROM track_likes WHERE track_id = ?').bind(trackId).run();
-
-        // Update user track count
-        await env.DB.prepare('UPDATE users SET tracks_count = tracks_count - 1 WHERE id = ?')
-          .bind(track.artist_id).run();
+        // Delete the track with its comments, likes, reposts, notifications and R2 media
+        await deleteTrack(env.DB, env.MEDIA_BUCKET, track);
 
         return Response.json({ success: true, message: 'Track deleted' }, { headers: corsHeaders });
       } catch (error) {
         console.error('Delete track error:', error);
         return Response.json({ error: 'Failed to delete track' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // ==================== MESSAGING SYSTEM ====================
 
+    // Helper: Message row (joined with sender_username/name/avatar and ATTACHMENT_COLUMNS) -> the shape the inbox reads
+    const formatMessage = async (msg) => ({
+      id: msg.id,
+      conversation_id: msg.conversation_id,
+      sender_id: msg.sender_id,
+      recipient_id: msg.receiver_id,  // Map receiver_id to recipient_id
+      content: msg.text,               // Map text to content
+      is_read: msg.read === 1 || msg.read === true,  // Map read to is_read
+      created_at: msg.created_at,
+      sender: {
+        id: msg.sender_id,
+        username: msg.sender_username,
+        name: msg.sender_name,
+        avatar: msg.sender_avatar
+      },
+      ...(await attachmentFields(msg, { secret: env.MEDIA_LINK_SECRET, origin: url.origin }))
+    });
+
+    // GET /api/inbox/socket?token=... - Real-time inbox (WebSocket, protocol in core/inbox.mjs)
+    // Each user's sockets live in their InboxHub Durable Object (worker/inbox.js)
+    router.get(INBOX_SOCKET_PATH, signedIn, async ({ user }) => {
+      if (request.headers.get('Upgrade') !== 'websocket') {
+        return Response.json({ error: 'Expected a WebSocket upgrade' }, { status: 426, headers: corsHeaders });
+      }
+      if (!env.INBOX) {
+        return Response.json({ error: 'Real-time inbox not configured' }, { status: 503, headers: corsHeaders });
+      }
+      return connectInbox(env, request, user.id);
+    });
+
     // GET /api/conversations - Get user conversations
-    if (url.pathname === '/api/conversations' && request.method === 'GET') {
+    router.get('/api/conversations', async () => {
       const userId = url.searchParams.get('user_id');
       if (!userId || !env.DB) {
-      return Response.json([], { headers: corsHeaders });
-    }
+        return Response.json([], { headers: corsHeaders });
+      }
       try {
         const conversations = await env.DB.prepare(`
           SELECT c.*, 
@@ -2873,8 +2677,9 @@ export default {
         const enriched = await Promise.all((conversations.results || []).map(async (conv) => {
           const otherUser = await env.DB.prepare('SELECT id, username, name, profile_image_url FROM users WHERE id = ?')
             .bind(conv.other_user_id).first();
-          const lastMsg = await env.DB.prepare('SELECT text as content, created_at, sender_id FROM messages WHERE conversation_id = ? ORDER BY created_at DESC LIMIT 1')
+          const lastMsg = await env.DB.prepare(`SELECT text as content, message_type, created_at, sender_id FROM messages m WHERE conversation_id = ? AND ${notHidden('message', 'm.id')} ORDER BY created_at DESC LIMIT 1`)
             .bind(conv.id).first();
+          if (lastMsg) lastMsg.content = messagePreview(lastMsg.message_type, lastMsg.content);
           const unreadCount = await env.DB.prepare('SELECT COUNT(*) as count FROM messages WHERE conversation_id = ? AND receiver_id = ? AND read = 0')
             .bind(conv.id, userId).first();
           return {
@@ -2889,10 +2694,10 @@ export default {
         console.error('Error fetching conversations:', e);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/conversations - Create or get conversation
-    if (url.pathname === '/api/conversations' && request.method === 'POST') {
+    router.post('/api/conversations', async () => {
       const body = await parseBody(request);
       const { participant1_id, participant2_id } = body || {};
       if (!participant1_id || !participant2_id || !env.DB) {
@@ -2918,14 +2723,14 @@ export default {
         console.error('Error creating conversation:', e);
         return Response.json({ error: 'Failed to create conversation' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // GET /api/conversations/:userId1/:userId2/messages - Get messages between two users
     // Frontend uses /api/conversations/{currentUserId}/{otherUserId}/messages
-    if (url.pathname.includes('/conversations/') && url.pathname.includes('/messages') && !url.pathname.includes('/messages/read') && request.method === 'GET') {
-      const parts = url.pathname.split('/api/conversations/')[1]?.split('/') || [];
-      const userId1 = parts[0];
-      const userId2 = parts[1] !== 'messages' ? parts[1] : null;
+    // Only the two participants can read a conversation (media URLs in it are signed)
+    router.get(['/api/conversations/:userId1/messages', '/api/conversations/:userId1/:userId2/messages'], signedIn, async ({ params, user: tokenUser }) => {
+      const userId1 = params.userId1;
+      const userId2 = params.userId2 || null;
       
       if (!userId1 || !env.DB) {
         return Response.json([], { headers: corsHeaders });
@@ -2936,57 +2741,106 @@ export default {
       const convId = sortedIds.join('_');
       
       try {
+        const conversation = await env.DB.prepare('SELECT participant1_id, participant2_id FROM conversations WHERE id = ?')
+          .bind(convId).first();
+        const participants = conversation
+          ? [conversation.participant1_id, conversation.participant2_id]
+          : (userId2 ? sortedIds : []);
+        if (!participants.includes(tokenUser.id)) {
+          return Response.json({ error: 'Not a participant in this conversation' }, { status: 403, headers: corsHeaders });
+        }
+        
         // Use existing DB column names: receiver_id, text, read
         const messages = await env.DB.prepare(`
           SELECT m.id, m.conversation_id, m.sender_id, m.receiver_id, m.text, m.read, m.created_at,
-                 u.username as sender_username, u.name as sender_name, u.profile_image_url as sender_avatar
+                 u.username as sender_username, u.name as sender_name, u.profile_image_url as sender_avatar,
+                 ${ATTACHMENT_COLUMNS}
           FROM messages m
           LEFT JOIN users u ON m.sender_id = u.id
-          WHERE m.conversation_id = ?
+          ${ATTACHMENT_JOINS}
+          WHERE m.conversation_id = ? AND ${notHidden('message', 'm.id')}
           ORDER BY m.created_at ASC
         `).bind(convId).all();
         
         // Format messages for frontend (map DB columns to expected names)
-        const formatted = (messages.results || []).map(msg => ({
-          id: msg.id,
-          conversation_id: msg.conversation_id,
-          sender_id: msg.sender_id,
-          recipient_id: msg.receiver_id,  // Map receiver_id to recipient_id
-          content: msg.text,               // Map text to content
-          is_read: msg.read === 1 || msg.read === true,  // Map read to is_read
-          created_at: msg.created_at,
-          sender: {
-            id: msg.sender_id,
-            username: msg.sender_username,
-            name: msg.sender_name,
-            avatar: msg.sender_avatar
-          }
-        }));
+        const formatted = await Promise.all((messages.results || []).map(formatMessage));
         
         return Response.json(formatted, { headers: corsHeaders });
       } catch (e) {
         console.error('Error fetching messages:', e);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/conversations/:userId1/:userId2/messages - Send message between two users
     // Frontend uses /api/conversations/{currentUserId}/{otherUserId}/messages
-    if (url.pathname.includes('/conversations/') && url.pathname.includes('/messages') && !url.pathname.includes('/messages/read') && request.method === 'POST') {
-      const parts = url.pathname.split('/api/conversations/')[1]?.split('/') || [];
-      const userId1 = parts[0];
-      const userId2 = parts[1] !== 'messages' ? parts[1] : null;
+    // Sending needs a signed-in sender with a confirmed email
+    // JSON { content } for text, { type: 'track', track_id, content? } to share a track;
+    // multipart/form-data with type=image|voice, a `file` (plus `duration` for voice) and an optional content caption
+    router.post(['/api/conversations/:userId1/messages', '/api/conversations/:userId1/:userId2/messages'], signedIn, async ({ params, user: tokenUser }) => {
+      const userId1 = params.userId1;
+      const userId2 = params.userId2 || null;
       
-      const body = await parseBody(request);
-      const { sender_id, recipient_id, content } = body || {};
+      let body;
+      let file = null;
+      if ((request.headers.get('Content-Type') || '').includes('multipart/form-data')) {
+        const formData = await request.formData();
+        body = Object.fromEntries([...formData.entries()].filter(([, value]) => typeof value === 'string'));
+        file = formData.get('file');
+      } else {
+        body = await parseBody(request);
+      }
+      const { sender_id, recipient_id, track_id, duration } = body || {};
+      const type = body?.type || 'text';
+      const content = typeof body?.content === 'string' ? body.content : '';
       
       // Use body values or URL values
       const actualSenderId = sender_id || userId1;
       const actualRecipientId = recipient_id || userId2;
       
-      if (!actualSenderId || !content || !env.DB) {
+      if (!MESSAGE_TYPES.includes(type)) {
+        return Response.json({ error: `Invalid message type. Use one of: ${MESSAGE_TYPES.join(', ')}` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      if (!actualSenderId || (type === 'text' && !content) || !env.DB) {
         return Response.json({ error: 'Missing required fields (sender_id, content)' }, { status: 400, headers: corsHeaders });
       }
+      if (content.length > MAX_CAPTION_LENGTH) {
+        return Response.json({ error: `Message too long (max ${MAX_CAPTION_LENGTH} characters)` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      if (actualSenderId !== tokenUser.id) {
+        return Response.json({ error: 'You can only send messages as yourself' }, { status: 403, headers: corsHeaders });
+      }
+      const sender = await getRequestUser(tokenUser);
+      const unverified = sender && requireVerifiedEmail(sender, 'sending messages');
+      if (unverified) return unverified;
+      
+      if (type === 'track') {
+        if (!track_id) {
+          return Response.json({ error: 'track_id is required to share a track' }, { status: 400, headers: corsHeaders });
+        }
+        const track = await env.DB.prepare('SELECT id FROM tracks WHERE id = ?').bind(track_id).first();
+        if (!track) {
+          return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
+        }
+      }
+      
+      let attachment = null;
+      if (type === 'image' || type === 'voice') {
+        if (!env.MEDIA_BUCKET) {
+          return Response.json({ error: 'R2 bucket not configured' }, { status: 500, headers: corsHeaders });
+        }
+        attachment = await validateAttachment(type, file, { duration });
+        if (attachment.error) {
+          return Response.json({ error: attachment.error }, { status: 400, headers: corsHeaders });
+        }
+      }
+      
+      // Captions are screened like any message text
+      const screening = await moderateSubmission(actualSenderId, 'message', [content]);
+      if (screening.denied) return screening.denied;
       
       // Generate consistent conversation ID from user IDs (sorted)
       const sortedIds = actualRecipientId ? [actualSenderId, actualRecipientId].sort() : [actualSenderId];
@@ -3006,173 +2860,230 @@ export default {
           console.warn('Conversation check/create:', e.message);
         }
         
+        // Upload only once the message is going to be stored
+        const mediaKey = attachment ? await storeAttachment(env.MEDIA_BUCKET, attachment) : null;
+        
         const msgId = `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
         // Use existing DB column names: receiver_id, text, read
         await env.DB.prepare(`
-          INSERT INTO messages (id, conversation_id, sender_id, receiver_id, text, read, created_at)
-          VALUES (?, ?, ?, ?, ?, 0, datetime('now'))
-        `).bind(msgId, convId, actualSenderId, actualRecipientId || '', content).run();
+          INSERT INTO messages (id, conversation_id, sender_id, receiver_id, text, read, created_at,
+                                message_type, track_id, media_key, media_type, media_size, duration)
+          VALUES (?, ?, ?, ?, ?, 0, datetime('now'), ?, ?, ?, ?, ?, ?)
+        `).bind(
+          msgId, convId, actualSenderId, actualRecipientId || '', content,
+          type, type === 'track' ? track_id : null, mediaKey,
+          attachment?.contentType || null, attachment?.buffer.byteLength || null, attachment?.duration || null
+        ).run();
+        await flagViolations(env.DB, 'message', msgId, screening.violations);
         
         // Update conversation last_message_at
         try {
           await env.DB.prepare('UPDATE conversations SET last_message_at = datetime("now") WHERE id = ?').bind(convId).run();
         } catch (e) { /* ignore */ }
         
+        await notify(env.DB, {
+          userId: actualRecipientId,
+          actorId: actualSenderId,
+          type: 'message',
+          conversationId: convId,
+          preview: messagePreview(type, content)
+        });
+        
         // Return message with sender info
         const msg = await env.DB.prepare(`
-          SELECT m.*, u.username as sender_username, u.name as sender_name, u.profile_image_url as sender_avatar
+          SELECT m.*, u.username as sender_username, u.name as sender_name, u.profile_image_url as sender_avatar,
+                 ${ATTACHMENT_COLUMNS}
           FROM messages m
           LEFT JOIN users u ON m.sender_id = u.id
+          ${ATTACHMENT_JOINS}
           WHERE m.id = ?
         `).bind(msgId).first();
         
-        return Response.json(msg || { 
-          id: msgId, 
-          conversation_id: convId, 
-          sender_id: actualSenderId, 
-          recipient_id: actualRecipientId, 
-          content, 
-          created_at: new Date().toISOString() 
-        }, { headers: corsHeaders });
+        if (!msg) {
+          return Response.json({ 
+            id: msgId, 
+            conversation_id: convId, 
+            sender_id: actualSenderId, 
+            recipient_id: actualRecipientId, 
+            content, 
+            message_type: type,
+            created_at: new Date().toISOString() 
+          }, { headers: corsHeaders });
+        }
+        
+        // Push to both sides' open inboxes (the sender may have other tabs open)
+        const formatted = await formatMessage(msg);
+        await publishToInbox(env, [actualRecipientId, actualSenderId], inboxEvent('message', { message: formatted }));
+        
+        // The row plus the inbox fields - media_key stays server-side (clients get media_url)
+        const { media_key: _mediaKey, ...row } = msg;
+        return Response.json({ ...row, ...formatted }, { headers: corsHeaders });
       } catch (e) {
         console.error('Error sending message:', e);
         return Response.json({ error: 'Failed to send message: ' + e.message }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // PUT /api/conversations/:id/:recipientId?/messages/read - Mark messages as read
-    // Handles both /api/conversations/:id/messages/read and /api/conversations/:id/:recipientId/messages/read
-    if (url.pathname.includes('/messages/read') && request.method === 'PUT') {
-      const parts = url.pathname.split('/api/conversations/')[1]?.split('/') || [];
-      const convId = parts[0];
-      const body = await parseBody(request);
-      const userId = body?.user_id;
+    // Handles both /api/conversations/:id/messages/read (conversation id)
+    // and /api/conversations/:userId/:otherUserId/messages/read (what the inbox sends).
+    // The reader is always the signed-in user, who must be in the conversation.
+    router.put(['/api/conversations/:id/messages/read', '/api/conversations/:id/:recipientId/messages/read'], signedIn, async ({ params, user: tokenUser }) => {
+      const convId = params.recipientId ? [params.id, params.recipientId].sort().join('_') : params.id;
+      const userId = tokenUser.id;
       if (!convId || !env.DB) {
         return Response.json({ success: true }, { headers: corsHeaders });
       }
       try {
+        const conversation = await env.DB.prepare('SELECT participant1_id, participant2_id FROM conversations WHERE id = ?')
+          .bind(convId).first();
+        if (!conversation || ![conversation.participant1_id, conversation.participant2_id].includes(userId)) {
+          return Response.json({ error: 'Not a participant in this conversation' }, { status: 403, headers: corsHeaders });
+        }
+        
         // Use existing DB column names: read, receiver_id
-        await env.DB.prepare('UPDATE messages SET read = 1 WHERE conversation_id = ? AND receiver_id = ?')
-          .bind(convId, userId || '').run();
+        const result = await env.DB.prepare('UPDATE messages SET read = 1 WHERE conversation_id = ? AND receiver_id = ? AND read = 0')
+          .bind(convId, userId).run();
+        
+        // Read receipt for the other participant (and the reader's other tabs)
+        if (result.meta?.changes > 0) {
+          await publishToInbox(env, [conversation.participant1_id, conversation.participant2_id],
+            inboxEvent('read', { conversation_id: convId, reader_id: userId }));
+        }
         return Response.json({ success: true }, { headers: corsHeaders });
       } catch (e) {
         return Response.json({ success: true }, { headers: corsHeaders });
       }
-    }
+    });
 
-    // GET /api/users/:id/messages - Get all conversations for a user
-    if (url.pathname.includes('/users/') && url.pathname.includes('/messages') && request.method === 'GET' && !url.pathname.includes('conversations')) {
-      const userId = url.pathname.split('/api/users/')[1]?.split('/')[0];
-      
-      if (!userId || !env.DB) {
-        return Response.json([], { headers: corsHeaders });
+    // GET /api/messages/:id/media?expires=...&sig=... - Image or voice note of a message
+    // Links come signed in the message (media_url) since <img>/<audio> can't send a token,
+    // with MEDIA_LINK_SECRET - without it nothing is served
+    router.get('/api/messages/:id/media', async ({ params }) => {
+      if (!env.MEDIA_LINK_SECRET) {
+        console.error('[Messages] MEDIA_LINK_SECRET is not set - refusing to serve attachments');
+        return new Response('Media links are not configured', { status: 503, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
+      }
+      const valid = await verifyMediaSignature(env.MEDIA_LINK_SECRET, params.id, 
+        url.searchParams.get('expires'), url.searchParams.get('sig'));
+      if (!valid) {
+        return new Response('Link expired or invalid', { status: 403, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
+      }
+      if (!env.DB || !env.MEDIA_BUCKET) {
+        return new Response('Media not found', { status: 404, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
       }
-      
       try {
-        // Get all messages where user is sender or receiver, grouped by other user
-        const messages = await env.DB.prepare(`
-          SELECT 
-            m.id,
-            m.sender_id,
-            m.receiver_id,
-            m.text as last_message,
-            m.read,
-            m.created_at,
-            m.conversation_id,
-            CASE WHEN m.sender_id = ? THEN m.receiver_id ELSE m.sender_id END as other_user_id,
-            u.name as sender_name,
-            u.username as sender_username,
-            u.profile_image_url as sender_avatar
-          FROM messages m
-          LEFT JOIN users u ON (CASE WHEN m.sender_id = ? THEN m.receiver_id ELSE m.sender_id END) = u.id
-          WHERE m.sender_id = ? OR m.receiver_id = ?
-          ORDER BY m.created_at DESC
-        `).bind(userId, userId, userId, userId).all();
-        
-        // Group by other_user_id to get unique conversations
-        const conversationsMap = new Map();
-        for (const msg of (messages.results || [])) {
-          const otherUserId = msg.other_user_id;
-          if (!conversationsMap.has(otherUserId)) {
-            // Only mark as unread if the message was received by the logged-in user (not sent by them)
-            const isUnread = msg.read === 0 && msg.receiver_id === userId;
-            conversationsMap.set(otherUserId, {
-              id: otherUserId,
-              conversation_id: msg.conversation_id || `${[userId, otherUserId].sort().join('_')}`,
-              sender_id: msg.sender_id,
-              receiver_id: msg.receiver_id,
-              last_message: msg.last_message,
-              read: msg.read,
-              is_unread: isUnread, // Only true if received by logged-in user and unread
-              created_at: msg.created_at,
-              sender_name: msg.sender_name,
-              sender_avatar: msg.sender_avatar,
-              name: msg.sender_name,
-              avatar: msg.sender_avatar
-            });
-          }
+        const message = await env.DB.prepare('SELECT media_key FROM messages WHERE id = ?').bind(params.id).first();
+        const object = message?.media_key ? await env.MEDIA_BUCKET.head(message.media_key) : null;
+        if (!object) {
+          return new Response('Media not found', { status: 404, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
         }
+        const response = await serveMediaObject(request, env.MEDIA_BUCKET, object, corsHeaders);
+        // Private to the participants: no shared caches, and no longer than the link lives
+        response.headers.set('Cache-Control', 'private, max-age=3600');
+        return response;
+      } catch (error) {
+        console.error('[Messages] Media error:', error);
+        return new Response('Failed to load media', { status: 500, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
+      }
+    });
+
+    router.post('/api/messages', async () => {
+      return Response.json({ success: true, message: 'Message sent' }, { headers: corsHeaders });
+    });
+
+    // GET /api/users/:id/notifications - List notifications (unread first, paginated)
+    // Query: ?limit=20&offset=0&unread_only=true
+    router.get('/api/users/:id/notifications', signedIn, async ({ params, user }) => {
+      const denied = forbidUnlessSelf(user, params.id);
+      if (denied) return denied;
+      if (!env.DB) {
+        return Response.json({ notifications: [], unread_count: 0, has_more: false, next_offset: null }, 
+          { headers: corsHeaders });
+      }
+      
+      try {
+        const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), 50);
+        const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+        const unreadOnly = url.searchParams.get('unread_only') === 'true';
         
-        // Count unread messages for each conversation
-        const conversations = Array.from(conversationsMap.values());
-        for (const conv of conversations) {
-          const convId = conv.conversation_id || `${[userId, conv.id].sort().join('_')}`;
-          const unreadCount = await env.DB.prepare(`
-            SELECT COUNT(*) as count 
-            FROM messages 
-            WHERE conversation_id = ? AND receiver_id = ? AND read = 0
-          `).bind(convId, userId).first();
-          conv.unread_count = unreadCount?.count || 0;
-          conv.is_unread = conv.unread_count > 0;
-        }
+        const page = await listNotifications(env.DB, params.id, { limit, offset, unreadOnly });
+        const unreadCount = await countUnread(env.DB, params.id);
         
-        console.log(`Found ${conversations.length} conversations for user ${userId}`);
-        return Response.json(conversations, { headers: corsHeaders });
-      } catch (e) {
-        console.error('Error fetching user messages:', e);
-        return Response.json([], { headers: corsHeaders });
+        return Response.json({ ...page, unread_count: unreadCount }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Notifications] List error:', error);
+        return Response.json({ error: 'Failed to load notifications' }, 
+          { status: 500, headers: corsHeaders });
       }
-    }
-    if (url.pathname === '/api/messages' && request.method === 'POST') {
-      return Response.json({ success: true, message: 'Message sent' }, { headers: corsHeaders });
-    }
+    });
+
+    // GET /api/users/:id/notifications/unread-count - Unread count for the header badge
+    router.get('/api/users/:id/notifications/unread-count', signedIn, async ({ params, user }) => {
+      const denied = forbidUnlessSelf(user, params.id);
+      if (denied) return denied;
+      if (!env.DB) {
+        return Response.json({ unread_count: 0 }, { headers: corsHeaders });
+      }
+      
+      try {
+        return Response.json({ unread_count: await countUnread(env.DB, params.id) }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Notifications] Count error:', error);
+        return Response.json({ unread_count: 0 }, { headers: corsHeaders });
+      }
+    });
+
+    // POST /api/notifications/read-all - Mark all of the caller's notifications read
+    router.post('/api/notifications/read-all', signedIn, async ({ user }) => {
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const updated = await markAllRead(env.DB, user.id);
+        return Response.json({ success: true, updated, unread_count: 0 }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Notifications] Mark all read error:', error);
+        return Response.json({ error: 'Failed to mark notifications read' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
 
-    // GET /api/users/:id/notifications - Get notifications (stub)
-    if (url.pathname.includes('/notifications') && request.method === 'GET') {
-      return Response.json([], { headers: corsHeaders });
-    }
+    // POST /api/notifications/:id/read - Mark one notification read
+    router.post('/api/notifications/:id/read', signedIn, async ({ params, user }) => {
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const updated = await markRead(env.DB, user.id, params.id);
+        if (!updated) {
+          return Response.json({ error: 'Notification not found' }, { status: 404, headers: corsHeaders });
+        }
+        return Response.json({
+          success: true,
+          unread_count: await countUnread(env.DB, user.id)
+        }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Notifications] Mark read error:', error);
+        return Response.json({ error: 'Failed to mark notification read' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
 
     // GET /api/stats - Get stats (with permanent mastering count)
-    if (url.pathname === '/api/stats' && request.method === 'GET') {
+    router.get('/api/stats', async () => {
       try {
         if (!env.DB) {
-      return Response.json({
+          return Response.json({
             tracksMastered: 0,
-        total_tracks: 0,
-        total_users: 0,
-        total_plays: 0
-      }, { headers: corsHeaders });
-    }
-
-        // Create mastering_stats table if it doesn't exist
-        try {
-          await env.DB.prepare(`
-            CREATE TABLE IF NOT EXISTS mastering_stats (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              tracks_mastered INTEGER DEFAULT 0,
-              last_updated TEXT DEFAULT (datetime('now'))
-            )
-          `).run();
-          
-          // Initialize with 0 if empty
-          const existing = await env.DB.prepare('SELECT tracks_mastered FROM mastering_stats LIMIT 1').first();
-          if (!existing) {
-            await env.DB.prepare('INSERT INTO mastering_stats (tracks_mastered) VALUES (0)').run();
-          }
-        } catch (e) {
-          console.error('[Stats] Error creating mastering_stats table:', e);
+            total_tracks: 0,
+            total_users: 0,
+            total_plays: 0
+          }, { headers: corsHeaders });
         }
-        
+
         // Get mastering count
         const stats = await env.DB.prepare('SELECT tracks_mastered FROM mastering_stats LIMIT 1').first();
         const tracksMastered = stats?.tracks_mastered || 0;
@@ -3193,10 +3104,12 @@ export default {
           total_plays: 0
         }, { headers: corsHeaders });
       }
-    }
+    });
 
     // POST /api/quick-master - Audio mastering (proxy to VPS server)
-    if (url.pathname === '/api/quick-master' && request.method === 'POST') {
+    // preset is a genre preset id, or user:<id> for one of the caller's custom presets;
+    // an optional `reference` file goes through as is (the server then matches it instead)
+    router.post('/api/quick-master', async ({ user }) => {
       try {
         // Proxy request to VPS mastering server
         // New server: 43.245.227.33:3001 (Hostkey VPS)
@@ -3212,9 +3125,26 @@ export default {
         
         const formData = await request.formData();
         
+        // Custom presets: send their processing graph along (the server validates it again)
+        formData.delete('preset_graph');
+        const preset = formData.get('preset');
+        if (typeof preset === 'string' && preset.startsWith(USER_PRESET_PREFIX)) {
+          if (!user) {
+            return Response.json({ error: 'Sign in to master with your custom presets' }, { status: 401, headers: corsHeaders });
+          }
+          const row = await env.DB.prepare('SELECT * FROM user_presets WHERE id = ? AND user_id = ?')
+            .bind(preset.slice(USER_PRESET_PREFIX.length), user.id).first();
+          const { settings } = row ? validatePresetSettings(formatUserPreset(row).settings) : {};
+          if (!settings) {
+            return Response.json({ error: 'Custom preset not found' }, { status: 404, headers: corsHeaders });
+          }
+          formData.set('preset_graph', JSON.stringify(presetGraph(row.name, settings)));
+        }
+        
         // Forward the request to the mastering server with timeout
+        // The server queues the job and answers with a jobId once the upload is in
         const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 15 * 60 * 1000); // 15 minutes timeout
+        const timeoutId = setTimeout(() => controller.abort(), 5 * 60 * 1000); // 5 minutes timeout
         
         try {
           console.log('[Quick Master] Proxying request to:', MASTERING_SERVER_URL);
@@ -3245,37 +3175,8 @@ export default {
             // Check if this is a synchronous response (immediate completion)
             // Server returns: { success: true, preset, input, output, gain, downloads: { wav, mp3 } }
             if (responseData.success && responseData.downloads && !responseData.jobId && !responseData.progressId) {
-              // Increment mastering count in database (synchronous completion)
-              if (env.DB) {
-                try {
-                  // Ensure table exists
-                  await env.DB.prepare(`
-                    CREATE TABLE IF NOT EXISTS mastering_stats (
-                      id INTEGER PRIMARY KEY AUTOINCREMENT,
-                      tracks_mastered INTEGER DEFAULT 0,
-                      last_updated TEXT DEFAULT (datetime('now'))
-                    )
-                  `).run();
-                  
-                  // Initialize if empty
-                  const existing = await env.DB.prepare('SELECT tracks_mastered FROM mastering_stats LIMIT 1').first();
-                  if (!existing) {
-                    await env.DB.prepare('INSERT INTO mastering_stats (tracks_mastered) VALUES (0)').run();
-                  }
-                  
-                  // Increment count
-                  await env.DB.prepare(`
-                    UPDATE mastering_stats 
-                    SET tracks_mastered = tracks_mastered + 1, 
-                        last_updated = datetime('now')
-                    WHERE id = (SELECT id FROM mastering_stats LIMIT 1)
-                  `).run();
-                  
-                  console.log('[Quick Master] ✅ Incremented mastering count (synchronous)');
-                } catch (e) {
-                  console.error('[Quick Master] Error incrementing mastering count:', e);
-                }
-              }
+              // Increment mastering count in database (synchronous completion - no job to poll)
+              await countMasteredTrack();
               
               // Transform synchronous response to match frontend expectations
               const baseUrl = MASTERING_SERVER_BASE.replace(/\/api\/.*$/, '');
@@ -3322,7 +3223,7 @@ export default {
           console.error('[Quick Master] Fetch error:', fetchError.name, fetchError.message);
           
           if (fetchError.name === 'AbortError') {
-            throw new Error('Mastering request timed out after 15 minutes');
+            throw new Error('Mastering upload timed out after 5 minutes');
           }
           
           // Network errors
@@ -3340,12 +3241,13 @@ export default {
           message: error.message || 'Mastering service is temporarily unavailable. Please try again later.'
         }, { status: 503, headers: corsHeaders });
       }
-    }
+    });
 
-    // GET /api/master-status/:id - Mastering job status (proxy to VPS server)
-    if (url.pathname.startsWith('/api/master-status/') && request.method === 'GET') {
+    // GET /api/jobs/:id (or legacy /api/master-status/:id) - Mastering job status (proxy to VPS server)
+    // { jobId, status: queued|processing|completed|failed|cancelled, stage, percent, position? }
+    router.get(['/api/jobs/:id', '/api/master-status/:id'], async ({ params }) => {
       try {
-        const jobId = url.pathname.split('/api/master-status/')[1];
+        const jobId = params.id;
         if (!jobId) {
           return Response.json({ error: 'Job ID required' }, { status: 400, headers: corsHeaders });
         }
@@ -3354,10 +3256,9 @@ export default {
         const MASTERING_SERVER_BASE = env.MASTERING_SERVER_URL || 'http://43.245.227.33:3001';
         // Remove any /api/ path from base URL
         const baseUrl = MASTERING_SERVER_BASE.replace(/\/api\/.*$/, '');
-        // Most mastering servers use /api/mastering-progress/:id or /api/master-status/:id
-        // Try both endpoints, prefer mastering-progress
-        const statusUrl = `${baseUrl}/api/mastering-progress/${jobId}`;
-        const fallbackUrl = `${baseUrl}/api/master-status/${jobId}`;
+        const statusUrl = `${baseUrl}/api/jobs/${encodeURIComponent(jobId)}`;
+        // The Express server (deploy-package/api-server.js) reports progressId jobs here instead
+        const fallbackUrl = `${baseUrl}/api/mastering-progress/${encodeURIComponent(jobId)}`;
         
         console.log(`[Master Status] Checking job ${jobId} at: ${statusUrl}`);
         
@@ -3366,26 +3267,19 @@ export default {
         const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
         
         try {
-          let masteringResponse = await fetch(statusUrl, {
+          const fetchStatus = (url) => fetch(url, {
             method: 'GET',
             headers: {
               'Accept': 'application/json',
               'User-Agent': 'AudioCity-Worker/1.0'
             },
             signal: controller.signal
-          }).catch(() => null);
+          });
           
-          // Try fallback URL if first attempt failed
-          if (!masteringResponse || !masteringResponse.ok) {
+          let masteringResponse = await fetchStatus(statusUrl);
+          if (masteringResponse.status === 404) {
             console.log(`[Master Status] Trying fallback URL: ${fallbackUrl}`);
-            masteringResponse = await fetch(fallbackUrl, {
-              method: 'GET',
-              headers: {
-                'Accept': 'application/json',
-                'User-Agent': 'AudioCity-Worker/1.0'
-            },
-            signal: controller.signal
-          });
+            masteringResponse = await fetchStatus(fallbackUrl);
           }
           
           clearTimeout(timeoutId);
@@ -3405,15 +3299,13 @@ export default {
               }, { status: 503, headers: corsHeaders });
             }
             
-            // Handle 404 - job not found (might still be processing)
+            // Handle 404 - the server keeps jobs (across restarts) until they expire, so this is final
             if (masteringResponse.status === 404) {
               return Response.json({
                 success: false,
-                status: 'processing',
-                error: 'Job not found',
-                message: 'Job status is being checked. Please wait...',
-                retry: true
-              }, { status: 503, headers: corsHeaders });
+                status: 'failed',
+                error: 'Mastering job not found - it may have expired. Please master the track again.'
+              }, { status: 404, headers: corsHeaders });
             }
             
             // Other errors
@@ -3435,34 +3327,8 @@ export default {
           // If server returns: { status: 'complete', result: { downloads: { wav: '...', mp3: '...' } } }
           // Transform to: { status: 'completed', audioUrl: '...', mp3: '...' }
           if (responseData.status === 'complete' && responseData.result) {
-            // Increment mastering count for async completion
-            if (env.DB) {
-              try {
-                await env.DB.prepare(`
-                  CREATE TABLE IF NOT EXISTS mastering_stats (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    tracks_mastered INTEGER DEFAULT 0,
-                    last_updated TEXT DEFAULT (datetime('now'))
-                  )
-                `).run();
-                
-                const existing = await env.DB.prepare('SELECT tracks_mastered FROM mastering_stats LIMIT 1').first();
-                if (!existing) {
-                  await env.DB.prepare('INSERT INTO mastering_stats (tracks_mastered) VALUES (0)').run();
-                }
-                
-                await env.DB.prepare(`
-                  UPDATE mastering_stats 
-                  SET tracks_mastered = tracks_mastered + 1, 
-                      last_updated = datetime('now')
-                  WHERE id = (SELECT id FROM mastering_stats LIMIT 1)
-                `).run();
-                
-                console.log('[Master Status] ✅ Incremented mastering count (async completion)');
-              } catch (e) {
-                console.error('[Master Status] Error incrementing mastering count:', e);
-              }
-            }
+            // Increment mastering count for async completion (once per job)
+            await countMasteredTrack(jobId);
             
             const transformed = {
               status: 'completed',
@@ -3492,33 +3358,9 @@ export default {
             responseData.status = 'completed';
           }
           
-          // Increment count if status is 'completed' (after normalization)
-          if (responseData.status === 'completed' && env.DB) {
-            try {
-              await env.DB.prepare(`
-                CREATE TABLE IF NOT EXISTS mastering_stats (
-                  id INTEGER PRIMARY KEY AUTOINCREMENT,
-                  tracks_mastered INTEGER DEFAULT 0,
-                  last_updated TEXT DEFAULT (datetime('now'))
-                )
-              `).run();
-              
-              const existing = await env.DB.prepare('SELECT tracks_mastered FROM mastering_stats LIMIT 1').first();
-              if (!existing) {
-                await env.DB.prepare('INSERT INTO mastering_stats (tracks_mastered) VALUES (0)').run();
-              }
-              
-              await env.DB.prepare(`
-                UPDATE mastering_stats 
-                SET tracks_mastered = tracks_mastered + 1, 
-                    last_updated = datetime('now')
-                WHERE id = (SELECT id FROM mastering_stats LIMIT 1)
-              `).run();
-              
-              console.log('[Master Status] ✅ Incremented mastering count (async completion)');
-            } catch (e) {
-              console.error('[Master Status] Error incrementing mastering count:', e);
-            }
+          // Increment count if status is 'completed' (after normalization) - once per job
+          if (responseData.status === 'completed') {
+            await countMasteredTrack(jobId);
           }
           
           // Ensure URLs are absolute
@@ -3568,237 +3410,509 @@ export default {
           retry: true
         }, { status: 503, headers: corsHeaders });
       }
-    }
-
-    // POST /api/violations/check - Check violations (stub)
-    if (url.pathname === '/api/violations/check' && request.method === 'POST') {
-      return Response.json({ violations: [] }, { headers: corsHeaders });
-    }
+    });
 
-    // POST /api/tracks/:id/comment - Add comment
-    if (url.pathname.includes('/comment') && request.method === 'POST' && !url.pathname.includes('comments/')) {
-      const trackId = url.pathname.split('/api/tracks/')[1]?.split('/')[0];
-      const body = await parseBody(request);
-      const text = body?.text;
-      const userId = body?.user_id || body?.author_id;
-      
-      if (!trackId || !text || !env.DB) {
-        return Response.json({ error: 'Track ID and comment text are required' }, 
-          { status: 400, headers: corsHeaders });
-      }
-      
+    // GET /api/jobs/:id/events - Mastering job progress as Server-Sent Events (streamed from VPS server)
+    // One `data:` line per change with the same object as GET /api/jobs/:id; ends when the job finishes.
+    // Download URLs stay relative to the mastering server - clients fetch the status route for the result.
+    router.get('/api/jobs/:id/events', async ({ params }) => {
+      const MASTERING_SERVER_BASE = env.MASTERING_SERVER_URL || 'http://43.245.227.33:3001';
+      const baseUrl = MASTERING_SERVER_BASE.replace(/\/api\/.*$/, '');
+      // Only the connection is timed - the stream itself stays open as long as the job runs
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
       try {
-        // Check if track exists
-        const track = await env.DB.prepare('SELECT id FROM tracks WHERE id = ?').bind(trackId).first();
-        if (!track) {
-          return Response.json({ error: 'Track not found' }, { status: 404, headers: corsHeaders });
+        const masteringResponse = await fetch(`${baseUrl}/api/jobs/${encodeURIComponent(params.id)}/events`, {
+          headers: { 'Accept': 'text/event-stream', 'User-Agent': 'AudioCity-Worker/1.0' },
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        if (!masteringResponse.ok) {
+          const responseData = await masteringResponse.json().catch(() => ({ error: 'Invalid response from mastering server' }));
+          return Response.json(responseData, { status: masteringResponse.status, headers: corsHeaders });
         }
-        
-        // Get user info if userId provided
-        let author = 'User';
-        let authorName = 'User';
-        let authorAvatar = null;
-        if (userId) {
-          const user = await env.DB.prepare('SELECT username, name, profile_image_url FROM users WHERE id = ?')
-            .bind(userId).first();
-          if (user) {
-            author = user.username || 'User';
-            authorName = user.name || user.username || 'User';
-            authorAvatar = user.profile_image_url || null;
+        return new Response(masteringResponse.body, {
+          status: 200,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform'
           }
-        }
-        
-        // Create comment
-        const commentId = uuid();
-        await env.DB.prepare(`
-          INSERT INTO comments (id, track_id, user_id, content, likes, created_at)
-          VALUES (?, ?, ?, ?, 0, datetime('now'))
-        `).bind(commentId, trackId, userId, text.trim()).run();
-        
-        // Get comment count
-        const commentsCount = await env.DB.prepare('SELECT COUNT(*) as count FROM comments WHERE track_id = ?')
-          .bind(trackId).first();
-        
-        const comment = {
-          id: commentId,
-          track_id: trackId,
-          user_id: userId,
-          author: author,
-          author_name: authorName,
-          author_avatar: authorAvatar,
-          text: text.trim(),
-          content: text.trim(),
-          likes: 0,
-          liked_by: [],
-          time: new Date().toISOString(),
-          created_at: new Date().toISOString()
-        };
-        
-        return Response.json({
-          success: true,
-          comment: comment,
-          comments_count: commentsCount?.count || 0
-        }, { headers: corsHeaders });
-        
+        });
       } catch (error) {
-        console.error('Comment error:', error);
-        return Response.json({ error: 'Failed to add comment' }, 
-          { status: 500, headers: corsHeaders });
+        clearTimeout(timeoutId);
+        console.error(`[Master Events] Error for job ${params.id}:`, error.message);
+        return Response.json({ error: 'Cannot reach the mastering server' }, { status: 503, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/jobs/:id/cancel - Cancel a queued or running mastering job (proxy to VPS server)
+    router.post('/api/jobs/:id/cancel', async ({ params }) => {
+      const MASTERING_SERVER_BASE = env.MASTERING_SERVER_URL || 'http://43.245.227.33:3001';
+      const baseUrl = MASTERING_SERVER_BASE.replace(/\/api\/.*$/, '');
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
+      try {
+        const masteringResponse = await fetch(`${baseUrl}/api/jobs/${encodeURIComponent(params.id)}/cancel`, {
+          method: 'POST',
+          headers: { 'User-Agent': 'AudioCity-Worker/1.0' },
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        // 200 cancelled, 404 unknown job, 409 already finished
+        const responseData = await masteringResponse.json().catch(() => ({ error: 'Invalid response from mastering server' }));
+        return Response.json(responseData, { status: masteringResponse.status, headers: corsHeaders });
+      } catch (error) {
+        clearTimeout(timeoutId);
+        console.error(`[Master Cancel] Error for job ${params.id}:`, error.message);
+        return Response.json({ error: 'Cannot reach the mastering server' }, { status: 503, headers: corsHeaders });
       }
-    }
+    });
 
-    // DELETE /api/tracks/:id/comments/:commentId - Delete comment (only author or admin)
-    if (url.pathname.includes('/comments/') && request.method === 'DELETE') {
-      const parts = url.pathname.split('/');
-      const trackIdIndex = parts.indexOf('tracks') + 1;
-      const commentIdIndex = parts.indexOf('comments') + 1;
-      const trackId = parts[trackIdIndex];
-      const commentId = parts[commentIdIndex];
-      
-      if (!trackId || !commentId || !env.DB) {
-        return Response.json({ error: 'Track ID and comment ID required' }, 
-          { status: 400, headers: corsHeaders });
+    // Mastering presets live on the VPS server as JSON processing graphs
+    // (deploy-mastering/presets/). Reads are public; writes carry the server's
+    // MASTERING_ADMIN_TOKEN secret and are limited to presets:manage.
+    const proxyPresets = async (method, path, body) => {
+      const MASTERING_SERVER_BASE = env.MASTERING_SERVER_URL || 'http://43.245.227.33:3001';
+      const baseUrl = MASTERING_SERVER_BASE.replace(/\/api\/.*$/, '');
+      const headers = { 'Accept': 'application/json', 'User-Agent': 'AudioCity-Worker/1.0' };
+      if (method !== 'GET') {
+        headers['Authorization'] = `Bearer ${env.MASTERING_ADMIN_TOKEN || ''}`;
+        headers['Content-Type'] = 'application/json';
       }
-      
+      const controller = new AbortController();
+      const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
       try {
-        // ADMIN BYPASS: Admin has full rights without authentication
-        const currentUser = await getUserOrAdmin(request, null);
-        if (!currentUser) {
-          return Response.json({ error: 'Unauthorized - login required' }, { status: 401, headers: corsHeaders });
-        }
-        
-        // Check if comment exists and get author
-        const comment = await env.DB.prepare('SELECT id, user_id FROM comments WHERE id = ? AND track_id = ?')
-          .bind(commentId, trackId).first();
-        if (!comment) {
-          return Response.json({ error: 'Comment not found' }, { status: 404, headers: corsHeaders });
-        }
-        
-        // Only allow author or admin to delete
-        const isAdmin = currentUser.is_admin === 1 || currentUser.is_admin === true;
-        if (comment.user_id !== currentUser.id && !isAdmin) {
-          return Response.json({ error: 'Not authorized to delete this comment' }, { status: 403, headers: corsHeaders });
-        }
-        
-        // Delete comment
-        await env.DB.prepare('DELETE FROM comments WHERE id = ?').bind(commentId).run();
-        try {
-        await env.DB.prepare('DELETE FROM comment_likes WHERE comment_id = ?').bind(commentId).run();
-        } catch (e) { /* table may not exist */ }
-        
-        // Get updated comment count
-        const commentsCount = await env.DB.prepare('SELECT COUNT(*) as count FROM comments WHERE track_id = ?')
-          .bind(trackId).first();
-        
+        const masteringResponse = await fetch(`${baseUrl}${path}`, {
+          method,
+          headers,
+          body: body === undefined ? undefined : JSON.stringify(body),
+          signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        const responseData = await masteringResponse.json().catch(() => ({ error: 'Invalid response from mastering server' }));
+        const responseHeaders = { ...corsHeaders };
+        if (method === 'GET' && masteringResponse.ok) responseHeaders['Cache-Control'] = 'public, max-age=60';
+        return Response.json(responseData, { status: masteringResponse.status, headers: responseHeaders });
+      } catch (error) {
+        clearTimeout(timeoutId);
+        console.error(`[Presets] ${method} ${path} failed:`, error.message);
+        return Response.json({ error: 'Cannot reach the mastering server' }, { status: 503, headers: corsHeaders });
+      }
+    };
+
+    // GET /api/presets - Mastering presets in picker order (mastering.html builds its preset list from this)
+    router.get('/api/presets', () => proxyPresets('GET', '/api/presets'));
+
+    // GET /api/presets/:id - One preset with its target and stages
+    router.get('/api/presets/:id', ({ params }) => proxyPresets('GET', `/api/presets/${encodeURIComponent(params.id)}`));
+
+    // POST /api/presets - Add a preset { id, name, icon?, group?, order?, description?, target, stages } (presets:manage)
+    router.post('/api/presets', can('presets:manage'), ({ body }) => proxyPresets('POST', '/api/presets', body || {}));
+
+    // PUT /api/presets/:id - Replace a preset (presets:manage)
+    router.put('/api/presets/:id', can('presets:manage'), ({ params, body }) =>
+      proxyPresets('PUT', `/api/presets/${encodeURIComponent(params.id)}`, body || {}));
+
+    // DELETE /api/presets/:id - Remove a preset (presets:manage)
+    router.delete('/api/presets/:id', can('presets:manage'), ({ params }) =>
+      proxyPresets('DELETE', `/api/presets/${encodeURIComponent(params.id)}`));
+
+    // ==================== CUSTOM MASTERING PRESETS ====================
+
+    // GET /api/mastering/presets - The caller's custom presets, plus the knob ranges for the editor
+    router.get('/api/mastering/presets', signedIn, async ({ user }) => {
+      try {
+        const { results } = await env.DB.prepare(
+          'SELECT * FROM user_presets WHERE user_id = ? ORDER BY updated_at DESC'
+        ).bind(user.id).all();
         return Response.json({
-          success: true,
-          comments_count: commentsCount?.count || 0
+          presets: (results || []).map(formatUserPreset),
+          knobs: PRESET_KNOBS,
+          max: MAX_USER_PRESETS
         }, { headers: corsHeaders });
-        
       } catch (error) {
-        console.error('Delete comment error:', error);
-        return Response.json({ error: 'Failed to delete comment' }, 
-          { status: 500, headers: corsHeaders });
+        console.error('[Presets] List error:', error);
+        return Response.json({ error: 'Failed to load presets' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/tracks/:id/comments/:commentId/like - Like/unlike comment
-    if (url.pathname.includes('/comments/') && url.pathname.includes('/like') && request.method === 'POST') {
-      const parts = url.pathname.split('/');
-      const trackIdIndex = parts.indexOf('tracks') + 1;
-      const commentIdIndex = parts.indexOf('comments') + 1;
-      const trackId = parts[trackIdIndex];
-      const commentId = parts[commentIdIndex];
-      const body = await parseBody(request);
-      const userId = body?.user_id || url.searchParams.get('user_id');
+    // Helper: name and knobs from a request body, or an error response
+    const userPresetFromBody = (body) => {
+      const name = typeof body?.name === 'string' ? body.name.trim() : '';
+      if (!name || name.length > MAX_PRESET_NAME_LENGTH) {
+        return { error: Response.json({ error: `Name must be 1-${MAX_PRESET_NAME_LENGTH} characters` }, { status: 400, headers: corsHeaders }) };
+      }
+      const { settings, errors } = validatePresetSettings(body?.settings);
+      if (!settings) {
+        return { error: Response.json({ error: 'Invalid preset settings', details: errors }, { status: 400, headers: corsHeaders }) };
+      }
+      return { name, settings };
+    };
+
+    // POST /api/mastering/presets - Save a custom preset { name, settings: { lufs, tp, bass, mid, high, comp, limiter } }
+    router.post('/api/mastering/presets', signedIn, async ({ body, user }) => {
+      const { name, settings, error } = userPresetFromBody(body);
+      if (error) return error;
       
-      if (!trackId || !commentId || !userId || !env.DB) {
-        return Response.json({ error: 'Track ID, comment ID, and user ID required' }, 
-          { status: 400, headers: corsHeaders });
+      try {
+        const count = await env.DB.prepare('SELECT COUNT(*) as count FROM user_presets WHERE user_id = ?')
+          .bind(user.id).first();
+        if ((count?.count || 0) >= MAX_USER_PRESETS) {
+          return Response.json({ error: `You can save up to ${MAX_USER_PRESETS} presets - delete one first` }, 
+            { status: 409, headers: corsHeaders });
+        }
+        
+        const id = uuid();
+        await env.DB.prepare('INSERT INTO user_presets (id, user_id, name, settings) VALUES (?, ?, ?, ?)')
+          .bind(id, user.id, name, JSON.stringify(settings)).run();
+        const row = await env.DB.prepare('SELECT * FROM user_presets WHERE id = ?').bind(id).first();
+        return Response.json(formatUserPreset(row), { status: 201, headers: corsHeaders });
+      } catch (err) {
+        console.error('[Presets] Create error:', err);
+        return Response.json({ error: 'Failed to save preset' }, { status: 500, headers: corsHeaders });
       }
+    });
+
+    // PUT /api/mastering/presets/:id - Update one of the caller's presets (same body as POST)
+    router.put('/api/mastering/presets/:id', signedIn, async ({ params, body, user }) => {
+      const { name, settings, error } = userPresetFromBody(body);
+      if (error) return error;
       
       try {
-        // Check if comment exists
-        const comment = await env.DB.prepare('SELECT id FROM comments WHERE id = ? AND track_id = ?')
-          .bind(commentId, trackId).first();
-        if (!comment) {
-          return Response.json({ error: 'Comment not found' }, { status: 404, headers: corsHeaders });
-        }
-        
-        // Check if already liked
-        const existing = await env.DB.prepare(
-          'SELECT id FROM comment_likes WHERE user_id = ? AND comment_id = ?'
-        ).bind(userId, commentId).first();
-        
-        if (existing) {
-          // Unlike
-          await env.DB.prepare('DELETE FROM comment_likes WHERE user_id = ? AND comment_id = ?')
-            .bind(userId, commentId).run();
-          
-          // Update comment likes count
-          await env.DB.prepare('UPDATE comments SET likes = likes - 1 WHERE id = ?')
-            .bind(commentId).run();
-          
-          const updatedComment = await env.DB.prepare('SELECT likes FROM comments WHERE id = ?')
-            .bind(commentId).first();
-          
-          return Response.json({
-            success: true,
-            likes: Math.max(0, updatedComment?.likes || 0),
-            is_liked: false
-          }, { headers: corsHeaders });
-        } else {
-          // Like
-          await env.DB.prepare('INSERT INTO comment_likes (id, user_id, comment_id, created_at) VALUES (?, ?, ?, datetime("now"))')
-            .bind(uuid(), userId, commentId).run();
-          
-          // Update comment likes count
-          await env.DB.prepare('UPDATE comments SET likes = likes + 1 WHERE id = ?')
-            .bind(commentId).run();
-          
-          const updatedComment = await env.DB.prepare('SELECT likes FROM comments WHERE id = ?')
-            .bind(commentId).first();
-          
-          return Response.json({
-            success: true,
-            likes: updatedComment?.likes || 0,
-            is_liked: true
-          }, { headers: corsHeaders });
+        const result = await env.DB.prepare(`
+          UPDATE user_presets SET name = ?, settings = ?, updated_at = datetime('now')
+          WHERE id = ? AND user_id = ?
+        `).bind(name, JSON.stringify(settings), params.id, user.id).run();
+        if (!result.meta?.changes) {
+          return Response.json({ error: 'Preset not found' }, { status: 404, headers: corsHeaders });
+        }
+        const row = await env.DB.prepare('SELECT * FROM user_presets WHERE id = ?').bind(params.id).first();
+        return Response.json(formatUserPreset(row), { headers: corsHeaders });
+      } catch (err) {
+        console.error('[Presets] Update error:', err);
+        return Response.json({ error: 'Failed to save preset' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/mastering/presets/:id - Delete one of the caller's presets
+    router.delete('/api/mastering/presets/:id', signedIn, async ({ params, user }) => {
+      try {
+        const result = await env.DB.prepare('DELETE FROM user_presets WHERE id = ? AND user_id = ?')
+          .bind(params.id, user.id).run();
+        if (!result.meta?.changes) {
+          return Response.json({ error: 'Preset not found' }, { status: 404, headers: corsHeaders });
         }
+        return Response.json({ success: true }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Presets] Delete error:', error);
+        return Response.json({ error: 'Failed to delete preset' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // ==================== MODERATION ====================
+
+    // POST /api/violations/check - Run detectViolations on text (same rules as js/moderation-system.js)
+    router.post('/api/violations/check', async ({ body }) => {
+      const text = body?.text ?? body?.content;
+      const type = body?.type || 'comment';
+      if (typeof text !== 'string') {
+        return Response.json({ error: 'text is required' }, { status: 400, headers: corsHeaders });
+      }
+      
+      const violations = detectViolations(text, type);
+      const blocking = blockingViolations(violations);
+      return Response.json({
+        violations,
+        blocked: blocking.length > 0,
+        message: blocking[0]?.message || null
+      }, { headers: corsHeaders });
+    });
+
+    // GET /api/moderation/report-reasons - Reasons offered by the report modal
+    router.get('/api/moderation/report-reasons', async () => {
+      return Response.json({ reasons: REPORT_REASONS }, { headers: { ...corsHeaders, ...cacheHeaders } });
+    });
+
+    // POST /api/moderation/reports - Report content (one report per user per item)
+    router.post('/api/moderation/reports', signedIn, async ({ body, user }) => {
+      const contentId = body?.content_id;
+      const contentType = body?.content_type;
+      const reason = body?.reason;
+      
+      if (!contentId || !CONTENT_TYPES.includes(contentType)) {
+        return Response.json({ error: `content_id and content_type (${CONTENT_TYPES.join(', ')}) are required` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      if (!REPORT_REASONS.some(r => r.value === reason)) {
+        return Response.json({ error: 'A valid report reason is required' }, { status: 400, headers: corsHeaders });
+      }
+      if (!env.DB) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const result = await reportContent(env.DB, {
+          contentType,
+          contentId: String(contentId),
+          reason,
+          details: body?.details,
+          reporterId: user.id
+        });
+        return Response.json(result, { status: result.success ? 200 : 409, headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Report error:', error);
+        return Response.json({ error: 'Failed to report content' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/moderation/hidden?type=comment&ids=a,b - Which of these items are hidden
+    router.get('/api/moderation/hidden', async () => {
+      const contentType = url.searchParams.get('type');
+      const ids = (url.searchParams.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean).slice(0, 100);
+      if (!CONTENT_TYPES.includes(contentType)) {
+        return Response.json({ error: `type must be one of: ${CONTENT_TYPES.join(', ')}` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      if (!env.DB || ids.length === 0) {
+        return Response.json({ hidden: [] }, { headers: corsHeaders });
+      }
+      
+      try {
+        return Response.json({ hidden: await hiddenContentIds(env.DB, contentType, ids) }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Hidden lookup error:', error);
+        return Response.json({ hidden: [] }, { headers: corsHeaders });
+      }
+    });
+
+    // POST /api/moderation/hidden - Hide content (admin only)
+    router.post('/api/moderation/hidden', can('moderation:act'), async ({ body, user }) => {
+      const contentId = body?.content_id;
+      const contentType = body?.content_type;
+      if (!contentId || !CONTENT_TYPES.includes(contentType)) {
+        return Response.json({ error: 'content_id and a valid content_type are required' }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        await hideContent(env.DB, {
+          contentType,
+          contentId: String(contentId),
+          reason: body?.reason || 'violation',
+          hiddenBy: user.id
+        });
+        await logModerationAction(env.DB, {
+          adminId: user.id,
+          action: 'hide',
+          contentType,
+          contentId: String(contentId),
+          reason: body?.reason || 'violation'
+        });
+        return Response.json({ success: true, hidden: true }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Hide error:', error);
+        return Response.json({ error: 'Failed to hide content' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/moderation/hidden/:type/:id - Restore hidden content (admin only)
+    router.delete('/api/moderation/hidden/:type/:id', can('moderation:act'), async ({ params, user }) => {
+      try {
+        const restored = await unhideContent(env.DB, params.type, params.id);
+        if (!restored) {
+          return Response.json({ error: 'Content is not hidden' }, { status: 404, headers: corsHeaders });
+        }
+        await logModerationAction(env.DB, {
+          adminId: user.id,
+          action: 'unhide',
+          contentType: params.type,
+          contentId: params.id
+        });
+        return Response.json({ success: true, hidden: false }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Unhide error:', error);
+        return Response.json({ error: 'Failed to restore content' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/users/:id/strikes - Add a strike; escalates warning -> mute -> suspension -> ban (admin only)
+    router.post('/api/users/:id/strikes', can('moderation:act'), async ({ params, body, user }) => {
+      const severity = body?.severity || 'medium';
+      if (!body?.reason) {
+        return Response.json({ error: 'reason is required' }, { status: 400, headers: corsHeaders });
+      }
+      if (!['low', 'medium', 'high', 'critical'].includes(severity)) {
+        return Response.json({ error: 'severity must be low, medium, high or critical' }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        const target = await env.DB.prepare('SELECT id FROM users WHERE id = ?').bind(params.id).first();
+        if (!target) {
+          return Response.json({ error: 'User not found' }, { status: 404, headers: corsHeaders });
+        }
+        
+        const result = await addStrike(env.DB, {
+          userId: params.id,
+          reason: body.reason,
+          severity,
+          contentType: body.content_type || null,
+          contentId: body.content_id || null,
+          issuedBy: user.id
+        });
+        await logModerationAction(env.DB, {
+          adminId: user.id,
+          action: 'strike',
+          contentType: body.content_type || null,
+          contentId: body.content_id || null,
+          targetUserId: params.id,
+          reason: body.reason,
+          details: { severity, strikes: result.strikes, result: result.action.type }
+        });
+        return Response.json(result, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Strike error:', error);
+        return Response.json({ error: 'Failed to add strike' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/users/:id/moderation-status - Strikes and what the user may do (self or admin)
+    router.get('/api/users/:id/moderation-status', signedIn, async ({ params, user }) => {
+      const denied = forbidUnlessSelf(user, params.id);
+      if (denied) return denied;
+      
+      try {
+        return Response.json(await getUserStrikeStatus(env.DB, params.id), { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Status error:', error);
+        return Response.json({ error: 'Failed to load moderation status' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/moderation/can-perform?action=comment - Whether the caller may comment/post/message/upload
+    router.get('/api/moderation/can-perform', signedIn, async ({ user }) => {
+      const action = url.searchParams.get('action') || 'post';
+      try {
+        return Response.json(await canUserPerformAction(env.DB, user.id, action), { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation] Permission check error:', error);
+        return Response.json({ allowed: true }, { headers: corsHeaders });
+      }
+    });
+
+    // POST /api/tracks/:id/comment - Add comment as the signed-in user
+    router.post(['/api/tracks/:id/comment', '/api/tracks/:id/comments'], signedIn, async ({ params, user }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const body = await parseBody(request);
+        return respond(await api.addComment(params.id, { userId: user.id, text: body?.text }));
+      } catch (error) {
+        console.error('Comment error:', error);
+        return Response.json({ error: 'Failed to add comment' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/tracks/:id/comments/:commentId - Delete comment (only author or content:delete)
+    router.delete('/api/tracks/:id/comments/:commentId', async ({ params, user: tokenUser }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        const currentUser = await getRequestUser(tokenUser);
+        const actor = currentUser && {
+          id: currentUser.id,
+          canModerate: hasPermission(currentUser.roles, 'content:delete')
+        };
+        return respond(await api.deleteComment(params.id, params.commentId, actor));
+      } catch (error) {
+        console.error('Delete comment error:', error);
+        return Response.json({ error: 'Failed to delete comment' }, 
+          { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/tracks/:id/comments/:commentId/like - Like/unlike comment as the signed-in user
+    router.post('/api/tracks/:id/comments/:commentId/like', signedIn, async ({ params, user }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        return respond(await api.toggleCommentLike(params.id, params.commentId, user.id));
       } catch (error) {
         console.error('Comment like error:', error);
         return Response.json({ error: 'Failed to update comment like' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/tracks/:id/repost - Repost track (stub)
-    if (url.pathname.includes('/repost') && request.method === 'POST') {
-      return Response.json({ success: true }, { headers: corsHeaders });
-    }
+    // POST /api/tracks/:id/repost - Repost/un-repost track (toggle) as the signed-in user
+    router.post('/api/tracks/:id/repost', signedIn, async ({ params, user }) => {
+      if (!api) {
+        return Response.json({ error: 'Database not configured' }, { status: 500, headers: corsHeaders });
+      }
+      
+      try {
+        return respond(await api.toggleRepost(params.id, user.id));
+      } catch (error) {
+        console.error('Repost error:', error);
+        return Response.json({ error: 'Failed to update repost' }, { status: 500, headers: corsHeaders });
+      }
+    });
 
-    // GET /api/admin/dashboard - Admin dashboard (JWT + role check)
-    if (url.pathname === '/api/admin/dashboard' && request.method === 'GET') {
-      const authResult = await requireAdmin(request);
-      if (authResult.error) {
-        return Response.json({ error: authResult.error }, 
-          { status: authResult.status, headers: corsHeaders });
+    // GET /api/feed - Personalized timeline from followed users (trending fallback)
+    // Query: ?limit=20&cursor=<next_cursor>&mode=<mode of the previous page>&types=upload,repost,follow,comment
+    // /api/feed/following is the same timeline limited to uploads and reposts.
+    // The timeline is the signed-in user's (from the token); signed-out visitors get trending.
+    router.get(['/api/feed', '/api/feed/following'], async ({ user, route }) => {
+      const userId = user?.id || null;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), 50);
+      const cursor = url.searchParams.get('cursor') || null;
+      if (!env.DB) {
+        return Response.json({ mode: 'trending', items: [], has_more: false, next_cursor: null }, 
+          { headers: corsHeaders });
       }
       
+      try {
+        // A cursor only makes sense for the mode that produced it
+        const mode = url.searchParams.get('mode');
+        if (userId && mode !== 'trending') {
+          const requested = (url.searchParams.get('types') || '').split(',').filter(t => TIMELINE_TYPES.includes(t));
+          const types = route === '/api/feed/following'
+            ? ['upload', 'repost']
+            : (requested.length ? requested : TIMELINE_TYPES);
+          const page = await timeline(env.DB, userId, { limit, cursor, types });
+          
+          // Fall back to trending only when the very first page is empty
+          if (page.items.length > 0 || page.has_more || cursor) {
+            return Response.json({ mode: 'following', ...page }, { headers: corsHeaders });
+          }
+        }
+        
+        const page = await trending(env.DB, { limit, cursor: mode === 'trending' ? cursor : null });
+        return Response.json({ mode: 'trending', ...page }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Feed] Error:', error);
+        return Response.json({ error: 'Failed to load feed' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/admin/dashboard - Admin dashboard (admin:access)
+    router.get('/api/admin/dashboard', can('admin:access'), async ({ user }) => {
       return Response.json({ 
         message: 'Welcome Admin 🔥',
-        user: authResult.user
+        user
       }, { headers: corsHeaders });
-    }
+    });
 
-    // GET /api/admin/stats - Get admin statistics (JWT + role check)
-    if (url.pathname === '/api/admin/stats' && request.method === 'GET') {
-      const authResult = await requireAdmin(request);
-      if (authResult.error) {
-        return Response.json({ error: authResult.error }, 
-          { status: authResult.status, headers: corsHeaders });
-      }
-      
+    // GET /api/admin/stats - Get admin statistics (stats:read)
+    router.get('/api/admin/stats', can('stats:read'), async () => {
       try {
         if (!env.DB) {
           return Response.json({
@@ -3864,96 +3978,43 @@ export default {
         return Response.json({ error: 'Failed to load statistics' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/admin/reset - Reset admin account (admin only)
-    if (url.pathname === '/api/admin/reset' && request.method === 'POST') {
+    // POST /api/admin/passwords/migrate?limit=25 - Hash legacy plaintext passwords in batches (system:manage)
+    // Login upgrades accounts as people sign in; this covers the ones that never come back.
+    router.post('/api/admin/passwords/migrate', can('system:manage'), async () => {
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '25', 10) || 25, 1), 100);
+      
       try {
-        const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-        const adminEmail = (adminEmailHeader || '').toString().trim().toLowerCase();
-        const ADMIN_EMAIL = 'chilafrican@gmail.com';
-        const ADMIN_PASSWORD = 'Semakulanico1';
-        
-        if (adminEmail !== ADMIN_EMAIL.toLowerCase()) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        if (!env.DB) {
-          return Response.json({ error: 'Database not available' }, 
-            { status: 500, headers: corsHeaders });
-        }
-        
-        // Reset admin account
-        let adminUser = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-          .bind(ADMIN_EMAIL.toLowerCase()).first();
-        
-        if (!adminUser) {
-          // Create admin user if doesn't exist
-          const adminUserId = 'admin_' + Date.now();
-          await env.DB.prepare(`
-            INSERT INTO users (
-              id, username, email, name, password, is_admin, verified, created_at, updated_at
-            ) VALUES (?, ?, ?, ?, ?, 1, 1, datetime('now'), datetime('now'))
-          `).bind(
-            adminUserId,
-            'admin',
-            ADMIN_EMAIL,
-            'Admin',
-            ADMIN_PASSWORD
-          ).run();
-          adminUser = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-            .bind(ADMIN_EMAIL.toLowerCase()).first();
-        } else {
-          // Reset/update admin account with correct password
-          await env.DB.prepare('UPDATE users SET is_admin = 1, verified = 1, username = ?, name = ?, password = ? WHERE LOWER(email) = ?')
-            .bind('admin', 'Admin', ADMIN_PASSWORD, ADMIN_EMAIL.toLowerCase()).run();
-          adminUser = await env.DB.prepare('SELECT * FROM users WHERE LOWER(email) = ?')
-            .bind(ADMIN_EMAIL.toLowerCase()).first();
-        }
+        const { results } = await env.DB.prepare(`
+          SELECT id, password FROM users
+          WHERE password IS NOT NULL AND password != '' AND password NOT LIKE 'pbkdf2_sha256$%'
+          LIMIT ?
+        `).bind(limit).all();
+        
+        let migrated = 0;
+        for (const row of results || []) {
+          // The password = ? guard skips rows changed by a login or reset meanwhile
+          const result = await env.DB.prepare('UPDATE users SET password = ? WHERE id = ? AND password = ?')
+            .bind(await hashPassword(row.password), row.id, row.password).run();
+          migrated += result.meta?.changes || 0;
+        }
+        
+        const remaining = await env.DB.prepare(`
+          SELECT COUNT(*) as count FROM users
+          WHERE password IS NOT NULL AND password != '' AND password NOT LIKE 'pbkdf2_sha256$%'
+        `).first();
         
-        return Response.json({ 
-          success: true, 
-          message: 'Admin account reset successfully',
-          user: {
-            id: adminUser.id,
-            email: adminUser.email,
-            username: adminUser.username,
-            name: adminUser.name,
-            is_admin: adminUser.is_admin,
-            verified: adminUser.verified
-          }
-        }, { headers: corsHeaders });
+        return Response.json({ success: true, migrated, remaining: remaining?.count || 0 }, { headers: corsHeaders });
       } catch (error) {
-        console.error('[Admin Reset] Error:', error);
-        return Response.json({ error: 'Failed to reset admin account' }, 
-          { status: 500, headers: corsHeaders });
+        console.error('[Password Migration] Error:', error);
+        return Response.json({ error: 'Failed to migrate passwords' }, { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
-    // GET /api/admin/tracks/pending - Get tracks pending review (admin only)
-    if (url.pathname === '/api/admin/tracks/pending' && request.method === 'GET') {
+    // GET /api/admin/tracks/pending - Get tracks pending review (tracks:review)
+    router.get('/api/admin/tracks/pending', can('tracks:review'), async () => {
       try {
-        // Check admin access via email header or token
-        const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-        const adminEmail = (adminEmailHeader || '').toString().trim().toLowerCase();
-        
-        let isAdmin = false;
-        if (adminEmail === 'chilafrican@gmail.com') {
-          console.log('[Admin Pending Tracks] ✅ Admin email detected - granting access');
-          isAdmin = true;
-        } else {
-          // Try token-based auth
-          const token = getAuthToken(request);
-          const user = await getUserFromToken(token);
-          isAdmin = user && (user.is_admin === true || user.is_admin === 1);
-        }
-        
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
         if (!env.DB) {
           return Response.json([], { headers: corsHeaders });
         }
@@ -3972,63 +4033,25 @@ export default {
         console.error('Error fetching pending tracks:', error);
         return Response.json([], { headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/admin/tracks/:id/approve - Approve track (admin only)
-    if (url.pathname.includes('/approve') && request.method === 'POST') {
+    // POST /api/admin/tracks/:id/approve - Approve track (tracks:review)
+    router.post('/api/admin/tracks/:id/approve', can('tracks:review'), async ({ params }) => {
       try {
-        // Check admin access via email header or token
-        const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-        const adminEmail = (adminEmailHeader || '').toString().trim().toLowerCase();
-        
-        let isAdmin = false;
-        if (adminEmail === 'chilafrican@gmail.com') {
-          console.log('[Admin Approve Track] ✅ Admin email detected - granting access');
-          isAdmin = true;
-        } else {
-          // Try token-based auth
-          const token = getAuthToken(request);
-          const user = await getUserFromToken(token);
-          isAdmin = user && (user.is_admin === true || user.is_admin === 1);
-        }
-        
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const trackId = url.pathname.split('/api/admin/tracks/')[1]?.split('/')[0];
+        const trackId = params.id;
         if (!trackId || !env.DB) {
           return Response.json({ error: 'Track ID required' }, 
             { status: 400, headers: corsHeaders });
         }
         
         // Update review status to approved
-        try {
-          await env.DB.prepare(`
-            UPDATE tracks 
-            SET review_status = 'approved', 
-                flag_reason = NULL,
-                updated_at = datetime('now')
-            WHERE id = ?
-          `).bind(trackId).run();
-        } catch (updateError) {
-          // If review_status column doesn't exist, try to create it
-          console.log('[Approve Track] review_status column may not exist, creating it:', updateError.message);
-          try {
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN review_status TEXT DEFAULT "approved"').run();
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN flag_reason TEXT').run();
-            await env.DB.prepare(`
-              UPDATE tracks 
-              SET review_status = 'approved', 
-                  flag_reason = NULL,
-                  updated_at = datetime('now')
-              WHERE id = ?
-            `).bind(trackId).run();
-          } catch (alterError) {
-            console.error('[Approve Track] Could not update review status:', alterError.message);
-          }
-        }
+        await env.DB.prepare(`
+          UPDATE tracks 
+          SET review_status = 'approved', 
+              flag_reason = NULL,
+              updated_at = datetime('now')
+          WHERE id = ?
+        `).bind(trackId).run();
         
         const track = await env.DB.prepare('SELECT * FROM tracks WHERE id = ?').bind(trackId).first();
         
@@ -4042,32 +4065,12 @@ export default {
         return Response.json({ error: 'Failed to approve track' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
-    // POST /api/admin/tracks/:id/reject - Reject track (admin only)
-    if (url.pathname.includes('/reject') && request.method === 'POST') {
+    // POST /api/admin/tracks/:id/reject - Reject track (tracks:review)
+    router.post('/api/admin/tracks/:id/reject', can('tracks:review'), async ({ params }) => {
       try {
-        // Check admin access via email header or token
-        const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-        const adminEmail = (adminEmailHeader || '').toString().trim().toLowerCase();
-        
-        let isAdmin = false;
-        if (adminEmail === 'chilafrican@gmail.com') {
-          console.log('[Admin Reject Track] ✅ Admin email detected - granting access');
-          isAdmin = true;
-        } else {
-          // Try token-based auth
-          const token = getAuthToken(request);
-          const user = await getUserFromToken(token);
-          isAdmin = user && (user.is_admin === true || user.is_admin === 1);
-        }
-        
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const trackId = url.pathname.split('/api/admin/tracks/')[1]?.split('/')[0];
+        const trackId = params.id;
         if (!trackId || !env.DB) {
           return Response.json({ error: 'Track ID required' }, 
             { status: 400, headers: corsHeaders });
@@ -4077,31 +4080,13 @@ export default {
         const rejectionReason = body?.reason || 'Violates platform rules';
         
         // Update review status to rejected
-        try {
-          await env.DB.prepare(`
-            UPDATE tracks 
-            SET review_status = 'rejected', 
-                flag_reason = ?,
-                updated_at = datetime('now')
-            WHERE id = ?
-          `).bind(rejectionReason, trackId).run();
-        } catch (updateError) {
-          // If review_status column doesn't exist, try to create it
-          console.log('[Reject Track] review_status column may not exist, creating it:', updateError.message);
-          try {
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN review_status TEXT DEFAULT "approved"').run();
-            await env.DB.prepare('ALTER TABLE tracks ADD COLUMN flag_reason TEXT').run();
-            await env.DB.prepare(`
-              UPDATE tracks 
-              SET review_status = 'rejected', 
-                  flag_reason = ?,
-                  updated_at = datetime('now')
-              WHERE id = ?
-            `).bind(rejectionReason, trackId).run();
-          } catch (alterError) {
-            console.error('[Reject Track] Could not update review status:', alterError.message);
-          }
-        }
+        await env.DB.prepare(`
+          UPDATE tracks 
+          SET review_status = 'rejected', 
+              flag_reason = ?,
+              updated_at = datetime('now')
+          WHERE id = ?
+        `).bind(rejectionReason, trackId).run();
         
         return Response.json({
           success: true,
@@ -4113,35 +4098,26 @@ export default {
         return Response.json({ error: 'Failed to reject track' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
 
     // ============================================
     // ADMIN USER MANAGEMENT ENDPOINTS
     // ============================================
     
-    // Helper: Check if user is admin
-    const checkAdminAccess = async (request) => {
-      const adminEmailHeader = request.headers.get('X-Admin-Email') || request.headers.get('X-User-Email');
-      const adminEmail = (adminEmailHeader || '').toString().trim().toLowerCase();
-      
-      if (adminEmail === 'chilafrican@gmail.com') {
-        return true;
+    // Helper: Record a role grant/revoke in the moderation audit log (best effort)
+    const logRoleChange = async (adminId, action, userId, role) => {
+      try {
+        await logModerationAction(env.DB, {
+          adminId, action, contentType: 'user', contentId: userId, targetUserId: userId, details: { role }
+        });
+      } catch (error) {
+        console.error('[Roles] Audit log failed:', error.message);
       }
-      
-      const token = getAuthToken(request);
-      const user = await getUserFromToken(token);
-      return user && (user.is_admin === true || user.is_admin === 1);
     };
     
-    // GET /api/admin/users - List all users (admin only)
-    if (url.pathname === '/api/admin/users' && request.method === 'GET') {
+    // GET /api/admin/users - List all users (users:read)
+    router.get('/api/admin/users', can('users:read'), async () => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
         if (!env.DB) {
           return Response.json([], { headers: corsHeaders });
         }
@@ -4172,14 +4148,14 @@ export default {
             const followersCount = await env.DB.prepare('SELECT COUNT(*) as count FROM follows WHERE following_id = ?')
               .bind(user.id).first();
             
-            return {
+            return publicUser({
               ...user,
               is_admin: user.is_admin === 1,
               tracks_count: tracksCount?.count || 0,
               followers_count: followersCount?.count || 0
-            };
+            });
           } catch (e) {
-            return { ...user, is_admin: user.is_admin === 1, tracks_count: 0, followers_count: 0 };
+            return publicUser({ ...user, is_admin: user.is_admin === 1, tracks_count: 0, followers_count: 0 });
           }
         }));
         
@@ -4189,18 +4165,12 @@ export default {
         return Response.json({ error: 'Failed to load users' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // GET /api/admin/users/:id - Get user details (admin only)
-    if (url.pathname.startsWith('/api/admin/users/') && request.method === 'GET' && !url.pathname.includes('/ban') && !url.pathname.includes('/suspend') && !url.pathname.includes('/unban')) {
+    // GET /api/admin/users/:id - Get user details (users:read)
+    router.get('/api/admin/users/:id', can('users:read'), async ({ params }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
@@ -4220,109 +4190,118 @@ export default {
         const followingCount = await env.DB.prepare('SELECT COUNT(*) as count FROM follows WHERE follower_id = ?')
           .bind(userId).first();
         
-        return Response.json({
+        return Response.json(publicUser({
           ...user,
           is_admin: user.is_admin === 1,
           tracks_count: tracksCount?.count || 0,
           followers_count: followersCount?.count || 0,
           following_count: followingCount?.count || 0
-        }, { headers: corsHeaders });
+        }), { headers: corsHeaders });
       } catch (error) {
         console.error('[Admin User Details] Error:', error);
         return Response.json({ error: 'Failed to load user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // PUT /api/admin/users/:id - Update user profile (admin only)
-    if (url.pathname.startsWith('/api/admin/users/') && request.method === 'PUT' && !url.pathname.includes('/ban') && !url.pathname.includes('/suspend') && !url.pathname.includes('/unban')) {
+    // PUT /api/admin/users/:id - Update user profile (users:manage; is_admin also needs roles:manage)
+    router.put('/api/admin/users/:id', can('users:manage'), async ({ params, user: currentUser }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
         }
         
         const body = await parseBody(request);
-        const { name, username, email, bio, location, verified, is_admin } = body || {};
+        const { name, username, email, bio, location, verified, email_verified, is_admin } = body || {};
         
         const updates = [];
-        const params = [];
+        const values = [];
         
         if (name !== undefined) {
           updates.push('name = ?');
-          params.push(name);
+          values.push(name);
         }
         if (username !== undefined) {
           updates.push('username = ?');
-          params.push(username);
+          values.push(username);
         }
         if (email !== undefined) {
           updates.push('email = ?');
-          params.push(email);
+          values.push(email);
         }
         if (bio !== undefined) {
           updates.push('biography = ?');
-          params.push(bio || null);
+          values.push(bio || null);
         }
         if (location !== undefined) {
           updates.push('location = ?');
-          params.push(location || null);
+          values.push(location || null);
         }
         if (verified !== undefined) {
           updates.push('verified = ?');
-          params.push(verified ? 1 : 0);
+          values.push(verified ? 1 : 0);
         }
-        if (is_admin !== undefined) {
-          updates.push('is_admin = ?');
-          params.push(is_admin ? 1 : 0);
+        if (email_verified !== undefined) {
+          updates.push(email_verified
+            ? "email_verified = 1, email_verified_at = datetime('now')"
+            : 'email_verified = 0, email_verified_at = NULL');
         }
         
-        if (updates.length === 0) {
+        if (updates.length === 0 && is_admin === undefined) {
           return Response.json({ error: 'No fields to update' }, 
             { status: 400, headers: corsHeaders });
         }
         
-        updates.push('updated_at = datetime("now")');
-        params.push(userId);
+        // is_admin is a role change, so it goes through user_roles and needs roles:manage
+        if (is_admin !== undefined) {
+          if (!hasPermission(currentUser.roles, 'roles:manage')) {
+            return Response.json({ error: 'You do not have permission to do this', permission: 'roles:manage' }, 
+              { status: 403, headers: corsHeaders });
+          }
+          const change = is_admin
+            ? await grantRole(env.DB, { userId, role: 'admin', grantedBy: currentUser.id })
+            : await revokeRole(env.DB, { userId, role: 'admin' });
+          // Revoking admin from a non-admin (404) is already the requested state
+          if (change.error && change.status !== 404) {
+            return Response.json({ error: change.error }, { status: change.status, headers: corsHeaders });
+          }
+          if (change.granted || change.revoked) {
+            await logRoleChange(currentUser.id, is_admin ? 'grant_role' : 'revoke_role', userId, 'admin');
+          }
+        }
         
-        await env.DB.prepare(`
-          UPDATE users SET ${updates.join(', ')}
-          WHERE id = ?
-        `).bind(...params).run();
+        if (updates.length > 0) {
+          updates.push('updated_at = datetime("now")');
+          values.push(userId);
+          
+          await env.DB.prepare(`
+            UPDATE users SET ${updates.join(', ')}
+            WHERE id = ?
+          `).bind(...values).run();
+        }
         
         const updatedUser = await env.DB.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
         
         return Response.json({
           success: true,
-          user: {
+          user: publicUser({
             ...updatedUser,
             is_admin: updatedUser.is_admin === 1
-          }
+          })
         }, { headers: corsHeaders });
       } catch (error) {
         console.error('[Admin Update User] Error:', error);
         return Response.json({ error: 'Failed to update user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // DELETE /api/admin/users/:id - Delete user account (admin only)
-    if (url.pathname.startsWith('/api/admin/users/') && request.method === 'DELETE') {
+    // DELETE /api/admin/users/:id - Delete user account (users:manage)
+    router.delete('/api/admin/users/:id', can('users:manage'), async ({ params }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
@@ -4335,7 +4314,7 @@ export default {
             { status: 404, headers: corsHeaders });
         }
         
-        if (user.is_admin === 1 || user.email === 'chilafrican@gmail.com') {
+        if ((await getUserRoles(env.DB, userId)).includes('admin')) {
           return Response.json({ error: 'Cannot delete admin accounts' }, 
             { status: 403, headers: corsHeaders });
         }
@@ -4352,6 +4331,12 @@ export default {
         await env.DB.prepare('DELETE FROM comments WHERE user_id = ?').bind(userId).run();
         await env.DB.prepare('DELETE FROM follows WHERE follower_id = ? OR following_id = ?').bind(userId, userId).run();
         await env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(userId).run();
+        await env.DB.prepare('DELETE FROM user_presets WHERE user_id = ?').bind(userId).run();
+        try {
+          await env.DB.prepare('DELETE FROM user_roles WHERE user_id = ?').bind(userId).run();
+        } catch (e) {
+          // user_roles may not exist yet
+        }
         
         // Delete user account
         await env.DB.prepare('DELETE FROM users WHERE id = ?').bind(userId).run();
@@ -4374,18 +4359,12 @@ export default {
         return Response.json({ error: 'Failed to delete user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // POST /api/admin/users/:id/ban - Ban user (admin only)
-    if (url.pathname.includes('/api/admin/users/') && url.pathname.includes('/ban') && request.method === 'POST') {
+    // POST /api/admin/users/:id/ban - Ban user (users:manage)
+    router.post('/api/admin/users/:id/ban', can('users:manage'), async ({ params }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/ban')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
@@ -4394,14 +4373,6 @@ export default {
         const body = await parseBody(request);
         const reason = body?.reason || 'Violation of terms of service';
         
-        // Add banned column if it doesn't exist
-        try {
-          await env.DB.prepare('ALTER TABLE users ADD COLUMN banned INTEGER DEFAULT 0').run();
-          await env.DB.prepare('ALTER TABLE users ADD COLUMN ban_reason TEXT').run();
-        } catch (e) {
-          // Column might already exist
-        }
-        
         await env.DB.prepare(`
           UPDATE users 
           SET banned = 1, ban_reason = ?, updated_at = datetime('now')
@@ -4418,18 +4389,12 @@ export default {
         return Response.json({ error: 'Failed to ban user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // POST /api/admin/users/:id/unban - Unban user (admin only)
-    if (url.pathname.includes('/api/admin/users/') && url.pathname.includes('/unban') && request.method === 'POST') {
+    // POST /api/admin/users/:id/unban - Unban user (users:manage)
+    router.post('/api/admin/users/:id/unban', can('users:manage'), async ({ params }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/unban')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
@@ -4450,65 +4415,271 @@ export default {
         return Response.json({ error: 'Failed to unban user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
     
-    // POST /api/admin/users/:id/suspend - Suspend user temporarily (admin only)
-    if (url.pathname.includes('/api/admin/users/') && url.pathname.includes('/suspend') && request.method === 'POST') {
+    // POST /api/admin/users/:id/suspend - Suspend user temporarily (users:manage)
+    router.post('/api/admin/users/:id/suspend', can('users:manage'), async ({ params }) => {
       try {
-        const isAdmin = await checkAdminAccess(request);
-        if (!isAdmin) {
-          return Response.json({ error: 'Unauthorized - Admin access required' }, 
-            { status: 401, headers: corsHeaders });
-        }
-        
-        const userId = url.pathname.split('/api/admin/users/')[1]?.split('/suspend')[0];
+        const userId = params.id;
         if (!userId || !env.DB) {
           return Response.json({ error: 'User ID required' }, 
             { status: 400, headers: corsHeaders });
         }
         
         const body = await parseBody(request);
-        const reason = body?.reason || 'Temporary suspension';
-        const days = parseInt(body?.days || '7');
-        const suspendUntil = new Date();
-        suspendUntil.setDate(suspendUntil.getDate() + days);
-        
-        // Add suspended column if it doesn't exist
-        try {
-          await env.DB.prepare('ALTER TABLE users ADD COLUMN suspended INTEGER DEFAULT 0').run();
-          await env.DB.prepare('ALTER TABLE users ADD COLUMN suspend_reason TEXT').run();
-          await env.DB.prepare('ALTER TABLE users ADD COLUMN suspend_until TEXT').run();
-        } catch (e) {
-          // Column might already exist
-        }
-        
-        await env.DB.prepare(`
-          UPDATE users 
-          SET suspended = 1, suspend_reason = ?, suspend_until = ?, updated_at = datetime('now')
-          WHERE id = ?
-        `).bind(reason, suspendUntil.toISOString(), userId).run();
+        const suspension = await suspendUser(env.DB, userId, {
+          reason: body?.reason || 'Temporary suspension',
+          days: parseInt(body?.days || '7')
+        });
         
         return Response.json({
           success: true,
           message: 'User suspended successfully',
-          reason: reason,
-          suspend_until: suspendUntil.toISOString()
+          ...suspension
         }, { headers: corsHeaders });
       } catch (error) {
         console.error('[Admin Suspend User] Error:', error);
         return Response.json({ error: 'Failed to suspend user' }, 
           { status: 500, headers: corsHeaders });
       }
-    }
+    });
+    
+    // ==================== ADMIN ROLES ====================
+
+    // GET /api/admin/roles?role=moderator - Role definitions with counts, and who holds them (default: staff)
+    router.get('/api/admin/roles', can('roles:manage'), async () => {
+      const role = url.searchParams.get('role') || null;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 1), 100);
+      const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+      
+      if (role && (!ROLES.includes(role) || role === 'listener')) {
+        return Response.json({ error: 'role must be admin, moderator or artist' }, { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        const [roles, page] = await Promise.all([
+          listRoles(env.DB),
+          listRoleAssignments(env.DB, { role, limit, offset })
+        ]);
+        return Response.json({ roles, permissions: PERMISSIONS, ...page }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Roles] List error:', error);
+        return Response.json({ error: 'Failed to load roles' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/admin/users/:id/roles - Roles and effective permissions of one user
+    router.get('/api/admin/users/:id/roles', can('roles:manage'), async ({ params }) => {
+      try {
+        const user = await env.DB.prepare('SELECT id, username, name, email FROM users WHERE id = ?').bind(params.id).first();
+        if (!user) {
+          return Response.json({ error: 'User not found' }, { status: 404, headers: corsHeaders });
+        }
+        const roles = await getUserRoles(env.DB, user.id);
+        return Response.json({ user, roles, permissions: permissionsFor(roles) }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Roles] Get error:', error);
+        return Response.json({ error: 'Failed to load roles' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/admin/users/:id/roles - Grant a role { role } (audited)
+    router.post('/api/admin/users/:id/roles', can('roles:manage'), async ({ params, body, user }) => {
+      try {
+        const result = await grantRole(env.DB, { userId: params.id, role: body?.role, grantedBy: user.id });
+        if (result.error) {
+          return Response.json({ error: result.error }, { status: result.status, headers: corsHeaders });
+        }
+        if (result.granted) {
+          await logRoleChange(user.id, 'grant_role', params.id, body.role);
+        }
+        return Response.json({ success: true, ...result }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Roles] Grant error:', error);
+        return Response.json({ error: 'Failed to grant role' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/admin/users/:id/roles/:role - Revoke a role (the last admin can't be revoked)
+    router.delete('/api/admin/users/:id/roles/:role', can('roles:manage'), async ({ params, user }) => {
+      try {
+        const result = await revokeRole(env.DB, { userId: params.id, role: params.role });
+        if (result.error) {
+          return Response.json({ error: result.error }, { status: result.status, headers: corsHeaders });
+        }
+        await logRoleChange(user.id, 'revoke_role', params.id, params.role);
+        return Response.json({ success: true, ...result }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Roles] Revoke error:', error);
+        return Response.json({ error: 'Failed to revoke role' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // ==================== ADMIN LOCKOUTS ====================
+
+    // GET /api/admin/lockouts?scope=login - Locked accounts and IPs (users:read)
+    router.get('/api/admin/lockouts', can('users:read'), async () => {
+      const scope = url.searchParams.get('scope') || null;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 1), 100);
+      const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+      
+      if (scope && !RATE_LIMITS[scope]) {
+        return Response.json({ error: `scope must be one of: ${Object.keys(RATE_LIMITS).join(', ')}` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        const page = await limiter.listLocked({ scope, limit, offset });
+        
+        // Match identifier lockouts to the account they were aimed at, if any
+        const identifiers = [...new Set(page.entries.filter(e => e.kind === 'identifier').map(e => e.subject))];
+        const accounts = new Map();
+        if (identifiers.length > 0) {
+          const placeholders = identifiers.map(() => '?').join(', ');
+          const { results } = await env.DB.prepare(`
+            SELECT id, username, name, email FROM users
+            WHERE LOWER(email) IN (${placeholders}) OR LOWER(username) IN (${placeholders})
+          `).bind(...identifiers, ...identifiers).all();
+          for (const account of results || []) {
+            if (account.email) accounts.set(account.email.toLowerCase(), account);
+            if (account.username) accounts.set(account.username.toLowerCase(), account);
+          }
+        }
+        
+        const now = Date.now();
+        const lockouts = page.entries.map(entry => ({
+          ...entry,
+          locked_until: new Date(entry.locked_until).toISOString(),
+          retry_after: Math.max(1, Math.ceil((entry.locked_until - now) / 1000)),
+          user: entry.kind === 'identifier' ? accounts.get(entry.subject) || null : null
+        }));
+        
+        return Response.json({ lockouts, has_more: page.has_more }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Lockouts] List error:', error);
+        return Response.json({ error: 'Failed to load lockouts' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // DELETE /api/admin/lockouts/:key - Lift a lockout early (audited)
+    router.delete('/api/admin/lockouts/:key', can('users:manage'), async ({ params, user }) => {
+      try {
+        const unlocked = await limiter.unlock(params.key);
+        if (!unlocked) {
+          return Response.json({ error: 'Lockout not found' }, { status: 404, headers: corsHeaders });
+        }
+        
+        try {
+          await logModerationAction(env.DB, { adminId: user.id, action: 'unlock', details: { key: params.key } });
+        } catch (auditError) {
+          console.error('[Lockouts] Audit log failed:', auditError.message);
+        }
+        return Response.json({ success: true }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Lockouts] Unlock error:', error);
+        return Response.json({ error: 'Failed to unlock' }, { status: 500, headers: corsHeaders });
+      }
+    });
+    
+    // ==================== ADMIN MODERATION QUEUE ====================
+
+    // GET /api/admin/moderation/queue?status=open|dismissed|actioned&type=comment - Reports grouped per item
+    router.get('/api/admin/moderation/queue', can('moderation:review'), async () => {
+      const status = url.searchParams.get('status') || 'open';
+      const contentType = url.searchParams.get('type') || null;
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), 50);
+      const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+      
+      if (!['open', 'dismissed', 'actioned'].includes(status)) {
+        return Response.json({ error: 'status must be open, dismissed or actioned' }, { status: 400, headers: corsHeaders });
+      }
+      if (contentType && !CONTENT_TYPES.includes(contentType)) {
+        return Response.json({ error: `type must be one of: ${CONTENT_TYPES.join(', ')}` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        const queue = await listReportQueue(env.DB, { status, contentType, limit, offset });
+        return Response.json({ status, ...queue }, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation Queue] List error:', error);
+        return Response.json({ error: 'Failed to load moderation queue' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/admin/moderation/queue/:type/:id - All reports on one item with its preview
+    router.get('/api/admin/moderation/queue/:type/:id', can('moderation:review'), async ({ params }) => {
+      try {
+        const item = await getQueueItem(env.DB, params.type, params.id);
+        if (!item) {
+          return Response.json({ error: 'No reports for this content' }, { status: 404, headers: corsHeaders });
+        }
+        return Response.json(item, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation Queue] Item error:', error);
+        return Response.json({ error: 'Failed to load reports' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // POST /api/admin/moderation/queue/:type/:id/action - dismiss | hide | delete | strike | suspend (audited)
+    router.post('/api/admin/moderation/queue/:type/:id/action', can('moderation:act'), async ({ params, body, user }) => {
+      if (!CONTENT_TYPES.includes(params.type)) {
+        return Response.json({ error: `type must be one of: ${CONTENT_TYPES.join(', ')}` }, 
+          { status: 400, headers: corsHeaders });
+      }
+      
+      try {
+        const result = await applyQueueAction(env.DB, {
+          contentType: params.type,
+          contentId: params.id,
+          action: body?.action,
+          adminId: user.id,
+          reason: body?.reason || null,
+          severity: body?.severity || 'medium',
+          days: body?.days ?? 7,
+          bucket: env.MEDIA_BUCKET
+        });
+        if (result.error) {
+          return Response.json({ error: result.error }, { status: result.status, headers: corsHeaders });
+        }
+        return Response.json(result, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation Queue] Action error:', error);
+        return Response.json({ error: 'Failed to apply moderation action' }, { status: 500, headers: corsHeaders });
+      }
+    });
+
+    // GET /api/admin/moderation/audit-log?content_type=&content_id=&admin_id=&user_id= - Moderation history
+    router.get('/api/admin/moderation/audit-log', can('moderation:review'), async () => {
+      const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50', 10) || 50, 1), 100);
+      const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+      
+      try {
+        const log = await listAuditLog(env.DB, {
+          contentType: url.searchParams.get('content_type'),
+          contentId: url.searchParams.get('content_id'),
+          adminId: url.searchParams.get('admin_id'),
+          targetUserId: url.searchParams.get('user_id'),
+          limit,
+          offset
+        });
+        return Response.json(log, { headers: corsHeaders });
+      } catch (error) {
+        console.error('[Moderation Queue] Audit log error:', error);
+        return Response.json({ error: 'Failed to load audit log' }, { status: 500, headers: corsHeaders });
+      }
+    });
     
     // GET /media/* or /api/media/* - Proxy audio/media files from R2 (handle CORS and access)
     // Handle both legacy /media/* and new /api/media/* routes
-    if ((url.pathname.startsWith('/api/media/') || url.pathname.startsWith('/media/')) && request.method === 'GET') {
+    router.get(['/api/media/*', '/media/*'], async ({ params }) => {
       try {
         // Extract media path from either route format
-        const mediaPath = url.pathname.startsWith('/api/media/') 
-          ? url.pathname.replace('/api/media/', '')
-          : url.pathname.replace('/media/', '');
+        const mediaPath = params['*'];
+        // Message attachments are private - only served through signed /api/messages/:id/media links
+        if (mediaPath?.startsWith(ATTACHMENT_PREFIX)) {
+          return new Response('Media not found', { status: 404, headers: { ...corsHeaders, 'Content-Type': 'text/plain' } });
+        }
         if (!mediaPath || !env.MEDIA_BUCKET) {
           console.error('[Media Proxy] Missing mediaPath or MEDIA_BUCKET:', { mediaPath, hasBucket: !!env.MEDIA_BUCKET });
           return new Response('Media not found: Missing path or bucket', { status: 404, headers: corsHeaders });
@@ -4516,180 +4687,63 @@ export default {
         
         console.log('[Media Proxy] Requesting R2 object:', mediaPath);
         
-        // Get file from R2
-        let object = await env.MEDIA_BUCKET.get(mediaPath);
-        let finalMediaPath = mediaPath;
+        // Find the object (metadata only) - tries legacy covers/ vs cover-art/ prefixes
+        // and alternative image extensions when the exact key is missing
+        const object = await findMediaObject(env.MEDIA_BUCKET, mediaPath);
         
+        // If still not found, return 404 with helpful debugging
         if (!object) {
           console.error('[Media Proxy] File not found in R2:', mediaPath);
           
-          // Try alternative paths (handle legacy /covers/ vs /cover-art/)
-          const alternativePaths = [];
-          
-          // If path starts with covers/, try cover-art/ instead
-          if (mediaPath.startsWith('covers/')) {
-            alternativePaths.push(mediaPath.replace(/^covers\//, 'cover-art/'));
-          }
-          // If path starts with cover-art/, try covers/ instead (legacy)
-          if (mediaPath.startsWith('cover-art/')) {
-            alternativePaths.push(mediaPath.replace(/^cover-art\//, 'covers/'));
-          }
-          
-          // Try alternative paths first
-          for (const altPath of alternativePaths) {
-            console.log('[Media Proxy] Trying alternative path:', altPath);
-            const altObject = await env.MEDIA_BUCKET.get(altPath);
-            if (altObject) {
-              console.log('[Media Proxy] Found file with alternative path:', altPath);
-              object = altObject;
-              finalMediaPath = altPath;
-              break;
-            }
-          }
-          
-          // If still not found, try alternative extensions for images
-          if (!object && (mediaPath.startsWith('cover-art/') || mediaPath.startsWith('covers/') || mediaPath.startsWith('profiles/'))) {
-            const fileName = finalMediaPath.split('/').pop(); // Get just the filename
-            const baseName = fileName.substring(0, fileName.lastIndexOf('.')); // Filename without extension
-            const altExtensions = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
-            
-            // Try all combinations: both path prefixes + all extensions
-            for (const pathPrefix of ['cover-art/', 'covers/']) {
-              for (const ext of altExtensions) {
-                const altPath = pathPrefix + baseName + ext;
-                // Skip if we already tried this exact path
-                if (altPath === mediaPath || altPath === finalMediaPath) continue;
-                
-                console.log('[Media Proxy] Trying path + extension:', altPath);
-                const altObject = await env.MEDIA_BUCKET.get(altPath);
-                if (altObject) {
-                  console.log('[Media Proxy] ✅ Found file:', altPath);
-                  object = altObject;
-                  finalMediaPath = altPath;
-                  break;
-                }
-              }
-              if (object) break;
-            }
-          }
-          
-          // Last resort: try without any prefix (file might be at root or different location)
-          if (!object && (mediaPath.startsWith('cover-art/') || mediaPath.startsWith('covers/'))) {
+          // Try to list objects with similar names for debugging
+          try {
             const fileName = mediaPath.split('/').pop();
-            console.log('[Media Proxy] Trying filename only (no prefix):', fileName);
-            const rootObject = await env.MEDIA_BUCKET.get(fileName);
-            if (rootObject) {
-              console.log('[Media Proxy] ✅ Found file at root:', fileName);
-              object = rootObject;
-              finalMediaPath = fileName;
-            }
-          }
-          
-          // If still not found, return 404 with helpful debugging
-          if (!object) {
-            // Try to list objects with similar names for debugging
-            try {
-              const fileName = mediaPath.split('/').pop();
-              const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
-              
-              // List files in both cover-art/ and covers/ directories
-              for (const prefix of ['cover-art/', 'covers/']) {
-                const listOptions = {
-                  prefix: prefix,
-                  limit: 50
-                };
-                const listed = await env.MEDIA_BUCKET.list(listOptions);
-                const matchingFiles = listed.objects?.filter(o => 
-                  o.key.includes(baseName) || o.key.includes(fileName)
-                ).map(o => o.key) || [];
-                
-                if (matchingFiles.length > 0) {
-                  console.log(`[Media Proxy] Found similar files in ${prefix}:`, matchingFiles);
-                }
-              }
-              
-              // Also list all files with the same base name
-              const allListed = await env.MEDIA_BUCKET.list({ limit: 1000 });
-              const allMatching = allListed.objects?.filter(o => 
+            const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+            
+            // List files in both cover-art/ and covers/ directories
+            for (const prefix of ['cover-art/', 'covers/']) {
+              const listOptions = {
+                prefix: prefix,
+                limit: 50
+              };
+              const listed = await env.MEDIA_BUCKET.list(listOptions);
+              const matchingFiles = listed.objects?.filter(o => 
                 o.key.includes(baseName) || o.key.includes(fileName)
               ).map(o => o.key) || [];
               
-              if (allMatching.length > 0) {
-                console.log('[Media Proxy] All files with similar name in R2:', allMatching);
-              } else {
-                console.log('[Media Proxy] ❌ No files found with name:', baseName, 'or', fileName);
+              if (matchingFiles.length > 0) {
+                console.log(`[Media Proxy] Found similar files in ${prefix}:`, matchingFiles);
               }
-            } catch (listError) {
-              console.error('[Media Proxy] Error listing R2:', listError);
             }
             
-            return new Response(`Media not found: ${mediaPath}. Check Worker logs for similar files in R2.`, { 
-              status: 404, 
-              headers: {
-                ...corsHeaders,
-                'Content-Type': 'text/plain'
-              }
-            });
-          }
-        }
-        
-        console.log('[Media Proxy] File found in R2:', { key: finalMediaPath, size: object.size, contentType: object.httpMetadata?.contentType });
-        
-        // Get content type - ensure proper MIME types for images to prevent CORB
-        const contentType = object.httpMetadata?.contentType || 
-          (finalMediaPath.endsWith('.mp3') ? 'audio/mpeg' :
-           finalMediaPath.endsWith('.wav') ? 'audio/wav' :
-           finalMediaPath.endsWith('.m4a') ? 'audio/mp4' :
-           finalMediaPath.endsWith('.ogg') ? 'audio/ogg' :
-           finalMediaPath.endsWith('.flac') ? 'audio/flac' :
-           finalMediaPath.endsWith('.jpg') || finalMediaPath.endsWith('.jpeg') ? 'image/jpeg' :
-           finalMediaPath.endsWith('.png') ? 'image/png' :
-           finalMediaPath.endsWith('.webp') ? 'image/webp' :
-           finalMediaPath.endsWith('.gif') ? 'image/gif' :
-           'application/octet-stream');
-        
-        // Handle byte-range requests for audio seeking
-        const rangeHeader = request.headers.get('Range');
-        let responseBody = object.body;
-        let status = 200;
-        let responseHeaders = {
-          ...corsHeaders,
-          'Content-Type': contentType,
-          'Cache-Control': 'public, max-age=31536000, immutable',
-          'Accept-Ranges': 'bytes',
-          'Content-Length': object.size.toString(),
-          // Explicitly set X-Content-Type-Options to prevent MIME sniffing that can trigger CORB
-          'X-Content-Type-Options': 'nosniff'
-        };
-
-        if (rangeHeader) {
-          // Parse range header (e.g., "bytes=0-1023")
-          const rangeMatch = rangeHeader.match(/bytes=(\d+)-(\d*)/);
-          if (rangeMatch) {
-            const start = parseInt(rangeMatch[1], 10);
-            const end = rangeMatch[2] ? parseInt(rangeMatch[2], 10) : object.size - 1;
-            const chunkSize = end - start + 1;
+            // Also list all files with the same base name
+            const allListed = await env.MEDIA_BUCKET.list({ limit: 1000 });
+            const allMatching = allListed.objects?.filter(o => 
+              o.key.includes(baseName) || o.key.includes(fileName)
+            ).map(o => o.key) || [];
             
-            // Read the range from the object (use finalMediaPath instead of mediaPath for consistency)
-            const rangeResponse = await env.MEDIA_BUCKET.get(finalMediaPath, {
-              range: { offset: start, length: chunkSize }
-            });
-            
-            if (rangeResponse) {
-              responseBody = rangeResponse.body;
-              responseHeaders['Content-Range'] = `bytes ${start}-${end}/${object.size}`;
-              responseHeaders['Content-Length'] = chunkSize.toString();
-              status = 206; // Partial Content
+            if (allMatching.length > 0) {
+              console.log('[Media Proxy] All files with similar name in R2:', allMatching);
+            } else {
+              console.log('[Media Proxy] ❌ No files found with name:', baseName, 'or', fileName);
             }
+          } catch (listError) {
+            console.error('[Media Proxy] Error listing R2:', listError);
           }
+          
+          return new Response(`Media not found: ${mediaPath}. Check Worker logs for similar files in R2.`, { 
+            status: 404, 
+            headers: {
+              ...corsHeaders,
+              'Content-Type': 'text/plain'
+            }
+          });
         }
         
-        // Return file with proper headers
-        // Ensure we're returning binary data, not text
-        return new Response(responseBody, {
-          status: status,
-          headers: responseHeaders
-        });
+        console.log('[Media Proxy] File found in R2:', { key: object.key, size: object.size, contentType: object.httpMetadata?.contentType });
+        
+        // Handles Range (206/416), If-None-Match / If-Modified-Since (304) and If-Range
+        return await serveMediaObject(request, env.MEDIA_BUCKET, object, corsHeaders);
       } catch (error) {
         console.error('Media proxy error:', error);
         // Return plain text error, not JSON, to avoid CORB issues
@@ -4702,31 +4756,8 @@ export default {
           }
         });
       }
-    }
-
-    // Default: 404 with helpful message
-    // Log for debugging
-    console.error('404 Not Found:', {
-      path: url.pathname,
-      method: request.method,
-      url: request.url,
-      host: url.hostname
     });
-    
-    return Response.json({ 
-      error: 'Not Found',
-      path: url.pathname,
-      method: request.method,
-      url: request.url,
-      hint: 'API endpoint not found. Check /api/health for available endpoints.',
-      availableEndpoints: [
-        '/api/health',
-        '/api/users',
-        '/api/tracks',
-        '/api/feed/trending-artists',
-        '/api/auth/*',
-        '/api/media/*'
-      ]
-    }, { status: 404, headers: corsHeaders });
+
+    return router.handle(request, { env, executionCtx: ctx, url });
   }
 };
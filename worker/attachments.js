@@ -0,0 +1,173 @@
+/**
+ * Audio City Message Attachments
+ *
+ * Typed messages (migrations/0013_message_attachments.sql). Besides plain
+ * text, a message can share a track, carry an image, or carry a short
+ * recorded voice note; the message text is then an optional caption.
+ *
+ * Images and voice notes go to the media bucket under messages/ with random
+ * keys. The public /api/media/* proxy never serves them: only the two
+ * participants get a link, and it is signed and short-lived, because <img>
+ * and <audio> can't send an Authorization header.
+ */
+
+export const MESSAGE_TYPES = ['text', 'track', 'image', 'voice'];
+
+export const MAX_CAPTION_LENGTH = 2000;
+
+// R2 prefix for attachment files - kept out of the public media proxy
+export const ATTACHMENT_PREFIX = 'messages/';
+
+// Signed media links stay valid this long (rounded up to the hour, so the URL - and the browser cache - is stable)
+const MEDIA_LINK_TTL_SECONDS = 6 * 60 * 60;
+
+// Accepted files per attachment type: MIME type -> extension, plus limits
+export const ATTACHMENT_RULES = {
+  image: {
+    label: 'Image',
+    maxBytes: 10 * 1024 * 1024,
+    types: { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' }
+  },
+  voice: {
+    label: 'Voice note',
+    maxBytes: 5 * 1024 * 1024,
+    maxSeconds: 180,
+    types: {
+      'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/x-m4a': 'm4a',
+      'audio/mpeg': 'mp3', 'audio/aac': 'aac', 'audio/wav': 'wav'
+    }
+  }
+};
+
+// Helper: Bytes as ASCII text
+const ascii = (bytes, start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+// First bytes each format starts with, so a renamed file can't pass as another type
+const SIGNATURES = {
+  jpg: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  png: (b) => ascii(b, 1, 3) === 'PNG',
+  gif: (b) => ascii(b, 0, 4) === 'GIF8',
+  webp: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WEBP',
+  webm: (b) => b[0] === 0x1a && b[1] === 0x45 && b[2] === 0xdf && b[3] === 0xa3,
+  ogg: (b) => ascii(b, 0, 4) === 'OggS',
+  m4a: (b) => ascii(b, 4, 4) === 'ftyp',
+  mp3: (b) => ascii(b, 0, 3) === 'ID3' || (b[0] === 0xff && (b[1] & 0xe0) === 0xe0),
+  aac: (b) => b[0] === 0xff && (b[1] & 0xf6) === 0xf0,
+  wav: (b) => ascii(b, 0, 4) === 'RIFF' && ascii(b, 8, 4) === 'WAVE'
+};
+
+// Check an uploaded image or voice note.
+// Returns { error } or { contentType, extension, buffer, duration }
+export async function validateAttachment(type, file, { duration } = {}) {
+  const rules = ATTACHMENT_RULES[type];
+  if (!file || !(file instanceof File) || file.size === 0) {
+    return { error: `${rules.label} file is required` };
+  }
+
+  // MediaRecorder types carry codec parameters (audio/webm;codecs=opus)
+  const contentType = (file.type || '').split(';')[0].trim().toLowerCase();
+  const extension = rules.types[contentType];
+  if (!extension) {
+    return { error: `Unsupported ${rules.label.toLowerCase()} type: ${contentType || 'unknown'}` };
+  }
+  if (file.size > rules.maxBytes) {
+    return { error: `${rules.label} too large (max ${rules.maxBytes / (1024 * 1024)}MB)` };
+  }
+
+  let seconds = null;
+  if (type === 'voice') {
+    seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > rules.maxSeconds) {
+      return { error: `Voice notes can be up to ${rules.maxSeconds / 60} minutes long` };
+    }
+    seconds = Math.round(seconds * 10) / 10;
+  }
+
+  const buffer = await file.arrayBuffer();
+  if (!SIGNATURES[extension](new Uint8Array(buffer, 0, Math.min(12, buffer.byteLength)))) {
+    return { error: `File content is not a valid ${contentType} file` };
+  }
+
+  return { contentType, extension, buffer, duration: seconds };
+}
+
+// Store a validated attachment; returns its R2 key
+export async function storeAttachment(bucket, { contentType, extension, buffer }) {
+  const key = `${ATTACHMENT_PREFIX}${crypto.randomUUID()}.${extension}`;
+  await bucket.put(key, buffer, { httpMetadata: { contentType } });
+  return key;
+}
+
+// Short text for notifications and conversation lists when a message has no caption
+export function messagePreview(type, caption) {
+  if (caption) return caption;
+  if (type === 'track') return '🎵 Shared a track';
+  if (type === 'image') return '📷 Photo';
+  if (type === 'voice') return '🎤 Voice note';
+  return '';
+}
+
+// Extra SELECT columns and JOINs for a query over `messages m`, read by attachmentFields()
+export const ATTACHMENT_COLUMNS = `m.message_type, m.track_id, m.media_type, m.media_size, m.duration,
+  st.title AS track_title, st.cover_art_url AS track_cover_art_url, st.audio_url AS track_audio_url,
+  st.artist_id AS track_artist_id, COALESCE(sa.name, sa.username) AS track_artist_name`;
+export const ATTACHMENT_JOINS = 'LEFT JOIN tracks st ON m.track_id = st.id LEFT JOIN users sa ON st.artist_id = sa.id';
+
+// Helper: HMAC-SHA256 key for media links
+const hmacKey = (secret, usage) => crypto.subtle.importKey(
+  'raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, [usage]
+);
+
+// Helper: Hex <-> bytes
+const toHex = (buffer) => [...new Uint8Array(buffer)].map((b) => b.toString(16).padStart(2, '0')).join('');
+const fromHex = (hex) => new Uint8Array((hex.match(/../g) || []).map((pair) => parseInt(pair, 16)));
+
+// Signed, expiring URL for a message's image or voice note
+export async function signedMediaUrl(secret, origin, messageId, now = Date.now()) {
+  const expires = Math.ceil((now / 1000 + MEDIA_LINK_TTL_SECONDS) / 3600) * 3600;
+  const signature = await crypto.subtle.sign(
+    'HMAC', await hmacKey(secret, 'sign'), new TextEncoder().encode(`${messageId}.${expires}`)
+  );
+  return `${origin}/api/messages/${encodeURIComponent(messageId)}/media?expires=${expires}&sig=${toHex(signature)}`;
+}
+
+// Is this media link genuine and unexpired?
+export async function verifyMediaSignature(secret, messageId, expires, sig) {
+  if (!/^\d+$/.test(expires || '') || !/^[0-9a-f]{64}$/.test(sig || '')) return false;
+  if (Number(expires) * 1000 < Date.now()) return false;
+  return crypto.subtle.verify(
+    'HMAC', await hmacKey(secret, 'verify'), fromHex(sig), new TextEncoder().encode(`${messageId}.${expires}`)
+  );
+}
+
+// The typed part of a message for clients: { message_type, track? , media_url?, ... }
+// Without a `secret` (MEDIA_LINK_SECRET unset) media_url is null - links can't be signed
+export async function attachmentFields(row, { secret, origin }) {
+  const type = row.message_type || 'text';
+  if (type === 'track') {
+    // A deleted track leaves the card without details
+    return {
+      message_type: type,
+      track: row.track_title === null || row.track_title === undefined
+        ? { id: row.track_id, unavailable: true }
+        : {
+          id: row.track_id,
+          title: row.track_title,
+          artist_id: row.track_artist_id,
+          artist_name: row.track_artist_name,
+          cover_art_url: row.track_cover_art_url,
+          audio_url: row.track_audio_url
+        }
+    };
+  }
+  if (type === 'image' || type === 'voice') {
+    return {
+      message_type: type,
+      media_url: secret ? await signedMediaUrl(secret, origin, row.id) : null,
+      media_type: row.media_type,
+      media_size: row.media_size,
+      duration: row.duration
+    };
+  }
+  return { message_type: 'text' };
+}
@@ -0,0 +1,127 @@
+/**
+ * Audio City Email Sender
+ *
+ * Transport-agnostic email for the worker. The transport is picked from
+ * env.EMAIL_TRANSPORT:
+ *   - 'log'    prints the message to the Worker logs - local dev only, and the
+ *              default there (FRONTEND_URL or the worker itself on localhost)
+ *   - 'resend' sends through the Resend HTTP API (env.RESEND_API_KEY)
+ * Anywhere else an unset or 'log' transport fails closed: createMailer()
+ * throws rather than write reset and verification links to the logs.
+ * The sender address comes from env.EMAIL_FROM.
+ */
+
+const DEFAULT_FROM = 'Audio City <no-reply@audiocity-ug.com>';
+
+export const transports = {
+  // Dev transport: nothing leaves the worker, the message is logged instead
+  log: async (message) => {
+    console.log('[Email] (log transport)', JSON.stringify({
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    }, null, 2));
+    return { id: `log_${Date.now()}` };
+  },
+
+  resend: async (message, env) => {
+    if (!env.RESEND_API_KEY) {
+      throw new Error('RESEND_API_KEY is not configured');
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(message)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => 'Unknown error');
+      throw new Error(`Resend returned ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+    return response.json();
+  }
+};
+
+// Helper: Does a URL point at this machine?
+const isLocalUrl = (value) => {
+  try {
+    return ['localhost', '127.0.0.1'].includes(new URL(value).hostname);
+  } catch {
+    return false;
+  }
+};
+
+// Create a mailer bound to the configured transport. `origin` is the worker's
+// own origin (url.origin), which tells local dev apart from production.
+export function createMailer(env = {}, { origin = null } = {}) {
+  const local = isLocalUrl(env.FRONTEND_URL) || isLocalUrl(origin);
+  const name = env.EMAIL_TRANSPORT || (local ? 'log' : null);
+  if (!name) {
+    throw new Error('EMAIL_TRANSPORT is not configured');
+  }
+  if (name === 'log' && !local) {
+    throw new Error('The "log" email transport is only allowed in local development');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
+  }
+
+  return {
+    transport: name,
+    async send({ to, subject, text, html }) {
+      return transport({ from: env.EMAIL_FROM || DEFAULT_FROM, to, subject, text, html }, env);
+    }
+  };
+}
+
+// ==================== TEMPLATES ====================
+
+// Helper: Escape user-provided values for the HTML body
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+export const templates = {
+  passwordReset: ({ name, resetLink, expiresInMinutes }) => ({
+    subject: 'Reset your Audio City password',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'We received a request to reset your Audio City password.',
+      `Open this link to choose a new one (valid for ${expiresInMinutes} minutes):`,
+      resetLink,
+      '',
+      "If you didn't ask for this, you can ignore this email - your password won't change."
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>We received a request to reset your Audio City password.</p>
+      <p><a href="${escapeHtml(resetLink)}">Choose a new password</a> (valid for ${expiresInMinutes} minutes).</p>
+      <p>If you didn't ask for this, you can ignore this email - your password won't change.</p>
+    `
+  }),
+
+  verifyEmail: ({ name, verifyLink, expiresInHours }) => ({
+    subject: 'Confirm your Audio City email address',
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      'Welcome to Audio City! Please confirm your email address so you can upload tracks and send messages.',
+      `Open this link to confirm it (valid for ${expiresInHours} hours):`,
+      verifyLink,
+      '',
+      "If you didn't create an Audio City account, you can ignore this email."
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(name || 'there')},</p>
+      <p>Welcome to Audio City! Please confirm your email address so you can upload tracks and send messages.</p>
+      <p><a href="${escapeHtml(verifyLink)}">Confirm my email</a> (valid for ${expiresInHours} hours).</p>
+      <p>If you didn't create an Audio City account, you can ignore this email.</p>
+    `
+  })
+};
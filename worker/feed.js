@@ -0,0 +1,199 @@
+/**
+ * Audio City Feed Queries
+ *
+ * Follower-based timeline: uploads, reposts, new follows and comments from
+ * the people a user follows, merged newest first and paginated with an
+ * opaque cursor. Users who follow no one (or whose timeline is empty) get
+ * trending tracks instead.
+ */
+
+import { notHidden } from './moderation.js';
+
+export const TIMELINE_TYPES = ['upload', 'repost', 'follow', 'comment'];
+
+// Each source yields: item_type, item_id, track_id, actor_id, target_id, preview, activity_at
+// (`:viewer` is bound to the viewer's id, used to resolve who they follow).
+// Content a moderator hid is left out here, before the page LIMIT.
+const SOURCES = {
+  upload: `
+    SELECT 'upload' AS item_type, t.id AS item_id, t.id AS track_id, t.artist_id AS actor_id,
+      NULL AS target_id, NULL AS preview, t.created_at AS activity_at
+    FROM tracks t
+    WHERE t.artist_id IN (SELECT followee_id FROM follows WHERE follower_id = :viewer)
+      AND ${notHidden('track', 't.id')}`,
+  repost: `
+    SELECT 'repost' AS item_type, r.id AS item_id, r.track_id AS track_id, r.user_id AS actor_id,
+      NULL AS target_id, NULL AS preview, r.created_at AS activity_at
+    FROM reposts r
+    WHERE r.user_id IN (SELECT followee_id FROM follows WHERE follower_id = :viewer)
+      AND ${notHidden('track', 'r.track_id')}`,
+  follow: `
+    SELECT 'follow' AS item_type, f.id AS item_id, NULL AS track_id, f.follower_id AS actor_id,
+      f.followee_id AS target_id, NULL AS preview, f.created_at AS activity_at
+    FROM follows f
+    WHERE f.follower_id IN (SELECT followee_id FROM follows WHERE follower_id = :viewer)
+      AND f.followee_id != :viewer`,
+  comment: `
+    SELECT 'comment' AS item_type, c.id AS item_id, c.track_id AS track_id, c.user_id AS actor_id,
+      NULL AS target_id, SUBSTR(c.content, 1, 140) AS preview, c.created_at AS activity_at
+    FROM comments c
+    WHERE c.user_id IN (SELECT followee_id FROM follows WHERE follower_id = :viewer)
+      AND ${notHidden('comment', 'c.id')} AND ${notHidden('track', 'c.track_id')}`
+};
+
+// Helper: Opaque cursor <-> { activity_at, key } (or { offset } for trending).
+// JSON is UTF-8 encoded first so cursors can carry non-Latin1 values (e.g. titles).
+export const encodeCursor = (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+  } catch {
+    return null;
+  }
+};
+
+// Helper: SQL condition that the track `column` refers to exists and is out of review
+const publiclyVisible = (column) => `EXISTS (
+  SELECT 1 FROM tracks vt WHERE vt.id = ${column}
+    AND (vt.review_status IS NULL OR vt.review_status IN ('approved', '')))`;
+
+// Load tracks (with artist info) by id, keyed by id
+export async function loadTracksById(db, trackIds) {
+  const ids = [...new Set(trackIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { results } = await db.prepare(`
+    SELECT t.*, u.username as artist_username, u.name as artist_name,
+      u.profile_image_url as artist_profile_image, u.verified as artist_is_verified
+    FROM tracks t
+    LEFT JOIN users u ON t.artist_id = u.id
+    WHERE t.id IN (${ids.map(() => '?').join(', ')})
+  `).bind(...ids).all();
+
+  return new Map((results || []).map((track) => [track.id, {
+    ...track,
+    reposts_count: track.reposts_count || 0,
+    artist_is_verified: track.artist_is_verified === 1
+  }]));
+}
+
+// Load public user cards by id, keyed by id
+export async function loadUsersById(db, userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+
+  const { results } = await db.prepare(`
+    SELECT id, username, name, profile_image_url, verified
+    FROM users WHERE id IN (${ids.map(() => '?').join(', ')})
+  `).bind(...ids).all();
+
+  return new Map((results || []).map((user) => [user.id, {
+    ...user,
+    verified: user.verified === 1
+  }]));
+}
+
+// Timeline for `userId`, newest first. `types` restricts the sources.
+export async function timeline(db, userId, { limit = 20, cursor = null, types = TIMELINE_TYPES } = {}) {
+  const sources = types.filter((type) => SOURCES[type]);
+  if (sources.length === 0) {
+    return { items: [], has_more: false, next_cursor: null };
+  }
+
+  // Rows are ordered by (activity_at, key) so ties on the timestamp still page stably
+  const position = decodeCursor(cursor);
+  const values = [];
+  const union = sources.map((type) => {
+    values.push(userId);
+    return SOURCES[type].replace(/:viewer/g, `?${values.length}`);
+  }).join('\nUNION ALL\n');
+
+  // Tracks still in review are left out here too, so they don't shorten the page
+  let query = `SELECT *, item_type || '_' || item_id AS item_key FROM (${union})
+    WHERE (track_id IS NULL OR ${publiclyVisible('track_id')})`;
+  if (position?.activity_at) {
+    values.push(position.activity_at, position.activity_at, position.key || '');
+    const n = values.length;
+    query += ` AND (activity_at < ?${n - 2} OR (activity_at = ?${n - 1} AND item_type || '_' || item_id < ?${n}))`;
+  }
+  values.push(limit + 1);
+  query += ` ORDER BY activity_at DESC, item_key DESC LIMIT ?${values.length}`;
+
+  const { results } = await db.prepare(query).bind(...values).all();
+  const rows = results || [];
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  const tracks = await loadTracksById(db, page.map((row) => row.track_id));
+  const users = await loadUsersById(db, page.flatMap((row) => [row.actor_id, row.target_id]));
+
+  const items = page
+    .filter((row) => !row.track_id || tracks.has(row.track_id))
+    .map((row) => ({
+      type: row.item_type,
+      id: row.item_key,
+      activity_at: row.activity_at,
+      actor: users.get(row.actor_id) || { id: row.actor_id },
+      track: row.track_id ? tracks.get(row.track_id) : null,
+      target_user: row.target_id ? users.get(row.target_id) || { id: row.target_id } : null,
+      preview: row.preview || null
+    }));
+
+  const last = page[page.length - 1];
+  return {
+    items,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor({ activity_at: last.activity_at, key: last.item_key }) : null
+  };
+}
+
+// Trending tracks (plays, likes and reposts, favouring the last 30 days)
+export async function trending(db, { limit = 20, cursor = null } = {}) {
+  const offset = Math.max(parseInt(decodeCursor(cursor)?.offset || 0, 10) || 0, 0);
+
+  const { results } = await db.prepare(`
+    SELECT t.id,
+      COALESCE(t.plays_count, 0) + 5 * COALESCE(t.reposts_count, 0)
+        + 3 * (SELECT COUNT(*) FROM track_likes l WHERE l.track_id = t.id) AS score
+    FROM tracks t
+    WHERE ${notHidden('track', 't.id')} AND ${publiclyVisible('t.id')}
+    ORDER BY (t.created_at >= datetime('now', '-30 days')) DESC, score DESC, t.created_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(limit + 1, offset).all();
+
+  const rows = results || [];
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const tracks = await loadTracksById(db, page.map((row) => row.id));
+
+  const items = page
+    .map((row) => tracks.get(row.id))
+    .filter(Boolean)
+    .map((track) => ({
+      type: 'trending',
+      id: `trending_${track.id}`,
+      activity_at: track.created_at,
+      actor: {
+        id: track.artist_id,
+        username: track.artist_username,
+        name: track.artist_name,
+        profile_image_url: track.artist_profile_image,
+        verified: track.artist_is_verified
+      },
+      track,
+      target_user: null,
+      preview: null
+    }));
+
+  return {
+    items,
+    has_more: hasMore,
+    next_cursor: hasMore ? encodeCursor({ offset: offset + limit }) : null
+  };
+}
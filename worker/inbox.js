@@ -0,0 +1,188 @@
+/**
+ * Audio City Inbox Hub
+ *
+ * Durable Object behind the real-time inbox socket (protocol: core/inbox.mjs).
+ * There is one hub per user (idFromName(userId)) holding that user's open
+ * sockets, one per tab or device. Sockets use the WebSocket Hibernation API,
+ * so an idle hub is evicted from memory without dropping them.
+ *
+ * Route handlers push events with publishToInbox(). A hub relays its own
+ * user's typing and presence to that user's conversation partners.
+ * Needs the INBOX binding (wrangler-d1.toml); without it, publishing is a
+ * no-op and the socket route answers 503, so clients keep polling.
+ */
+
+import { inboxEvent, parseClientEvent, PRESENCE_FANOUT_LIMIT, LAST_SEEN_INTERVAL_MS } from '../core/inbox.mjs';
+
+// Hubs are only reached through their stubs; the host is never resolved
+const HUB_ORIGIN = 'https://inbox-hub';
+
+// Helper: Stub for a user's hub
+const hubFor = (env, userId) => env.INBOX.get(env.INBOX.idFromName(userId));
+
+// Push an event (from inboxEvent) to every open socket of these users.
+// Failures are logged, never thrown - the REST endpoints still have the data.
+export async function publishToInbox(env, userIds, event) {
+  if (!env.INBOX) return;
+
+  const recipients = [...new Set(userIds.filter(Boolean))];
+  await Promise.all(recipients.map(async (userId) => {
+    try {
+      await hubFor(env, userId).fetch(`${HUB_ORIGIN}/publish`, { method: 'POST', body: event });
+    } catch (error) {
+      console.error(`[Inbox] Publish to ${userId} failed:`, error.message);
+    }
+  }));
+}
+
+// Hand a signed-in user's WebSocket upgrade request to their hub
+export function connectInbox(env, request, userId) {
+  const headers = new Headers(request.headers);
+  headers.set('X-Inbox-User', userId);
+  return hubFor(env, userId).fetch(`${HUB_ORIGIN}/connect`, { headers });
+}
+
+// Does the user have an open inbox socket? null when unknown (no binding, hub unreachable)
+export async function isInboxConnected(env, userId) {
+  if (!env.INBOX) return null;
+  try {
+    const response = await hubFor(env, userId).fetch(`${HUB_ORIGIN}/presence`);
+    const { online } = await response.json();
+    return online;
+  } catch (error) {
+    console.error(`[Inbox] Presence lookup for ${userId} failed:`, error.message);
+    return null;
+  }
+}
+
+// Helper: The user's most recent conversation partners
+async function conversationPartners(db, userId) {
+  const { results } = await db.prepare(`
+    SELECT CASE WHEN participant1_id = ? THEN participant2_id ELSE participant1_id END AS partner_id
+    FROM conversations
+    WHERE participant1_id = ? OR participant2_id = ?
+    ORDER BY last_message_at DESC
+    LIMIT ?
+  `).bind(userId, userId, userId, PRESENCE_FANOUT_LIMIT).all();
+  return (results || []).map((row) => row.partner_id).filter(Boolean);
+}
+
+export class InboxHub {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    // In-memory only; both are rebuilt after the hub wakes from hibernation
+    this.partners = null;
+    this.lastSeenWrittenAt = 0;
+  }
+
+  async fetch(request) {
+    const { pathname } = new URL(request.url);
+
+    if (pathname === '/publish') {
+      const event = await request.text();
+      // A new message may come from a new conversation partner
+      if (JSON.parse(event).type === 'message') this.partners = null;
+      this.sockets().forEach((ws) => this.send(ws, event));
+      return new Response(null, { status: 204 });
+    }
+
+    if (pathname === '/presence') {
+      return Response.json({ online: this.sockets().length > 0 });
+    }
+
+    if (pathname === '/connect') {
+      if (request.headers.get('Upgrade') !== 'websocket') {
+        return new Response('Expected a WebSocket upgrade', { status: 426 });
+      }
+      const userId = request.headers.get('X-Inbox-User');
+      const cameOnline = this.sockets().length === 0;
+
+      const [client, server] = Object.values(new WebSocketPair());
+      this.state.acceptWebSocket(server);
+      server.serializeAttachment({ userId });
+      if (cameOnline) await this.presenceChanged(userId, true);
+
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  }
+
+  async webSocketMessage(ws, data) {
+    const event = parseClientEvent(data);
+    if (!event) return;
+    const { userId } = ws.deserializeAttachment();
+
+    if (event.type === 'ping') {
+      this.send(ws, inboxEvent('pong'));
+      if (Date.now() - this.lastSeenWrittenAt > LAST_SEEN_INTERVAL_MS) await this.markSeen(userId);
+      return;
+    }
+
+    // Typing indicators only go to people the user already talks to
+    if (event.type === 'typing' && (await this.partnersOf(userId)).includes(event.to)) {
+      await publishToInbox(this.env, [event.to], inboxEvent('typing', { user_id: userId, typing: event.typing }));
+    }
+  }
+
+  async webSocketClose(ws, code, reason) {
+    try {
+      ws.close(code, reason);
+    } catch {
+      // Already closed, or a reserved code (1005/1006) that can't be echoed
+    }
+    await this.socketGone(ws);
+  }
+
+  async webSocketError(ws) {
+    await this.socketGone(ws);
+  }
+
+  // Helper: Sockets still open
+  sockets(except = null) {
+    return this.state.getWebSockets().filter((ws) => ws !== except && ws.readyState === WebSocket.OPEN);
+  }
+
+  // Helper: Send without throwing on a socket that is going away
+  send(ws, event) {
+    try {
+      ws.send(event);
+    } catch (error) {
+      console.error('[Inbox] Send failed:', error.message);
+    }
+  }
+
+  async socketGone(ws) {
+    const { userId } = ws.deserializeAttachment() || {};
+    if (userId && this.sockets(ws).length === 0) await this.presenceChanged(userId, false);
+  }
+
+  async partnersOf(userId) {
+    if (!this.partners) {
+      try {
+        this.partners = await conversationPartners(this.env.DB, userId);
+      } catch (error) {
+        console.error('[Inbox] Partner lookup failed:', error.message);
+        return [];
+      }
+    }
+    return this.partners;
+  }
+
+  async markSeen(userId) {
+    this.lastSeenWrittenAt = Date.now();
+    try {
+      await this.env.DB.prepare("UPDATE users SET last_seen = datetime('now') WHERE id = ?").bind(userId).run();
+    } catch (error) {
+      console.error('[Inbox] last_seen update failed:', error.message);
+    }
+  }
+
+  // First socket opened or last socket closed: tell the user's partners
+  async presenceChanged(userId, online) {
+    await this.markSeen(userId);
+    const event = inboxEvent('presence', { user_id: userId, online, last_seen: new Date().toISOString() });
+    await publishToInbox(this.env, await this.partnersOf(userId), event);
+  }
+}
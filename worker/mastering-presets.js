@@ -0,0 +1,118 @@
+/**
+ * Audio City Custom Mastering Presets
+ *
+ * Artists save their own presets (migrations/0014_user_presets.sql) with the
+ * knobs the built-in genre presets are made of: loudness target, three EQ
+ * bands, compressor and limiter. /api/quick-master takes one as
+ * preset=user:<id>; the worker turns the knobs into the same processing
+ * graph the genre presets use (deploy-mastering/presets/) and sends it along
+ * as preset_graph.
+ */
+
+export const USER_PRESET_PREFIX = 'user:';
+
+export const MAX_USER_PRESETS = 20;
+export const MAX_PRESET_NAME_LENGTH = 60;
+
+// Knob ranges: [min, max]. Wide enough for every built-in genre preset,
+// narrow enough that a preset can't wreck a mix.
+export const PRESET_KNOBS = {
+  lufs: [-16, -6], // integrated loudness target
+  tp: [-3, -0.1], // true peak ceiling for the loudness fine-tune, dBTP
+  bass: { freq: [30, 250], gain: [-6, 6] }, // low shelf
+  mid: { freq: [200, 8000], gain: [-6, 6], q: [0.3, 4] }, // bell
+  high: { freq: [4000, 16000], gain: [-6, 6] }, // high shelf
+  comp: { threshold: [-30, 0], ratio: [1, 8], attack: [1, 100], release: [10, 500] }, // dB, :1, ms, ms
+  limiter: { limit: [-3, 0], attack: [0.5, 20], release: [10, 200] } // dB, ms, ms
+};
+
+// Input quieter than this skips the compressor, as in the genre presets
+const COMPRESS_ABOVE_LUFS = -20;
+
+// A bell's Q as its width in octaves (the server's peak stage takes octaves)
+const qToOctaves = (q) => Math.round((2 * Math.asinh(1 / (2 * q)) / Math.LN2) * 100) / 100;
+
+// Helper: Check one number against [min, max]
+const checkKnob = (value, [min, max], label, errors) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${label} must be a number`);
+    return null;
+  }
+  if (value < min || value > max) {
+    errors.push(`${label} must be between ${min} and ${max}`);
+    return null;
+  }
+  return value;
+};
+
+/**
+ * Validate preset knobs; unknown keys are dropped
+ * @param {object} settings - { lufs, tp, bass: { freq, gain }, mid: { freq, gain, q }, high, comp, limiter }
+ * @returns {object} - { settings, errors } (settings only holds the known knobs)
+ */
+export function validatePresetSettings(settings) {
+  const errors = [];
+  if (!settings || typeof settings !== 'object') {
+    return { settings: null, errors: ['settings are required'] };
+  }
+
+  const clean = {};
+  for (const [knob, range] of Object.entries(PRESET_KNOBS)) {
+    if (Array.isArray(range)) {
+      clean[knob] = checkKnob(settings[knob], range, knob, errors);
+      continue;
+    }
+    const group = settings[knob];
+    if (!group || typeof group !== 'object') {
+      errors.push(`${knob} is required`);
+      continue;
+    }
+    clean[knob] = {};
+    for (const [key, keyRange] of Object.entries(range)) {
+      clean[knob][key] = checkKnob(group[key], keyRange, `${knob}.${key}`, errors);
+    }
+  }
+
+  return { settings: errors.length === 0 ? clean : null, errors };
+}
+
+/**
+ * The processing graph for a custom preset - the same stages as a built-in
+ * genre preset (deploy-mastering/presets/kidandali.json)
+ * @param {string} name
+ * @param {object} settings - Validated knobs
+ * @returns {object} - { name, target, stages }
+ */
+export function presetGraph(name, settings) {
+  const { bass, mid, high, comp, limiter } = settings;
+  return {
+    name,
+    target: { lufs: settings.lufs, tp: settings.tp, tolerance: 2 },
+    stages: [
+      { type: 'lowshelf', freq: bass.freq, gain: bass.gain },
+      { type: 'peak', freq: mid.freq, gain: mid.gain, octaves: qToOctaves(mid.q) },
+      { type: 'highshelf', freq: high.freq, gain: high.gain },
+      { type: 'compressor', ...comp, min_input_lufs: COMPRESS_ABOVE_LUFS },
+      { type: 'gain' },
+      { type: 'limiter', ...limiter }
+    ]
+  };
+}
+
+// A user_presets row as the API returns it
+export function formatUserPreset(row) {
+  let settings = null;
+  try {
+    settings = JSON.parse(row.settings);
+  } catch {
+    // Left null - the editor shows the defaults
+  }
+  return {
+    id: row.id,
+    preset: `${USER_PRESET_PREFIX}${row.id}`,
+    name: row.name,
+    settings,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Audio City Media Proxy Helpers
+ *
+ * Serves R2 objects for /api/media/* with HTTP semantics players rely on:
+ * byte ranges (206 / 416), Accept-Ranges, ETag / If-None-Match,
+ * If-Modified-Since and If-Range. Lookups use head() so fallback keys can
+ * be probed without downloading bodies.
+ */
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+const CONTENT_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.flac': 'audio/flac',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif'
+};
+
+// Keys to try for a requested path, in order: the path itself, legacy
+// covers/ <-> cover-art/ prefixes, other image extensions, then the bare filename
+export function mediaKeyCandidates(mediaPath) {
+  const candidates = [mediaPath];
+
+  if (mediaPath.startsWith('covers/')) {
+    candidates.push(mediaPath.replace(/^covers\//, 'cover-art/'));
+  }
+  if (mediaPath.startsWith('cover-art/')) {
+    candidates.push(mediaPath.replace(/^cover-art\//, 'covers/'));
+  }
+
+  if (mediaPath.startsWith('cover-art/') || mediaPath.startsWith('covers/') || mediaPath.startsWith('profiles/')) {
+    const fileName = mediaPath.split('/').pop();
+    const baseName = fileName.substring(0, fileName.lastIndexOf('.'));
+    for (const prefix of ['cover-art/', 'covers/']) {
+      for (const ext of IMAGE_EXTENSIONS) {
+        candidates.push(prefix + baseName + ext);
+      }
+    }
+  }
+
+  if (mediaPath.startsWith('cover-art/') || mediaPath.startsWith('covers/')) {
+    candidates.push(mediaPath.split('/').pop());
+  }
+
+  return [...new Set(candidates)];
+}
+
+// R2 key behind a stored media URL - the /api/media/* proxy form or a public
+// R2 URL - or null when the URL doesn't point into the bucket
+export function mediaKeyFromUrl(value) {
+  let path;
+  try {
+    path = decodeURIComponent(new URL(value).pathname);
+  } catch {
+    return null;
+  }
+  const key = path.replace(/^\/(api\/)?media\//, '').replace(/^\//, '');
+  return /^(tracks|cover-art|covers)\/[^/]+$/.test(key) ? key : null;
+}
+
+// First candidate key that exists in the bucket (metadata only), or null
+export async function findMediaObject(bucket, mediaPath) {
+  for (const key of mediaKeyCandidates(mediaPath)) {
+    const object = await bucket.head(key);
+    if (object) {
+      if (key !== mediaPath) {
+        console.log('[Media Proxy] Found file with alternative path:', key);
+      }
+      return object;
+    }
+  }
+  return null;
+}
+
+// Content type from R2 metadata, falling back to the key's extension
+export function mediaContentType(object) {
+  if (object.httpMetadata?.contentType) return object.httpMetadata.contentType;
+  const ext = object.key.slice(object.key.lastIndexOf('.')).toLowerCase();
+  return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+// Parse a single-range "bytes=" header against the object size.
+// Returns { offset, length }, null (ignore the header and send everything),
+// or 'unsatisfiable' (416).
+export function parseRange(header, size) {
+  const match = /^bytes=\s*(\d*)-(\d*)\s*$/.exec(header || '');
+  if (!match) return null; // missing, malformed or multi-range - serve the full body
+  const [, startText, endText] = match;
+
+  if (startText === '') {
+    if (endText === '') return null;
+    // Suffix range: the last N bytes
+    const suffix = parseInt(endText, 10);
+    if (suffix === 0 || size === 0) return 'unsatisfiable';
+    const length = Math.min(suffix, size);
+    return { offset: size - length, length };
+  }
+
+  const start = parseInt(startText, 10);
+  const end = endText === '' ? size - 1 : Math.min(parseInt(endText, 10), size - 1);
+  if (endText !== '' && parseInt(endText, 10) < start) return null;
+  if (start >= size) return 'unsatisfiable';
+  return { offset: start, length: end - start + 1 };
+}
+
+// Helper: Compare entity tags, ignoring weak prefixes
+const stripWeak = (tag) => tag.trim().replace(/^W\//, '');
+
+const etagMatches = (header, etag) => header
+  .split(',')
+  .some((tag) => tag.trim() === '*' || stripWeak(tag) === stripWeak(etag));
+
+// True when the client's cached copy is still current (respond 304).
+// If-None-Match wins over If-Modified-Since when both are sent.
+export function isNotModified(request, object) {
+  const ifNoneMatch = request.headers.get('If-None-Match');
+  if (ifNoneMatch) return etagMatches(ifNoneMatch, object.httpEtag);
+
+  const ifModifiedSince = Date.parse(request.headers.get('If-Modified-Since') || '');
+  if (Number.isNaN(ifModifiedSince) || !object.uploaded) return false;
+  // HTTP dates have second precision
+  return Math.floor(object.uploaded.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+}
+
+// If-Range: only honour Range when the validator still matches this object
+function rangeStillValid(request, object) {
+  const ifRange = request.headers.get('If-Range');
+  if (!ifRange) return true;
+  if (ifRange.trim().startsWith('"') || ifRange.trim().startsWith('W/')) {
+    // Weak tags never satisfy If-Range
+    return !ifRange.trim().startsWith('W/') && ifRange.trim() === object.httpEtag;
+  }
+  const date = Date.parse(ifRange);
+  return !Number.isNaN(date) && object.uploaded &&
+    Math.floor(object.uploaded.getTime() / 1000) <= Math.floor(date / 1000);
+}
+
+// Build the response for an object found with findMediaObject()
+export async function serveMediaObject(request, bucket, object, baseHeaders = {}) {
+  const headers = {
+    ...baseHeaders,
+    'Content-Type': mediaContentType(object),
+    'Cache-Control': 'public, max-age=31536000, immutable',
+    'Accept-Ranges': 'bytes',
+    'ETag': object.httpEtag,
+    // Explicitly set X-Content-Type-Options to prevent MIME sniffing that can trigger CORB
+    'X-Content-Type-Options': 'nosniff',
+    'Access-Control-Expose-Headers': 'Accept-Ranges, Content-Length, Content-Range, ETag, Last-Modified'
+  };
+  if (object.uploaded) {
+    headers['Last-Modified'] = object.uploaded.toUTCString();
+  }
+
+  if (isNotModified(request, object)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const range = rangeStillValid(request, object)
+    ? parseRange(request.headers.get('Range'), object.size)
+    : null;
+
+  if (range === 'unsatisfiable') {
+    return new Response(null, {
+      status: 416,
+      headers: { ...headers, 'Content-Range': `bytes */${object.size}` }
+    });
+  }
+
+  const body = await bucket.get(object.key, range ? { range } : undefined);
+  if (!body) {
+    // Deleted between head() and get()
+    return new Response('Media not found', { status: 404, headers: { ...baseHeaders, 'Content-Type': 'text/plain' } });
+  }
+
+  if (range) {
+    headers['Content-Range'] = `bytes ${range.offset}-${range.offset + range.length - 1}/${object.size}`;
+    headers['Content-Length'] = range.length.toString();
+    return new Response(body.body, { status: 206, headers });
+  }
+
+  headers['Content-Length'] = object.size.toString();
+  return new Response(body.body, { status: 200, headers });
+}
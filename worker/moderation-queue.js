@@ -0,0 +1,436 @@
+/**
+ * Audio City Moderation Queue
+ *
+ * Admin review of content_reports: reports grouped per item (with reason and
+ * reporter counts measured against AUTO_FLAG_THRESHOLD), a preview of the
+ * reported track/comment/message/profile, the actions an admin can take on it,
+ * and the audit log every action is written to.
+ */
+
+import { AUTO_FLAG_THRESHOLD, hideContent, unhideContent, addStrike } from './moderation.js';
+import { messagePreview, ATTACHMENT_PREFIX } from './attachments.js';
+import { deleteTrack } from './tracks.js';
+
+export const QUEUE_ACTIONS = ['dismiss', 'hide', 'delete', 'strike', 'suspend'];
+
+// Which report statuses each queue view shows
+const QUEUE_STATUSES = {
+  open: ['pending', 'flagged'],
+  dismissed: ['dismissed'],
+  actioned: ['actioned']
+};
+
+// Content types that can be deleted from the queue (profiles go through user management)
+const DELETABLE_TYPES = ['track', 'comment', 'message'];
+
+// Helper: Bind placeholders for an IN (...) list
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// ============================================
+// PREVIEW
+// ============================================
+
+// The reported item as { type, id, author_id, author, title, text, ... } or null when it's gone
+export async function previewContent(db, contentType, contentId) {
+  let row = null;
+
+  switch (contentType) {
+    case 'track':
+      row = await db.prepare(`
+        SELECT t.*, u.username as author_username, u.name as author_name
+        FROM tracks t LEFT JOIN users u ON t.artist_id = u.id WHERE t.id = ?
+      `).bind(contentId).first();
+      return row && {
+        type: 'track',
+        id: row.id,
+        author_id: row.artist_id,
+        author_username: row.author_username,
+        author_name: row.author_name,
+        title: row.title,
+        text: row.description || '',
+        cover_art_url: row.cover_art_url || null,
+        audio_url: row.audio_url || null,
+        created_at: row.created_at
+      };
+
+    case 'comment':
+      row = await db.prepare(`
+        SELECT c.*, u.username as author_username, u.name as author_name, t.title as track_title
+        FROM comments c
+        LEFT JOIN users u ON c.user_id = u.id
+        LEFT JOIN tracks t ON c.track_id = t.id
+        WHERE c.id = ?
+      `).bind(contentId).first();
+      return row && {
+        type: 'comment',
+        id: row.id,
+        author_id: row.user_id,
+        author_username: row.author_username,
+        author_name: row.author_name,
+        title: row.track_title ? `Comment on "${row.track_title}"` : 'Comment',
+        text: row.content ?? row.text ?? '',
+        track_id: row.track_id,
+        created_at: row.created_at
+      };
+
+    case 'message':
+      // Production messages use `text`; the original schema used `content`
+      row = await db.prepare(`
+        SELECT m.*, u.username as author_username, u.name as author_name, r.username as receiver_username
+        FROM messages m
+        LEFT JOIN users u ON m.sender_id = u.id
+        LEFT JOIN users r ON m.receiver_id = r.id
+        WHERE m.id = ?
+      `).bind(contentId).first();
+      return row && {
+        type: 'message',
+        id: row.id,
+        author_id: row.sender_id,
+        author_username: row.author_username,
+        author_name: row.author_name,
+        title: row.receiver_username ? `Message to @${row.receiver_username}` : 'Direct message',
+        // Attachments without a caption show as their placeholder ("📷 Photo")
+        text: messagePreview(row.message_type, row.text ?? row.content ?? ''),
+        conversation_id: row.conversation_id || null,
+        created_at: row.created_at
+      };
+
+    case 'user':
+    case 'bio':
+      row = await db.prepare('SELECT * FROM users WHERE id = ?').bind(contentId).first();
+      return row && {
+        type: contentType,
+        id: row.id,
+        author_id: row.id,
+        author_username: row.username,
+        author_name: row.name,
+        title: `Profile of @${row.username}`,
+        text: row.biography || row.bio || '',
+        profile_image_url: row.profile_image_url || null,
+        created_at: row.created_at
+      };
+
+    default:
+      // Posts have no server-side table yet
+      return null;
+  }
+}
+
+// ============================================
+// QUEUE
+// ============================================
+
+// Helper: Group rows of content_reports into queue items
+function summarize(group, reports) {
+  const reasons = {};
+  reports.forEach(report => { reasons[report.reason] = (reasons[report.reason] || 0) + 1; });
+  const reporterCount = reports.filter(report => report.reporter_id).length;
+
+  return {
+    content_type: group.content_type,
+    content_id: group.content_id,
+    report_count: reports.length,
+    reporter_count: reporterCount,
+    auto_flag_count: reports.length - reporterCount,
+    threshold: AUTO_FLAG_THRESHOLD,
+    // Same rule as reportContent(): enough people reported it, or it was already flagged
+    flagged: reporterCount >= AUTO_FLAG_THRESHOLD || reports.some(report => report.status === 'flagged'),
+    hidden: group.hidden === 1,
+    reasons,
+    reports: reports.map(report => ({
+      id: report.id,
+      reason: report.reason,
+      details: report.details,
+      status: report.status,
+      reporter_id: report.reporter_id,
+      reporter_username: report.reporter_username || null,
+      created_at: report.created_at
+    })),
+    first_reported_at: group.first_reported_at,
+    last_reported_at: group.last_reported_at
+  };
+}
+
+// One page of grouped reports: { items, total, has_more, threshold }
+export async function listReportQueue(db, { status = 'open', contentType = null, limit = 20, offset = 0 } = {}) {
+  const statuses = QUEUE_STATUSES[status] || QUEUE_STATUSES.open;
+  const where = [`r.status IN (${placeholders(statuses)})`];
+  const values = [...statuses];
+  if (contentType) {
+    where.push('r.content_type = ?');
+    values.push(contentType);
+  }
+
+  // Flagged items first, then the most reported, then the most recent
+  const { results: groups } = await db.prepare(`
+    SELECT r.content_type, r.content_id,
+      MIN(r.created_at) as first_reported_at, MAX(r.created_at) as last_reported_at,
+      COUNT(DISTINCT r.reporter_id) as reporter_count,
+      MAX(CASE WHEN r.status = 'flagged' THEN 1 ELSE 0 END) as is_flagged,
+      MAX(CASE WHEN h.status = 'hidden' THEN 1 ELSE 0 END) as hidden
+    FROM content_reports r
+    LEFT JOIN hidden_content h ON h.content_type = r.content_type AND h.content_id = r.content_id
+    WHERE ${where.join(' AND ')}
+    GROUP BY r.content_type, r.content_id
+    ORDER BY is_flagged DESC, reporter_count DESC, last_reported_at DESC
+    LIMIT ? OFFSET ?
+  `).bind(...values, limit + 1, offset).all();
+
+  const total = await db.prepare(`
+    SELECT COUNT(*) as count FROM (
+      SELECT 1 FROM content_reports r WHERE ${where.join(' AND ')} GROUP BY r.content_type, r.content_id
+    )
+  `).bind(...values).first();
+
+  const page = (groups || []).slice(0, limit);
+  const items = [];
+  for (const group of page) {
+    const { results: reports } = await db.prepare(`
+      SELECT r.*, u.username as reporter_username
+      FROM content_reports r LEFT JOIN users u ON r.reporter_id = u.id
+      WHERE r.content_type = ? AND r.content_id = ? AND r.status IN (${placeholders(statuses)})
+      ORDER BY r.created_at DESC
+    `).bind(group.content_type, group.content_id, ...statuses).all();
+
+    items.push({
+      ...summarize(group, reports || []),
+      preview: await previewContent(db, group.content_type, group.content_id)
+    });
+  }
+
+  return {
+    items,
+    total: total?.count || 0,
+    has_more: (groups || []).length > limit,
+    threshold: AUTO_FLAG_THRESHOLD
+  };
+}
+
+// Every report on one item (any status) with its preview, or null when it was never reported
+export async function getQueueItem(db, contentType, contentId) {
+  const { results: reports } = await db.prepare(`
+    SELECT r.*, u.username as reporter_username
+    FROM content_reports r LEFT JOIN users u ON r.reporter_id = u.id
+    WHERE r.content_type = ? AND r.content_id = ?
+    ORDER BY r.created_at DESC
+  `).bind(contentType, contentId).all();
+  if (!reports || reports.length === 0) return null;
+
+  const hidden = await db.prepare(`
+    SELECT 1 as hidden FROM hidden_content WHERE content_type = ? AND content_id = ? AND status = 'hidden'
+  `).bind(contentType, contentId).first();
+
+  const dates = reports.map(report => report.created_at).sort();
+  return {
+    ...summarize({
+      content_type: contentType,
+      content_id: contentId,
+      hidden: hidden ? 1 : 0,
+      first_reported_at: dates[0],
+      last_reported_at: dates[dates.length - 1]
+    }, reports),
+    preview: await previewContent(db, contentType, contentId)
+  };
+}
+
+// Close the open reports on an item as 'dismissed' or 'actioned'; returns how many changed
+async function resolveReports(db, contentType, contentId, status) {
+  const result = await db.prepare(`
+    UPDATE content_reports SET status = ?
+    WHERE content_type = ? AND content_id = ? AND status IN ('pending', 'flagged')
+  `).bind(status, contentType, contentId).run();
+  return result.meta?.changes || 0;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+
+// Suspend a user account (the users.suspended flags checked by loadStanding)
+export async function suspendUser(db, userId, { reason = 'Temporary suspension', days = 7 } = {}) {
+  const suspendUntil = new Date();
+  suspendUntil.setDate(suspendUntil.getDate() + days);
+
+  await db.prepare(`
+    UPDATE users
+    SET suspended = 1, suspend_reason = ?, suspend_until = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).bind(reason, suspendUntil.toISOString(), userId).run();
+
+  return { reason, suspend_until: suspendUntil.toISOString() };
+}
+
+// Remove the reported row and what depends on it: a track's comments, likes,
+// reposts, notifications and R2 media; a comment's likes and notifications
+// (track comment counts are counted from the comments table); a message's
+// attachment in R2. `bucket` is the media bucket (may be missing in local dev).
+async function deleteContent(db, bucket, preview) {
+  switch (preview.type) {
+    case 'track': {
+      const track = await db.prepare('SELECT id, artist_id, audio_url, cover_art_url FROM tracks WHERE id = ?')
+        .bind(preview.id).first();
+      if (track) await deleteTrack(db, bucket, track);
+      break;
+    }
+    case 'comment':
+      await db.batch([
+        db.prepare('DELETE FROM comment_likes WHERE comment_id = ?').bind(preview.id),
+        db.prepare('DELETE FROM notifications WHERE comment_id = ?').bind(preview.id),
+        db.prepare('DELETE FROM comments WHERE id = ?').bind(preview.id)
+      ]);
+      break;
+    case 'message': {
+      const message = await db.prepare('SELECT media_key FROM messages WHERE id = ?').bind(preview.id).first();
+      await db.prepare('DELETE FROM messages WHERE id = ?').bind(preview.id).run();
+      if (bucket && message?.media_key?.startsWith(ATTACHMENT_PREFIX)) {
+        try {
+          await bucket.delete(message.media_key);
+        } catch (error) {
+          console.error('[Moderation Queue] Failed to delete attachment', message.media_key, error.message);
+        }
+      }
+      break;
+    }
+  }
+}
+
+// Take `action` on a reported item. Returns { success, ... } or { error, status }.
+export async function applyQueueAction(db, {
+  contentType, contentId, action, adminId, reason = null, severity = 'medium', days = 7, bucket = null
+}) {
+  if (!QUEUE_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${QUEUE_ACTIONS.join(', ')}`, status: 400 };
+  }
+
+  const preview = await previewContent(db, contentType, contentId);
+  const authorId = preview?.author_id || null;
+  let outcome = {};
+
+  switch (action) {
+    case 'dismiss': {
+      // Reports were unfounded - bring back anything the threshold hid automatically
+      const autoHidden = await db.prepare(`
+        SELECT 1 as hidden FROM hidden_content
+        WHERE content_type = ? AND content_id = ? AND status = 'hidden' AND hidden_by IS NULL
+      `).bind(contentType, contentId).first();
+      outcome.restored = autoHidden ? await unhideContent(db, contentType, contentId) : false;
+      break;
+    }
+
+    case 'hide':
+      await hideContent(db, { contentType, contentId, reason: reason || 'violation', hiddenBy: adminId });
+      outcome.hidden = true;
+      break;
+
+    case 'delete':
+      if (!DELETABLE_TYPES.includes(contentType)) {
+        return { error: `Only ${DELETABLE_TYPES.join(', ')} content can be deleted here`, status: 400 };
+      }
+      if (!preview) {
+        return { error: 'Content no longer exists', status: 404 };
+      }
+      await deleteContent(db, bucket, preview);
+      outcome.deleted = true;
+      break;
+
+    case 'strike':
+      if (!['low', 'medium', 'high', 'critical'].includes(severity)) {
+        return { error: 'severity must be low, medium, high or critical', status: 400 };
+      }
+      if (!authorId) {
+        return { error: 'The author of this content is unknown', status: 404 };
+      }
+      outcome.strike = await addStrike(db, {
+        userId: authorId,
+        reason: reason || 'Reported content',
+        severity,
+        contentType,
+        contentId,
+        issuedBy: adminId
+      });
+      break;
+
+    case 'suspend': {
+      const suspendDays = parseInt(days, 10);
+      if (!Number.isInteger(suspendDays) || suspendDays < 1 || suspendDays > 365) {
+        return { error: 'days must be between 1 and 365', status: 400 };
+      }
+      if (!authorId) {
+        return { error: 'The author of this content is unknown', status: 404 };
+      }
+      outcome.suspension = await suspendUser(db, authorId, { reason: reason || 'Reported content', days: suspendDays });
+      break;
+    }
+  }
+
+  const resolved = await resolveReports(db, contentType, contentId, action === 'dismiss' ? 'dismissed' : 'actioned');
+
+  await logModerationAction(db, {
+    adminId,
+    action,
+    contentType,
+    contentId,
+    targetUserId: authorId,
+    reason,
+    details: {
+      resolved_reports: resolved,
+      ...(action === 'strike' ? { severity, strikes: outcome.strike.strikes, result: outcome.strike.action.type } : {}),
+      ...(action === 'suspend' ? { suspend_until: outcome.suspension.suspend_until } : {}),
+      ...(action === 'delete' ? { title: preview.title, text: String(preview.text || '').substring(0, 500) } : {}),
+      ...(action === 'dismiss' ? { restored: outcome.restored } : {})
+    }
+  });
+
+  return { success: true, action, resolved_reports: resolved, ...outcome };
+}
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+export async function logModerationAction(db, {
+  adminId, action, contentType = null, contentId = null, targetUserId = null, reason = null, details = null
+}) {
+  await db.prepare(`
+    INSERT INTO moderation_audit_log (id, admin_id, action, content_type, content_id, target_user_id, reason, details, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+  `).bind(
+    crypto.randomUUID(), adminId, action, contentType, contentId, targetUserId, reason,
+    details ? JSON.stringify(details) : null
+  ).run();
+}
+
+// Newest entries first: { entries, has_more }
+export async function listAuditLog(db, { contentType = null, contentId = null, adminId = null, targetUserId = null, limit = 50, offset = 0 } = {}) {
+  const where = [];
+  const values = [];
+  for (const [column, value] of [
+    ['l.content_type', contentType], ['l.content_id', contentId],
+    ['l.admin_id', adminId], ['l.target_user_id', targetUserId]
+  ]) {
+    if (value) {
+      where.push(`${column} = ?`);
+      values.push(value);
+    }
+  }
+
+  const { results } = await db.prepare(`
+    SELECT l.*, a.username as admin_username, t.username as target_username
+    FROM moderation_audit_log l
+    LEFT JOIN users a ON l.admin_id = a.id
+    LEFT JOIN users t ON l.target_user_id = t.id
+    ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+    ORDER BY l.created_at DESC, l.rowid DESC
+    LIMIT ? OFFSET ?
+  `).bind(...values, limit + 1, offset).all();
+
+  const rows = results || [];
+  return {
+    entries: rows.slice(0, limit).map(row => {
+      let details = null;
+      try { details = row.details ? JSON.parse(row.details) : null; } catch (e) { details = row.details; }
+      return { ...row, details };
+    }),
+    has_more: rows.length > limit
+  };
+}
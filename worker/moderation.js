@@ -0,0 +1,371 @@
+/**
+ * Audio City Moderation
+ *
+ * Server-side counterpart of js/moderation-system.js, backed by the D1 tables
+ * in migrations/0007_moderation.sql: reports (auto-flagged at AUTO_FLAG_THRESHOLD),
+ * hidden content, weighted strikes with escalating actions, and the same
+ * detectViolations() rules, enforced on comments, messages and uploads.
+ */
+
+export const STRIKE_THRESHOLDS = {
+  WARNING: 1,
+  MUTE: 2,
+  SUSPENSION: 3,
+  BAN: 4
+};
+
+export const AUTO_FLAG_THRESHOLD = 3;
+
+const STRIKE_WEIGHTS = {
+  low: 0.5,
+  medium: 1,
+  high: 1.5,
+  critical: 2
+};
+
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam', icon: '🚫' },
+  { value: 'harassment', label: 'Harassment', icon: '😠' },
+  { value: 'hate_speech', label: 'Hate Speech', icon: '💔' },
+  { value: 'inappropriate', label: 'Inappropriate Content', icon: '⚠️' },
+  { value: 'copyright', label: 'Copyright Violation', icon: '©️' },
+  { value: 'fake', label: 'Fake/Misleading', icon: '🎭' },
+  { value: 'other', label: 'Other', icon: '📝' }
+];
+
+export const CONTENT_TYPES = ['comment', 'post', 'bio', 'track', 'message', 'user'];
+
+// Muted users keep uploading but can't talk
+const MUTED_ACTIONS = new Set(['comment', 'post', 'message']);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================
+// VIOLATION DETECTION
+// ============================================
+
+// Same rules as ModerationSystem.detectViolations() in js/moderation-system.js -
+// keep the two in sync so the client warning matches what the server enforces
+export function detectViolations(text, type = 'comment') {
+  if (!text || typeof text !== 'string') return [];
+
+  const violations = [];
+  const lowerText = text.toLowerCase();
+
+  // Profanity patterns
+  const profanityPatterns = [
+    /\b(fuck|shit|damn|bitch|asshole|piss|hell|bastard|crap)\b/i,
+    /\b(nigga|nigger|fag|faggot|retard|slut|whore)\b/i,
+    /\b(motherfucker|motherfucking|fucking)\b/i
+  ];
+
+  // Hate speech patterns
+  const hateSpeechPatterns = [
+    /\b(kill|murder|die|death|suicide|harm)\s+(yourself|your|you|them|him|her)\b/i,
+    /\b(hate|violence|attack|destroy)\s+(.*?)\s+(group|people|race|religion|community)\b/i,
+    /\b(you should|go|just)\s+(kill|die|off yourself)\b/i
+  ];
+
+  // Spam patterns
+  const spamPatterns = [
+    /(click here|buy now|free money|make money|get rich|guaranteed|100% free|limited time)/i,
+    /(www\.|http:\/\/|https:\/\/).{0,10}(bit\.ly|tinyurl|short\.link|t\.co)/i,
+    /([a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,})/i, // Email addresses
+    /(\d{10,})/g, // Long number sequences
+    /(call|text|whatsapp|telegram)\s+(\+?\d{10,})/i
+  ];
+
+  // Harassment patterns
+  const harassmentPatterns = [
+    /\b(stupid|idiot|moron|dumb|retarded)\s+(you|your|u)\b/i,
+    /\b(shut up|fuck off|go away|kill yourself)\b/i
+  ];
+
+  profanityPatterns.forEach(pattern => {
+    if (pattern.test(lowerText)) {
+      violations.push({ type: 'profanity', severity: 'high', message: 'Content contains inappropriate language.', action: 'hide' });
+    }
+  });
+
+  hateSpeechPatterns.forEach(pattern => {
+    if (pattern.test(lowerText)) {
+      violations.push({ type: 'hate_speech', severity: 'critical', message: 'Content contains hate speech or violent language.', action: 'hide' });
+    }
+  });
+
+  spamPatterns.forEach(pattern => {
+    if (pattern.test(lowerText)) {
+      violations.push({ type: 'spam', severity: 'medium', message: 'Content appears to be spam.', action: 'flag' });
+    }
+  });
+
+  harassmentPatterns.forEach(pattern => {
+    if (pattern.test(lowerText)) {
+      violations.push({ type: 'harassment', severity: 'high', message: 'Content contains harassing language.', action: 'hide' });
+    }
+  });
+
+  // Excessive repetition (spam indicator)
+  const words = lowerText.split(/\s+/).filter(w => w.length > 2);
+  const wordCounts = {};
+  words.forEach(word => {
+    wordCounts[word] = (wordCounts[word] || 0) + 1;
+  });
+  const maxRepetition = Math.max(...Object.values(wordCounts), 0);
+  if (maxRepetition > 5 && words.length < 30) {
+    violations.push({ type: 'spam', severity: 'medium', message: 'Content appears repetitive and may be spam.', action: 'flag' });
+  }
+
+  // Too short (comments only)
+  if (type === 'comment' && text.trim().length < 3) {
+    violations.push({ type: 'invalid', severity: 'low', message: 'Content is too short.', action: 'none' });
+  }
+
+  // Excessive caps (spam indicator)
+  const capsRatio = (text.match(/[A-Z]/g) || []).length / text.length;
+  if (capsRatio > 0.7 && text.length > 10) {
+    violations.push({ type: 'spam', severity: 'low', message: 'Excessive use of capital letters.', action: 'flag' });
+  }
+
+  return violations;
+}
+
+// Violations that block a submission outright (the client refuses these too)
+export const blockingViolations = (violations) =>
+  violations.filter(v => v.severity === 'critical' || v.severity === 'high');
+
+// ============================================
+// REPORTING
+// ============================================
+
+// Report content; reaching AUTO_FLAG_THRESHOLD reporters flags and hides it
+export async function reportContent(db, { contentType, contentId, reason, details = null, reporterId }) {
+  const existing = await db.prepare(
+    'SELECT id FROM content_reports WHERE content_type = ? AND content_id = ? AND reporter_id = ?'
+  ).bind(contentType, contentId, reporterId).first();
+  if (existing) {
+    return { success: false, message: 'You have already reported this content.' };
+  }
+
+  await db.prepare(`
+    INSERT INTO content_reports (id, content_type, content_id, reporter_id, reason, details, status, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, 'pending', datetime('now'))
+  `).bind(crypto.randomUUID(), contentType, contentId, reporterId, reason, details ? String(details).substring(0, 500) : null).run();
+
+  // Only reports by people count towards the threshold (automatic flags don't)
+  const { count } = await db.prepare(`
+    SELECT COUNT(*) as count FROM content_reports
+    WHERE content_type = ? AND content_id = ? AND reporter_id IS NOT NULL AND status IN ('pending', 'flagged')
+  `).bind(contentType, contentId).first();
+
+  if (count >= AUTO_FLAG_THRESHOLD) {
+    await db.prepare(`
+      UPDATE content_reports SET status = 'flagged'
+      WHERE content_type = ? AND content_id = ? AND status = 'pending'
+    `).bind(contentType, contentId).run();
+    await hideContent(db, { contentType, contentId, reason: 'auto-flagged' });
+
+    return {
+      success: true,
+      message: 'Content has been reported and automatically flagged for review.',
+      autoFlagged: true,
+      count
+    };
+  }
+
+  return {
+    success: true,
+    message: 'Content reported successfully. It will be reviewed.',
+    count
+  };
+}
+
+// Queue an automatic report for content that passed but tripped "flag" rules.
+// Never throws - a missing moderation table mustn't fail the submission.
+export async function flagViolations(db, contentType, contentId, violations) {
+  const flagged = violations.filter(v => v.action === 'flag');
+  if (!db || !contentId || flagged.length === 0) return;
+
+  try {
+    await db.prepare(`
+      INSERT INTO content_reports (id, content_type, content_id, reporter_id, reason, details, status, created_at)
+      VALUES (?, ?, ?, NULL, ?, ?, 'pending', datetime('now'))
+    `).bind(
+      crypto.randomUUID(), contentType, contentId, flagged[0].type,
+      [...new Set(flagged.map(v => v.message))].join(' ')
+    ).run();
+  } catch (error) {
+    console.error('[Moderation] Failed to flag content:', error.message);
+  }
+}
+
+// ============================================
+// SOFT MODERATION
+// ============================================
+
+export async function hideContent(db, { contentType, contentId, reason = 'violation', hiddenBy = null }) {
+  await db.prepare(`
+    INSERT INTO hidden_content (content_type, content_id, reason, status, hidden_by, hidden_at, restored_at)
+    VALUES (?, ?, ?, 'hidden', ?, datetime('now'), NULL)
+    ON CONFLICT(content_type, content_id) DO UPDATE SET
+      reason = excluded.reason, status = 'hidden', hidden_by = excluded.hidden_by,
+      hidden_at = excluded.hidden_at, restored_at = NULL
+  `).bind(contentType, contentId, reason, hiddenBy).run();
+}
+
+// Returns false when the content wasn't hidden
+export async function unhideContent(db, contentType, contentId) {
+  const result = await db.prepare(`
+    UPDATE hidden_content SET status = 'restored', restored_at = datetime('now')
+    WHERE content_type = ? AND content_id = ? AND status = 'hidden'
+  `).bind(contentType, contentId).run();
+  return (result.meta?.changes || 0) > 0;
+}
+
+// SQL condition "the row whose id is in `column` isn't hidden", for listing
+// queries to filter with before their LIMIT. Both arguments come from code.
+export function notHidden(contentType, column) {
+  if (!CONTENT_TYPES.includes(contentType)) throw new Error(`Unknown content type "${contentType}"`);
+  return `NOT EXISTS (SELECT 1 FROM hidden_content h WHERE h.content_type = '${contentType}' AND h.content_id = ${column} AND h.status = 'hidden')`;
+}
+
+// Which of `contentIds` are currently hidden
+export async function hiddenContentIds(db, contentType, contentIds) {
+  const ids = [...new Set(contentIds.filter(Boolean))];
+  if (ids.length === 0) return [];
+
+  const { results } = await db.prepare(`
+    SELECT content_id FROM hidden_content
+    WHERE content_type = ? AND status = 'hidden' AND content_id IN (${ids.map(() => '?').join(', ')})
+  `).bind(contentType, ...ids).all();
+  return (results || []).map(row => row.content_id);
+}
+
+// ============================================
+// USER STRIKE SYSTEM
+// ============================================
+
+export function determineAction(totalStrikes) {
+  if (totalStrikes >= STRIKE_THRESHOLDS.BAN) {
+    return { type: 'ban', status: 'banned', duration: null, message: 'Account has been permanently banned.' };
+  } else if (totalStrikes >= STRIKE_THRESHOLDS.SUSPENSION) {
+    return { type: 'suspension', status: 'suspended', duration: 7 * DAY_MS, message: 'Account has been suspended for 7 days.' };
+  } else if (totalStrikes >= STRIKE_THRESHOLDS.MUTE) {
+    return { type: 'mute', status: 'muted', duration: 3 * DAY_MS, message: 'Account has been muted for 3 days.' };
+  } else if (totalStrikes >= STRIKE_THRESHOLDS.WARNING) {
+    return { type: 'warning', status: 'warned', duration: null, message: 'You have received a warning. Please review our community guidelines.' };
+  }
+  return { type: 'none', status: 'active', duration: null, message: 'No action taken.' };
+}
+
+// Helper: JS Date -> D1 datetime text ('YYYY-MM-DD HH:MM:SS', UTC)
+const toSqlDate = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+// Helper: D1 datetime text -> epoch ms
+const fromSqlDate = (value) => value ? Date.parse(`${value.replace(' ', 'T')}Z`) : null;
+
+export async function addStrike(db, {
+  userId, reason, severity = 'medium', contentType = null, contentId = null, issuedBy = null
+}) {
+  const weight = STRIKE_WEIGHTS[severity] || 1;
+  const current = await db.prepare('SELECT total_strikes FROM user_moderation WHERE user_id = ?')
+    .bind(userId).first();
+  const totalStrikes = (current?.total_strikes || 0) + weight;
+  const action = determineAction(totalStrikes);
+  const expiresAt = action.duration ? toSqlDate(new Date(Date.now() + action.duration)) : null;
+
+  await db.batch([
+    db.prepare(`
+      INSERT INTO user_strikes (id, user_id, reason, severity, weight, content_type, content_id, issued_by, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
+    `).bind(crypto.randomUUID(), userId, reason, severity, weight, contentType, contentId, issuedBy),
+    db.prepare(`
+      INSERT INTO user_moderation (user_id, total_strikes, status, last_action, action_expires_at, last_action_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+      ON CONFLICT(user_id) DO UPDATE SET
+        total_strikes = excluded.total_strikes, status = excluded.status, last_action = excluded.last_action,
+        action_expires_at = excluded.action_expires_at, last_action_at = excluded.last_action_at,
+        updated_at = excluded.updated_at
+    `).bind(userId, totalStrikes, action.status, action.type, expiresAt)
+  ]);
+
+  return {
+    success: true,
+    strikes: totalStrikes,
+    action: { ...action, expires_at: expiresAt },
+    message: action.message
+  };
+}
+
+// Standing from strikes, plus the admin ban/suspend flags on users when present
+async function loadStanding(db, userId) {
+  const user = await db.prepare('SELECT * FROM users WHERE id = ?').bind(userId).first();
+  if (user?.banned === 1) {
+    return { status: 'banned', source: 'admin', expiresAt: null, totalStrikes: null };
+  }
+  const suspendUntil = user?.suspend_until ? Date.parse(user.suspend_until) : null;
+  if (user?.suspended === 1 && (!suspendUntil || suspendUntil > Date.now())) {
+    return { status: 'suspended', source: 'admin', expiresAt: suspendUntil, totalStrikes: null };
+  }
+
+  const row = await db.prepare('SELECT * FROM user_moderation WHERE user_id = ?').bind(userId).first();
+  if (!row) return { status: 'active', expiresAt: null, totalStrikes: 0 };
+
+  const expiresAt = fromSqlDate(row.action_expires_at);
+  if (expiresAt && expiresAt <= Date.now() && row.status !== 'active') {
+    // Mute/suspension served - strikes remain, so the next one escalates further
+    await db.prepare(`
+      UPDATE user_moderation SET status = 'active', action_expires_at = NULL, updated_at = datetime('now')
+      WHERE user_id = ?
+    `).bind(userId).run();
+    return { status: 'active', expiresAt: null, totalStrikes: row.total_strikes, lastAction: row.last_action };
+  }
+
+  return { status: row.status, expiresAt, totalStrikes: row.total_strikes, lastAction: row.last_action };
+}
+
+// { allowed } or { allowed: false, reason, message } for action comment|post|message|upload.
+// Anonymous callers have no standing to check, so they're never allowed.
+export async function canUserPerformAction(db, userId, action) {
+  if (!userId) return { allowed: false, reason: 'unauthenticated', message: 'Login required.' };
+  const { status, expiresAt } = await loadStanding(db, userId);
+  const remainingDays = expiresAt ? Math.ceil((expiresAt - Date.now()) / DAY_MS) : null;
+
+  if (status === 'banned') {
+    return { allowed: false, reason: 'banned', message: 'Your account has been permanently banned.' };
+  }
+  if (status === 'suspended') {
+    return {
+      allowed: false,
+      reason: 'suspended',
+      message: remainingDays
+        ? `Your account is suspended. ${remainingDays} day(s) remaining.`
+        : 'Your account is suspended.'
+    };
+  }
+  if (status === 'muted' && MUTED_ACTIONS.has(action)) {
+    return {
+      allowed: false,
+      reason: 'muted',
+      message: remainingDays ? `You are muted. ${remainingDays} day(s) remaining.` : 'You are muted.'
+    };
+  }
+  return { allowed: true };
+}
+
+// Summary used by ModerationIntegration.checkUserStatus()
+export async function getUserStrikeStatus(db, userId) {
+  const standing = await loadStanding(db, userId);
+  const allowed = async (action) => (await canUserPerformAction(db, userId, action)).allowed;
+
+  return {
+    totalStrikes: standing.totalStrikes || 0,
+    status: standing.status,
+    lastAction: standing.lastAction || null,
+    expiresAt: standing.expiresAt ? new Date(standing.expiresAt).toISOString() : null,
+    canPost: await allowed('post'),
+    canComment: await allowed('comment'),
+    canMessage: await allowed('message'),
+    canUpload: await allowed('upload')
+  };
+}
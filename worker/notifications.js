@@ -0,0 +1,104 @@
+/**
+ * Audio City Notifications
+ *
+ * Persistent notifications in D1 (migrations/0004_notifications.sql).
+ * Handlers call notify() after a like/follow/comment/repost/message lands
+ * and retract() when it is undone. Failures are logged, never thrown, so a
+ * missing notifications table can't break the action that triggered it.
+ */
+
+export const NOTIFICATION_TYPES = ['like', 'follow', 'comment', 'comment_like', 'repost', 'message'];
+
+// Types that toggle on/off - liking twice shouldn't stack two notifications
+const TOGGLE_TYPES = new Set(['like', 'follow', 'comment_like', 'repost']);
+
+// Helper: Match one notification target (same recipient, actor, type and subject)
+const targetClause = 'user_id = ? AND actor_id = ? AND type = ? AND IFNULL(track_id, \'\') = ? AND IFNULL(comment_id, \'\') = ?';
+const targetValues = ({ userId, actorId, type, trackId, commentId }) =>
+  [userId, actorId, type, trackId || '', commentId || ''];
+
+// Record a notification for `userId` about something `actorId` did
+export async function notify(db, {
+  userId, actorId, type, trackId = null, commentId = null, conversationId = null, preview = null
+}) {
+  if (!db || !userId || !type || userId === actorId) return null;
+
+  try {
+    if (TOGGLE_TYPES.has(type)) {
+      await db.prepare(`DELETE FROM notifications WHERE ${targetClause}`)
+        .bind(...targetValues({ userId, actorId, type, trackId, commentId })).run();
+    }
+
+    const id = crypto.randomUUID();
+    await db.prepare(`
+      INSERT INTO notifications (id, user_id, actor_id, type, track_id, comment_id, conversation_id, preview, is_read, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0, datetime('now'))
+    `).bind(
+      id, userId, actorId || null, type, trackId, commentId, conversationId,
+      preview ? String(preview).substring(0, 140) : null
+    ).run();
+    return id;
+  } catch (error) {
+    console.error(`[Notifications] Failed to record ${type} notification:`, error.message);
+    return null;
+  }
+}
+
+// Remove a notification when the action is undone (unlike, unfollow, ...)
+export async function retract(db, { userId, actorId, type, trackId = null, commentId = null }) {
+  if (!db || !userId || userId === actorId) return;
+
+  try {
+    await db.prepare(`DELETE FROM notifications WHERE ${targetClause}`)
+      .bind(...targetValues({ userId, actorId, type, trackId, commentId })).run();
+  } catch (error) {
+    console.error(`[Notifications] Failed to retract ${type} notification:`, error.message);
+  }
+}
+
+// List notifications, unread first then newest first
+export async function listNotifications(db, userId, { limit = 20, offset = 0, unreadOnly = false } = {}) {
+  const { results } = await db.prepare(`
+    SELECT n.*, u.username as actor_username, u.name as actor_name, u.profile_image_url as actor_avatar,
+      t.title as track_title
+    FROM notifications n
+    LEFT JOIN users u ON n.actor_id = u.id
+    LEFT JOIN tracks t ON n.track_id = t.id
+    WHERE n.user_id = ?${unreadOnly ? ' AND n.is_read = 0' : ''}
+    ORDER BY n.is_read ASC, n.created_at DESC, n.id DESC
+    LIMIT ? OFFSET ?
+  `).bind(userId, limit + 1, offset).all();
+
+  const rows = results || [];
+  const hasMore = rows.length > limit;
+  return {
+    notifications: rows.slice(0, limit).map((row) => ({ ...row, is_read: row.is_read === 1 })),
+    has_more: hasMore,
+    next_offset: hasMore ? offset + limit : null
+  };
+}
+
+// Count unread notifications (header badge)
+export async function countUnread(db, userId) {
+  const row = await db.prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0')
+    .bind(userId).first();
+  return row?.count || 0;
+}
+
+// Mark a single notification read; returns false if it isn't the user's
+export async function markRead(db, userId, notificationId) {
+  const result = await db.prepare(`
+    UPDATE notifications SET is_read = 1, read_at = COALESCE(read_at, datetime('now'))
+    WHERE id = ? AND user_id = ?
+  `).bind(notificationId, userId).run();
+  return (result.meta?.changes || 0) > 0;
+}
+
+// Mark every unread notification read; returns how many changed
+export async function markAllRead(db, userId) {
+  const result = await db.prepare(`
+    UPDATE notifications SET is_read = 1, read_at = datetime('now')
+    WHERE user_id = ? AND is_read = 0
+  `).bind(userId).run();
+  return result.meta?.changes || 0;
+}
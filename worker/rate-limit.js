@@ -0,0 +1,194 @@
+/**
+ * Audio City Rate Limiting
+ *
+ * Throttles the auth endpoints per client IP and per identifier (the email
+ * or username being tried). Each bucket counts attempts in a fixed window;
+ * going over the limit locks the bucket, and every further lockout doubles
+ * the lock (exponential backoff) up to a cap. A locked identifier bucket on
+ * `login` is what the admin dashboard shows as a locked account.
+ *
+ * State goes through a small storage interface so the limiter doesn't care
+ * where it lives:
+ *   get(key) -> state | null      put(key, state)      delete(key)
+ *   listLocked({ now, scope, limit, offset }) -> { entries, has_more }
+ *   prune(before)                 drop buckets untouched since `before`
+ * createD1Store backs it with the `rate_limits` table (migrations/0010_rate_limit.sql).
+ */
+
+// Per-scope limits. `limit` attempts per `windowSeconds`, then a lock of
+// lockSeconds * 2^(previous lockouts), capped at maxLockSeconds.
+export const RATE_LIMITS = {
+  login: {
+    ip: { limit: 30, windowSeconds: 15 * 60, lockSeconds: 5 * 60, maxLockSeconds: 24 * 60 * 60 },
+    identifier: { limit: 5, windowSeconds: 15 * 60, lockSeconds: 60, maxLockSeconds: 60 * 60 }
+  },
+  signup: {
+    ip: { limit: 5, windowSeconds: 60 * 60, lockSeconds: 15 * 60, maxLockSeconds: 24 * 60 * 60 }
+  },
+  forgot_password: {
+    ip: { limit: 10, windowSeconds: 60 * 60, lockSeconds: 15 * 60, maxLockSeconds: 24 * 60 * 60 },
+    identifier: { limit: 3, windowSeconds: 60 * 60, lockSeconds: 15 * 60, maxLockSeconds: 24 * 60 * 60 }
+  }
+};
+
+// Lockout history is forgotten after a day without attempts
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Roughly one hit in this many also prunes stale buckets
+const PRUNE_EVERY = 100;
+
+// Helper: Bucket key for one subject
+export const bucketKey = (scope, kind, subject) => `${scope}:${kind}:${subject}`;
+
+// Helper: Normalize the subjects we were given into [kind, subject] pairs that have rules
+const subjectsFor = (rules, subjects) => Object.entries(subjects)
+  .filter(([kind, subject]) => rules[kind] && subject)
+  .map(([kind, subject]) => [kind, String(subject).toLowerCase().trim().substring(0, 200)]);
+
+// Helper: Seconds until `until`, at least 1
+const secondsUntil = (until, now) => Math.max(1, Math.ceil((until - now) / 1000));
+
+// Create a limiter over a storage backend (see the interface above)
+export function createRateLimiter(store, { limits = RATE_LIMITS, now = () => Date.now() } = {}) {
+  const rulesFor = (scope) => {
+    const rules = limits[scope];
+    if (!rules) throw new Error(`Unknown rate limit scope "${scope}"`);
+    return rules;
+  };
+
+  // Longest active lock across the given buckets, as { allowed, retryAfter, kind }
+  const blocked = (states, at) => {
+    let result = { allowed: true, retryAfter: 0, kind: null };
+    for (const { kind, state } of states) {
+      if (state?.locked_until && state.locked_until > at) {
+        const retryAfter = secondsUntil(state.locked_until, at);
+        if (retryAfter > result.retryAfter) result = { allowed: false, retryAfter, kind };
+      }
+    }
+    return result;
+  };
+
+  const load = (scope, pairs) => Promise.all(pairs.map(async ([kind, subject]) => ({
+    kind,
+    subject,
+    key: bucketKey(scope, kind, subject),
+    state: await store.get(bucketKey(scope, kind, subject))
+  })));
+
+  return {
+    // Is any of these subjects locked right now? Doesn't count as an attempt.
+    async check(scope, subjects) {
+      const states = await load(scope, subjectsFor(rulesFor(scope), subjects));
+      return blocked(states, now());
+    },
+
+    // Count an attempt (a failed login, a signup, a reset request) against every subject
+    async hit(scope, subjects) {
+      const rules = rulesFor(scope);
+      const at = now();
+      const states = await load(scope, subjectsFor(rules, subjects));
+
+      for (const entry of states) {
+        const rule = rules[entry.kind];
+        let state = entry.state;
+
+        // Start over when the window has passed; lockouts fade after a quiet day
+        if (!state || at - state.window_started_at >= rule.windowSeconds * 1000) {
+          const lockouts = state && at - state.updated_at < LOCKOUT_MEMORY_MS ? state.lockouts : 0;
+          state = { attempts: 0, window_started_at: at, locked_until: null, lockouts };
+        }
+        // Attempts made while locked don't extend the lock
+        if (state.locked_until && state.locked_until > at) continue;
+
+        state.attempts += 1;
+        if (state.attempts > rule.limit) {
+          const lockSeconds = Math.min(rule.lockSeconds * 2 ** state.lockouts, rule.maxLockSeconds);
+          state.locked_until = at + lockSeconds * 1000;
+          state.lockouts += 1;
+          state.attempts = 0;
+          state.window_started_at = at;
+        }
+        state.updated_at = at;
+
+        entry.state = state;
+        await store.put(entry.key, { scope, kind: entry.kind, subject: entry.subject, ...state });
+      }
+
+      if (Math.random() < 1 / PRUNE_EVERY) {
+        await store.prune(at - LOCKOUT_MEMORY_MS).catch(error =>
+          console.error('[RateLimit] Prune failed:', error.message));
+      }
+      return blocked(states, at);
+    },
+
+    // Forget these subjects' buckets (successful login, admin unlock)
+    async reset(scope, subjects) {
+      const pairs = subjectsFor(rulesFor(scope), subjects);
+      await Promise.all(pairs.map(([kind, subject]) => store.delete(bucketKey(scope, kind, subject))));
+    },
+
+    async listLocked({ scope = null, limit = 50, offset = 0 } = {}) {
+      return store.listLocked({ now: now(), scope, limit, offset });
+    },
+
+    async unlock(key) {
+      return store.delete(key);
+    }
+  };
+}
+
+// Storage backend: D1 `rate_limits` table. Times are epoch milliseconds.
+export function createD1Store(db) {
+  return {
+    async get(key) {
+      return db.prepare(`
+        SELECT attempts, window_started_at, locked_until, lockouts, updated_at FROM rate_limits WHERE key = ?
+      `).bind(key).first();
+    },
+
+    async put(key, state) {
+      await db.prepare(`
+        INSERT INTO rate_limits (key, scope, kind, subject, attempts, window_started_at, locked_until, lockouts, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+          attempts = excluded.attempts,
+          window_started_at = excluded.window_started_at,
+          locked_until = excluded.locked_until,
+          lockouts = excluded.lockouts,
+          updated_at = excluded.updated_at
+      `).bind(
+        key, state.scope, state.kind, state.subject, state.attempts,
+        state.window_started_at, state.locked_until, state.lockouts, state.updated_at
+      ).run();
+    },
+
+    async delete(key) {
+      const result = await db.prepare('DELETE FROM rate_limits WHERE key = ?').bind(key).run();
+      return (result.meta?.changes || 0) > 0;
+    },
+
+    async listLocked({ now, scope = null, limit = 50, offset = 0 }) {
+      const filters = ['locked_until > ?'];
+      const params = [now];
+      if (scope) {
+        filters.push('scope = ?');
+        params.push(scope);
+      }
+      const { results } = await db.prepare(`
+        SELECT key, scope, kind, subject, lockouts, locked_until, updated_at
+        FROM rate_limits
+        WHERE ${filters.join(' AND ')}
+        ORDER BY locked_until DESC
+        LIMIT ? OFFSET ?
+      `).bind(...params, limit + 1, offset).all();
+
+      const rows = results || [];
+      return { entries: rows.slice(0, limit), has_more: rows.length > limit };
+    },
+
+    async prune(before) {
+      await db.prepare('DELETE FROM rate_limits WHERE updated_at < ? AND (locked_until IS NULL OR locked_until < ?)')
+        .bind(before, before).run();
+    }
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Audio City Roles
+ *
+ * Role-based access control. Role assignments live in D1 (`user_roles`,
+ * migrations/0009_roles.sql); what each role may do is defined in
+ * core/roles.mjs, shared with the Express server. A user can hold several
+ * roles and every account is implicitly a listener.
+ * `users.is_admin` is kept in sync for the queries that still filter on it.
+ */
+
+import {
+  ROLES, PERMISSIONS, ROLE_PERMISSIONS, normalizeRoles, primaryRole, permissionsFor, hasPermission
+} from '../core/roles.mjs';
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, primaryRole, permissionsFor, hasPermission };
+
+// Roles listed on the admin "staff" view
+const STAFF_ROLES = ['admin', 'moderator'];
+
+// Roles held by a user (ROLES order, always including listener)
+export async function getUserRoles(db, userId) {
+  try {
+    const { results } = await db.prepare('SELECT role FROM user_roles WHERE user_id = ?').bind(userId).all();
+    return normalizeRoles((results || []).map(row => row.role));
+  } catch (error) {
+    // Fail closed: is_admin can't be trusted (the old hardcoded admin login set it), so no staff roles
+    console.error('[Roles] user_roles lookup failed:', error.message);
+    return normalizeRoles([]);
+  }
+}
+
+// Grant a role; returns { granted } (false when the user already had it) or { error, status }
+export async function grantRole(db, { userId, role, grantedBy = null }) {
+  if (!ROLES.includes(role) || role === 'listener') {
+    return { error: `role must be one of: ${ROLES.filter(r => r !== 'listener').join(', ')}`, status: 400 };
+  }
+  const user = await db.prepare('SELECT id FROM users WHERE id = ?').bind(userId).first();
+  if (!user) return { error: 'User not found', status: 404 };
+
+  const result = await db.prepare(`
+    INSERT OR IGNORE INTO user_roles (user_id, role, granted_by, created_at)
+    VALUES (?, ?, ?, datetime('now'))
+  `).bind(userId, role, grantedBy).run();
+
+  if (role === 'admin') {
+    await db.prepare("UPDATE users SET is_admin = 1, updated_at = datetime('now') WHERE id = ?").bind(userId).run();
+  }
+  return { granted: (result.meta?.changes || 0) > 0, roles: await getUserRoles(db, userId) };
+}
+
+// Revoke a role; the last admin can't be removed
+export async function revokeRole(db, { userId, role }) {
+  if (!ROLES.includes(role) || role === 'listener') {
+    return { error: 'Every account is a listener; that role can\'t be revoked', status: 400 };
+  }
+
+  if (role === 'admin') {
+    const admins = await db.prepare("SELECT COUNT(*) as count FROM user_roles WHERE role = 'admin' AND user_id != ?")
+      .bind(userId).first();
+    if ((admins?.count || 0) === 0) {
+      return { error: 'Cannot revoke the last admin', status: 409 };
+    }
+  }
+
+  const result = await db.prepare('DELETE FROM user_roles WHERE user_id = ? AND role = ?').bind(userId, role).run();
+  if ((result.meta?.changes || 0) === 0) {
+    return { error: `User does not have the ${role} role`, status: 404 };
+  }
+
+  if (role === 'admin') {
+    await db.prepare("UPDATE users SET is_admin = 0, updated_at = datetime('now') WHERE id = ?").bind(userId).run();
+  }
+  return { revoked: true, roles: await getUserRoles(db, userId) };
+}
+
+// Role definitions with how many users hold each one
+export async function listRoles(db) {
+  const { results } = await db.prepare('SELECT role, COUNT(*) as count FROM user_roles GROUP BY role').all();
+  const counts = Object.fromEntries((results || []).map(row => [row.role, row.count]));
+  return ROLES.map(role => ({
+    name: role,
+    permissions: ROLE_PERMISSIONS[role],
+    count: role === 'listener' ? null : counts[role] || 0
+  }));
+}
+
+// Users holding `role` (or any staff role), newest grants first
+export async function listRoleAssignments(db, { role = null, limit = 50, offset = 0 } = {}) {
+  const roles = role ? [role] : STAFF_ROLES;
+  const { results } = await db.prepare(`
+    SELECT r.user_id, r.role, r.granted_by, r.created_at,
+      u.username, u.name, u.email, g.username as granted_by_username
+    FROM user_roles r
+    JOIN users u ON u.id = r.user_id
+    LEFT JOIN users g ON g.id = r.granted_by
+    WHERE r.role IN (${roles.map(() => '?').join(', ')})
+    ORDER BY r.created_at DESC, r.rowid DESC
+    LIMIT ? OFFSET ?
+  `).bind(...roles, limit + 1, offset).all();
+
+  const rows = results || [];
+  return { assignments: rows.slice(0, limit), has_more: rows.length > limit };
+}
+
+// Route middleware: Require a signed-in caller whose roles grant `permission`.
+// Expects ctx.user.roles, resolved from D1 by the authenticate middleware.
+export function requirePermission(permission, { headers = {} } = {}) {
+  return async (ctx, next) => {
+    if (!ctx.user) {
+      return Response.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+    if (!hasPermission(ctx.user.roles, permission)) {
+      return Response.json({ error: 'You do not have permission to do this', permission }, { status: 403, headers });
+    }
+    return next();
+  };
+}
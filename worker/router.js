@@ -0,0 +1,206 @@
+/**
+ * Audio City API Router
+ *
+ * Declarative route table for the D1 worker. Routes are registered per
+ * method against `:param` patterns and matched in registration order, so
+ * precedence is explicit instead of depending on `includes()` guards.
+ *
+ * Middleware uses the onion model: `(ctx, next) => Response`. Global
+ * middleware (router.use) wraps every request, route middleware wraps a
+ * single route. Handlers receive the same `ctx`:
+ *   { request, url, env, executionCtx, params, body, user, state }
+ */
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Helper: Compile "/api/users/:id" or "/api/media/*" into a RegExp + param names
+export function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split('/')
+    .map((segment) => {
+      if (segment === '*') {
+        keys.push('*');
+        return '(.*)';
+      }
+      if (segment.startsWith(':')) {
+        keys.push(segment.substring(1));
+        return '([^/]+)';
+      }
+      return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+// Helper: Decode a path segment without throwing on malformed escapes
+const decodeParam = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+// Helper: Run a middleware stack around a final handler
+const compose = (stack, final) => (ctx) => {
+  const run = async (index) => {
+    if (index < stack.length) {
+      return stack[index](ctx, () => run(index + 1));
+    }
+    return final(ctx);
+  };
+  return run(0);
+};
+
+export class Router {
+  constructor({ notFound, methodNotAllowed } = {}) {
+    this.routes = [];
+    this.middleware = [];
+    this.notFoundHandler = notFound || (() => Response.json({ error: 'Not Found' }, { status: 404 }));
+    this.methodNotAllowedHandler = methodNotAllowed || (({ allowed }) => Response.json(
+      { error: 'Method Not Allowed', allowed },
+      { status: 405, headers: { Allow: allowed.join(', ') } }
+    ));
+  }
+
+  // Register global middleware (runs for every request, including 404/405)
+  use(middleware) {
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  // Register a route: on('GET', '/api/users/:id', [...middleware], handler)
+  // `patterns` may be an array to share one handler between aliases.
+  on(method, patterns, ...handlers) {
+    const handler = handlers.pop();
+    if (typeof handler !== 'function') {
+      throw new TypeError(`Route ${method} ${patterns} has no handler`);
+    }
+
+    for (const pattern of [].concat(patterns)) {
+      const { regex, keys } = compilePattern(pattern);
+      this.routes.push({ method, pattern, regex, keys, middleware: handlers, handler });
+    }
+    return this;
+  }
+
+  get(...args) { return this.on('GET', ...args); }
+  post(...args) { return this.on('POST', ...args); }
+  put(...args) { return this.on('PUT', ...args); }
+  patch(...args) { return this.on('PATCH', ...args); }
+  delete(...args) { return this.on('DELETE', ...args); }
+  all(...args) { return this.on('*', ...args); }
+
+  // Find routes for a path. `matches` are in precedence order; `allowed`
+  // lists the methods registered for the path (used for 405 responses).
+  match(method, pathname) {
+    const matches = [];
+    const allowed = new Set();
+
+    for (const route of this.routes) {
+      const result = route.regex.exec(pathname);
+      if (!result) continue;
+
+      if (route.method === '*') {
+        METHODS.forEach((m) => allowed.add(m));
+      } else {
+        allowed.add(route.method);
+      }
+
+      const methodMatches = route.method === '*' ||
+        route.method === method ||
+        (method === 'HEAD' && route.method === 'GET');
+      if (!methodMatches) continue;
+
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeParam(result[i + 1] ?? '');
+      });
+      matches.push({ route, params });
+    }
+
+    return { matches, allowed: [...allowed] };
+  }
+
+  async handle(request, context = {}) {
+    const url = context.url || new URL(request.url);
+    const ctx = { ...context, request, url, params: {}, body: undefined, user: null, state: {} };
+
+    return compose(this.middleware, () => this.dispatch(ctx))(ctx);
+  }
+
+  async dispatch(ctx) {
+    const { matches, allowed } = this.match(ctx.request.method, ctx.url.pathname);
+
+    for (const { route, params } of matches) {
+      ctx.params = params;
+      ctx.route = route.pattern;
+      const response = await compose(route.middleware, route.handler)(ctx);
+      // A handler that returns nothing passes the request to the next match
+      if (response) return response;
+    }
+
+    if (matches.length === 0 && allowed.length > 0) {
+      return this.methodNotAllowedHandler({ ...ctx, allowed });
+    }
+    return this.notFoundHandler(ctx);
+  }
+}
+
+// Middleware: Answer CORS preflight and add CORS headers the handler didn't set
+export function cors(headers) {
+  return async (ctx, next) => {
+    if (ctx.request.method === 'OPTIONS') {
+      return new Response(null, { status: 204, headers });
+    }
+
+    const response = await next();
+    const missing = Object.entries(headers).filter(([name]) => !response.headers.has(name));
+    if (missing.length === 0 || response.webSocket) return response;
+
+    // Response.redirect() and fetched responses have immutable headers
+    const patched = new Response(response.body, response);
+    missing.forEach(([name, value]) => patched.headers.set(name, value));
+    return patched;
+  };
+}
+
+// Middleware: Parse JSON request bodies into ctx.body (null if malformed)
+// Parses a clone, so handlers can still read the original request body.
+export function jsonBody() {
+  return async (ctx, next) => {
+    const contentType = ctx.request.headers.get('Content-Type') || '';
+    if (contentType.includes('application/json') && !['GET', 'HEAD'].includes(ctx.request.method)) {
+      try {
+        ctx.body = await ctx.request.clone().json();
+      } catch {
+        ctx.body = null;
+      }
+    }
+    return next();
+  };
+}
+
+// Middleware: Resolve the caller (or null) into ctx.user
+export function authenticate(resolveUser) {
+  return async (ctx, next) => {
+    ctx.user = await resolveUser(ctx.request, ctx);
+    return next();
+  };
+}
+
+// Route middleware: Reject anonymous callers (401) or callers without `role` (403)
+export function requireUser({ role = null, headers = {} } = {}) {
+  return async (ctx, next) => {
+    if (!ctx.user) {
+      return Response.json({ error: 'Authentication required' }, { status: 401, headers });
+    }
+    if (role && ctx.user.role !== role) {
+      const label = role.charAt(0).toUpperCase() + role.substring(1);
+      return Response.json({ error: `${label} access required` }, { status: 403, headers });
+    }
+    return next();
+  };
+}
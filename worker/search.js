@@ -0,0 +1,223 @@
+/**
+ * Audio City Search
+ *
+ * Full-text search over the FTS5 indexes from migrations/0006_search.sql
+ * (tracks_fts, users_fts, playlists_fts). Results are grouped by kind,
+ * ranked with bm25() and highlighted with <mark> around matched terms.
+ */
+
+import { notHidden } from './moderation.js';
+import { trackColumns } from './tracks.js';
+
+export const SEARCH_GROUPS = ['tracks', 'artists', 'playlists'];
+
+// Highlight markers - control characters can't appear in user text, so the
+// result can be HTML-escaped safely before the markers become <mark> tags.
+const MARK_OPEN = '\u0002';
+const MARK_CLOSE = '\u0003';
+
+// Helper: Escape text, then turn FTS markers into <mark> tags
+const toHighlightHtml = (value) => String(value ?? '')
+  .replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]))
+  .replace(new RegExp(MARK_OPEN, 'g'), '<mark>')
+  .replace(new RegExp(MARK_CLOSE, 'g'), '</mark>');
+
+// Turn free text into a safe FTS5 query: every word must match, the last
+// one as a prefix (so "afro bea" finds "Afro Beats"). FTS operators in the
+// input are treated as plain text.
+export function buildMatchQuery(input) {
+  const terms = String(input || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+  if (terms.length === 0) return null;
+
+  return terms
+    .map((term, i) => `"${term}"${i === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// Only approved (or legacy, unreviewed) tracks are public. `:reviewed` in the
+// track queries becomes this, or nothing on databases without review_status.
+const REVIEWED_TRACK = "AND (t.review_status IS NULL OR t.review_status IN ('approved', ''))";
+
+// Admin accounts stay out of artist results, like GET /api/users and trending artists
+const NOT_ADMIN = `(u.is_admin IS NULL OR u.is_admin != 1) AND LOWER(u.username) != 'admin'
+  AND NOT EXISTS (SELECT 1 FROM user_roles r WHERE r.user_id = u.id AND r.role = 'admin')`;
+
+// count and select share their filters, so totals match what the pages return
+const GROUP_QUERIES = {
+  // bm25 weights: title > tags > genre > description
+  tracks: {
+    count: `
+      SELECT COUNT(*) as count
+      FROM tracks_fts
+      JOIN tracks t ON t.id = tracks_fts.track_id
+      WHERE tracks_fts MATCH ? AND ${notHidden('track', 't.id')} :reviewed`,
+    select: `
+      SELECT t.*, u.username as artist_username, u.name as artist_name,
+        highlight(tracks_fts, 1, '${MARK_OPEN}', '${MARK_CLOSE}') as title_marked,
+        snippet(tracks_fts, 2, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 12) as description_marked,
+        bm25(tracks_fts, 0.0, 10.0, 1.0, 4.0, 2.0) as rank
+      FROM tracks_fts
+      JOIN tracks t ON t.id = tracks_fts.track_id
+      LEFT JOIN users u ON t.artist_id = u.id
+      WHERE tracks_fts MATCH ? AND ${notHidden('track', 't.id')} :reviewed
+      ORDER BY rank
+      LIMIT ? OFFSET ?`,
+    shape: (row) => ({
+      id: row.id,
+      title: row.title,
+      title_html: toHighlightHtml(row.title_marked),
+      description_html: toHighlightHtml(row.description_marked),
+      genre: row.genre,
+      tags: row.tags,
+      cover_art_url: row.cover_art_url,
+      audio_url: row.audio_url,
+      artist_id: row.artist_id,
+      artist_username: row.artist_username,
+      artist_name: row.artist_name,
+      plays_count: row.plays_count || 0,
+      created_at: row.created_at,
+      rank: row.rank
+    })
+  },
+
+  artists: {
+    count: `
+      SELECT COUNT(*) as count
+      FROM users_fts
+      JOIN users u ON u.id = users_fts.user_id
+      WHERE users_fts MATCH ? AND ${notHidden('user', 'u.id')} AND ${NOT_ADMIN}`,
+    select: `
+      SELECT u.id, u.username, u.name, u.profile_image_url, u.verified, u.followers_count,
+        highlight(users_fts, 1, '${MARK_OPEN}', '${MARK_CLOSE}') as username_marked,
+        highlight(users_fts, 2, '${MARK_OPEN}', '${MARK_CLOSE}') as name_marked,
+        bm25(users_fts, 0.0, 8.0, 10.0) as rank
+      FROM users_fts
+      JOIN users u ON u.id = users_fts.user_id
+      WHERE users_fts MATCH ? AND ${notHidden('user', 'u.id')} AND ${NOT_ADMIN}
+      ORDER BY rank, u.followers_count DESC
+      LIMIT ? OFFSET ?`,
+    shape: (row) => ({
+      id: row.id,
+      username: row.username,
+      name: row.name,
+      username_html: toHighlightHtml(row.username_marked),
+      name_html: toHighlightHtml(row.name_marked),
+      profile_image_url: row.profile_image_url,
+      verified: row.verified === 1,
+      followers_count: row.followers_count || 0,
+      rank: row.rank
+    })
+  },
+
+  playlists: {
+    count: 'SELECT COUNT(*) as count FROM playlists_fts WHERE playlists_fts MATCH ?',
+    select: `
+      SELECT p.id, p.name, p.user_id, p.cover_image_url, p.created_at,
+        u.username as owner_username, u.name as owner_name,
+        (SELECT COUNT(*) FROM playlist_tracks pt WHERE pt.playlist_id = p.id) as track_count,
+        highlight(playlists_fts, 1, '${MARK_OPEN}', '${MARK_CLOSE}') as name_marked,
+        snippet(playlists_fts, 2, '${MARK_OPEN}', '${MARK_CLOSE}', '…', 12) as description_marked,
+        bm25(playlists_fts, 0.0, 10.0, 2.0) as rank
+      FROM playlists_fts
+      JOIN playlists p ON p.id = playlists_fts.playlist_id
+      LEFT JOIN users u ON p.user_id = u.id
+      WHERE playlists_fts MATCH ?
+      ORDER BY rank
+      LIMIT ? OFFSET ?`,
+    shape: (row) => ({
+      id: row.id,
+      name: row.name,
+      name_html: toHighlightHtml(row.name_marked),
+      description_html: toHighlightHtml(row.description_marked),
+      user_id: row.user_id,
+      owner_username: row.owner_username,
+      owner_name: row.owner_name,
+      cover_image_url: row.cover_image_url,
+      track_count: row.track_count || 0,
+      rank: row.rank
+    })
+  }
+};
+
+// Search one group; returns { results, total }
+async function searchGroup(db, group, match, { limit, offset, withTotal }) {
+  const { shape } = GROUP_QUERIES[group];
+  let { select, count } = GROUP_QUERIES[group];
+  if (group === 'tracks') {
+    const reviewed = (await trackColumns(db)).has('review_status') ? REVIEWED_TRACK : '';
+    select = select.replace(':reviewed', reviewed);
+    count = count.replace(':reviewed', reviewed);
+  }
+
+  const { results } = await db.prepare(select).bind(match, limit, offset).all();
+  const total = withTotal
+    ? (await db.prepare(count).bind(match).first())?.count || 0
+    : null;
+
+  return { results: (results || []).map(shape), total };
+}
+
+// Grouped search: { query, tracks, artists, playlists, totals }
+export async function search(db, input, { groups = SEARCH_GROUPS, limit = 10, offset = 0 } = {}) {
+  const match = buildMatchQuery(input);
+  const response = { query: input, totals: {} };
+  SEARCH_GROUPS.forEach((group) => { response[group] = []; });
+  if (!match) return response;
+
+  for (const group of groups) {
+    const { results, total } = await searchGroup(db, group, match, { limit, offset, withTotal: true });
+    response[group] = results;
+    response.totals[group] = total;
+  }
+  return response;
+}
+
+// Typeahead: a few best matches per group merged into one short list
+export async function typeahead(db, input, { limit = 8 } = {}) {
+  const match = buildMatchQuery(input);
+  if (!match) return { query: input, suggestions: [] };
+
+  const perGroup = Math.max(Math.ceil(limit / 2), 3);
+  const [tracks, artists, playlists] = await Promise.all(
+    SEARCH_GROUPS.map((group) => searchGroup(db, group, match, { limit: perGroup, offset: 0, withTotal: false }))
+  );
+
+  const suggestions = [
+    ...artists.results.map((a) => ({
+      type: 'artist',
+      id: a.id,
+      label: a.name || a.username,
+      label_html: a.name ? a.name_html : a.username_html,
+      subtitle: `@${a.username}`,
+      image: a.profile_image_url || null,
+      rank: a.rank
+    })),
+    ...tracks.results.map((t) => ({
+      type: 'track',
+      id: t.id,
+      label: t.title,
+      label_html: t.title_html,
+      subtitle: t.artist_name || t.artist_username || '',
+      image: t.cover_art_url || null,
+      rank: t.rank
+    })),
+    ...playlists.results.map((p) => ({
+      type: 'playlist',
+      id: p.id,
+      owner_id: p.user_id,
+      label: p.name,
+      label_html: p.name_html,
+      subtitle: `Playlist · ${p.track_count} tracks`,
+      image: p.cover_image_url || null,
+      rank: p.rank
+    }))
+  ];
+
+  // bm25 is lower-is-better; scores from different indexes are close enough to interleave
+  suggestions.sort((a, b) => a.rank - b.rank);
+  return { query: input, suggestions: suggestions.slice(0, limit) };
+}
@@ -0,0 +1,174 @@
+/**
+ * Audio City Sessions
+ *
+ * One row in `sessions` per signed-in device. Access JWTs carry the session
+ * id (`sid`), so revoking the row signs that device out immediately.
+ * Refresh tokens rotate on every use and only their SHA-256 is stored; a
+ * refresh token presented twice means it was copied, so the whole session is
+ * revoked (reuse detection).
+ */
+
+import { generateToken, hashToken } from './tokens.js';
+
+export const SESSION_TTL_DAYS = 30;
+
+// last_used_at is only written when older than this, to keep requests read-only
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// Helper: D1 datetime text -> epoch ms
+const fromSqlDate = (value) => value ? Date.parse(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`) : null;
+
+// Short "Chrome on Windows" style label for a user agent
+export function describeDevice(userAgent) {
+  const ua = userAgent || '';
+  if (!ua) return 'Unknown device';
+
+  const browser =
+    /Edg\//.test(ua) ? 'Edge' :
+    /OPR\/|Opera/.test(ua) ? 'Opera' :
+    /SamsungBrowser/.test(ua) ? 'Samsung Internet' :
+    /Firefox\//.test(ua) ? 'Firefox' :
+    /Chrome\//.test(ua) ? 'Chrome' :
+    /Safari\//.test(ua) ? 'Safari' :
+    /curl|node|okhttp|python/i.test(ua) ? 'API client' :
+    'Browser';
+
+  const os =
+    /iPhone|iPad|iPod/.test(ua) ? 'iOS' :
+    /Android/.test(ua) ? 'Android' :
+    /Windows/.test(ua) ? 'Windows' :
+    /Mac OS X|Macintosh/.test(ua) ? 'macOS' :
+    /CrOS/.test(ua) ? 'ChromeOS' :
+    /Linux/.test(ua) ? 'Linux' :
+    null;
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+// Helper: Issue a refresh token for a session (stored hashed)
+async function issueRefreshToken(db, session) {
+  const refreshToken = generateToken();
+  await db.prepare(`
+    INSERT INTO session_refresh_tokens (token_hash, session_id, user_id, expires_at, created_at)
+    VALUES (?, ?, ?, datetime('now', ?), datetime('now'))
+  `).bind(await hashToken(refreshToken), session.id, session.user_id, `+${SESSION_TTL_DAYS} days`).run();
+  return refreshToken;
+}
+
+// Start a session for a device: { sessionId, refreshToken, expiresAt }
+export async function createSession(db, { userId, userAgent = null, ip = null }) {
+  const sessionId = crypto.randomUUID();
+  // `token` is the legacy bearer column; JWT sessions authenticate via sid, so it holds an unused random value
+  await db.prepare(`
+    INSERT INTO sessions (id, user_id, token, expires_at, user_agent, ip_address, last_used_at, created_at)
+    VALUES (?, ?, ?, datetime('now', ?), ?, ?, datetime('now'), datetime('now'))
+  `).bind(
+    sessionId, userId, `sid_${generateToken()}`, `+${SESSION_TTL_DAYS} days`,
+    userAgent ? userAgent.substring(0, 300) : null, ip
+  ).run();
+
+  const refreshToken = await issueRefreshToken(db, { id: sessionId, user_id: userId });
+  const session = await db.prepare('SELECT expires_at FROM sessions WHERE id = ?').bind(sessionId).first();
+  return { sessionId, refreshToken, expiresAt: session?.expires_at || null };
+}
+
+// The active session behind an access token (or null when revoked/expired).
+// Also records when the device was last seen.
+export async function touchSession(db, sessionId) {
+  const session = await db.prepare(`
+    SELECT id, user_id, last_used_at FROM sessions WHERE id = ? AND expires_at > datetime('now')
+  `).bind(sessionId).first();
+  if (!session) return null;
+
+  const lastUsed = fromSqlDate(session.last_used_at);
+  if (!lastUsed || Date.now() - lastUsed > TOUCH_INTERVAL_MS) {
+    await db.prepare("UPDATE sessions SET last_used_at = datetime('now') WHERE id = ?").bind(sessionId).run();
+  }
+  return session;
+}
+
+// Exchange a refresh token for a new one in the same session.
+// Returns { session, refreshToken } or { error, reused }.
+export async function rotateRefreshToken(db, refreshToken, { userAgent = null, ip = null } = {}) {
+  const tokenHash = await hashToken(refreshToken);
+  const row = await db.prepare(`
+    SELECT r.*, s.id as active_session_id
+    FROM session_refresh_tokens r
+    LEFT JOIN sessions s ON s.id = r.session_id AND s.expires_at > datetime('now')
+    WHERE r.token_hash = ?
+  `).bind(tokenHash).first();
+
+  if (!row || !row.active_session_id) {
+    return { error: 'Invalid or expired refresh token', reused: false };
+  }
+
+  // Claim the token; only one request can flip used_at, so a second use is always detected
+  const claim = await db.prepare(`
+    UPDATE session_refresh_tokens SET used_at = datetime('now')
+    WHERE token_hash = ? AND used_at IS NULL AND expires_at > datetime('now')
+  `).bind(tokenHash).run();
+
+  if ((claim.meta?.changes || 0) === 0) {
+    if (row.used_at) {
+      // Already rotated: someone else holds a copy. Sign the device out everywhere it's used.
+      console.warn(`[Sessions] Refresh token reuse detected, revoking session ${row.session_id}`);
+      await revokeSessions(db, row.user_id, [row.session_id]);
+      return { error: 'Refresh token was already used. Please log in again.', reused: true };
+    }
+    return { error: 'Invalid or expired refresh token', reused: false };
+  }
+
+  const session = { id: row.session_id, user_id: row.user_id };
+  const nextToken = await issueRefreshToken(db, session);
+  await db.prepare(`
+    UPDATE sessions
+    SET expires_at = datetime('now', ?), last_used_at = datetime('now'),
+      user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address)
+    WHERE id = ?
+  `).bind(`+${SESSION_TTL_DAYS} days`, userAgent ? userAgent.substring(0, 300) : null, ip, session.id).run();
+
+  return { session, refreshToken: nextToken };
+}
+
+// Active sessions for a user, most recently used first
+export async function listSessions(db, userId, currentSessionId = null) {
+  const { results } = await db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND expires_at > datetime('now')
+    ORDER BY COALESCE(last_used_at, created_at) DESC
+  `).bind(userId).all();
+
+  return (results || []).map(session => ({
+    id: session.id,
+    device: describeDevice(session.user_agent),
+    user_agent: session.user_agent || null,
+    ip_address: session.ip_address || null,
+    created_at: session.created_at,
+    last_used_at: session.last_used_at || session.created_at,
+    expires_at: session.expires_at,
+    current: session.id === currentSessionId
+  }));
+}
+
+// Revoke specific sessions of a user; returns how many were removed
+export async function revokeSessions(db, userId, sessionIds) {
+  const ids = sessionIds.filter(Boolean);
+  if (ids.length === 0) return 0;
+  const marks = ids.map(() => '?').join(', ');
+
+  const [, removed] = await db.batch([
+    db.prepare(`DELETE FROM session_refresh_tokens WHERE user_id = ? AND session_id IN (${marks})`).bind(userId, ...ids),
+    db.prepare(`DELETE FROM sessions WHERE user_id = ? AND id IN (${marks})`).bind(userId, ...ids)
+  ]);
+  return removed.meta?.changes || 0;
+}
+
+// "Sign out everywhere" - optionally keeping the caller's own session
+export async function revokeAllSessions(db, userId, { exceptSessionId = null } = {}) {
+  const [, removed] = await db.batch([
+    db.prepare('DELETE FROM session_refresh_tokens WHERE user_id = ? AND session_id IS NOT ?').bind(userId, exceptSessionId),
+    db.prepare('DELETE FROM sessions WHERE user_id = ? AND id IS NOT ?').bind(userId, exceptSessionId)
+  ]);
+  return removed.meta?.changes || 0;
+}
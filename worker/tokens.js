@@ -0,0 +1,20 @@
+/**
+ * Audio City Token Helpers
+ *
+ * Random single-use tokens (password reset links etc.). Only the SHA-256
+ * of a token is stored in D1, so a leaked table can't be replayed.
+ */
+
+// Helper: Hex-encode bytes
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+
+// Helper: Generate a URL-safe random token (32 bytes = 64 hex chars by default)
+export function generateToken(byteLength = 32) {
+  return toHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// Helper: SHA-256 a token for storage/lookup
+export async function hashToken(token) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token));
+  return toHex(digest);
+}
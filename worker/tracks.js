@@ -0,0 +1,237 @@
+/**
+ * Audio City Track Listing
+ *
+ * Query builder behind GET /api/tracks: whitelisted sort fields, filters
+ * (genre, tags, date range, duration, artist) and keyset pagination with an
+ * opaque cursor, so pages stay stable while new tracks are uploaded. Also
+ * deleteTrack(), shared by owner deletes and the moderation queue.
+ */
+
+import { encodeCursor, decodeCursor } from './feed.js';
+import { notHidden } from './moderation.js';
+import { mediaKeyFromUrl } from './media.js';
+
+export const MAX_TRACKS_LIMIT = 100;
+
+// Sortable fields -> SQL expression. Only these names can reach ORDER BY.
+// `column` marks fields backed by an optional tracks column (checked per request).
+export const TRACK_SORTS = {
+  created_at: { expr: "COALESCE(t.created_at, '')" },
+  title: { expr: "LOWER(COALESCE(t.title, ''))" },
+  duration: { expr: 'COALESCE(t.duration, 0)' },
+  plays_count: { expr: 'COALESCE(t.plays_count, 0)' },
+  views_count: { expr: 'COALESCE(t.views_count, 0)' },
+  shares_count: { expr: 'COALESCE(t.shares_count, 0)' },
+  downloads_count: { expr: 'COALESCE(t.downloads_count, 0)', column: 'downloads_count' },
+  reposts_count: { expr: 'COALESCE(t.reposts_count, 0)', column: 'reposts_count' },
+  // Counted from the tables (source of truth), like the response enrichment
+  likes_count: { expr: '(SELECT COUNT(*) FROM track_likes l WHERE l.track_id = t.id)' },
+  comments_count: { expr: `(SELECT COUNT(*) FROM comments c WHERE c.track_id = t.id AND ${notHidden('comment', 'c.id')})` }
+};
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper: Split a comma list ("afro,dancehall") into trimmed, lowercased values
+const listParam = (value) => String(value || '')
+  .split(',')
+  .map((part) => part.trim().toLowerCase())
+  .filter(Boolean);
+
+// Helper: Escape LIKE wildcards in user input (used with ESCAPE '\')
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// Columns present on tracks - review_status, reposts_count and downloads_count
+// are added by later migrations and may be missing on older databases
+export async function trackColumns(db) {
+  const { results } = await db.prepare('PRAGMA table_info(tracks)').all();
+  return new Set((results || []).map((column) => column.name));
+}
+
+// Parse "views_count.desc,likes_count.desc" into [{ field, direction }]
+export function parseSort(order, columns) {
+  const parts = String(order || 'created_at.desc').split(',').map((part) => part.trim()).filter(Boolean);
+  if (parts.length === 0 || parts.length > 3) {
+    return { error: 'order accepts between 1 and 3 fields' };
+  }
+
+  const sort = [];
+  for (const part of parts) {
+    const [field, direction = 'desc', extra] = part.split('.');
+    const option = TRACK_SORTS[field];
+    if (!option || extra !== undefined || (option.column && !columns.has(option.column))) {
+      const allowed = Object.keys(TRACK_SORTS).filter((name) => !TRACK_SORTS[name].column || columns.has(TRACK_SORTS[name].column));
+      return { error: `Cannot sort by "${field}". Sortable fields: ${allowed.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(direction.toLowerCase())) {
+      return { error: `Sort direction must be asc or desc (got "${direction}")` };
+    }
+    if (!sort.some((s) => s.field === field)) {
+      sort.push({ field, direction: direction.toLowerCase() });
+    }
+  }
+  return { sort };
+}
+
+// Parse filter query params into SQL conditions + bind values
+export function parseFilters(params) {
+  const where = [];
+  const values = [];
+
+  const genres = listParam(params.get('genre'));
+  if (genres.length) {
+    where.push(`LOWER(t.genre) IN (${genres.map(() => '?').join(', ')})`);
+    values.push(...genres);
+  }
+
+  // Tags are stored as a comma-separated string; every requested tag must be present
+  for (const tag of listParam(params.get('tags')).slice(0, 10)) {
+    where.push(`(',' || REPLACE(LOWER(COALESCE(t.tags, '')), ' ', '') || ',') LIKE ? ESCAPE '\\'`);
+    values.push(`%,${escapeLike(tag.replace(/\s+/g, ''))},%`);
+  }
+
+  // artist_id keeps accepting the PostgREST-style "eq." prefix older pages send
+  const artistIds = listParam(params.get('artist_id')?.replace(/^(eq|neq)\./, '')).slice(0, 50);
+  if (artistIds.length) {
+    where.push(`LOWER(t.artist_id) IN (${artistIds.map(() => '?').join(', ')})`);
+    values.push(...artistIds);
+  }
+  const artist = params.get('artist')?.trim().replace(/^@/, '');
+  if (artist) {
+    where.push('LOWER(u.username) = ?');
+    values.push(artist.toLowerCase());
+  }
+
+  // Date range on created_at; a date-only `to` includes that whole day
+  const from = params.get('from');
+  const to = params.get('to');
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && Number.isNaN(Date.parse(value))) {
+      return { error: `${name} must be an ISO date (YYYY-MM-DD or full timestamp)` };
+    }
+  }
+  if (from) {
+    where.push('t.created_at >= datetime(?)');
+    values.push(from);
+  }
+  if (to) {
+    where.push(DATE_ONLY.test(to) ? "t.created_at < datetime(?, '+1 day')" : 't.created_at <= datetime(?)');
+    values.push(to);
+  }
+
+  // Duration bounds in seconds
+  for (const [name, op] of [['min_duration', '>='], ['max_duration', '<=']]) {
+    const raw = params.get(name);
+    if (raw === null || raw === '') continue;
+    const seconds = Number(raw);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      return { error: `${name} must be a whole number of seconds` };
+    }
+    where.push(`t.duration ${op} ?`);
+    values.push(seconds);
+  }
+
+  return { where, values };
+}
+
+// One page of tracks: { tracks, total, has_more, next_cursor }
+export async function listTracks(db, { sort, where = [], values = [], limit = 20, cursor = null, columns }) {
+  const conditions = [...where];
+  const conditionValues = [...values];
+
+  // Only approved (or legacy, unreviewed) tracks are public
+  if (columns.has('review_status')) {
+    conditions.push("(t.review_status IS NULL OR t.review_status IN ('approved', ''))");
+  }
+  // ...and not hidden by a moderator
+  conditions.push(notHidden('track', 't.id'));
+
+  const from = `FROM tracks t LEFT JOIN users u ON t.artist_id = u.id
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+
+  // Keyset: the sort keys plus t.id as a tie-breaker, all following the last sort direction
+  const keys = [
+    ...sort.map(({ field, direction }) => ({ expr: TRACK_SORTS[field].expr, direction })),
+    { expr: 't.id', direction: sort[sort.length - 1].direction }
+  ];
+  const signature = sort.map(({ field, direction }) => `${field}.${direction}`).join(',');
+
+  const pageConditions = [];
+  const pageValues = [];
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position || position.s !== signature || !Array.isArray(position.k) || position.k.length !== keys.length) {
+      return { error: 'Invalid cursor for this sort order' };
+    }
+    // (k0 > v0) OR (k0 = v0 AND k1 > v1) OR ...
+    const branches = keys.map((key, i) => {
+      const parts = keys.slice(0, i).map((prev, j) => {
+        pageValues.push(position.k[j]);
+        return `${prev.expr} = ?`;
+      });
+      pageValues.push(position.k[i]);
+      parts.push(`${key.expr} ${key.direction === 'asc' ? '>' : '<'} ?`);
+      return `(${parts.join(' AND ')})`;
+    });
+    pageConditions.push(`(${branches.join(' OR ')})`);
+  }
+
+  const pageWhere = pageConditions.length
+    ? `${conditions.length ? ' AND' : ' WHERE'} ${pageConditions.join(' AND ')}`
+    : '';
+  const { results } = await db.prepare(`
+    SELECT t.*, u.username as artist_username, u.name as artist_name,
+      u.profile_image_url as artist_profile_image, u.verified as artist_is_verified,
+      ${keys.map((key, i) => `${key.expr} AS sort_key_${i}`).join(', ')}
+    ${from}${pageWhere}
+    ORDER BY ${keys.map((key, i) => `sort_key_${i} ${key.direction.toUpperCase()}`).join(', ')}
+    LIMIT ?
+  `).bind(...conditionValues, ...pageValues, limit + 1).all();
+
+  const total = await db.prepare(`SELECT COUNT(*) as count ${from}`).bind(...conditionValues).first();
+
+  const rows = results || [];
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  const tracks = page.map((row) => {
+    const track = { ...row };
+    keys.forEach((_, i) => { delete track[`sort_key_${i}`]; });
+    return track;
+  });
+
+  return {
+    tracks,
+    total: total?.count || 0,
+    has_more: hasMore,
+    next_cursor: hasMore
+      ? encodeCursor({ s: signature, k: keys.map((_, i) => last[`sort_key_${i}`]) })
+      : null
+  };
+}
+
+// Delete a track row with everything hanging off it (likes, comments and their
+// likes, reposts, playlist entries, notifications), then its audio and cover
+// art in R2. `track` is the tracks row; `bucket` may be missing in local dev.
+export async function deleteTrack(db, bucket, track) {
+  await db.batch([
+    db.prepare('DELETE FROM comment_likes WHERE comment_id IN (SELECT id FROM comments WHERE track_id = ?)').bind(track.id),
+    db.prepare('DELETE FROM comments WHERE track_id = ?').bind(track.id),
+    db.prepare('DELETE FROM track_likes WHERE track_id = ?').bind(track.id),
+    db.prepare('DELETE FROM reposts WHERE track_id = ?').bind(track.id),
+    db.prepare('DELETE FROM playlist_tracks WHERE track_id = ?').bind(track.id),
+    db.prepare('DELETE FROM notifications WHERE track_id = ?').bind(track.id),
+    db.prepare('DELETE FROM tracks WHERE id = ?').bind(track.id),
+    db.prepare('UPDATE users SET tracks_count = MAX(COALESCE(tracks_count, 0) - 1, 0) WHERE id = ?').bind(track.artist_id)
+  ]);
+
+  const keys = [track.audio_url, track.cover_art_url].map(mediaKeyFromUrl).filter(Boolean);
+  if (bucket && keys.length > 0) {
+    try {
+      await bucket.delete(keys);
+    } catch (error) {
+      // The rows are gone either way; orphaned objects only cost storage
+      console.error('[Tracks] Failed to delete media for track', track.id, error.message);
+    }
+  }
+}